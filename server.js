@@ -52,6 +52,30 @@ const initializeServices = async () => {
     const trendlyService = require('./src/services/trendlyService');
     await trendlyService.initialize();
     
+    // Start background dispatcher for scheduled push notifications
+    const notificationDispatcher = require('./src/services/notificationDispatcher');
+    notificationDispatcher.start();
+    
+    // Start local publish queue for scheduled posts
+    const postPublishQueue = require('./src/services/postPublishQueue');
+    postPublishQueue.start();
+    
+    // Start periodic analytics snapshot collection
+    const analyticsCollector = require('./src/services/analyticsCollector');
+    analyticsCollector.start();
+    
+    // Start local render job for video edits
+    const videoRenderer = require('./src/services/videoRenderer');
+    videoRenderer.start();
+    
+    // Start local job that builds personal data exports
+    const dataExportService = require('./src/services/dataExportService');
+    dataExportService.start();
+    
+    // Start purge of accounts whose deletion grace period has ended
+    const accountDeletionService = require('./src/services/accountDeletionService');
+    accountDeletionService.start();
+    
     console.log('✅ All services initialized successfully');
   } catch (error) {
     console.error('⚠️  Service initialization failed:', error.message);
@@ -80,6 +104,12 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  require('./src/services/notificationDispatcher').stop();
+  require('./src/services/postPublishQueue').stop();
+  require('./src/services/analyticsCollector').stop();
+  require('./src/services/videoRenderer').stop();
+  require('./src/services/dataExportService').stop();
+  require('./src/services/accountDeletionService').stop();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
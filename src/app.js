@@ -9,6 +9,7 @@ const swaggerSpecs = require('./config/swagger');
 
 // Import custom middleware
 const globalErrorHandler = require('./middleware/errorHandler');
+const { maintenanceGate, requireFeature } = require('./middleware/appControls');
 const AppError = require('./utils/appError');
 const logger = require('./utils/logger');
 
@@ -22,10 +23,14 @@ const aiRoutes = require('./routes/ai');
 const analyticsRoutes = require('./routes/analytics');
 const adminRoutes = require('./routes/admin');
 const legalRoutes = require('./routes/legal');
+const faqRoutes = require('./routes/faq');
 const configRoutes = require('./routes/config');
 const inspirationRoutes = require('./routes/inspiration');
 const notificationRoutes = require('./routes/notifications');
 const imageRoutes = require('./routes/images');
+const webhookRoutes = require('./routes/webhooks');
+const brandVoiceRoutes = require('./routes/brandVoices');
+const postTemplateRoutes = require('./routes/postTemplates');
 
 // Create Express app
 const app = express();
@@ -81,7 +86,15 @@ if (process.env.NODE_ENV === 'development') {
 // app.use('/api/', limiter);
 
 // Body parser
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    // Keep the exact bytes for webhook signature verification
+    if (req.originalUrl.startsWith('/api/v1/webhooks')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files (for MVP - serve uploaded files)
@@ -254,20 +267,27 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   }
 }));
 
+// Maintenance mode (Settings.app.maintenanceMode) - admin API, health and docs stay reachable
+app.use(maintenanceGate);
+
 // API Routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/videos', videoRoutes);
-app.use('/api/v1/social', socialRoutes);
+app.use('/api/v1/social', requireFeature('socialMediaIntegrationEnabled'), socialRoutes);
 app.use('/api/v1/posts', postRoutes);
-app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/ai', requireFeature('aiAssistantEnabled'), aiRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
 app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/legal', legalRoutes);
+app.use('/api/v1/faq', faqRoutes);
 app.use('/api/v1/config', configRoutes);
 app.use('/api/v1/inspiration', inspirationRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/images', imageRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/brand-voices', brandVoiceRoutes);
+app.use('/api/v1/post-templates', postTemplateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
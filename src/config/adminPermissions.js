@@ -0,0 +1,174 @@
+// Admin permission model
+// A permission is "<resource>:<action>". Roles (AdminRole) hold a list of permissions; "*" grants
+// everything and "<resource>:*" every action on one resource. Admins can also be granted extra
+// permissions on top of their role (AdminUser.permissions).
+
+const ADMIN_PERMISSION_RESOURCES = {
+  dashboard: {
+    actions: ['read'],
+    description: 'Dashboard statistics'
+  },
+  users: {
+    actions: ['read', 'write', 'delete'],
+    description: 'App users: view, ban / suspend, delete'
+  },
+  media: {
+    actions: ['read', 'write', 'delete'],
+    description: 'Media library (images, stickers, GIFs, audio, fonts)'
+  },
+  videos: {
+    actions: ['read', 'delete'],
+    description: 'User videos'
+  },
+  posts: {
+    actions: ['read', 'write', 'delete'],
+    description: 'Social media posts, including replaying failed posts'
+  },
+  analytics: {
+    actions: ['read'],
+    description: 'Analytics and AI usage reports'
+  },
+  notifications: {
+    actions: ['read', 'write', 'delete'],
+    description: 'Push notifications the admin sent'
+  },
+  notifications_all: {
+    actions: ['read', 'write'],
+    description: 'Push notifications sent by other admins'
+  },
+  legal: {
+    actions: ['read', 'write', 'delete'],
+    description: 'Privacy policy and terms of use'
+  },
+  faq: {
+    actions: ['read', 'write', 'delete'],
+    description: 'FAQ entries and categories'
+  },
+  settings: {
+    actions: ['read', 'write'],
+    description: 'General settings (app, features, URLs, uploads, AI routing, sign-in client IDs)'
+  },
+  settings_api_keys: {
+    actions: ['read', 'write'],
+    description: 'Third-party credentials (Cloudinary, Bundle.social, fal.ai, Reddit, RapidAPI, Firebase, MongoDB)'
+  },
+  settings_email: {
+    actions: ['read', 'write'],
+    description: 'Email provider credentials'
+  },
+  activity_logs: {
+    actions: ['read'],
+    description: 'Admin activity log'
+  },
+  webhooks: {
+    actions: ['read'],
+    description: 'Webhook deliveries'
+  },
+  admins: {
+    actions: ['read', 'write', 'delete'],
+    description: 'Admin accounts, their two-factor authentication and the admin security settings'
+  },
+  roles: {
+    actions: ['read', 'write', 'delete'],
+    description: 'Admin roles'
+  }
+};
+
+// Settings sections that need more than the general settings permission
+const SETTINGS_SECTION_RESOURCES = {
+  cloudinary: 'settings_api_keys',
+  mongodb: 'settings_api_keys',
+  apiKeys: 'settings_api_keys',
+  reddit: 'settings_api_keys',
+  rapidApi: 'settings_api_keys',
+  firebase: 'settings_api_keys',
+  email: 'settings_email',
+  adminSecurity: 'admins'
+};
+
+// Built-in roles. They are stored in the database like custom roles (so their permissions can be
+// edited, except superadmin's) and these definitions are used until the roles are seeded.
+const SYSTEM_ADMIN_ROLES = {
+  superadmin: {
+    description: 'Full access',
+    permissions: ['*']
+  },
+  admin: {
+    description: 'Day-to-day administration without credentials, admin accounts or roles',
+    permissions: [
+      'dashboard:read',
+      'users:read', 'users:write',
+      'media:*',
+      'videos:*',
+      'posts:*',
+      'analytics:read',
+      'notifications:*',
+      'legal:read', 'legal:write',
+      'faq:*',
+      'settings:read', 'settings:write',
+      'activity_logs:read',
+      'webhooks:read'
+    ]
+  },
+  moderator: {
+    description: 'Read-only access to content and users',
+    permissions: [
+      'dashboard:read',
+      'users:read',
+      'media:read',
+      'videos:read',
+      'posts:read',
+      'analytics:read',
+      'notifications:read',
+      'legal:read',
+      'faq:read'
+    ]
+  }
+};
+
+/**
+ * Whether a permission string names a known resource and action ("*" and "<resource>:*" included)
+ */
+const isValidPermission = (permission) => {
+  if (permission === '*') {
+    return true;
+  }
+
+  const [resource, action, ...rest] = String(permission).split(':');
+  const definition = ADMIN_PERMISSION_RESOURCES[resource];
+
+  return rest.length === 0 && !!definition && (action === '*' || definition.actions.includes(action));
+};
+
+/**
+ * Whether a list of granted permissions covers the required one
+ */
+const hasPermission = (granted, required) => {
+  const [resource] = required.split(':');
+  return granted.includes('*') || granted.includes(`${resource}:*`) || granted.includes(required);
+};
+
+/**
+ * Expand wildcards into the full list of "<resource>:<action>" permissions
+ */
+const expandPermissions = (granted) => {
+  const expanded = [];
+  for (const [resource, { actions }] of Object.entries(ADMIN_PERMISSION_RESOURCES)) {
+    for (const action of actions) {
+      const permission = `${resource}:${action}`;
+      if (hasPermission(granted, permission)) {
+        expanded.push(permission);
+      }
+    }
+  }
+  return expanded;
+};
+
+module.exports = {
+  ADMIN_PERMISSION_RESOURCES,
+  SETTINGS_SECTION_RESOURCES,
+  SYSTEM_ADMIN_ROLES,
+  isValidPermission,
+  hasPermission,
+  expandPermissions
+};
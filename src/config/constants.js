@@ -12,10 +12,100 @@ const constants = {
   // Video processing
   DEFAULT_VIDEO_QUALITY: 720,
   MAX_VIDEO_DURATION: 600, // 10 minutes in seconds
+
+  // Sticker/drawing overlay images: base64 data URLs, or HTTPS URLs on these hosts
+  OVERLAY_IMAGE_TYPES: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+  OVERLAY_IMAGE_HOSTS: (process.env.VIDEO_OVERLAY_IMAGE_HOSTS || 'res.cloudinary.com')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean),
+  MAX_OVERLAY_IMAGE_SIZE: parseInt(process.env.VIDEO_OVERLAY_MAX_SIZE) || 5 * 1024 * 1024, // 5MB
   
   // Social media platforms
   SUPPORTED_PLATFORMS: ['instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin'],
-  
+
+  // What each platform accepts, checked before a post is sent to Bundle.social
+  // (see services/platformConstraintService.js). captionLength includes the appended hashtags,
+  // durations are in seconds, fileSize in bytes and aspect ratios are width / height.
+  // `types` tightens the video rules for a post type (e.g. YouTube Shorts).
+  PLATFORM_LIMITS: {
+    instagram: {
+      captionLength: 2200,
+      hashtags: 30,
+      mentions: 20,
+      handle: /^[A-Za-z0-9._]{1,30}$/,
+      video: {
+        minDuration: 3,
+        maxDuration: 15 * 60,
+        minAspectRatio: 0.01,
+        maxAspectRatio: 10,
+        maxFileSize: 1024 * 1024 * 1024, // 1GB
+        mimeTypes: ['video/mp4', 'video/quicktime', 'video/mov']
+      },
+      types: {
+        STORY: { maxDuration: 60 }
+      }
+    },
+    tiktok: {
+      captionLength: 2200,
+      handle: /^[A-Za-z0-9._]{2,24}$/,
+      video: {
+        minDuration: 3,
+        maxDuration: 10 * 60,
+        maxFileSize: 4 * 1024 * 1024 * 1024, // 4GB
+        mimeTypes: ['video/mp4', 'video/quicktime', 'video/mov', 'video/webm']
+      }
+    },
+    youtube: {
+      captionLength: 5000, // Caption is the video description
+      hashtags: 60,
+      video: {
+        maxDuration: 12 * 60 * 60,
+        maxFileSize: 256 * 1024 * 1024 * 1024, // 256GB
+        mimeTypes: [
+          'video/mp4', 'video/quicktime', 'video/mov', 'video/x-msvideo', 'video/avi',
+          'video/x-ms-wmv', 'video/wmv', 'video/webm', 'video/mpeg', 'video/3gpp'
+        ]
+      },
+      types: {
+        SHORT: { maxDuration: 3 * 60, maxAspectRatio: 1 } // Square or vertical
+      }
+    },
+    facebook: {
+      captionLength: 63206,
+      video: {
+        minDuration: 1,
+        maxDuration: 240 * 60,
+        maxFileSize: 10 * 1024 * 1024 * 1024, // 10GB
+        mimeTypes: ['video/mp4', 'video/quicktime', 'video/mov']
+      }
+    },
+    twitter: {
+      captionLength: 280,
+      mentions: 10,
+      handle: /^[A-Za-z0-9_]{1,15}$/,
+      video: {
+        minDuration: 0.5,
+        maxDuration: 140,
+        minAspectRatio: 1 / 3,
+        maxAspectRatio: 3,
+        maxFileSize: 512 * 1024 * 1024, // 512MB
+        mimeTypes: ['video/mp4', 'video/quicktime', 'video/mov']
+      }
+    },
+    linkedin: {
+      captionLength: 3000,
+      video: {
+        minDuration: 3,
+        maxDuration: 30 * 60,
+        minAspectRatio: 1 / 2.4,
+        maxAspectRatio: 2.4,
+        maxFileSize: 5 * 1024 * 1024 * 1024, // 5GB
+        mimeTypes: ['video/mp4']
+      }
+    }
+  },
+
   // Bundle.social
   BUNDLE_SOCIAL: {
     BASE_URL: process.env.BUNDLE_SOCIAL_BASE_URL,
@@ -44,7 +44,15 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
 - **General API**: 100 requests per 15 minutes
 - **Authentication**: 5 requests per 15 minutes  
 - **File Upload**: 10 requests per hour
-- **AI Services**: 20 requests per hour
+- **AI Services**: per-user daily and monthly quotas, configured in admin settings
+
+## 🚧 Maintenance & Feature Flags
+
+Admins can switch these on and off in settings; changes apply within seconds, without a restart.
+
+- **Maintenance mode**: every endpoint except \`/health\`, \`/api-docs\`, \`/api/v1/admin\`, \`/api/v1/config\` and \`/api/v1/webhooks\` answers \`503\` with \`data.code = "MAINTENANCE_MODE"\`
+- **Registrations closed**: \`/auth/register\` answers \`403\` with \`data.code = "REGISTRATION_CLOSED"\`
+- **Feature flags**: disabled AI, social media or video editing endpoints answer \`503\` with \`data.code = "FEATURE_DISABLED"\` and \`data.feature\`
 
 ## 🔗 Useful Links
 
@@ -171,6 +179,11 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
               default: 'email',
               example: 'email'
             },
+            isPrivateRelayEmail: {
+              type: 'boolean',
+              description: 'Email is an Apple "Hide My Email" relay address',
+              example: false
+            },
             status: {
               type: 'string',
               enum: ['active', 'banned', 'suspended'],
@@ -471,6 +484,9 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
                 }
               }
             },
+            render: {
+              $ref: '#/components/schemas/VideoRender'
+            },
             aiGeneratedCaption: {
               type: 'string',
               description: 'AI-generated caption for the video'
@@ -518,6 +534,20 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
               description: 'Associated video ID',
               example: '507f1f77bcf86cd799439013'
             },
+            videoVersion: {
+              type: 'string',
+              enum: ['original', 'rendered'],
+              description: 'Whether the original upload or the rendered edits were posted',
+              example: 'rendered'
+            },
+            videoUploadId: {
+              type: 'string',
+              description: 'Bundle.social upload ID that was posted'
+            },
+            captionVersion: {
+              type: 'string',
+              description: 'AI caption version the post was created from'
+            },
             hashtags: {
               type: 'array',
               items: { type: 'string' },
@@ -541,6 +571,19 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
                     description: 'Social account ID',
                     example: '507f1f77bcf86cd799439012'
                   },
+                  caption: {
+                    type: 'string',
+                    description: 'Caption used on this platform instead of the post caption'
+                  },
+                  hashtags: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Hashtags used on this platform instead of the post hashtags'
+                  },
+                  options: {
+                    type: 'object',
+                    description: 'Bundle.social options sent for this platform (privacy, type, ...)'
+                  },
                   postId: {
                     type: 'string',
                     description: 'Platform post ID after publishing'
@@ -638,7 +681,7 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
             },
             refreshToken: {
               type: 'string',
-              description: 'JWT refresh token (expires in 7d)',
+              description: 'JWT refresh token for this device session (expires in 7d, single-use: every refresh returns a new one)',
               example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
             },
             expiresIn: {
@@ -648,16 +691,62 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
             }
           }
         },
+        AuthSession: {
+          type: 'object',
+          description: 'A device the user is signed in on',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Session ID'
+            },
+            userAgent: {
+              type: 'string',
+              description: 'User agent of the last sign-in or token refresh',
+              example: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)'
+            },
+            ipAddress: {
+              type: 'string',
+              description: 'IP address of the last sign-in or token refresh'
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last sign-in or token refresh'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the session ends unless refreshed'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Sign-in time'
+            },
+            current: {
+              type: 'boolean',
+              description: 'This is the session making the request'
+            }
+          }
+        },
         LoginRequest: {
           type: 'object',
-          required: ['email'],
           properties: {
             email: {
               type: 'string',
               format: 'email',
-              description: 'User email address',
+              description: 'User email address (required only for email login)',
               example: 'john@example.com'
             },
+            idToken: {
+              type: 'string',
+              description: 'ID token from the Google or Apple sign-in SDK (required for google/apple). It is verified against the provider\'s signing keys, issuer and configured client IDs.',
+              example: 'eyJhbGciOiJSUzI1NiIsImtpZCI6Ij...'
+            },
+            nonce: {
+              type: 'string',
+              description: 'Nonce the client passed to the provider, raw or SHA-256 (optional; checked against the token when sent)'
+            },
             password: {
               type: 'string',
               description: 'User password (required only for email login)',
@@ -675,7 +764,7 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
         },
         RegisterRequest: {
           type: 'object',
-          required: ['name', 'email', 'loginType'],
+          required: ['name', 'loginType'],
           properties: {
             name: {
               type: 'string',
@@ -687,9 +776,18 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
             email: {
               type: 'string',
               format: 'email',
-              description: 'User email address',
+              description: 'User email address (required for email registration; google/apple use the email in the ID token)',
               example: 'john@example.com'
             },
+            idToken: {
+              type: 'string',
+              description: 'ID token from the Google or Apple sign-in SDK (required for google/apple). It is verified against the provider\'s signing keys, issuer and configured client IDs.',
+              example: 'eyJhbGciOiJSUzI1NiIsImtpZCI6Ij...'
+            },
+            nonce: {
+              type: 'string',
+              description: 'Nonce the client passed to the provider, raw or SHA-256 (optional; checked against the token when sent)'
+            },
             password: {
               type: 'string',
               description: 'User password (required only for email registration). Must contain at least one lowercase letter, one uppercase letter, one number, and one special character',
@@ -821,6 +919,10 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
               default: 'general',
               description: 'Target social media platform for optimization',
               example: 'instagram'
+            },
+            brandVoiceId: {
+              type: 'string',
+              description: 'Brand voice to follow; defaults to the user\'s default brand voice'
             }
           }
         },
@@ -840,9 +942,468 @@ A powerful, modern REST API built with **Node.js**, **Express**, and **MongoDB**
               description: 'Response data'
             }
           }
+        },
+        CaptionVersion: {
+          type: 'object',
+          description: 'A stored AI-generated caption for a video',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            video: {
+              type: 'string'
+            },
+            version: {
+              type: 'integer',
+              description: 'Sequential per video, starting at 1',
+              example: 3
+            },
+            caption: {
+              type: 'string'
+            },
+            hashtags: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            fullText: {
+              type: 'string'
+            },
+            tone: {
+              type: 'string',
+              example: 'casual'
+            },
+            platform: {
+              type: 'string',
+              example: 'instagram'
+            },
+            provider: {
+              type: 'string',
+              enum: ['fal', 'gemini', 'perplexity', 'openai']
+            },
+            model: {
+              type: 'string'
+            },
+            brandVoice: {
+              type: 'string',
+              nullable: true,
+              description: 'Brand voice the caption was generated with'
+            },
+            options: {
+              type: 'object',
+              description: 'Options the caption was generated with (prompt, maxLength, includeHashtags, platforms)'
+            },
+            source: {
+              type: 'string',
+              enum: ['generate_caption', 'video_ai_caption', 'suggestions']
+            },
+            isFavorite: {
+              type: 'boolean'
+            },
+            restoredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        BrandVoice: {
+          type: 'object',
+          description: 'A saved brand voice that AI caption generation follows',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string',
+              example: 'Acme Coffee'
+            },
+            description: {
+              type: 'string',
+              example: 'Warm, witty and a little nerdy about coffee'
+            },
+            tone: {
+              type: 'string',
+              enum: ['professional', 'casual', 'funny', 'inspirational', 'educational', 'storytelling', 'urgent', 'luxury'],
+              description: 'Base tone; a tone sent with a request takes precedence'
+            },
+            samplePosts: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Example posts in the brand voice (the first 3 are sent to the model)'
+            },
+            bannedWords: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['cheap', 'guys']
+            },
+            requiredHashtags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Added to every caption that includes hashtags; stored without #',
+              example: ['acmecoffee']
+            },
+            emojiPolicy: {
+              type: 'string',
+              enum: ['none', 'minimal', 'moderate', 'heavy'],
+              default: 'moderate'
+            },
+            ctaStyle: {
+              type: 'string',
+              enum: ['none', 'soft', 'direct', 'question', 'link_in_bio'],
+              default: 'soft'
+            },
+            ctaText: {
+              type: 'string',
+              example: 'Order ahead at the link in bio'
+            },
+            isDefault: {
+              type: 'boolean',
+              description: 'Applied when a generation request does not name a brand voice'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        PostTemplate: {
+          type: 'object',
+          description: 'Reusable caption snippet, hashtag set and platform presets for new posts',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string',
+              example: 'Weekly recipe'
+            },
+            description: {
+              type: 'string'
+            },
+            caption: {
+              type: 'string',
+              description: 'Caption snippet; {{title}}, {{description}}, {{name}}, {{date}}, {{time}}, {{weekday}} and {{year}} are filled in when posting',
+              example: 'New recipe: {{title}} 🍝 Fresh for {{weekday}}!'
+            },
+            hashtags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Hashtag set; stored without #',
+              example: ['recipe', 'homecooking']
+            },
+            platforms: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin']
+              }
+            },
+            settings: {
+              type: 'object',
+              properties: {
+                autoPublish: { type: 'boolean' },
+                allowComments: { type: 'boolean' },
+                allowLikes: { type: 'boolean' },
+                visibility: { type: 'string', enum: ['public', 'private', 'unlisted'] }
+              }
+            },
+            platformOptions: {
+              type: 'object',
+              description: 'Per-platform presets in Bundle.social terms',
+              properties: {
+                instagram: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: ['POST', 'REEL', 'STORY'] },
+                    shareToFeed: { type: 'boolean' }
+                  }
+                },
+                tiktok: {
+                  type: 'object',
+                  properties: {
+                    privacy: {
+                      type: 'string',
+                      enum: ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY']
+                    },
+                    isBrandContent: { type: 'boolean' },
+                    disableComments: { type: 'boolean' },
+                    disableDuet: { type: 'boolean' },
+                    disableStitch: { type: 'boolean' }
+                  }
+                },
+                youtube: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: ['SHORT', 'VIDEO'] },
+                    privacy: { type: 'string', enum: ['PUBLIC', 'UNLISTED', 'PRIVATE'] },
+                    madeForKids: { type: 'boolean' }
+                  }
+                },
+                facebook: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: ['POST', 'REEL'] }
+                  }
+                },
+                linkedin: {
+                  type: 'object',
+                  properties: {
+                    privacy: { type: 'string', enum: ['PUBLIC', 'CONNECTIONS'] },
+                    hideFromFeed: { type: 'boolean' },
+                    disableReshare: { type: 'boolean' }
+                  }
+                }
+              }
+            },
+            usageCount: {
+              type: 'number',
+              description: 'Posts created from the template'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        AIUsagePeriod: {
+          type: 'object',
+          description: 'AI usage for the current UTC day or month',
+          properties: {
+            periodStart: {
+              type: 'string',
+              format: 'date-time'
+            },
+            resetsAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            requests: {
+              type: 'number',
+              description: 'Successful AI requests (count toward the quota)',
+              example: 12
+            },
+            failedRequests: {
+              type: 'number',
+              example: 1
+            },
+            promptTokens: {
+              type: 'number'
+            },
+            completionTokens: {
+              type: 'number'
+            },
+            totalTokens: {
+              type: 'number',
+              description: 'Tokens reported by providers that return usage (Perplexity, OpenAI)'
+            },
+            providers: {
+              type: 'object',
+              description: 'Successful requests per provider',
+              properties: {
+                fal: { type: 'number' },
+                gemini: { type: 'number' },
+                perplexity: { type: 'number' },
+                openai: { type: 'number' }
+              }
+            },
+            limits: {
+              type: 'object',
+              description: '0 = unlimited',
+              properties: {
+                requests: { type: 'number', example: 50 },
+                tokens: { type: 'number', example: 0 }
+              }
+            },
+            remaining: {
+              type: 'object',
+              description: 'null = unlimited',
+              properties: {
+                requests: { type: 'number', nullable: true, example: 38 },
+                tokens: { type: 'number', nullable: true, example: null }
+              }
+            }
+          }
+        },
+        AIProviderStatus: {
+          type: 'object',
+          description: 'Routing state of an AI caption provider',
+          properties: {
+            name: {
+              type: 'string',
+              enum: ['fal', 'gemini', 'perplexity', 'openai']
+            },
+            label: {
+              type: 'string',
+              example: 'Fal.ai'
+            },
+            configured: {
+              type: 'boolean',
+              description: 'Whether an API key is available'
+            },
+            enabled: {
+              type: 'boolean',
+              description: 'Whether the provider is in the routing order'
+            },
+            priority: {
+              type: 'integer',
+              nullable: true,
+              description: 'Position in the routing order (1 = tried first)'
+            },
+            coolingDown: {
+              type: 'boolean',
+              description: 'Skipped after a rate limit until cooldownUntil'
+            },
+            cooldownUntil: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            healthy: {
+              type: 'boolean'
+            },
+            error: {
+              type: 'string',
+              description: 'Health check error, when probed'
+            }
+          }
+        },
+        VideoRender: {
+          type: 'object',
+          description: 'Server-side render of the video edits',
+          properties: {
+            state: {
+              type: 'string',
+              enum: ['queued', 'rendering', 'completed', 'failed'],
+              example: 'rendering'
+            },
+            progress: {
+              type: 'number',
+              minimum: 0,
+              maximum: 100,
+              example: 45
+            },
+            editsHash: {
+              type: 'string',
+              description: 'Hash of the edits the render was produced from'
+            },
+            attempts: { type: 'number', example: 1 },
+            requestedAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time' },
+            completedAt: { type: 'string', format: 'date-time' },
+            error: {
+              type: 'string',
+              description: 'Failure reason when state is failed'
+            },
+            bundleUploadId: {
+              type: 'string',
+              description: 'Bundle.social upload ID of the rendered video'
+            },
+            thumbnailUrl: { type: 'string' },
+            iconUrl: { type: 'string' },
+            dimensions: {
+              type: 'object',
+              properties: {
+                width: { type: 'number' },
+                height: { type: 'number' }
+              }
+            },
+            duration: { type: 'number', description: 'Rendered duration in seconds' },
+            fileSize: { type: 'number' }
+          }
+        },
+        AnalyticsTimeSeries: {
+          type: 'object',
+          description: 'Stored analytics snapshots grouped into day or week buckets',
+          properties: {
+            interval: {
+              type: 'string',
+              enum: ['day', 'week'],
+              example: 'day'
+            },
+            from: {
+              type: 'string',
+              format: 'date-time'
+            },
+            to: {
+              type: 'string',
+              format: 'date-time'
+            },
+            buckets: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  period: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Bucket start (UTC midnight, Monday for weekly buckets)',
+                    example: '2025-01-13T00:00:00.000Z'
+                  },
+                  capturedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Time of the latest snapshot in the bucket'
+                  },
+                  samples: {
+                    type: 'integer',
+                    description: 'Number of snapshots in the bucket',
+                    example: 4
+                  },
+                  metrics: {
+                    type: 'object',
+                    description: 'Cumulative counters at the end of the bucket',
+                    properties: {
+                      impressions: { type: 'number', example: 5400 },
+                      views: { type: 'number', example: 3420 },
+                      likes: { type: 'number', example: 298 },
+                      comments: { type: 'number', example: 42 },
+                      shares: { type: 'number', example: 18 },
+                      saves: { type: 'number', example: 7 },
+                      followers: { type: 'number', example: 15420 }
+                    }
+                  },
+                  change: {
+                    type: 'object',
+                    description: 'Growth of each counter during the bucket',
+                    example: { views: 310, likes: 22, followers: 40 }
+                  }
+                }
+              }
+            }
+          }
         }
       },
       responses: {
+        ServiceUnavailableError: {
+          description: 'Maintenance mode is on (data.code = MAINTENANCE_MODE) or the feature is disabled (data.code = FEATURE_DISABLED)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', example: 'error' },
+                  message: { type: 'string', example: 'AI assistant is currently disabled.' },
+                  data: {
+                    type: 'object',
+                    properties: {
+                      code: { type: 'string', enum: ['MAINTENANCE_MODE', 'FEATURE_DISABLED'] },
+                      feature: { type: 'string', example: 'aiAssistantEnabled' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
         UnauthorizedError: {
           description: 'Access token is missing or invalid',
           content: {
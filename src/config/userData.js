@@ -0,0 +1,37 @@
+const Video = require('../models/Video');
+const Post = require('../models/Post');
+const SocialAccount = require('../models/SocialAccount');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const CaptionVersion = require('../models/CaptionVersion');
+const AIRequestLog = require('../models/AIRequestLog');
+const AIUsage = require('../models/AIUsage');
+const BrandVoice = require('../models/BrandVoice');
+const PostTemplate = require('../models/PostTemplate');
+const AuthSession = require('../models/AuthSession');
+const FaqVote = require('../models/FaqVote');
+
+// Records that belong to a user, one section per collection. Data exports include each
+// section (with `select` applied); deleting an account removes every record they match.
+const USER_DATA_SECTIONS = [
+  { key: 'videos', model: Video, filter: userId => ({ user: userId }), select: '-filePath' },
+  { key: 'posts', model: Post, filter: userId => ({ user: userId }) },
+  { key: 'socialAccounts', model: SocialAccount, filter: userId => ({ user: userId }) },
+  { key: 'analytics', model: AnalyticsSnapshot, filter: userId => ({ user: userId }) },
+  { key: 'captionHistory', model: CaptionVersion, filter: userId => ({ user: userId }) },
+  { key: 'aiRequests', model: AIRequestLog, filter: userId => ({ user: userId }) },
+  { key: 'aiUsage', model: AIUsage, filter: userId => ({ user: userId }) },
+  { key: 'brandVoices', model: BrandVoice, filter: userId => ({ user: userId }) },
+  { key: 'postTemplates', model: PostTemplate, filter: userId => ({ user: userId }) },
+  {
+    key: 'sessions',
+    model: AuthSession,
+    filter: userId => ({ principalType: 'User', principal: userId }),
+    select: 'userAgent ipAddress lastSeenAt expiresAt revokedAt revokedReason createdAt'
+  },
+  // Votes of signed-in users; the counters on the FAQ entries are anonymous and stay
+  { key: 'faqVotes', model: FaqVote, filter: userId => ({ voterKey: `user:${userId}` }), select: 'faq helpful createdAt updatedAt' }
+];
+
+module.exports = {
+  USER_DATA_SECTIONS
+};
@@ -1,4 +1,3 @@
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const AdminUser = require('../models/AdminUser');
 const Media = require('../models/Media');
@@ -9,7 +8,17 @@ const SocialAccount = require('../models/SocialAccount');
 const AdminActivityLog = require('../models/AdminActivityLog');
 const Settings = require('../models/Settings');
 const Notification = require('../models/Notification');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AIRequestLog = require('../models/AIRequestLog');
 const cloudinaryService = require('../services/cloudinaryService');
+const aiUsageService = require('../services/aiUsageService');
+const sessionService = require('../services/sessionService');
+const adminTwoFactorService = require('../services/adminTwoFactorService');
+const adminRoleService = require('../services/adminRoleService');
+const settingsHistoryService = require('../services/settingsHistoryService');
+const accountDeletionService = require('../services/accountDeletionService');
+const { SETTINGS_SECTION_RESOURCES } = require('../config/adminPermissions');
+const { USER_DATA_SECTIONS } = require('../config/userData');
 const { 
   sendSuccess, 
   sendCreated, 
@@ -24,25 +33,73 @@ const logger = require('../utils/logger');
 // ==================== AUTH ====================
 
 /**
- * Generate admin JWT token
+ * Record a two-factor event in the activity log
  */
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.ADMIN_JWT_SECRET, {
-    expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '1d'
+const logTwoFactorActivity = (req, adminId, action, details = {}, success = true) => {
+  return AdminActivityLog.create({
+    admin: req.admin ? req.admin._id : adminId,
+    action,
+    resourceType: 'admin',
+    resourceId: adminId,
+    details,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    success
   });
 };
 
 /**
- * Generate admin refresh token
+ * Finish a sign-in: start a session, log it and send the tokens
  */
-const signRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.ADMIN_JWT_REFRESH_SECRET, {
-    expiresIn: process.env.ADMIN_JWT_REFRESH_EXPIRES_IN || '7d'
+const completeLogin = async (req, res, admin, { method = 'password', data = {} } = {}) => {
+  // Reset login attempts only once every step has passed
+  if (admin.loginAttempts > 0) {
+    await admin.resetLoginAttempts();
+  }
+
+  // Update last login
+  admin.lastLoginAt = Date.now();
+
+  await admin.save({ validateBeforeSave: false });
+
+  // Start a session for this device
+  const { accessToken, refreshToken } = await sessionService.createSession('AdminUser', admin._id, req);
+
+  // Log activity
+  await AdminActivityLog.create({
+    admin: admin._id,
+    action: 'login',
+    resourceType: 'admin',
+    details: { method: 'login', twoFactorMethod: method === 'password' ? undefined : method },
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    success: true
+  });
+
+  // Remove sensitive data
+  admin.password = undefined;
+
+  logger.info('Admin logged in successfully:', { adminId: admin._id, email: admin.email, method });
+
+  sendSuccess(res, 'Login successful', {
+    token: accessToken,
+    refreshToken,
+    admin: {
+      id: admin._id,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+      permissions: await adminRoleService.getEffectivePermissions(admin),
+      twoFactorEnabled: !!(admin.twoFactor && admin.twoFactor.enabled) || method !== 'password'
+    },
+    ...data
   });
 };
 
 /**
  * Admin login
+ * With two-factor authentication enabled (or required for the role) the password step only
+ * returns a short-lived challenge token for the code / setup step.
  */
 const login = async (req, res, next) => {
   try {
@@ -75,53 +132,100 @@ const login = async (req, res, next) => {
       return sendUnauthorized(res, 'Account is temporarily locked due to too many failed login attempts');
     }
 
-    // Reset login attempts on successful login
-    if (admin.loginAttempts > 0) {
-      await admin.resetLoginAttempts();
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      return sendSuccess(res, 'Enter the code from your authenticator app', {
+        twoFactorRequired: true,
+        challengeToken: adminTwoFactorService.createChallenge(admin, 'login'),
+        expiresIn: adminTwoFactorService.challengeExpiresIn
+      });
     }
 
-    // Update last login
-    admin.lastLoginAt = Date.now();
+    if (await adminTwoFactorService.isRequiredFor(admin)) {
+      return sendSuccess(res, 'Two-factor authentication is required for your role. Set it up to continue.', {
+        twoFactorSetupRequired: true,
+        challengeToken: adminTwoFactorService.createChallenge(admin, 'setup'),
+        expiresIn: adminTwoFactorService.challengeExpiresIn
+      });
+    }
 
-    // Generate tokens
-    const accessToken = signToken(admin._id);
-    const refreshToken = signRefreshToken(admin._id);
+    await completeLogin(req, res, admin);
+  } catch (error) {
+    logger.error('Admin login error:', error);
+    next(error);
+  }
+};
 
-    // Store refresh token
-    admin.refreshToken = refreshToken;
-    admin.refreshTokenExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await admin.save({ validateBeforeSave: false });
+/**
+ * Second login step: code from the authenticator app or a recovery code
+ */
+const verifyLoginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
 
-    // Log activity
-    await AdminActivityLog.create({
-      admin: admin._id,
-      action: 'login',
-      resourceType: 'admin',
-      details: { method: 'login' },
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('user-agent'),
-      success: true
-    });
+    const admin = await adminTwoFactorService.verifyChallenge(challengeToken, 'login');
 
-    // Remove sensitive data
-    admin.password = undefined;
-    admin.refreshToken = undefined;
+    const result = await adminTwoFactorService.verifyCode(admin._id, code);
+    if (!result) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await admin.incLoginAttempts();
+      await logTwoFactorActivity(req, admin._id, 'two_factor_failed', { step: 'login' }, false);
+      return sendUnauthorized(res, 'Invalid verification code');
+    }
 
-    logger.info('Admin logged in successfully:', { adminId: admin._id, email: admin.email });
+    const data = {};
+    if (result.method === 'recovery_code') {
+      data.recoveryCodesRemaining = (await adminTwoFactorService.getStatus(admin)).recoveryCodesRemaining;
+    }
 
-    sendSuccess(res, 'Login successful', {
-      token: accessToken,
-      refreshToken,
-      admin: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role,
-        permissions: admin.permissions
+    await completeLogin(req, res, admin, { method: result.method, data });
+  } catch (error) {
+    logger.error('Admin two-factor login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Enrollment during login, for admins whose role requires two-factor authentication
+ */
+const startLoginTwoFactorSetup = async (req, res, next) => {
+  try {
+    const admin = await adminTwoFactorService.verifyChallenge(req.body.challengeToken, 'setup');
+
+    const enrollment = await adminTwoFactorService.startEnrollment(admin);
+    await logTwoFactorActivity(req, admin._id, 'two_factor_setup', { step: 'login' });
+
+    sendSuccess(res, 'Scan the QR code with your authenticator app, then enter a code to finish', enrollment);
+  } catch (error) {
+    logger.error('Admin two-factor login setup error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment during login and sign in
+ */
+const confirmLoginTwoFactorSetup = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const admin = await adminTwoFactorService.verifyChallenge(challengeToken, 'setup');
+
+    let recoveryCodes;
+    try {
+      recoveryCodes = await adminTwoFactorService.confirmEnrollment(admin._id, code);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        await admin.incLoginAttempts();
+        await logTwoFactorActivity(req, admin._id, 'two_factor_failed', { step: 'login_setup' }, false);
       }
-    });
+      throw error;
+    }
+
+    await logTwoFactorActivity(req, admin._id, 'two_factor_enable', { step: 'login' });
+
+    await completeLogin(req, res, admin, { method: 'totp', data: { recoveryCodes } });
   } catch (error) {
-    logger.error('Admin login error:', error);
+    logger.error('Admin two-factor login setup error:', error);
     next(error);
   }
 };
@@ -137,37 +241,26 @@ const refreshToken = async (req, res, next) => {
       return sendBadRequest(res, 'Refresh token is required');
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.ADMIN_JWT_REFRESH_SECRET);
-    } catch (error) {
-      return sendUnauthorized(res, 'Invalid or expired refresh token');
-    }
+    // Rotate: the old refresh token stops working, reusing it revokes the session
+    const { session, accessToken, refreshToken: newRefreshToken } =
+      await sessionService.rotate('AdminUser', token, req);
 
-    // Find admin
-    const admin = await AdminUser.findById(decoded.id);
-    if (!admin || admin.refreshToken !== token) {
+    const admin = await AdminUser.findById(session.principal);
+    if (!admin || !admin.isActive) {
+      await sessionService.revokeSession('AdminUser', session.principal, session._id, 'account_status');
       return sendUnauthorized(res, 'Invalid refresh token');
     }
 
-    // Check expiry
-    if (admin.refreshTokenExpires && admin.refreshTokenExpires < new Date()) {
-      return sendUnauthorized(res, 'Refresh token has expired');
+    // The role may have started requiring two-factor authentication since this session began
+    if (!admin.twoFactor?.enabled && await adminTwoFactorService.isRequiredFor(admin)) {
+      await sessionService.revokeSession('AdminUser', admin._id, session._id, 'account_status');
+      return sendUnauthorized(res, 'Two-factor authentication is now required for your role. Please log in again to set it up.');
     }
 
-    // Generate new tokens
-    const newAccessToken = signToken(admin._id);
-    const newRefreshToken = signRefreshToken(admin._id);
-
-    admin.refreshToken = newRefreshToken;
-    admin.refreshTokenExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await admin.save({ validateBeforeSave: false });
-
     logger.info('Admin tokens refreshed:', { adminId: admin._id });
 
     sendSuccess(res, 'Tokens refreshed successfully', {
-      token: newAccessToken,
+      token: accessToken,
       refreshToken: newRefreshToken
     });
   } catch (error) {
@@ -892,6 +985,11 @@ const banUser = async (req, res, next) => {
 
     await user.save();
 
+    // A banned or suspended user is signed out everywhere
+    if (status !== 'active') {
+      await sessionService.revokeAll('User', user._id, { reason: 'account_status' });
+    }
+
     const actionMessage = status === 'active' 
       ? 'unbanned/reactivated' 
       : status === 'banned' 
@@ -934,11 +1032,9 @@ const deleteUser = async (req, res, next) => {
     }
 
     // Delete related data
-    await Promise.all([
-      Video.deleteMany({ user: user._id }),
-      Post.deleteMany({ user: user._id }),
-      SocialAccount.deleteMany({ user: user._id })
-    ]);
+    await Promise.all(
+      USER_DATA_SECTIONS.map(section => section.model.deleteMany(section.filter(user._id)))
+    );
 
     // Delete user
     await user.deleteOne();
@@ -952,6 +1048,39 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Get accounts scheduled for deletion, the soonest purge first
+ */
+const getPendingDeletions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { users, total } = await accountDeletionService.listPending({ page, limit });
+
+    sendSuccess(res, 'Pending deletions retrieved successfully', { users }, getPaginationMeta(page, limit, total));
+  } catch (error) {
+    logger.error('Get pending deletions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a user's pending account deletion
+ */
+const cancelUserDeletion = async (req, res, next) => {
+  try {
+    const user = await accountDeletionService.cancelDeletion(req.params.id);
+
+    logger.warn('User account deletion cancelled by admin:', { userId: user._id, adminId: req.admin._id });
+
+    sendSuccess(res, 'Account deletion cancelled successfully', { user });
+  } catch (error) {
+    logger.error('Cancel user deletion error:', error);
+    next(error);
+  }
+};
+
 // ==================== VIDEO MANAGEMENT ====================
 
 /**
@@ -1065,6 +1194,7 @@ const getAllPosts = async (req, res, next) => {
       page = 1, 
       limit = 20, 
       bundleStatus,
+      publishState,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -1073,6 +1203,7 @@ const getAllPosts = async (req, res, next) => {
     const query = {};
 
     if (bundleStatus) query.bundleStatus = bundleStatus;
+    if (publishState) query['publishJob.state'] = publishState;
 
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -1102,6 +1233,78 @@ const getAllPosts = async (req, res, next) => {
   }
 };
 
+/**
+ * Get posts in the publish dead-letter queue
+ */
+const getDeadLetterPosts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const skip = (page - 1) * limit;
+    const query = { 'publishJob.state': 'dead_letter' };
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .select('-publishJob.payload')
+        .sort({ 'publishJob.deadLetteredAt': -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'name email')
+        .populate('video', 'title thumbnailUrl'),
+      Post.countDocuments(query)
+    ]);
+
+    sendSuccess(res, 'Dead-lettered posts retrieved successfully', {
+      posts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get dead-letter posts error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replay a dead-lettered post through the publish queue
+ */
+const replayPost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return sendNotFound(res, 'Post not found');
+    }
+
+    if (post.publishJob?.state !== 'dead_letter') {
+      return sendBadRequest(res, 'Only posts in the dead-letter queue can be replayed');
+    }
+
+    const postPublishQueue = require('../services/postPublishQueue');
+    await postPublishQueue.replay(post, req.admin._id);
+
+    sendSuccess(res, 'Post requeued for publishing', {
+      post: {
+        id: post._id,
+        bundleStatus: post.bundleStatus,
+        scheduledFor: post.scheduledFor,
+        publishJob: {
+          state: post.publishJob.state,
+          nextAttemptAt: post.publishJob.nextAttemptAt,
+          replayCount: post.publishJob.replayCount
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Replay post error:', error);
+    next(error);
+  }
+};
+
 /**
  * Delete post
  */
@@ -1176,7 +1379,8 @@ const getAnalyticsOverview = async (req, res, next) => {
       userStats,
       videoStats,
       postStats,
-      socialAccountStats
+      socialAccountStats,
+      aiRequestStats
     ] = await Promise.all([
       User.aggregate([
         { $match: query },
@@ -1213,6 +1417,16 @@ const getAnalyticsOverview = async (req, res, next) => {
             count: { $sum: 1 }
           }
         }
+      ]),
+      AIRequestLog.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: '$provider',
+            count: { $sum: 1 },
+            totalTokens: { $sum: '$usage.totalTokens' }
+          }
+        }
       ])
     ]);
 
@@ -1220,7 +1434,8 @@ const getAnalyticsOverview = async (req, res, next) => {
       users: userStats,
       videos: videoStats,
       posts: postStats,
-      socialAccounts: socialAccountStats
+      socialAccounts: socialAccountStats,
+      aiRequests: aiRequestStats
     });
   } catch (error) {
     logger.error('Get analytics overview error:', error);
@@ -1265,8 +1480,86 @@ const getUserAnalytics = async (req, res, next) => {
   }
 };
 
+/**
+ * Get AI usage analytics
+ */
+const getAIUsageAnalytics = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const limit = parseInt(req.query.limit) || 10;
+
+    if (days < 1 || days > 366) {
+      return sendBadRequest(res, 'days must be between 1 and 366');
+    }
+
+    if (limit < 1 || limit > 100) {
+      return sendBadRequest(res, 'limit must be between 1 and 100');
+    }
+
+    const from = new Date();
+    from.setDate(from.getDate() - days);
+
+    const summary = await aiUsageService.getSummary({ from, limit });
+
+    sendSuccess(res, 'AI usage analytics retrieved', {
+      period: `${days} days`,
+      ...summary
+    });
+  } catch (error) {
+    logger.error('Get AI usage analytics error:', error);
+    next(error);
+  }
+};
+
 // ==================== SETTINGS ====================
 
+/**
+ * Settings sections the admin may not change (credentials, email and admin security need their
+ * own permission on top of settings:write)
+ */
+const getForbiddenSettingsSections = (req, sections) => {
+  return sections.filter(section => {
+    const resource = SETTINGS_SECTION_RESOURCES[section];
+    return resource && !adminRoleService.hasPermission(req.adminPermissions, `${resource}:write`);
+  });
+};
+
+/**
+ * Make services that keep their own copy of the settings re-read them
+ * @param {string[]} sections - Changed settings sections
+ */
+const reloadSettingsDependents = async (sections) => {
+  // Invalidate config service cache
+  const configService = require('../services/configService');
+  configService.invalidateCache();
+
+  if (sections.includes('cloudinary')) {
+    const { reconfigureCloudinary } = require('../services/cloudinaryService');
+    await reconfigureCloudinary();
+    logger.info('Cloudinary reconfigured with new settings');
+  }
+
+  if (sections.includes('email')) {
+    const emailService = require('../services/emailService');
+    await emailService.reinitialize();
+    logger.info('Email service reinitialized with new settings');
+  }
+
+  if (sections.includes('apiKeys')) {
+    const { reconfigureBundleSocialAPI } = require('../config/bundleSocial');
+    await reconfigureBundleSocialAPI();
+    logger.info('Bundle.social API reconfigured with new settings');
+
+    const falAiService = require('../services/falAiService');
+    await falAiService.reinitialize();
+  }
+
+  if (sections.includes('firebase')) {
+    const firebaseService = require('../services/firebaseService');
+    await firebaseService.reinitialize();
+  }
+};
+
 /**
  * Get system settings
  */
@@ -1276,44 +1569,53 @@ const getSettings = async (req, res, next) => {
     
     // Get settings from database
     let settings = await Settings.getSettings();
+    const publicSettings = settings.toPublicJSON();
     
-    // Return appropriate format based on disclosure level and role
     // disclosure options: 'public', 'masked', 'full'
-    
-    if (disclosure === 'full' && req.admin.role === 'superadmin') {
-      // FULL DISCLOSURE: Superadmin can see actual secrets (unmasked)
-      const fullSettings = settings.toFullJSON();
-      logger.info('Settings retrieved with full disclosure', { adminId: req.admin._id });
-      return sendSuccess(res, 'Settings retrieved successfully (full disclosure)', { 
-        settings: fullSettings,
-        disclosure: 'full',
-        warning: '⚠️ This response contains sensitive secrets. Handle with care!'
-      });
-    } else if (disclosure === 'masked' && req.admin.role === 'superadmin') {
-      // MASKED DISCLOSURE: Superadmin can see masked secrets (e.g., "sk_l••••••••2a3b")
-      const maskedSettings = settings.toMaskedJSON();
-      return sendSuccess(res, 'Settings retrieved successfully (masked secrets)', { 
-        settings: maskedSettings,
-        disclosure: 'masked'
-      });
-    } else {
-      // PUBLIC: Regular response without any secrets (for all admin roles)
-      const publicSettings = settings.toPublicJSON();
-      
-      // Log warning if non-superadmin tried to access secrets
-      if ((disclosure === 'full' || disclosure === 'masked') && req.admin.role !== 'superadmin') {
-        logger.warn('Non-superadmin attempted to access sensitive settings', { 
+    // Secrets are only revealed for sections the admin may read (settings_api_keys, settings_email)
+    if (disclosure === 'full' || disclosure === 'masked') {
+      const revealedSettings = disclosure === 'full' ? settings.toFullJSON() : settings.toMaskedJSON();
+      const hiddenSections = [];
+
+      for (const [section, resource] of Object.entries(SETTINGS_SECTION_RESOURCES)) {
+        if (!adminRoleService.hasPermission(req.adminPermissions, `${resource}:read`)) {
+          revealedSettings[section] = publicSettings[section];
+          hiddenSections.push(section);
+        }
+      }
+
+      if (hiddenSections.length > 0) {
+        logger.warn('Admin requested secrets of settings sections they cannot read', { 
           adminId: req.admin._id, 
           role: req.admin.role,
-          requestedDisclosure: disclosure
+          requestedDisclosure: disclosure,
+          hiddenSections
         });
       }
-      
-      return sendSuccess(res, 'Settings retrieved successfully', { 
-        settings: publicSettings,
-        disclosure: 'public'
+
+      if (disclosure === 'full') {
+        logger.info('Settings retrieved with full disclosure', { adminId: req.admin._id });
+        return sendSuccess(res, 'Settings retrieved successfully (full disclosure)', { 
+          settings: revealedSettings,
+          disclosure: 'full',
+          hiddenSections,
+          warning: '⚠️ This response contains sensitive secrets. Handle with care!'
+        });
+      }
+
+      // MASKED DISCLOSURE: masked secrets (e.g., "sk_l••••••••2a3b")
+      return sendSuccess(res, 'Settings retrieved successfully (masked secrets)', { 
+        settings: revealedSettings,
+        disclosure: 'masked',
+        hiddenSections
       });
     }
+
+    // PUBLIC: Regular response without any secrets
+    return sendSuccess(res, 'Settings retrieved successfully', { 
+      settings: publicSettings,
+      disclosure: 'public'
+    });
   } catch (error) {
     logger.error('Get settings error:', { 
       message: error.message,
@@ -1337,12 +1639,21 @@ const updateSettings = async (req, res, next) => {
       apiKeys,
       urls,
       app,
-      features
+      features,
+      ai,
+      socialAuth,
+      adminSecurity
     } = req.body;
 
+    // Credentials and admin security settings need their own permission on top of settings:write
+    const forbiddenSections = getForbiddenSettingsSections(req, Object.keys(req.body));
+    if (forbiddenSections.length > 0) {
+      return sendError(res, 403, `You do not have permission to change: ${forbiddenSections.join(', ')}`);
+    }
+
     // Fetch current settings to merge with (prevents losing other fields)
     const currentSettings = await Settings.findById('app_settings')
-      .select('+cloudinary.apiSecret +mongodb.uri +email.resend.apiKey +email.smtp.pass +apiKeys.falApiKey +apiKeys.bundleSocialApiKey +reddit.clientId +reddit.clientSecret +reddit.password +firebase.serviceAccount +rapidApi.key');
+      .select('+cloudinary.apiSecret +mongodb.uri +email.resend.apiKey +email.smtp.pass +apiKeys.falApiKey +apiKeys.bundleSocialApiKey +apiKeys.bundleSocialWebhookSecret +reddit.clientId +reddit.clientSecret +reddit.password +firebase.serviceAccount +rapidApi.key');
 
     // Build updates object
     const updates = {};
@@ -1412,6 +1723,7 @@ const updateSettings = async (req, res, next) => {
       if (apiKeys.falModel !== undefined) updates.apiKeys.falModel = apiKeys.falModel;
       if (apiKeys.bundleSocialApiKey !== undefined) updates.apiKeys.bundleSocialApiKey = apiKeys.bundleSocialApiKey;
       if (apiKeys.bundleSocialOrgId !== undefined) updates.apiKeys.bundleSocialOrgId = apiKeys.bundleSocialOrgId;
+      if (apiKeys.bundleSocialWebhookSecret !== undefined) updates.apiKeys.bundleSocialWebhookSecret = apiKeys.bundleSocialWebhookSecret;
     }
 
     if (req.body.rapidApi) {
@@ -1447,41 +1759,84 @@ const updateSettings = async (req, res, next) => {
       if (features.adminPanelEnabled !== undefined) updates.features.adminPanelEnabled = features.adminPanelEnabled;
     }
 
-    // Update settings
-    const settings = await Settings.updateSettings(updates, req.admin._id);
-
-    // Invalidate config service cache
-    const configService = require('../services/configService');
-    configService.invalidateCache();
-
-    // If Cloudinary settings changed, reconfigure
-    if (cloudinary) {
-      const { reconfigureCloudinary } = require('../services/cloudinaryService');
-      await reconfigureCloudinary();
-      logger.info('Cloudinary reconfigured with new settings');
+    if (ai) {
+      // Merge with existing AI routing settings
+      updates.ai = { ...currentSettings?.ai?.toObject?.() || currentSettings?.ai || {} };
+      if (ai.providerOrder !== undefined) {
+        const knownProviders = ['fal', 'gemini', 'perplexity', 'openai'];
+        if (!Array.isArray(ai.providerOrder) || ai.providerOrder.length === 0 ||
+            ai.providerOrder.some(provider => !knownProviders.includes(provider)) ||
+            new Set(ai.providerOrder).size !== ai.providerOrder.length) {
+          return sendBadRequest(res, `AI provider order must be a non-empty list of unique providers: ${knownProviders.join(', ')}`);
+        }
+        updates.ai.providerOrder = ai.providerOrder;
+      }
+      if (ai.failoverEnabled !== undefined) updates.ai.failoverEnabled = ai.failoverEnabled;
+      if (ai.rateLimitCooldownSeconds !== undefined) {
+        if (ai.rateLimitCooldownSeconds < 0 || ai.rateLimitCooldownSeconds > 3600) {
+          return sendBadRequest(res, 'AI rate limit cooldown must be between 0 and 3600 seconds');
+        }
+        updates.ai.rateLimitCooldownSeconds = ai.rateLimitCooldownSeconds;
+      }
+      for (const quotaField of ['dailyRequestLimit', 'monthlyRequestLimit', 'dailyTokenLimit', 'monthlyTokenLimit']) {
+        if (ai[quotaField] !== undefined) {
+          if (!Number.isInteger(ai[quotaField]) || ai[quotaField] < 0) {
+            return sendBadRequest(res, `AI ${quotaField} must be a non-negative integer (0 = unlimited)`);
+          }
+          updates.ai[quotaField] = ai[quotaField];
+        }
+      }
     }
 
-    // If email settings changed, reinitialize email service
-    if (email) {
-      const emailService = require('../services/emailService');
-      await emailService.reinitialize();
-      logger.info('Email service reinitialized with new settings');
+    if (socialAuth) {
+      // Merge with existing Google/Apple sign-in settings
+      updates.socialAuth = { ...currentSettings?.socialAuth?.toObject?.() || currentSettings?.socialAuth || {} };
+      for (const clientIdsField of ['googleClientIds', 'appleClientIds']) {
+        if (socialAuth[clientIdsField] !== undefined) {
+          const clientIds = socialAuth[clientIdsField];
+          if (!Array.isArray(clientIds) || clientIds.some(clientId => typeof clientId !== 'string' || !clientId.trim())) {
+            return sendBadRequest(res, `${clientIdsField} must be a list of client IDs`);
+          }
+          updates.socialAuth[clientIdsField] = [...new Set(clientIds.map(clientId => clientId.trim()))];
+        }
+      }
     }
 
-    // If Bundle.social settings changed, reconfigure
-    if (apiKeys && (apiKeys.bundleSocialApiKey || apiKeys.bundleSocialOrgId)) {
-      const { reconfigureBundleSocialAPI } = require('../config/bundleSocial');
-      await reconfigureBundleSocialAPI();
-      logger.info('Bundle.social API reconfigured with new settings');
+    if (adminSecurity) {
+      // Merge with existing admin security settings
+      updates.adminSecurity = { ...currentSettings?.adminSecurity?.toObject?.() || currentSettings?.adminSecurity || {} };
+      if (adminSecurity.twoFactorRequiredRoles !== undefined) {
+        const adminRoles = [...(await adminRoleService.getRoleMap()).keys()];
+        const roles = adminSecurity.twoFactorRequiredRoles;
+        if (!Array.isArray(roles) || roles.some(role => !adminRoles.includes(role))) {
+          return sendBadRequest(res, `twoFactorRequiredRoles must be a list of roles: ${adminRoles.join(', ')}`);
+        }
+        updates.adminSecurity.twoFactorRequiredRoles = [...new Set(roles)];
+      }
     }
 
+    // Keep the state before the first recorded change
+    await settingsHistoryService.ensureBaselineRecorded();
+
+    // Update settings
+    const settings = await Settings.updateSettings(updates, req.admin._id);
+    const version = await settingsHistoryService.recordVersion({ adminId: req.admin._id, source: 'update' });
+
+    // Services holding their own copy of changed settings re-read them
+    await reloadSettingsDependents(Object.keys(updates));
+
     logger.info('Settings updated successfully:', { 
       updatedFields: Object.keys(updates),
+      version: version ? version.version : null,
       adminId: req.admin._id 
     });
 
     const publicSettings = settings.toPublicJSON();
-    sendSuccess(res, 'Settings updated successfully', { settings: publicSettings });
+    sendSuccess(res, 'Settings updated successfully', {
+      settings: publicSettings,
+      version: version ? version.version : null,
+      changes: version ? version.changes : []
+    });
   } catch (error) {
     logger.error('Update settings error:', { 
       message: error.message,
@@ -1492,6 +1847,114 @@ const updateSettings = async (req, res, next) => {
   }
 };
 
+// ==================== SETTINGS HISTORY ====================
+
+/**
+ * List settings versions, newest first
+ */
+const getSettingsHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { versions, total } = await settingsHistoryService.listVersions({ page, limit });
+
+    sendSuccess(res, 'Settings history retrieved successfully', { versions }, getPaginationMeta(page, limit, total));
+  } catch (error) {
+    logger.error('Get settings history error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one settings version (secrets masked)
+ */
+const getSettingsVersion = async (req, res, next) => {
+  try {
+    const version = await settingsHistoryService.getVersion(parseInt(req.params.version));
+
+    sendSuccess(res, 'Settings version retrieved successfully', { version });
+  } catch (error) {
+    logger.error('Get settings version error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Compare two settings versions, or a version with the current settings
+ */
+const compareSettingsVersions = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const comparison = await settingsHistoryService.compareVersions(from, to);
+
+    sendSuccess(res, 'Settings versions compared successfully', comparison);
+  } catch (error) {
+    logger.error('Compare settings versions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Restore the settings of an earlier version
+ */
+const rollbackSettings = async (req, res, next) => {
+  try {
+    const versionNumber = parseInt(req.params.version);
+
+    // The admin needs write access to every section the rollback changes
+    const { changes } = await settingsHistoryService.compareVersions(versionNumber);
+    const sections = [...new Set(changes.map(change => change.path.split('.')[0]))];
+    const forbiddenSections = getForbiddenSettingsSections(req, sections);
+    if (forbiddenSections.length > 0) {
+      return sendError(res, 403, `You do not have permission to change: ${forbiddenSections.join(', ')}`);
+    }
+
+    const { version, changedSections, skippedSecrets } = await settingsHistoryService.rollback(versionNumber, {
+      adminId: req.admin._id,
+      note: req.body.note
+    });
+
+    if (!version) {
+      return sendSuccess(res, 'Settings already match this version', { version: null, changes: [] });
+    }
+
+    await reloadSettingsDependents(changedSections);
+
+    await AdminActivityLog.create({
+      admin: req.admin._id,
+      action: 'settings_rollback',
+      resourceType: 'settings',
+      resourceId: String(version.version),
+      details: {
+        restoredVersion: versionNumber,
+        changedSections,
+        skippedSecrets,
+        note: req.body.note
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info('Settings rolled back:', {
+      restoredVersion: versionNumber,
+      newVersion: version.version,
+      changedSections,
+      adminId: req.admin._id
+    });
+
+    sendSuccess(res, `Settings rolled back to version ${versionNumber}`, {
+      version: version.version,
+      restoredVersion: versionNumber,
+      changes: version.changes,
+      skippedSecrets
+    });
+  } catch (error) {
+    logger.error('Rollback settings error:', error);
+    next(error);
+  }
+};
+
 // ==================== ACTIVITY LOGS ====================
 
 /**
@@ -1538,7 +2001,52 @@ const getActivityLogs = async (req, res, next) => {
   }
 };
 
-// ==================== ADMIN MANAGEMENT (SUPERADMIN ONLY) ====================
+// Get inbound webhook delivery log
+const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 50,
+      provider,
+      status,
+      eventType,
+      eventId
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    const query = {};
+
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (eventType) query.eventType = eventType;
+    if (eventId) query.eventId = eventId;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ receivedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('post', 'caption bundlePostId bundleStatus')
+        .populate('video', 'title bundleUploadId status'),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    sendSuccess(res, 'Webhook deliveries retrieved successfully', {
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get webhook deliveries error:', error);
+    next(error);
+  }
+};
+
+// ==================== ADMIN MANAGEMENT ====================
 
 // Get all admin users
 const getAllAdmins = async (req, res, next) => {
@@ -1604,19 +2112,10 @@ const createAdmin = async (req, res, next) => {
       return sendError(res, 400, 'Name, email, and password are required');
     }
 
-    // Validate role
-    const validRoles = ['superadmin', 'admin', 'moderator'];
-    if (role && !validRoles.includes(role)) {
-      return sendError(res, 400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
-    }
-
-    // Validate permissions
-    const validPermissions = ['users', 'media', 'videos', 'posts', 'analytics', 'settings', 'socialaccounts'];
-    if (permissions && Array.isArray(permissions)) {
-      const invalidPerms = permissions.filter(p => !validPermissions.includes(p));
-      if (invalidPerms.length > 0) {
-        return sendError(res, 400, `Invalid permissions: ${invalidPerms.join(', ')}`);
-      }
+    // The role and extra permissions can only give access the acting admin has
+    await adminRoleService.assertAssignable(role || 'admin', req.adminPermissions);
+    if (permissions !== undefined) {
+      adminRoleService.assertGrantable(permissions, req.adminPermissions);
     }
 
     // Check if email already exists
@@ -1630,8 +2129,8 @@ const createAdmin = async (req, res, next) => {
       name,
       email: email.toLowerCase(),
       password,
-      role: role || 'admin',
-      permissions: permissions || [],
+      role: (role || 'admin').toLowerCase(),
+      permissions: permissions ? [...new Set(permissions)] : [],
       createdBy: req.admin._id,
       isActive: true
     });
@@ -1684,6 +2183,8 @@ const updateAdmin = async (req, res, next) => {
       return sendError(res, 403, 'Cannot modify another superadmin account');
     }
 
+    await adminRoleService.assertManageable(admin, req.adminPermissions);
+
     // Update fields
     if (name) admin.name = name;
     if (email) {
@@ -1699,22 +2200,13 @@ const updateAdmin = async (req, res, next) => {
     }
 
     if (role) {
-      const validRoles = ['superadmin', 'admin', 'moderator'];
-      if (!validRoles.includes(role)) {
-        return sendError(res, 400, `Invalid role. Must be one of: ${validRoles.join(', ')}`);
-      }
-      admin.role = role;
+      await adminRoleService.assertAssignable(role, req.adminPermissions);
+      admin.role = role.toLowerCase();
     }
 
     if (permissions !== undefined) {
-      const validPermissions = ['users', 'media', 'videos', 'posts', 'analytics', 'settings', 'socialaccounts'];
-      if (Array.isArray(permissions)) {
-        const invalidPerms = permissions.filter(p => !validPermissions.includes(p));
-        if (invalidPerms.length > 0) {
-          return sendError(res, 400, `Invalid permissions: ${invalidPerms.join(', ')}`);
-        }
-        admin.permissions = permissions;
-      }
+      adminRoleService.assertGrantable(permissions, req.adminPermissions);
+      admin.permissions = [...new Set(permissions)];
     }
 
     if (isActive !== undefined) {
@@ -1773,6 +2265,8 @@ const deleteAdmin = async (req, res, next) => {
       return sendError(res, 403, 'Cannot delete your own account');
     }
 
+    await adminRoleService.assertManageable(admin, req.adminPermissions);
+
     // Log activity before deletion
     await AdminActivityLog.create({
       admin: req.admin._id,
@@ -1789,6 +2283,7 @@ const deleteAdmin = async (req, res, next) => {
     });
 
     await AdminUser.findByIdAndDelete(id);
+    await sessionService.deleteAll('AdminUser', id);
 
     logger.info('Admin deleted:', {
       deletedBy: req.admin.email,
@@ -1828,6 +2323,8 @@ const restrictAdmin = async (req, res, next) => {
       return sendError(res, 403, 'Cannot restrict your own account');
     }
 
+    await adminRoleService.assertManageable(admin, req.adminPermissions);
+
     admin.isActive = isActive;
     await admin.save();
 
@@ -1887,6 +2384,7 @@ const updateContactEmails = async (req, res, next) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    await settingsHistoryService.ensureBaselineRecorded();
 
     // Update only the provided emails
     if (supportEmail !== undefined) {
@@ -1901,6 +2399,7 @@ const updateContactEmails = async (req, res, next) => {
     settings.lastUpdatedAt = new Date();
     
     await settings.save();
+    await settingsHistoryService.recordVersion({ adminId: req.admin._id, source: 'contact_emails' });
 
     logger.info('Contact emails updated', {
       adminId: req.admin._id,
@@ -1920,9 +2419,178 @@ const updateContactEmails = async (req, res, next) => {
   }
 };
 
+// ==================== TWO-FACTOR AUTH ====================
+
+/**
+ * Get own two-factor status
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const twoFactor = await adminTwoFactorService.getStatus(req.admin);
+
+    sendSuccess(res, 'Two-factor status retrieved successfully', { twoFactor });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor setup: returns the secret and the otpauth:// URI for the QR code
+ */
+const startTwoFactorSetup = async (req, res, next) => {
+  try {
+    const enrollment = await adminTwoFactorService.startEnrollment(req.admin);
+    await logTwoFactorActivity(req, req.admin._id, 'two_factor_setup');
+
+    sendSuccess(res, 'Scan the QR code with your authenticator app, then enter a code to finish', enrollment);
+  } catch (error) {
+    logger.error('Start two-factor setup error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Finish two-factor setup with a code from the app; returns the recovery codes once
+ */
+const confirmTwoFactorSetup = async (req, res, next) => {
+  try {
+    let recoveryCodes;
+    try {
+      recoveryCodes = await adminTwoFactorService.confirmEnrollment(req.admin._id, req.body.code);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        await logTwoFactorActivity(req, req.admin._id, 'two_factor_failed', { step: 'setup' }, false);
+      }
+      throw error;
+    }
+
+    await logTwoFactorActivity(req, req.admin._id, 'two_factor_enable');
+
+    sendSuccess(res, 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.', {
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Confirm two-factor setup error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes (requires a current code)
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await adminTwoFactorService.verifyCode(req.admin._id, req.body.code);
+    if (!result) {
+      await logTwoFactorActivity(req, req.admin._id, 'two_factor_failed', { step: 'recovery_codes' }, false);
+      return sendBadRequest(res, 'Invalid verification code');
+    }
+
+    const recoveryCodes = await adminTwoFactorService.regenerateRecoveryCodes(req.admin._id);
+    await logTwoFactorActivity(req, req.admin._id, 'two_factor_recovery_codes');
+
+    sendSuccess(res, 'Recovery codes regenerated. The old codes no longer work.', { recoveryCodes });
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Turn off own two-factor authentication (requires password and a current code)
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!req.admin.twoFactor || !req.admin.twoFactor.enabled) {
+      return sendBadRequest(res, 'Two-factor authentication is not enabled');
+    }
+
+    if (await adminTwoFactorService.isRequiredFor(req.admin)) {
+      return sendError(res, 403, 'Two-factor authentication is required for your role and cannot be turned off');
+    }
+
+    const admin = await AdminUser.findById(req.admin._id).select('+password');
+    if (!(await admin.correctPassword(password, admin.password))) {
+      await logTwoFactorActivity(req, req.admin._id, 'two_factor_failed', { step: 'disable' }, false);
+      return sendBadRequest(res, 'Incorrect password');
+    }
+
+    if (!(await adminTwoFactorService.verifyCode(req.admin._id, code))) {
+      await logTwoFactorActivity(req, req.admin._id, 'two_factor_failed', { step: 'disable' }, false);
+      return sendBadRequest(res, 'Invalid verification code');
+    }
+
+    await adminTwoFactorService.disable(req.admin._id);
+    await logTwoFactorActivity(req, req.admin._id, 'two_factor_disable');
+
+    sendSuccess(res, 'Two-factor authentication disabled');
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reset another admin's two-factor authentication e.g. after a lost phone.
+ * The admin is signed out everywhere and sets up two-factor again on the next login if required.
+ */
+const resetAdminTwoFactor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const admin = await AdminUser.findById(id);
+    if (!admin) {
+      return sendNotFound(res, 'Admin not found');
+    }
+
+    if (admin._id.toString() === req.admin._id.toString()) {
+      return sendError(res, 403, 'Cannot reset your own two-factor authentication');
+    }
+
+    await adminRoleService.assertManageable(admin, req.adminPermissions);
+
+    const wasEnabled = !!(admin.twoFactor && admin.twoFactor.enabled);
+
+    await adminTwoFactorService.disable(admin._id);
+    const revokedSessions = await sessionService.revokeAll('AdminUser', admin._id, { reason: 'two_factor_reset' });
+
+    await logTwoFactorActivity(req, admin._id, 'two_factor_reset', {
+      adminName: admin.name,
+      adminEmail: admin.email,
+      wasEnabled,
+      revokedSessions,
+      reason: reason || 'No reason provided'
+    });
+
+    logger.warn('Admin two-factor authentication reset:', {
+      by: req.admin.email,
+      admin: admin.email
+    });
+
+    sendSuccess(res, 'Two-factor authentication reset successfully', {
+      admin: {
+        _id: admin._id,
+        name: admin.name,
+        email: admin.email
+      },
+      revokedSessions
+    });
+  } catch (error) {
+    logger.error('Reset admin two-factor error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   // Auth
   login,
+  verifyLoginTwoFactor,
+  startLoginTwoFactorSetup,
+  confirmLoginTwoFactorSetup,
   refreshToken,
   // Dashboard
   getDashboardStats,
@@ -1939,25 +2607,42 @@ module.exports = {
   getUserDetails,
   banUser,
   deleteUser,
+  getPendingDeletions,
+  cancelUserDeletion,
   // Videos
   getAllVideos,
   deleteVideo,
   // Posts
   getAllPosts,
+  getDeadLetterPosts,
+  replayPost,
   deletePost,
   // Analytics
   getAnalyticsOverview,
   getUserAnalytics,
+  getAIUsageAnalytics,
   // Settings
   getSettings,
   updateSettings,
   updateContactEmails,
+  getSettingsHistory,
+  getSettingsVersion,
+  compareSettingsVersions,
+  rollbackSettings,
   // Activity Logs
   getActivityLogs,
+  getWebhookDeliveries,
   // Admin Management (Superadmin only)
   getAllAdmins,
   createAdmin,
   updateAdmin,
   deleteAdmin,
-  restrictAdmin
+  restrictAdmin,
+  resetAdminTwoFactor,
+  // Two-factor authentication
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor
 };
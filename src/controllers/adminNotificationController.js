@@ -1,6 +1,8 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const firebaseService = require('../services/firebaseService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const adminRoleService = require('../services/adminRoleService');
 const { 
   sendSuccess, 
   sendCreated, 
@@ -12,7 +14,7 @@ const {
 const logger = require('../utils/logger');
 
 /**
- * Send notification to users
+ * Send notification to users (immediately, or later when scheduledFor is provided)
  */
 const sendNotification = async (req, res, next) => {
   try {
@@ -27,9 +29,12 @@ const sendNotification = async (req, res, next) => {
       deepLink,
       imageUrl,
       priority,
-      isTest
+      isTest,
+      scheduledFor
     } = req.body;
 
+    const isScheduled = Boolean(scheduledFor);
+
     // Create notification record
     const notification = await Notification.create({
       title,
@@ -44,102 +49,39 @@ const sendNotification = async (req, res, next) => {
       priority: priority || 'normal',
       createdBy: req.admin._id,
       isTest: isTest || false,
-      status: 'sending'
+      scheduledFor: isScheduled ? new Date(scheduledFor) : null,
+      status: isScheduled ? 'scheduled' : 'sending'
     });
 
-    // Get target users and their tokens
-    let users = [];
-    let targetTokens = [];
-
-    if (targetType === 'individual' && targetUserId) {
-      // Send to single user
-      const user = await User.findById(targetUserId).select('fcmTokens');
-      if (!user) {
-        notification.status = 'failed';
-        await notification.save();
-        return sendNotFound(res, 'Target user not found');
-      }
-      users = [user];
-    } else if (targetType === 'segment' && targetSegment) {
-      // Send to user segment
-      const query = { 'fcmTokens.0': { $exists: true } }; // Users with at least one token
-      
-      if (targetSegment.loginType) {
-        query.loginType = targetSegment.loginType;
-      }
-      if (targetSegment.status) {
-        query.status = targetSegment.status;
-      }
-      if (targetSegment.createdAfter) {
-        query.createdAt = { ...query.createdAt, $gte: new Date(targetSegment.createdAfter) };
-      }
-      if (targetSegment.createdBefore) {
-        query.createdAt = { ...query.createdAt, $lte: new Date(targetSegment.createdBefore) };
-      }
-
-      users = await User.find(query).select('fcmTokens');
-    } else {
-      // Send to all users with tokens
-      users = await User.find({ 'fcmTokens.0': { $exists: true } }).select('fcmTokens');
-    }
+    // Scheduled notifications are delivered later by the background dispatcher
+    if (isScheduled) {
+      logger.info('Notification scheduled:', {
+        notificationId: notification._id,
+        targetType: notification.targetType,
+        scheduledFor: notification.scheduledFor,
+        adminId: req.admin._id
+      });
 
-    // Extract all valid tokens
-    users.forEach(user => {
-      user.fcmTokens.forEach(tokenObj => {
-        if (tokenObj.token && tokenObj.token.trim()) {
-          targetTokens.push(tokenObj.token);
+      return sendCreated(res, 'Notification scheduled successfully', {
+        notification: {
+          id: notification._id,
+          title: notification.title,
+          targetType: notification.targetType,
+          status: notification.status,
+          scheduledFor: notification.scheduledFor
         }
       });
-    });
-
-    // Update notification stats
-    notification.stats.totalTargeted = targetTokens.length;
-    await notification.save();
-
-    if (targetTokens.length === 0) {
-      notification.status = 'failed';
-      await notification.save();
-      return sendError(res, 400, 'No valid device tokens found for target users');
     }
 
-    // Send notifications via Firebase
-    const notificationPayload = {
-      title: notification.title,
-      body: notification.body,
-      type: notification.type,
-      data: Object.fromEntries(notification.data || new Map()),
-      deepLink: notification.deepLink,
-      imageUrl: notification.imageUrl,
-      priority: notification.priority
-    };
+    const { sendResult, reason } = await notificationDispatcher.deliver(notification);
 
-    const sendResult = await firebaseService.sendToMultipleDevices(
-      targetTokens,
-      notificationPayload
-    );
-
-    // Update notification stats
-    notification.stats.totalSent = sendResult.successCount;
-    notification.stats.totalFailed = sendResult.failureCount;
-    notification.status = 'sent';
-    notification.sentAt = new Date();
-    notification.completedAt = new Date();
-
-    // Store failed tokens for debugging
-    if (sendResult.failureCount > 0) {
-      sendResult.results
-        .filter(r => !r.success)
-        .slice(0, 100) // Store max 100 failures
-        .forEach(r => {
-          notification.failedTokens.push({
-            token: r.token.substring(0, 20) + '...',
-            error: r.error ? r.error.message : 'Unknown error',
-            timestamp: new Date()
-          });
-        });
+    if (reason === 'target_not_found') {
+      return sendNotFound(res, 'Target user not found');
     }
 
-    await notification.save();
+    if (reason === 'no_tokens') {
+      return sendError(res, 400, 'No valid device tokens found for target users');
+    }
 
     logger.info('Notification sent successfully:', {
       notificationId: notification._id,
@@ -170,6 +112,111 @@ const sendNotification = async (req, res, next) => {
   }
 };
 
+/**
+ * Find a notification the current admin is allowed to manage
+ * Without notifications_all:write admins can only manage their own notifications
+ */
+const findManageableNotification = async (req) => {
+  const filter = { _id: req.params.id };
+
+  if (!adminRoleService.hasPermission(req.adminPermissions, 'notifications_all:write')) {
+    filter.createdBy = req.admin._id;
+  }
+
+  return Notification.findOne(filter);
+};
+
+/**
+ * Cancel a scheduled notification before it is dispatched
+ */
+const cancelNotification = async (req, res, next) => {
+  try {
+    const existing = await findManageableNotification(req);
+
+    if (!existing) {
+      return sendNotFound(res, 'Notification not found');
+    }
+
+    // Conditional update so a notification claimed by the dispatcher in the meantime is left alone
+    const notification = await Notification.findOneAndUpdate(
+      { _id: existing._id, status: 'scheduled' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: req.admin._id
+        }
+      },
+      { new: true }
+    );
+
+    if (!notification) {
+      return sendError(res, 409, `Only scheduled notifications can be cancelled (current status: ${existing.status})`);
+    }
+
+    logger.info('Scheduled notification cancelled:', {
+      notificationId: notification._id,
+      adminId: req.admin._id
+    });
+
+    sendSuccess(res, 'Notification cancelled successfully', {
+      notification: {
+        id: notification._id,
+        title: notification.title,
+        status: notification.status,
+        scheduledFor: notification.scheduledFor,
+        cancelledAt: notification.cancelledAt
+      }
+    });
+  } catch (error) {
+    logger.error('Cancel notification error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Move a scheduled notification to a new time before it is dispatched
+ */
+const rescheduleNotification = async (req, res, next) => {
+  try {
+    const scheduledFor = new Date(req.body.scheduledFor);
+    const existing = await findManageableNotification(req);
+
+    if (!existing) {
+      return sendNotFound(res, 'Notification not found');
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: existing._id, status: 'scheduled' },
+      { $set: { scheduledFor } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return sendError(res, 409, `Only scheduled notifications can be rescheduled (current status: ${existing.status})`);
+    }
+
+    logger.info('Scheduled notification rescheduled:', {
+      notificationId: notification._id,
+      previousScheduledFor: existing.scheduledFor,
+      scheduledFor: notification.scheduledFor,
+      adminId: req.admin._id
+    });
+
+    sendSuccess(res, 'Notification rescheduled successfully', {
+      notification: {
+        id: notification._id,
+        title: notification.title,
+        status: notification.status,
+        scheduledFor: notification.scheduledFor
+      }
+    });
+  } catch (error) {
+    logger.error('Reschedule notification error:', error);
+    next(error);
+  }
+};
+
 /**
  * Get all notifications with pagination
  */
@@ -196,8 +243,8 @@ const getAllNotifications = async (req, res, next) => {
       filter.targetType = req.query.targetType;
     }
 
-    // Filter by admin (for non-superadmin)
-    if (req.admin.role !== 'superadmin') {
+    // Only the admin's own notifications without notifications_all:read
+    if (!adminRoleService.hasPermission(req.adminPermissions, 'notifications_all:read')) {
       filter.createdBy = req.admin._id;
     }
 
@@ -240,8 +287,8 @@ const getNotification = async (req, res, next) => {
       return sendNotFound(res, 'Notification not found');
     }
 
-    // Check permission (non-superadmin can only view their own)
-    if (req.admin.role !== 'superadmin' && 
+    // Without notifications_all:read admins can only view their own
+    if (!adminRoleService.hasPermission(req.adminPermissions, 'notifications_all:read') && 
         notification.createdBy._id.toString() !== req.admin._id.toString()) {
       return sendError(res, 403, 'Access denied');
     }
@@ -266,8 +313,8 @@ const getNotificationStats = async (req, res, next) => {
       createdAt: { $gte: startDate }
     };
 
-    // Filter by admin for non-superadmin
-    if (req.admin.role !== 'superadmin') {
+    // Only the admin's own notifications without notifications_all:read
+    if (!adminRoleService.hasPermission(req.adminPermissions, 'notifications_all:read')) {
       filter.createdBy = req.admin._id;
     }
 
@@ -424,20 +471,7 @@ const getTargetUserCount = async (req, res, next) => {
       const user = await User.findById(targetUserId).select('fcmTokens');
       count = user && user.fcmTokens.length > 0 ? 1 : 0;
     } else if (targetType === 'segment' && targetSegment) {
-      const query = { 'fcmTokens.0': { $exists: true } };
-      
-      if (targetSegment.loginType) {
-        query.loginType = targetSegment.loginType;
-      }
-      if (targetSegment.status) {
-        query.status = targetSegment.status;
-      }
-      if (targetSegment.createdAfter) {
-        query.createdAt = { ...query.createdAt, $gte: new Date(targetSegment.createdAfter) };
-      }
-      if (targetSegment.createdBefore) {
-        query.createdAt = { ...query.createdAt, $lte: new Date(targetSegment.createdBefore) };
-      }
+      const query = notificationDispatcher.buildSegmentQuery(targetSegment);
 
       count = await User.countDocuments(query);
     } else {
@@ -457,6 +491,8 @@ const getTargetUserCount = async (req, res, next) => {
 
 module.exports = {
   sendNotification,
+  cancelNotification,
+  rescheduleNotification,
   getAllNotifications,
   getNotification,
   getNotificationStats,
@@ -0,0 +1,119 @@
+const adminRoleService = require('../services/adminRoleService');
+const { ADMIN_PERMISSION_RESOURCES, SETTINGS_SECTION_RESOURCES } = require('../config/adminPermissions');
+const {
+  sendSuccess,
+  sendCreated
+} = require('../utils/response');
+const logger = require('../utils/logger');
+
+// The acting admin, in the shape the role service checks grants against
+const getGranter = (req) => ({ _id: req.admin._id, permissions: req.adminPermissions });
+
+// ==================== ROLES ====================
+
+// List all roles, built-in and custom
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await adminRoleService.listRoles();
+
+    sendSuccess(res, 'Roles retrieved successfully', { roles });
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    next(error);
+  }
+};
+
+// Catalog of resources and actions that roles can be built from
+const getPermissionCatalog = async (req, res, next) => {
+  try {
+    const resources = Object.entries(ADMIN_PERMISSION_RESOURCES).map(([resource, definition]) => ({
+      resource,
+      description: definition.description,
+      actions: definition.actions,
+      permissions: definition.actions.map(action => `${resource}:${action}`)
+    }));
+
+    sendSuccess(res, 'Permissions retrieved successfully', {
+      resources,
+      settingsSections: SETTINGS_SECTION_RESOURCES
+    });
+  } catch (error) {
+    logger.error('Get permission catalog error:', error);
+    next(error);
+  }
+};
+
+// Create a custom role
+const createRole = async (req, res, next) => {
+  try {
+    const role = await adminRoleService.createRole(req.body, getGranter(req));
+
+    logger.info('Admin role created:', { role: role.name, by: req.admin.email });
+
+    sendCreated(res, 'Role created successfully', { role });
+  } catch (error) {
+    logger.error('Create role error:', error);
+    next(error);
+  }
+};
+
+// Update a role's description or permissions
+const updateRole = async (req, res, next) => {
+  try {
+    const role = await adminRoleService.updateRole(req.params.name.toLowerCase(), req.body, getGranter(req));
+
+    logger.info('Admin role updated:', {
+      role: role.name,
+      by: req.admin.email,
+      permissionsChanged: req.body.permissions !== undefined
+    });
+
+    sendSuccess(res, 'Role updated successfully', { role });
+  } catch (error) {
+    logger.error('Update role error:', error);
+    next(error);
+  }
+};
+
+// Delete a custom role no admin holds
+const deleteRole = async (req, res, next) => {
+  try {
+    await adminRoleService.deleteRole(req.params.name.toLowerCase());
+
+    logger.info('Admin role deleted:', { role: req.params.name, by: req.admin.email });
+
+    sendSuccess(res, 'Role deleted successfully');
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    next(error);
+  }
+};
+
+// ==================== CURRENT ADMIN ====================
+
+// Effective permissions of the signed-in admin (role + extra permissions)
+const getMyPermissions = async (req, res, next) => {
+  try {
+    const role = await adminRoleService.getRole(req.admin.role);
+
+    sendSuccess(res, 'Permissions retrieved successfully', {
+      role: req.admin.role,
+      rolePermissions: role ? role.permissions : [],
+      extraPermissions: req.admin.permissions || [],
+      permissions: req.adminPermissions,
+      effectivePermissions: adminRoleService.expandPermissions(req.adminPermissions)
+    });
+  } catch (error) {
+    logger.error('Get my permissions error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissionCatalog,
+  createRole,
+  updateRole,
+  deleteRole,
+  getMyPermissions
+};
@@ -1,17 +1,71 @@
 const Video = require('../models/Video');
-const falAiService = require('../services/falAiService');
-const configService = require('../services/configService');
+const aiProviderRouter = require('../services/aiProviderRouter');
+const captionVersionService = require('../services/captionVersionService');
+const brandVoiceService = require('../services/brandVoiceService');
 const { 
   sendSuccess, 
   sendBadRequest, 
   sendNotFound 
 } = require('../utils/response');
+const { openEventStream } = require('../utils/sse');
 const logger = require('../utils/logger');
 
+// Caption options from a generate-caption request body and the selected brand voice
+const buildCaptionOptions = ({ tone, includeHashtags, maxLength, platform, platforms }, brandVoice = null) => ({
+  tone: tone || (brandVoice && brandVoice.tone) || 'casual',
+  includeHashtags: includeHashtags !== false,
+  maxLength: maxLength || 300,
+  platform: platform || 'instagram',
+  platforms: platforms || [],
+  brandVoice
+});
+
+// Generate a caption, store it as a version and set it on the video
+// Returns the response data shared by the JSON and streaming endpoints
+const createVideoCaption = async (req, video, options, handlers = null) => {
+  // Generate AI caption with the first available provider
+  const result = await aiProviderRouter.generateCaption(video, options, { userId: req.user.id }, handlers);
+
+  // Keep every generated caption as a version, then make it the video's current caption
+  const version = await captionVersionService.recordVersion(video, result, options, {
+    userId: req.user.id,
+    source: 'generate_caption'
+  });
+
+  video.aiGeneratedCaption = result.caption;
+  video.aiGeneratedHashtags = result.hashtags;
+  video.activeCaptionVersion = version._id;
+  await video.save();
+
+  logger.info('AI caption generated:', { 
+    videoId: video._id, 
+    userId: req.user.id,
+    captionLength: result.caption.length,
+    hashtagCount: result.hashtags.length,
+    platform: result.platform,
+    provider: result.provider,
+    version: version.version,
+    streamed: !!handlers
+  });
+
+  return {
+    caption: result.caption,
+    hashtags: result.hashtags,
+    fullText: result.fullText,
+    videoId: video._id,
+    platform: result.platform,
+    model: result.model,
+    provider: result.provider,
+    brandVoice: result.brandVoice || null,
+    captionVersionId: version._id,
+    version: version.version
+  };
+};
+
 // Generate AI caption for video
 const generateCaption = async (req, res, next) => {
   try {
-    const { videoId, tone, includeHashtags, maxLength, platform, platforms } = req.body;
+    const { videoId, platforms } = req.body;
 
     // Verify video exists and belongs to user
     const video = await Video.findOne({
@@ -28,41 +82,72 @@ const generateCaption = async (req, res, next) => {
       return sendBadRequest(res, 'platforms must be an array');
     }
 
-    const options = {
-      tone: tone || 'casual',
-      includeHashtags: includeHashtags !== false,
-      maxLength: maxLength || 300,
-      platform: platform || 'instagram',
-      platforms: platforms || []
-    };
+    const brandVoice = await brandVoiceService.resolveForGeneration(req.user.id, req.body.brandVoiceId);
+    const data = await createVideoCaption(req, video, buildCaptionOptions(req.body, brandVoice));
 
-    // Generate AI caption using Fal.ai
-    const result = await falAiService.generateCaption(video, options);
+    sendSuccess(res, 'AI caption generated successfully', data);
+  } catch (error) {
+    logger.error('Generate AI caption error:', error);
+    next(error);
+  }
+};
 
-    // Update video with generated content
-    video.aiGeneratedCaption = result.caption;
-    video.aiGeneratedHashtags = result.hashtags;
-    await video.save();
+// Generate AI caption for video, streamed as Server-Sent Events
+// Events: provider, queue, token, then caption (same body as the JSON endpoint) or error; always ends with done
+const generateCaptionStream = async (req, res, next) => {
+  let stream = null;
 
-    logger.info('AI caption generated:', { 
-      videoId: video._id, 
-      userId: req.user.id,
-      captionLength: result.caption.length,
-      hashtagCount: result.hashtags.length,
-      platform: result.platform
+  try {
+    const { videoId, platforms } = req.body;
+
+    // Verify video exists and belongs to user
+    const video = await Video.findOne({
+      _id: videoId,
+      user: req.user.id
     });
 
-    sendSuccess(res, 'AI caption generated successfully', {
-      caption: result.caption,
-      hashtags: result.hashtags,
-      fullText: result.fullText,
-      videoId: video._id,
-      platform: result.platform,
-      model: result.model
+    if (!video) {
+      return sendNotFound(res, 'Video not found');
+    }
+
+    if (platforms && !Array.isArray(platforms)) {
+      return sendBadRequest(res, 'platforms must be an array');
+    }
+
+    const brandVoice = await brandVoiceService.resolveForGeneration(req.user.id, req.body.brandVoiceId);
+
+    stream = openEventStream(res);
+
+    const data = await createVideoCaption(req, video, buildCaptionOptions(req.body, brandVoice), {
+      // A new provider means any partial text from a failed provider should be discarded
+      onAttempt: provider => stream.send('provider', { provider }),
+      onQueueUpdate: update => stream.send('queue', update),
+      onToken: token => stream.send('token', token)
     });
+
+    stream.send('caption', {
+      status: 'success',
+      message: 'AI caption generated successfully',
+      data
+    });
+    stream.send('done', {});
+    stream.end();
   } catch (error) {
-    logger.error('Generate AI caption error:', error);
-    next(error);
+    logger.error('Generate AI caption stream error:', error);
+
+    // Before the stream opens, fall back to the normal JSON error response
+    if (!stream) {
+      return next(error);
+    }
+
+    const statusCode = error.statusCode || 500;
+    stream.send('error', {
+      status: `${statusCode}`.startsWith('4') ? 'fail' : 'error',
+      statusCode,
+      message: error.isOperational ? error.message : 'Caption generation failed'
+    });
+    stream.send('done', {});
+    stream.end();
   }
 };
 
@@ -80,18 +165,20 @@ const generateHashtags = async (req, res, next) => {
       platform: platform || 'instagram'
     };
 
-    const hashtags = await falAiService.generateHashtags(content, options);
+    const { hashtags, provider } = await aiProviderRouter.generateHashtags(content, options, { userId: req.user.id });
 
     logger.info('AI hashtags generated:', { 
       userId: req.user.id,
       hashtagCount: hashtags.length,
       contentLength: content.length,
-      platform: options.platform
+      platform: options.platform,
+      provider
     });
 
     sendSuccess(res, 'Hashtags generated successfully', {
       hashtags,
       platform: options.platform,
+      provider,
       content: content.substring(0, 100) + (content.length > 100 ? '...' : '')
     });
   } catch (error) {
@@ -113,20 +200,21 @@ const optimizeCaption = async (req, res, next) => {
       return sendBadRequest(res, 'Platform is required for optimization');
     }
 
-    // Use Fal.ai to optimize caption for platform
-    const optimizedCaption = await falAiService.optimizeForPlatform(caption, platform);
+    const { optimizedCaption, provider } = await aiProviderRouter.optimizeForPlatform(caption, platform, { userId: req.user.id });
 
     logger.info('Caption optimized for platform:', { 
       userId: req.user.id,
       platform,
       originalLength: caption.length,
-      optimizedLength: optimizedCaption.length
+      optimizedLength: optimizedCaption.length,
+      provider
     });
 
     sendSuccess(res, 'Caption optimized successfully', {
       originalCaption: caption,
       optimizedCaption,
-      platform
+      platform,
+      provider
     });
   } catch (error) {
     logger.error('Optimize caption error:', error);
@@ -138,7 +226,7 @@ const optimizeCaption = async (req, res, next) => {
 const getVideoSuggestions = async (req, res, next) => {
   try {
     const { videoId } = req.params;
-    const { tone } = req.query;
+    const { brandVoiceId } = req.query;
 
     // Verify video exists and belongs to user
     const video = await Video.findOne({
@@ -150,26 +238,48 @@ const getVideoSuggestions = async (req, res, next) => {
       return sendNotFound(res, 'Video not found');
     }
 
+    const brandVoice = await brandVoiceService.resolveForGeneration(req.user.id, brandVoiceId);
+    const tone = req.query.tone || (brandVoice && brandVoice.tone) || 'casual';
+
     // Generate suggestions for multiple platforms
     const platforms = ['instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin'];
     
-    const suggestions = await falAiService.generateMultiPlatformSuggestions(
+    const suggestions = await aiProviderRouter.generateMultiPlatformSuggestions(
       video,
       platforms,
-      tone || 'casual'
+      tone,
+      { userId: req.user.id },
+      brandVoice
     );
 
+    // Keep each generated suggestion in the video's caption history
+    for (const [platform, suggestion] of Object.entries(suggestions)) {
+      if (suggestion.error) {
+        continue;
+      }
+
+      const version = await captionVersionService.recordVersion(
+        video,
+        { ...suggestion, platform },
+        { tone, platform, includeHashtags: true, maxLength: suggestion.platformConfig.maxLength, brandVoice },
+        { userId: req.user.id, source: 'suggestions' }
+      );
+      suggestion.captionVersionId = version._id;
+    }
+
     logger.info('AI suggestions generated for video:', { 
       videoId: video._id, 
       userId: req.user.id,
       platformCount: Object.keys(suggestions).length,
-      tone: tone || 'casual'
+      tone,
+      brandVoiceId: brandVoice ? brandVoice._id : null
     });
 
     sendSuccess(res, 'Video suggestions generated', {
       videoId: video._id,
       videoTitle: video.title,
-      tone: tone || 'casual',
+      tone,
+      brandVoice: brandVoice ? { id: brandVoice._id, name: brandVoice.name } : null,
       suggestions
     });
   } catch (error) {
@@ -223,36 +333,33 @@ const analyzeContent = async (req, res, next) => {
 // Get AI service status and capabilities
 const getAIStatus = async (req, res, next) => {
   try {
-    // Get API key from database settings first
-    const apiKeys = await configService.getApiKeys();
-    const falApiKey = apiKeys.falApiKey || process.env.FAL_API_KEY;
-    const falModel = apiKeys.falModel || process.env.FAL_MODEL || 'fal-ai/flux/dev';
-    
+    const routing = await aiProviderRouter.getStatus();
+    // First provider in the routing order that can currently answer
+    const activeProvider = routing.providerOrder
+      .map(name => routing.providers.find(provider => provider.name === name))
+      .find(provider => provider.healthy);
+
     const status = {
-      available: !!falApiKey,
-      provider: 'Fal.ai',
-      model: falModel,
-      models: {
-        flux_dev: 'fal-ai/flux/dev - Fast image and text generation (default)',
-        flux_pro: 'fal-ai/flux-pro - Professional quality generation',
-        flux_schnell: 'fal-ai/flux/schnell - Ultra-fast generation'
-      },
+      available: routing.healthy,
+      provider: activeProvider ? activeProvider.label : null,
+      providerOrder: routing.providerOrder,
+      failoverEnabled: routing.failoverEnabled,
+      rateLimitCooldownSeconds: routing.rateLimitCooldownSeconds,
+      providers: routing.providers,
       capabilities: {
         captionGeneration: true,
         hashtagGeneration: true,
         platformOptimization: true,
         contentAnalysis: true,
         multiPlatformSuggestions: true,
-        realTimeData: false // Fal.ai is a generative AI service
+        providerFailover: routing.failoverEnabled
       },
       supportedPlatforms: ['instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin', 'pinterest'],
       supportedTones: ['professional', 'casual', 'funny', 'inspirational', 'educational', 'storytelling', 'urgent', 'luxury'],
       limits: {
         maxCaptionLength: 5000,
-        maxHashtags: 30,
-        requestsPerMinute: 10 // Fal.ai rate limits
-      },
-      configSource: apiKeys.falApiKey ? 'database' : 'environment'
+        maxHashtags: 30
+      }
     };
 
     sendSuccess(res, 'AI service status retrieved', { status });
@@ -262,17 +369,17 @@ const getAIStatus = async (req, res, next) => {
   }
 };
 
-// Check Perplexity API health
+// Check AI provider health
 const checkAIHealth = async (req, res, next) => {
   try {
-    const health = await falAiService.checkAPIHealth();
+    const health = await aiProviderRouter.getStatus({ probe: true });
     
     if (health.healthy) {
-      sendSuccess(res, 'Fal.ai API is healthy', health);
+      sendSuccess(res, 'AI providers are healthy', health);
     } else {
       res.status(503).json({
         status: 'error',
-        message: 'Fal.ai API is unavailable',
+        message: 'No AI provider is available',
         data: health
       });
     }
@@ -284,6 +391,7 @@ const checkAIHealth = async (req, res, next) => {
 
 module.exports = {
   generateCaption,
+  generateCaptionStream,
   generateHashtags,
   optimizeCaption,
   getVideoSuggestions,
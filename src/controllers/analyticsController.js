@@ -1,17 +1,53 @@
 const bundleSocialService = require('../services/bundleSocialService');
 const SocialAccount = require('../models/SocialAccount');
 const Post = require('../models/Post');
+const analyticsCollector = require('../services/analyticsCollector');
 const { 
   sendSuccess, 
-  sendNotFound 
+  sendNotFound,
+  sendBadRequest
 } = require('../utils/response');
 const logger = require('../utils/logger');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse interval/from/to query params for time series
+// Defaults: last 30 days for daily buckets, last 12 weeks for weekly buckets
+const parseTimeSeriesQuery = (query) => {
+  const interval = query.interval || 'day';
+  if (!['day', 'week'].includes(interval)) {
+    return { error: 'interval must be one of: day, week' };
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const defaultRange = interval === 'week' ? 12 * 7 * DAY_MS : 30 * DAY_MS;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultRange);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  if (to - from > 366 * DAY_MS) {
+    return { error: 'Time series range cannot exceed 366 days' };
+  }
+
+  return { interval, from, to };
+};
+
 // Get account analytics - Direct Bundle.social integration
 const getAccountAnalytics = async (req, res, next) => {
   try {
     const { socialAccountId } = req.params;
 
+    const range = parseTimeSeriesQuery(req.query);
+    if (range.error) {
+      return sendBadRequest(res, range.error);
+    }
+
     // Verify the social account belongs to the user
     const socialAccount = await SocialAccount.findOne({
       user: req.user.id,
@@ -25,9 +61,10 @@ const getAccountAnalytics = async (req, res, next) => {
     // Fetch analytics from Bundle.social
     const analytics = await bundleSocialService.getAccountAnalytics(socialAccountId);
 
-    // Cache the analytics data (optional)
-    socialAccount.lastAnalyticsUpdate = new Date();
-    await socialAccount.save();
+    // Cache the analytics data and record a snapshot if one is due
+    await analyticsCollector.recordAccountAnalytics(socialAccount, analytics);
+
+    const timeSeries = await analyticsCollector.getTimeSeries('account', socialAccountId, range);
 
     logger.info('Account analytics retrieved:', {
       userId: req.user.id,
@@ -41,7 +78,8 @@ const getAccountAnalytics = async (req, res, next) => {
         platform: socialAccount.platform,
         username: socialAccount.platformUsername
       },
-      analytics
+      analytics,
+      timeSeries
     });
   } catch (error) {
     logger.error('Get account analytics error:', error);
@@ -54,6 +92,11 @@ const getPostAnalytics = async (req, res, next) => {
   try {
     const { postId } = req.params;
 
+    const range = parseTimeSeriesQuery(req.query);
+    if (range.error) {
+      return sendBadRequest(res, range.error);
+    }
+
     // Find the post and verify it belongs to the user
     const post = await Post.findOne({
       user: req.user.id,
@@ -65,17 +108,12 @@ const getPostAnalytics = async (req, res, next) => {
     }
 
     // Fetch analytics from Bundle.social using stored postId
-    const analytics = await bundleSocialService.getPostAnalytics(
-      req.user.bundleTeamId,
-      postId
-    );
+    const analytics = await bundleSocialService.getPostAnalytics(postId);
 
-    // Update local analytics cache
-    post.analytics = {
-      ...analytics,
-      lastUpdated: new Date()
-    };
-    await post.save();
+    // Update local analytics cache and record a snapshot if one is due
+    await analyticsCollector.recordPostAnalytics(post, analytics);
+
+    const timeSeries = await analyticsCollector.getTimeSeries('post', postId, range);
 
     logger.info('Post analytics retrieved:', {
       userId: req.user.id,
@@ -91,7 +129,8 @@ const getPostAnalytics = async (req, res, next) => {
         platforms: post.platforms,
         video: post.video
       },
-      analytics
+      analytics,
+      timeSeries
     });
   } catch (error) {
     logger.error('Get post analytics error:', error);
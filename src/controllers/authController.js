@@ -3,6 +3,10 @@ const crypto = require('crypto');
 const User = require('../models/User');
 const organizationService = require('../services/organizationService');
 const emailService = require('../services/emailService');
+const socialAuthService = require('../services/socialAuthService');
+const legalService = require('../services/legalService');
+const sessionService = require('../services/sessionService');
+const accountDeletionService = require('../services/accountDeletionService');
 const { 
   sendSuccess, 
   sendCreated, 
@@ -10,13 +14,73 @@ const {
   sendUnauthorized, 
   sendNotFound 
 } = require('../utils/response');
-const { generateToken, generateRefreshToken, verifyRefreshToken, generateOtp, hashOtp } = require('../utils/helpers');
+const { generateToken, generateOtp, hashOtp } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const { getRequestedLocales } = require('../utils/locale');
+
+// User fields holding the provider subject ID for each social login type
+const SOCIAL_ID_FIELDS = {
+  google: 'googleId',
+  apple: 'appleId'
+};
+
+// Find the account for a verified Google/Apple identity
+// Accounts are matched on the provider subject ID. Accounts created before ID tokens were
+// verified have no subject ID yet; they are linked once by verified email and login type.
+const findSocialUser = async (identity) => {
+  const idField = SOCIAL_ID_FIELDS[identity.provider];
+
+  const linkedUser = await User.findOne({ [idField]: identity.subject });
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    return null;
+  }
+
+  const user = await User.findOne({ email: identity.email });
+  if (!user) {
+    return null;
+  }
+
+  // Linked to a different provider account with the same email
+  if (user[idField]) {
+    return null;
+  }
+
+  if (user.loginType === identity.provider) {
+    user[idField] = identity.subject;
+    logger.info('Linked existing account to social login subject:', {
+      userId: user._id,
+      provider: identity.provider
+    });
+  }
+
+  return user;
+};
 
 // Register new user
 const register = async (req, res, next) => {
   try {
-    const { name, email, password, loginType = 'email' } = req.body;
+    const { name, password, loginType = 'email', idToken, nonce } = req.body;
+    let { email } = req.body;
+
+    // Google/Apple: the account email and subject ID come from the verified ID token
+    let identity = null;
+    if (loginType !== 'email') {
+      identity = await socialAuthService.verifyIdToken(loginType, idToken, { nonce });
+
+      if (!identity.email || !identity.emailVerified) {
+        return sendBadRequest(res, 'Your sign-in provider did not share a verified email address');
+      }
+
+      if (await User.exists({ [SOCIAL_ID_FIELDS[loginType]]: identity.subject })) {
+        return sendBadRequest(res, 'User with this account already exists');
+      }
+
+      email = identity.email;
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -35,19 +99,16 @@ const register = async (req, res, next) => {
     // Only add password for email registration
     if (loginType === 'email') {
       userData.password = password;
+    } else {
+      userData[SOCIAL_ID_FIELDS[loginType]] = identity.subject;
+      userData.isPrivateRelayEmail = identity.isPrivateRelayEmail;
     }
 
     // Create user (without Bundle.social setup)
     const user = await User.create(userData);
 
-    // Generate tokens
-    const accessToken = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
-
-    // Store refresh token in database
-    user.refreshToken = refreshToken;
-    user.refreshTokenExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save({ validateBeforeSave: false });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.createSession('User', user._id, req);
 
     // Send welcome email (optional for MVP)
     emailService.sendWelcomeEmail(user).catch(err => {
@@ -56,7 +117,6 @@ const register = async (req, res, next) => {
 
     // Remove password from response
     user.password = undefined;
-    user.refreshToken = undefined;
 
     logger.info('User registered successfully:', { 
       userId: user._id, 
@@ -80,11 +140,21 @@ const register = async (req, res, next) => {
 // Login user
 const login = async (req, res, next) => {
   try {
-    const { email, password, loginType = 'email' } = req.body;
+    const { email, password, loginType = 'email', idToken, nonce } = req.body;
 
-    // Find user and include password field for email login
-    const selectFields = loginType === 'email' ? '+password' : '';
-    const user = await User.findOne({ email }).select(selectFields);
+    let user;
+    if (loginType === 'email') {
+      // Find user and include password field for email login
+      user = await User.findOne({ email }).select('+password');
+    } else {
+      // Google/Apple: verify the ID token and match the account on the provider subject ID
+      const identity = await socialAuthService.verifyIdToken(loginType, idToken, { nonce });
+      user = await findSocialUser(identity);
+
+      if (!user) {
+        return sendUnauthorized(res, `No account is linked to this ${loginType} sign-in. Please register first.`);
+      }
+    }
     
     if (!user) {
       return sendUnauthorized(res, 'Invalid credentials');
@@ -120,6 +190,15 @@ const login = async (req, res, next) => {
       return sendUnauthorized(res, statusMessage);
     }
 
+    if (user.isPendingDeletion) {
+      logger.warn('User with pending deletion attempted login:', { userId: user._id, email: user.email });
+      return sendUnauthorized(
+        res,
+        `This account is scheduled for deletion on ${user.deletion.scheduledFor.toISOString()}. ` +
+          'Use the restore link we emailed you to keep it.'
+      );
+    }
+
     // Check if account is locked (too many failed attempts)
     if (user.isLocked) {
       return sendUnauthorized(res, 'Account is temporarily locked due to too many failed login attempts');
@@ -140,9 +219,6 @@ const login = async (req, res, next) => {
       }
     }
 
-    // For social logins (google, apple), we trust that the frontend has already validated the user
-    // In production, you would verify the social login token here
-
     // Reset login attempts on successful login
     if (user.loginAttempts > 0) {
       await user.resetLoginAttempts();
@@ -151,18 +227,13 @@ const login = async (req, res, next) => {
     // Update last login
     user.lastLoginAt = new Date();
 
-    // Generate new tokens
-    const accessToken = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
-
-    // Store refresh token in database
-    user.refreshToken = refreshToken;
-    user.refreshTokenExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
     await user.save({ validateBeforeSave: false });
 
+    // Each sign-in gets its own session, so other devices stay signed in
+    const { accessToken, refreshToken } = await sessionService.createSession('User', user._id, req);
+
     // Remove sensitive data from response
     user.password = undefined;
-    user.refreshToken = undefined;
 
     logger.info('User logged in successfully:', { 
       userId: user._id, 
@@ -181,7 +252,7 @@ const login = async (req, res, next) => {
   }
 };
 
-// Refresh access token
+// Refresh access token (rotates the refresh token)
 const refreshToken = async (req, res, next) => {
   try {
     const { refreshToken: token } = req.body;
@@ -190,38 +261,19 @@ const refreshToken = async (req, res, next) => {
       return sendBadRequest(res, 'Refresh token is required');
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = verifyRefreshToken(token);
-    } catch (error) {
-      return sendUnauthorized(res, 'Invalid or expired refresh token');
-    }
+    const { session, accessToken, refreshToken: newRefreshToken } =
+      await sessionService.rotate('User', token, req);
 
-    // Find user and check if refresh token matches
-    const user = await User.findById(decoded.id);
-    if (!user || user.refreshToken !== token) {
+    const user = await User.findById(session.principal).select('_id');
+    if (!user) {
+      await sessionService.revokeSession('User', session.principal, session._id, 'account_deleted');
       return sendUnauthorized(res, 'Invalid refresh token');
     }
 
-    // Check if refresh token has expired
-    if (user.refreshTokenExpires && user.refreshTokenExpires < new Date()) {
-      return sendUnauthorized(res, 'Refresh token has expired');
-    }
-
-    // Generate new access token
-    const newAccessToken = generateToken({ id: user._id });
-
-    // Optionally generate new refresh token (for rotation)
-    const newRefreshToken = generateRefreshToken({ id: user._id });
-    user.refreshToken = newRefreshToken;
-    user.refreshTokenExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save({ validateBeforeSave: false });
-
-    logger.info('Tokens refreshed successfully:', { userId: user._id });
+    logger.info('Tokens refreshed successfully:', { userId: session.principal, sessionId: session._id });
 
     sendSuccess(res, 'Tokens refreshed successfully', {
-      accessToken: newAccessToken,
+      accessToken,
       refreshToken: newRefreshToken
     });
   } catch (error) {
@@ -230,15 +282,14 @@ const refreshToken = async (req, res, next) => {
   }
 };
 
-// Logout user (invalidate refresh token)
+// Logout user (ends the session of this device)
 const logout = async (req, res, next) => {
   try {
-    // Clear refresh token from database
-    await User.findByIdAndUpdate(req.user._id, {
-      $unset: { refreshToken: 1, refreshTokenExpires: 1 }
-    });
+    if (req.sessionId) {
+      await sessionService.revokeSession('User', req.user._id, req.sessionId, 'logout');
+    }
 
-    logger.info('User logged out:', { userId: req.user._id });
+    logger.info('User logged out:', { userId: req.user._id, sessionId: req.sessionId });
     sendSuccess(res, 'Logout successful');
   } catch (error) {
     logger.error('Logout error:', error);
@@ -246,6 +297,56 @@ const logout = async (req, res, next) => {
   }
 };
 
+// List the devices the user is signed in on
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions('User', req.user._id, req.sessionId);
+
+    sendSuccess(res, 'Sessions retrieved successfully', { sessions });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+// Sign out one device
+const revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeSession('User', req.user._id, req.params.id, 'logout');
+
+    if (!revoked) {
+      return sendNotFound(res, 'Session not found');
+    }
+
+    logger.info('User session revoked:', { userId: req.user._id, sessionId: req.params.id });
+    sendSuccess(res, 'Session signed out successfully', {
+      current: req.params.id === req.sessionId
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+// Sign out all devices (optionally keeping this one)
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' && !!req.sessionId;
+
+    const revokedCount = await sessionService.revokeAll('User', req.user._id, {
+      reason: 'logout_all',
+      exceptSessionId: keepCurrent ? req.sessionId : undefined
+    });
+
+    sendSuccess(res, keepCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions', {
+      revokedCount
+    });
+  } catch (error) {
+    logger.error('Revoke all sessions error:', error);
+    next(error);
+  }
+};
+
 // Reset password (Simplified - only requires email and password after OTP verification)
 const resetPassword = async (req, res, next) => {
   try {
@@ -278,13 +379,17 @@ const resetPassword = async (req, res, next) => {
 
     await user.save();
 
-    // Generate new JWT token
-    const jwtToken = generateToken({ id: user._id });
+    // Whoever knew the old password may still hold a session
+    await sessionService.revokeAll('User', user._id, { reason: 'password_reset' });
+
+    // Sign this device in with a new session
+    const { accessToken, refreshToken } = await sessionService.createSession('User', user._id, req);
 
     logger.info('Password reset successfully:', { userId: user._id });
 
     sendSuccess(res, 'Password reset successful', {
-      token: jwtToken,
+      accessToken,
+      refreshToken,
       message: 'Your password has been reset successfully. You can now login with your new password.'
     });
   } catch (error) {
@@ -312,14 +417,24 @@ const updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new JWT token
-    const token = generateToken({ id: user._id });
+    // Sign out every other device; this one continues with a fresh access token
+    await sessionService.revokeAll('User', user._id, {
+      reason: 'password_change',
+      exceptSessionId: req.sessionId
+    });
+
+    // Keep this device's session, or start one if the token it used had none
+    let tokens;
+    if (req.sessionId) {
+      tokens = { accessToken: generateToken({ id: user._id, sid: req.sessionId }) };
+    } else {
+      const { accessToken, refreshToken } = await sessionService.createSession('User', user._id, req);
+      tokens = { accessToken, refreshToken };
+    }
 
     logger.info('Password updated successfully:', { userId: user._id });
 
-    sendSuccess(res, 'Password updated successfully', {
-      token
-    });
+    sendSuccess(res, 'Password updated successfully', tokens);
   } catch (error) {
     logger.error('Update password error:', error);
     next(error);
@@ -327,9 +442,20 @@ const updatePassword = async (req, res, next) => {
 };
 
 // Get current user
-const getMe = async (req, res) => {
-  const user = await User.findById(req.user.id);
-  sendSuccess(res, 'User data retrieved', { user });
+const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    // Lets the app prompt for (re-)acceptance of updated legal documents
+    const legalConsent = await legalService.getConsentStatus(user, {
+      locales: getRequestedLocales(req)
+    });
+
+    sendSuccess(res, 'User data retrieved', { user, legalConsent });
+  } catch (error) {
+    logger.error('Get me error:', error);
+    next(error);
+  }
 };
 
 // Get Bundle.social registration status
@@ -590,11 +716,29 @@ const verifyPasswordResetOtp = async (req, res, next) => {
   }
 };
 
+// Restore an account scheduled for deletion (token from the emailed link)
+const restoreAccount = async (req, res, next) => {
+  try {
+    const user = await accountDeletionService.restoreWithToken(req.body.token);
+
+    sendSuccess(res, 'Account restored successfully. You can sign in again.', {
+      email: user.email,
+      loginType: user.loginType
+    });
+  } catch (error) {
+    logger.error('Restore account error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   resetPassword,
   updatePassword,
   getMe,
@@ -603,5 +747,6 @@ module.exports = {
   sendEmailOtp,
   verifyEmailOtp,
   sendPasswordResetOtp,
-  verifyPasswordResetOtp
+  verifyPasswordResetOtp,
+  restoreAccount
 };
\ No newline at end of file
@@ -0,0 +1,175 @@
+const BrandVoice = require('../models/BrandVoice');
+const brandVoiceService = require('../services/brandVoiceService');
+const { normalizeHashtag } = require('../utils/brandVoice');
+const {
+  sendSuccess,
+  sendCreated,
+  sendBadRequest,
+  sendNotFound,
+  sendConflict
+} = require('../utils/response');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'tone',
+  'samplePosts',
+  'bannedWords',
+  'requiredHashtags',
+  'emojiPolicy',
+  'ctaStyle',
+  'ctaText'
+];
+
+// Copy editable fields from the request body, storing hashtags without the leading #
+const pickBrandVoiceFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  if (fields.requiredHashtags) {
+    fields.requiredHashtags = [...new Set(fields.requiredHashtags.map(normalizeHashtag).filter(Boolean))];
+  }
+
+  return fields;
+};
+
+const nameTaken = async (userId, name, excludeId = null) => {
+  const filter = { user: userId, name };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  return !!(await BrandVoice.exists(filter));
+};
+
+// List the user's brand voices (default first)
+const getBrandVoices = async (req, res, next) => {
+  try {
+    const brandVoices = await BrandVoice.find({ user: req.user.id })
+      .sort({ isDefault: -1, name: 1 });
+
+    sendSuccess(res, 'Brand voices retrieved successfully', { brandVoices });
+  } catch (error) {
+    logger.error('Get brand voices error:', error);
+    next(error);
+  }
+};
+
+// Get a single brand voice
+const getBrandVoice = async (req, res, next) => {
+  try {
+    const brandVoice = await BrandVoice.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!brandVoice) {
+      return sendNotFound(res, 'Brand voice not found');
+    }
+
+    sendSuccess(res, 'Brand voice retrieved successfully', { brandVoice });
+  } catch (error) {
+    logger.error('Get brand voice error:', error);
+    next(error);
+  }
+};
+
+// Create a brand voice
+const createBrandVoice = async (req, res, next) => {
+  try {
+    const count = await BrandVoice.countDocuments({ user: req.user.id });
+    if (count >= brandVoiceService.maxPerUser) {
+      return sendBadRequest(res, `You can save up to ${brandVoiceService.maxPerUser} brand voices`);
+    }
+
+    const fields = pickBrandVoiceFields(req.body);
+
+    if (await nameTaken(req.user.id, fields.name)) {
+      return sendConflict(res, 'A brand voice with this name already exists');
+    }
+
+    // The first profile becomes the default so it applies without being selected
+    const isDefault = req.body.isDefault === true || count === 0;
+
+    const brandVoice = await BrandVoice.create({
+      ...fields,
+      user: req.user.id
+    });
+
+    if (isDefault) {
+      await brandVoiceService.setDefault(req.user.id, brandVoice._id);
+      brandVoice.isDefault = true;
+    }
+
+    logger.info('Brand voice created:', { brandVoiceId: brandVoice._id, userId: req.user.id, isDefault });
+
+    sendCreated(res, 'Brand voice created successfully', { brandVoice });
+  } catch (error) {
+    logger.error('Create brand voice error:', error);
+    next(error);
+  }
+};
+
+// Update a brand voice
+const updateBrandVoice = async (req, res, next) => {
+  try {
+    const brandVoice = await BrandVoice.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!brandVoice) {
+      return sendNotFound(res, 'Brand voice not found');
+    }
+
+    const fields = pickBrandVoiceFields(req.body);
+
+    if (fields.name && await nameTaken(req.user.id, fields.name, brandVoice._id)) {
+      return sendConflict(res, 'A brand voice with this name already exists');
+    }
+
+    Object.assign(brandVoice, fields);
+
+    if (req.body.isDefault === false) {
+      brandVoice.isDefault = false;
+    }
+
+    await brandVoice.save();
+
+    if (req.body.isDefault === true) {
+      await brandVoiceService.setDefault(req.user.id, brandVoice._id);
+      brandVoice.isDefault = true;
+    }
+
+    logger.info('Brand voice updated:', { brandVoiceId: brandVoice._id, userId: req.user.id });
+
+    sendSuccess(res, 'Brand voice updated successfully', { brandVoice });
+  } catch (error) {
+    logger.error('Update brand voice error:', error);
+    next(error);
+  }
+};
+
+// Delete a brand voice
+const deleteBrandVoice = async (req, res, next) => {
+  try {
+    const brandVoice = await BrandVoice.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!brandVoice) {
+      return sendNotFound(res, 'Brand voice not found');
+    }
+
+    logger.info('Brand voice deleted:', { brandVoiceId: brandVoice._id, userId: req.user.id });
+
+    sendSuccess(res, 'Brand voice deleted successfully');
+  } catch (error) {
+    logger.error('Delete brand voice error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getBrandVoices,
+  getBrandVoice,
+  createBrandVoice,
+  updateBrandVoice,
+  deleteBrandVoice
+};
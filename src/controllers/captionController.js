@@ -0,0 +1,117 @@
+const Video = require('../models/Video');
+const CaptionVersion = require('../models/CaptionVersion');
+const captionVersionService = require('../services/captionVersionService');
+const { 
+  sendSuccess, 
+  sendNotFound,
+  getPaginationMeta 
+} = require('../utils/response');
+const logger = require('../utils/logger');
+
+// List caption versions for a video (newest first)
+const getCaptionVersions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { favorite, platform } = req.query;
+
+    const video = await Video.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('_id activeCaptionVersion');
+
+    if (!video) {
+      return sendNotFound(res, 'Video not found');
+    }
+
+    const filter = { video: video._id };
+    if (favorite !== undefined) {
+      filter.isFavorite = favorite === 'true';
+    }
+    if (platform) {
+      filter.platform = platform;
+    }
+
+    const versions = await CaptionVersion.find(filter)
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await CaptionVersion.countDocuments(filter);
+    const meta = getPaginationMeta(page, limit, total);
+
+    sendSuccess(res, 'Caption versions retrieved successfully', {
+      activeCaptionVersion: video.activeCaptionVersion || null,
+      versions
+    }, meta);
+  } catch (error) {
+    logger.error('Get caption versions error:', error);
+    next(error);
+  }
+};
+
+// Restore a caption version onto the video
+const restoreCaptionVersion = async (req, res, next) => {
+  try {
+    const video = await Video.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!video) {
+      return sendNotFound(res, 'Video not found');
+    }
+
+    const version = await captionVersionService.findVersion(req.user.id, req.params.versionId, video._id);
+    if (!version) {
+      return sendNotFound(res, 'Caption version not found');
+    }
+
+    await captionVersionService.restoreVersion(video, version);
+
+    logger.info('Caption version restored:', {
+      videoId: video._id,
+      versionId: version._id,
+      version: version.version,
+      userId: req.user.id
+    });
+
+    sendSuccess(res, 'Caption version restored successfully', {
+      videoId: video._id,
+      caption: video.aiGeneratedCaption,
+      hashtags: video.aiGeneratedHashtags,
+      activeCaptionVersion: version._id,
+      version
+    });
+  } catch (error) {
+    logger.error('Restore caption version error:', error);
+    next(error);
+  }
+};
+
+// Mark or unmark a caption version as favourite
+const setCaptionVersionFavorite = async (req, res, next) => {
+  try {
+    const version = await captionVersionService.findVersion(req.user.id, req.params.versionId, req.params.id);
+    if (!version) {
+      return sendNotFound(res, 'Caption version not found');
+    }
+
+    version.isFavorite = req.body.isFavorite;
+    await version.save();
+
+    sendSuccess(res, version.isFavorite ? 'Caption version added to favourites' : 'Caption version removed from favourites', {
+      version
+    });
+  } catch (error) {
+    logger.error('Set caption version favourite error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getCaptionVersions,
+  restoreCaptionVersion,
+  setCaptionVersionFavorite
+};
@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const FaqCategory = require('../models/FaqCategory');
+const FaqEntry = require('../models/FaqEntry');
+const FaqVote = require('../models/FaqVote');
+const faqService = require('../services/faqService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendBadRequest,
+  sendNotFound,
+  sendConflict,
+  getPaginationMeta
+} = require('../utils/response');
+const logger = require('../utils/logger');
+const { DEFAULT_LOCALE, normalizeLocale, getRequestedLocales } = require('../utils/locale');
+
+const slugify = (text) => text
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80);
+
+// Signed-in users vote as themselves; anonymous votes are keyed by a hash of the IP
+const getVoterKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  return `anon:${crypto.createHash('sha256').update(req.ip || '').digest('hex')}`;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ============================================
+// PUBLIC
+// ============================================
+
+// List published FAQ entries grouped by category
+const getFaqs = async (req, res, next) => {
+  try {
+    const result = await faqService.listPublished({
+      locales: getRequestedLocales(req),
+      category: req.query.category
+    });
+
+    res.vary('Accept-Language');
+    if (result.locale) {
+      res.set('Content-Language', result.locale);
+    }
+
+    sendSuccess(res, 'FAQ retrieved successfully', result);
+  } catch (error) {
+    logger.error('Get FAQ error:', error);
+    next(error);
+  }
+};
+
+// Full-text search over published FAQ entries
+const searchFaqs = async (req, res, next) => {
+  try {
+    const { q, category, page, limit } = req.query;
+
+    const { locale, entries, total } = await faqService.search({
+      q,
+      category,
+      page,
+      limit,
+      locales: getRequestedLocales(req)
+    });
+
+    res.vary('Accept-Language');
+    if (locale) {
+      res.set('Content-Language', locale);
+    }
+
+    sendSuccess(res, 'FAQ search completed', { query: q, locale, entries }, getPaginationMeta(page, limit, total));
+  } catch (error) {
+    logger.error('Search FAQ error:', error);
+    next(error);
+  }
+};
+
+// List published categories
+const getFaqCategories = async (req, res, next) => {
+  try {
+    const { locale } = await faqService.resolveEntryLocale(getRequestedLocales(req));
+    const categories = await faqService.getPublishedCategories();
+
+    sendSuccess(res, 'FAQ categories retrieved successfully', {
+      categories: categories.map(category => ({
+        _id: category._id,
+        slug: category.slug,
+        name: category.getLocalizedName(locale),
+        description: category.description
+      }))
+    });
+  } catch (error) {
+    logger.error('Get FAQ categories error:', error);
+    next(error);
+  }
+};
+
+// Get a single published FAQ entry
+const getFaq = async (req, res, next) => {
+  try {
+    const entry = await faqService.getPublishedEntry(req.params.id);
+
+    sendSuccess(res, 'FAQ entry retrieved successfully', {
+      entry: {
+        ...entry.toObject(),
+        category: {
+          _id: entry.category._id,
+          slug: entry.category.slug,
+          name: entry.category.getLocalizedName(entry.locale)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get FAQ entry error:', error);
+    next(error);
+  }
+};
+
+// Vote whether an answer was helpful
+const voteFaq = async (req, res, next) => {
+  try {
+    const result = await faqService.vote(req.params.id, getVoterKey(req), req.body.helpful);
+
+    sendSuccess(res, 'Thanks for your feedback', result);
+  } catch (error) {
+    logger.error('Vote FAQ error:', error);
+    next(error);
+  }
+};
+
+// ============================================
+// ADMIN - Categories
+// ============================================
+
+// List all categories with entry counts
+const getAdminFaqCategories = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      FaqCategory.find().sort({ order: 1, name: 1 }),
+      FaqEntry.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+
+    const countByCategory = new Map(counts.map(item => [item._id.toString(), item.count]));
+
+    sendSuccess(res, 'FAQ categories retrieved successfully', {
+      categories: categories.map(category => ({
+        ...category.toJSON(),
+        entryCount: countByCategory.get(category._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Get admin FAQ categories error:', error);
+    next(error);
+  }
+};
+
+// Create a category (added last)
+const createFaqCategory = async (req, res, next) => {
+  try {
+    const slug = req.body.slug || slugify(req.body.name);
+    if (!slug) {
+      return sendBadRequest(res, 'Please provide a slug for this category name');
+    }
+
+    if (await FaqCategory.exists({ slug })) {
+      return sendConflict(res, 'A FAQ category with this slug already exists');
+    }
+
+    const category = await FaqCategory.create({
+      ...req.body,
+      slug,
+      order: await faqService.getNextOrder(FaqCategory)
+    });
+
+    logger.info('FAQ category created:', { categoryId: category._id, adminId: req.admin._id });
+
+    sendCreated(res, 'FAQ category created successfully', { category });
+  } catch (error) {
+    logger.error('Create FAQ category error:', error);
+    next(error);
+  }
+};
+
+// Update a category
+const updateFaqCategory = async (req, res, next) => {
+  try {
+    const category = await FaqCategory.findById(req.params.id);
+
+    if (!category) {
+      return sendNotFound(res, 'FAQ category not found');
+    }
+
+    if (req.body.slug && req.body.slug !== category.slug && await FaqCategory.exists({ slug: req.body.slug })) {
+      return sendConflict(res, 'A FAQ category with this slug already exists');
+    }
+
+    Object.assign(category, req.body);
+    await category.save();
+
+    logger.info('FAQ category updated:', { categoryId: category._id, adminId: req.admin._id });
+
+    sendSuccess(res, 'FAQ category updated successfully', { category });
+  } catch (error) {
+    logger.error('Update FAQ category error:', error);
+    next(error);
+  }
+};
+
+// Delete an empty category
+const deleteFaqCategory = async (req, res, next) => {
+  try {
+    const category = await FaqCategory.findById(req.params.id);
+
+    if (!category) {
+      return sendNotFound(res, 'FAQ category not found');
+    }
+
+    const entryCount = await FaqEntry.countDocuments({ category: category._id });
+    if (entryCount > 0) {
+      return sendConflict(res, `This category still has ${entryCount} FAQ entries. Move or delete them first.`);
+    }
+
+    await category.deleteOne();
+
+    logger.info('FAQ category deleted:', { categoryId: category._id, adminId: req.admin._id });
+
+    sendSuccess(res, 'FAQ category deleted successfully');
+  } catch (error) {
+    logger.error('Delete FAQ category error:', error);
+    next(error);
+  }
+};
+
+// Reorder all categories
+const reorderFaqCategories = async (req, res, next) => {
+  try {
+    await faqService.reorder(FaqCategory, req.body.ids);
+
+    const categories = await FaqCategory.find().sort({ order: 1 });
+
+    logger.info('FAQ categories reordered:', { adminId: req.admin._id });
+
+    sendSuccess(res, 'FAQ categories reordered successfully', { categories });
+  } catch (error) {
+    logger.error('Reorder FAQ categories error:', error);
+    next(error);
+  }
+};
+
+// ============================================
+// ADMIN - Entries
+// ============================================
+
+// List entries (all publish states) with filters
+const getAdminFaqs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+    const filter = {};
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+    if (req.query.locale) {
+      filter.locale = normalizeLocale(req.query.locale);
+      if (!filter.locale) {
+        return sendBadRequest(res, 'Invalid locale. Use a language tag such as en, de or pt-BR');
+      }
+    }
+    if (req.query.isPublished !== undefined) {
+      filter.isPublished = req.query.isPublished === 'true';
+    }
+    if (req.query.search) {
+      filter.question = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    }
+
+    const [entries, total] = await Promise.all([
+      FaqEntry.find(filter)
+        .populate('category', 'name slug')
+        .populate('lastUpdatedBy', 'name email')
+        .sort({ category: 1, order: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FaqEntry.countDocuments(filter)
+    ]);
+
+    sendSuccess(res, 'FAQ entries retrieved successfully', { entries }, getPaginationMeta(page, limit, total));
+  } catch (error) {
+    logger.error('Get admin FAQ entries error:', error);
+    next(error);
+  }
+};
+
+// Get a single entry
+const getAdminFaq = async (req, res, next) => {
+  try {
+    const entry = await FaqEntry.findById(req.params.id)
+      .populate('category', 'name slug')
+      .populate('createdBy', 'name email')
+      .populate('lastUpdatedBy', 'name email');
+
+    if (!entry) {
+      return sendNotFound(res, 'FAQ entry not found');
+    }
+
+    sendSuccess(res, 'FAQ entry retrieved successfully', { entry });
+  } catch (error) {
+    logger.error('Get admin FAQ entry error:', error);
+    next(error);
+  }
+};
+
+// Create an entry (added last in its category)
+const createFaq = async (req, res, next) => {
+  try {
+    if (!(await FaqCategory.exists({ _id: req.body.category }))) {
+      return sendBadRequest(res, 'FAQ category not found');
+    }
+
+    const locale = normalizeLocale(req.body.locale) || DEFAULT_LOCALE;
+
+    const entry = await FaqEntry.create({
+      ...req.body,
+      locale,
+      order: await faqService.getNextOrder(FaqEntry, { category: req.body.category, locale }),
+      createdBy: req.admin._id,
+      lastUpdatedBy: req.admin._id
+    });
+
+    logger.info('FAQ entry created:', { faqId: entry._id, adminId: req.admin._id });
+
+    sendCreated(res, 'FAQ entry created successfully', { entry });
+  } catch (error) {
+    logger.error('Create FAQ entry error:', error);
+    next(error);
+  }
+};
+
+// Update an entry; moving it to another category or locale puts it last there
+const updateFaq = async (req, res, next) => {
+  try {
+    const entry = await FaqEntry.findById(req.params.id);
+
+    if (!entry) {
+      return sendNotFound(res, 'FAQ entry not found');
+    }
+
+    const updates = { ...req.body };
+
+    if (updates.locale) {
+      updates.locale = normalizeLocale(updates.locale);
+    }
+
+    const categoryChanged = updates.category && updates.category !== entry.category.toString();
+    const localeChanged = updates.locale && updates.locale !== entry.locale;
+
+    if (categoryChanged && !(await FaqCategory.exists({ _id: updates.category }))) {
+      return sendBadRequest(res, 'FAQ category not found');
+    }
+
+    if (categoryChanged || localeChanged) {
+      updates.order = await faqService.getNextOrder(FaqEntry, {
+        category: updates.category || entry.category,
+        locale: updates.locale || entry.locale
+      });
+    }
+
+    Object.assign(entry, updates, { lastUpdatedBy: req.admin._id });
+    await entry.save();
+
+    logger.info('FAQ entry updated:', { faqId: entry._id, adminId: req.admin._id });
+
+    sendSuccess(res, 'FAQ entry updated successfully', { entry });
+  } catch (error) {
+    logger.error('Update FAQ entry error:', error);
+    next(error);
+  }
+};
+
+// Delete an entry and its votes
+const deleteFaq = async (req, res, next) => {
+  try {
+    const entry = await FaqEntry.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return sendNotFound(res, 'FAQ entry not found');
+    }
+
+    await FaqVote.deleteMany({ faq: entry._id });
+
+    logger.info('FAQ entry deleted:', { faqId: entry._id, adminId: req.admin._id });
+
+    sendSuccess(res, 'FAQ entry deleted successfully');
+  } catch (error) {
+    logger.error('Delete FAQ entry error:', error);
+    next(error);
+  }
+};
+
+// Reorder the entries of one category in one locale
+const reorderFaqs = async (req, res, next) => {
+  try {
+    const { category, ids } = req.body;
+    const locale = normalizeLocale(req.body.locale) || DEFAULT_LOCALE;
+
+    if (!(await FaqCategory.exists({ _id: category }))) {
+      return sendNotFound(res, 'FAQ category not found');
+    }
+
+    await faqService.reorder(FaqEntry, ids, { category, locale });
+
+    const entries = await FaqEntry.find({ category, locale }).sort({ order: 1 });
+
+    logger.info('FAQ entries reordered:', { categoryId: category, locale, adminId: req.admin._id });
+
+    sendSuccess(res, 'FAQ entries reordered successfully', { entries });
+  } catch (error) {
+    logger.error('Reorder FAQ entries error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getFaqs,
+  searchFaqs,
+  getFaqCategories,
+  getFaq,
+  voteFaq,
+  getAdminFaqCategories,
+  createFaqCategory,
+  updateFaqCategory,
+  deleteFaqCategory,
+  reorderFaqCategories,
+  getAdminFaqs,
+  getAdminFaq,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  reorderFaqs
+};
@@ -1,4 +1,6 @@
 const LegalContent = require('../models/LegalContent');
+const User = require('../models/User');
+const legalService = require('../services/legalService');
 const { 
   sendSuccess, 
   sendCreated, 
@@ -7,9 +9,64 @@ const {
   sendError
 } = require('../utils/response');
 const logger = require('../utils/logger');
+const { DEFAULT_LOCALE, normalizeLocale, getRequestedLocales } = require('../utils/locale');
+
+const INVALID_LOCALE_MESSAGE = 'Invalid locale. Use a language tag such as en, de or pt-BR';
+
+// Locale named by an admin request (?locale= or body.locale); null when it is not a valid tag
+const getAdminLocale = (value) => (value === undefined || value === '' ? DEFAULT_LOCALE : normalizeLocale(value));
+
+// Localized responses differ by requested language
+const setLocaleHeaders = (res, locale) => {
+  res.vary('Accept-Language');
+  res.set('Content-Language', locale);
+};
+
+/**
+ * Apply admin edits to a legal document. A change to the title or text saves a new
+ * version and snapshots it; changing only the publish status does not.
+ * @returns {Promise<boolean>} Whether a new version was created
+ */
+const saveContentChanges = async (legalContent, changes, req) => {
+  const { title, content, htmlContent, isPublished } = changes;
+
+  const textChanged =
+    (title && title !== legalContent.title) ||
+    (content && content !== legalContent.content) ||
+    (htmlContent && htmlContent !== legalContent.htmlContent);
+
+  if (textChanged) {
+    // Keep the outgoing text if it predates version history
+    await legalService.ensureCurrentVersionRecorded(legalContent);
+
+    if (title) legalContent.title = title;
+    if (content) legalContent.content = content;
+    if (htmlContent) legalContent.htmlContent = htmlContent;
+    legalContent.version += 1;
+
+    if (req.body.requiresReacceptance === true) {
+      legalContent.minimumAcceptedVersion = legalContent.version;
+    }
+  }
+
+  if (isPublished !== undefined) legalContent.isPublished = isPublished;
+  legalContent.lastUpdatedBy = req.admin._id;
+
+  await legalContent.save();
+
+  if (textChanged) {
+    await legalService.recordVersion(legalContent, {
+      adminId: req.admin._id,
+      changeNote: req.body.changeNote,
+      requiresReacceptance: req.body.requiresReacceptance === true,
+    });
+  }
+
+  return !!textChanged;
+};
 
 /**
- * @desc Get legal content by type (for public viewing)
+ * @desc Get legal content by type (for public viewing), in the locale from ?lang= or Accept-Language
  * @route GET /api/v1/legal/:type
  * @access Public
  */
@@ -26,24 +83,26 @@ exports.getLegalContent = async (req, res) => {
       );
     }
 
-    const content = await LegalContent.findOne({
-      type,
-      isPublished: true,
-    }).select('-__v');
+    const localized = await legalService.findLocalized(type, getRequestedLocales(req));
 
-    if (!content) {
+    if (!localized) {
       return sendNotFound(res, `${type.replace('_', ' ')} not found`);
     }
 
-    return sendSuccess(res, { content });
+    setLocaleHeaders(res, localized.content.locale);
+
+    return sendSuccess(res, 'Legal content retrieved successfully', {
+      content: localized.content,
+      availableLocales: localized.availableLocales,
+    });
   } catch (error) {
     logger.error('Error getting legal content:', error);
-    return sendError(res, 'Failed to retrieve legal content');
+    return sendError(res, 500, 'Failed to retrieve legal content');
   }
 };
 
 /**
- * @desc Get HTML content for web view rendering
+ * @desc Get HTML content for web view rendering, in the locale from ?lang= or Accept-Language
  * @route GET /api/v1/legal/:type/view
  * @access Public
  */
@@ -88,12 +147,9 @@ exports.getLegalContentView = async (req, res) => {
       `);
     }
 
-    const content = await LegalContent.findOne({
-      type,
-      isPublished: true,
-    });
+    const localized = await legalService.findLocalized(type, getRequestedLocales(req));
 
-    if (!content) {
+    if (!localized) {
       return res.status(404).send(`
         <!DOCTYPE html>
         <html>
@@ -128,10 +184,13 @@ exports.getLegalContentView = async (req, res) => {
       `);
     }
 
+    const { content } = localized;
+    setLocaleHeaders(res, content.locale);
+
     // Generate HTML page matching mobile app design
     const html = `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${content.locale}">
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0, user-scalable=no">
@@ -343,7 +402,7 @@ exports.getLegalContentView = async (req, res) => {
 };
 
 /**
- * @desc Get all legal content links for app display
+ * @desc Get all legal content links for app display, one per type in the best matching locale
  * @route GET /api/v1/legal/links
  * @access Public
  */
@@ -357,23 +416,161 @@ exports.getLegalLinks = async (req, res) => {
       faq: 'https://soloaiapp.com/support',
     };
 
-    const contents = await LegalContent.find({ isPublished: true }).select(
-      'type title updatedAt version'
+    const requestedLocales = getRequestedLocales(req);
+    const variants = await LegalContent.find({ isPublished: true }).select(
+      'type locale title updatedAt version'
     );
 
-    const links = contents.map((content) => ({
-      type: content.type,
-      title: content.title,
-      url: publicUrlMap[content.type] || `${baseUrl}/${content.type}/view`,
-      apiUrl: `${baseUrl}/${content.type}`,
-      lastUpdated: content.updatedAt,
-      version: content.version,
-    }));
-
-    return sendSuccess(res, { links });
+    const links = ['privacy_policy', 'terms_of_use', 'faq']
+      .map((type) => legalService.pickLocalized(
+        variants.filter((variant) => variant.type === type),
+        requestedLocales
+      ))
+      .filter(Boolean)
+      .map(({ content, availableLocales }) => ({
+        type: content.type,
+        title: content.title,
+        locale: content.locale,
+        availableLocales,
+        url: publicUrlMap[content.type] || `${baseUrl}/${content.type}/view?lang=${content.locale}`,
+        apiUrl: `${baseUrl}/${content.type}?lang=${content.locale}`,
+        lastUpdated: content.updatedAt,
+        version: content.version,
+      }));
+
+    res.vary('Accept-Language');
+
+    return sendSuccess(res, 'Legal content links retrieved successfully', { links });
   } catch (error) {
     logger.error('Error getting legal links:', error);
-    return sendError(res, 'Failed to retrieve legal content links');
+    return sendError(res, 500, 'Failed to retrieve legal content links');
+  }
+};
+
+/**
+ * @desc Get version history of a legal document
+ * @route GET /api/v1/legal/:type/versions
+ * @access Public
+ */
+exports.getLegalVersions = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    const validTypes = ['privacy_policy', 'terms_of_use', 'faq'];
+    if (!validTypes.includes(type)) {
+      return sendBadRequest(
+        res,
+        `Invalid type. Must be one of: ${validTypes.join(', ')}`
+      );
+    }
+
+    const localized = await legalService.findLocalized(type, getRequestedLocales(req), 'type locale');
+
+    if (!localized) {
+      return sendNotFound(res, `${type.replace('_', ' ')} not found`);
+    }
+
+    const { locale } = localized.content;
+    const versions = await legalService.getVersions(type, locale);
+
+    setLocaleHeaders(res, locale);
+
+    return sendSuccess(res, 'Legal content versions retrieved successfully', { locale, versions });
+  } catch (error) {
+    logger.error('Error getting legal content versions:', error);
+    return sendError(res, 500, 'Failed to retrieve legal content versions');
+  }
+};
+
+/**
+ * @desc Get a specific version of a legal document
+ * @route GET /api/v1/legal/:type/versions/:version
+ * @access Public
+ */
+exports.getLegalVersion = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    const validTypes = ['privacy_policy', 'terms_of_use', 'faq'];
+    if (!validTypes.includes(type)) {
+      return sendBadRequest(
+        res,
+        `Invalid type. Must be one of: ${validTypes.join(', ')}`
+      );
+    }
+
+    if (!Number.isInteger(version) || version < 1) {
+      return sendBadRequest(res, 'Version must be a positive integer');
+    }
+
+    const localized = await legalService.findLocalized(type, getRequestedLocales(req), 'type locale');
+
+    if (!localized) {
+      return sendNotFound(res, `${type.replace('_', ' ')} not found`);
+    }
+
+    const legalVersion = await legalService.getVersion(type, localized.content.locale, version);
+
+    if (!legalVersion) {
+      return sendNotFound(res, 'Legal content version not found');
+    }
+
+    setLocaleHeaders(res, legalVersion.locale);
+
+    return sendSuccess(res, 'Legal content version retrieved successfully', { version: legalVersion });
+  } catch (error) {
+    logger.error('Error getting legal content version:', error);
+    return sendError(res, 500, 'Failed to retrieve legal content version');
+  }
+};
+
+/**
+ * @desc Get the user's consent status for the privacy policy and terms of use
+ * @route GET /api/v1/legal/consents
+ * @access Private
+ */
+exports.getConsentStatus = async (req, res, next) => {
+  try {
+    const consent = await legalService.getConsentStatus(req.user, {
+      locales: getRequestedLocales(req),
+    });
+
+    return sendSuccess(res, 'Legal consent status retrieved successfully', consent);
+  } catch (error) {
+    logger.error('Error getting legal consent status:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc Accept the current version of the privacy policy or terms of use
+ * @route POST /api/v1/legal/consents
+ * @access Private
+ */
+exports.acceptLegalContent = async (req, res, next) => {
+  try {
+    const { type, version, locale } = req.body;
+
+    // The locale the user was shown, when the client names it
+    const locales = getRequestedLocales(req);
+    if (normalizeLocale(locale)) {
+      locales.unshift(normalizeLocale(locale));
+    }
+
+    const consent = await legalService.acceptVersion(req.user.id, type, version, {
+      locales,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    const user = await User.findById(req.user.id).select('legalConsents');
+    const status = await legalService.getConsentStatus(user, { locales });
+
+    return sendCreated(res, 'Legal content accepted', { consent, ...status });
+  } catch (error) {
+    logger.error('Error accepting legal content:', error);
+    next(error);
   }
 };
 
@@ -382,50 +579,124 @@ exports.getLegalLinks = async (req, res) => {
 // ============================================
 
 /**
- * @desc Get all legal content (Admin)
+ * @desc Get all legal content in every locale (Admin), optionally filtered by ?type= and ?locale=
  * @route GET /api/v1/admin/legal
  * @access Private (Admin)
  */
 exports.getAllLegalContent = async (req, res) => {
   try {
-    const contents = await LegalContent.find()
+    const filter = {};
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.locale) {
+      filter.locale = normalizeLocale(req.query.locale);
+      if (!filter.locale) {
+        return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+      }
+    }
+
+    const contents = await LegalContent.find(filter)
       .populate('lastUpdatedBy', 'name email')
-      .sort('-updatedAt');
+      .sort('type locale');
 
-    return sendSuccess(res, { contents }, contents.length);
+    return sendSuccess(res, 'Legal content retrieved successfully', { contents }, { total: contents.length });
   } catch (error) {
     logger.error('Error getting all legal content:', error);
-    return sendError(res, 'Failed to retrieve legal content');
+    return sendError(res, 500, 'Failed to retrieve legal content');
   }
 };
 
 /**
- * @desc Get single legal content by type (Admin)
+ * @desc Get single legal content by type and ?locale= (Admin)
  * @route GET /api/v1/admin/legal/:type
  * @access Private (Admin)
  */
 exports.getAdminLegalContent = async (req, res) => {
   try {
     const { type } = req.params;
+    const locale = getAdminLocale(req.query.locale);
 
-    const content = await LegalContent.findOne({ type }).populate(
-      'lastUpdatedBy',
-      'name email'
-    );
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
+
+    const [content, locales] = await Promise.all([
+      LegalContent.findOne({ type, locale }).populate('lastUpdatedBy', 'name email'),
+      LegalContent.distinct('locale', { type }),
+    ]);
 
     if (!content) {
       return sendNotFound(res, 'Legal content not found');
     }
 
-    return sendSuccess(res, { content });
+    return sendSuccess(res, 'Legal content retrieved successfully', {
+      content,
+      availableLocales: locales.sort(),
+    });
   } catch (error) {
     logger.error('Error getting admin legal content:', error);
-    return sendError(res, 'Failed to retrieve legal content');
+    return sendError(res, 500, 'Failed to retrieve legal content');
+  }
+};
+
+/**
+ * @desc Get version history of a legal document (Admin)
+ * @route GET /api/v1/admin/legal/:type/versions
+ * @access Private (Admin)
+ */
+exports.getAdminLegalVersions = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const locale = getAdminLocale(req.query.locale);
+
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
+
+    const versions = await legalService.getVersions(type, locale, { includeAuthor: true });
+
+    return sendSuccess(res, 'Legal content versions retrieved successfully', { locale, versions });
+  } catch (error) {
+    logger.error('Error getting admin legal content versions:', error);
+    return sendError(res, 500, 'Failed to retrieve legal content versions');
   }
 };
 
 /**
- * @desc Create or update legal content (Admin)
+ * @desc Get a specific version of a legal document (Admin)
+ * @route GET /api/v1/admin/legal/:type/versions/:version
+ * @access Private (Admin)
+ */
+exports.getAdminLegalVersion = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const version = parseInt(req.params.version, 10);
+    const locale = getAdminLocale(req.query.locale);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return sendBadRequest(res, 'Version must be a positive integer');
+    }
+
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
+
+    const legalVersion = await legalService.getVersion(type, locale, version, { includeAuthor: true });
+
+    if (!legalVersion) {
+      return sendNotFound(res, 'Legal content version not found');
+    }
+
+    return sendSuccess(res, 'Legal content version retrieved successfully', { version: legalVersion });
+  } catch (error) {
+    logger.error('Error getting admin legal content version:', error);
+    return sendError(res, 500, 'Failed to retrieve legal content version');
+  }
+};
+
+/**
+ * @desc Create or update legal content for a type and locale (Admin)
  * @route POST /api/v1/admin/legal
  * @access Private (Admin)
  */
@@ -450,51 +721,64 @@ exports.createOrUpdateLegalContent = async (req, res) => {
       );
     }
 
+    const locale = getAdminLocale(req.body.locale);
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
+
     // Find existing content or create new
-    let legalContent = await LegalContent.findOne({ type });
+    let legalContent = await LegalContent.findOne({ type, locale });
 
     if (legalContent) {
       // Update existing content
-      legalContent.title = title;
-      legalContent.content = content;
-      legalContent.htmlContent = htmlContent;
-      legalContent.lastUpdatedBy = req.admin._id;
-      legalContent.version += 1;
-      
-      if (isPublished !== undefined) {
-        legalContent.isPublished = isPublished;
-      }
-
-      await legalContent.save();
+      const versioned = await saveContentChanges(legalContent, {
+        title,
+        content,
+        htmlContent,
+        isPublished,
+      }, req);
 
       return res.status(200).json({
         status: 'success',
-        message: 'Legal content updated successfully',
+        message: versioned
+          ? 'Legal content updated successfully'
+          : 'Legal content unchanged, no new version created',
         data: {
           content: legalContent,
         },
       });
     } else {
-      // Create new content
+      // Create new content; version numbers continue after a deleted document
+      const version = await legalService.getNextVersionNumber(type, locale);
+
       legalContent = await LegalContent.create({
         type,
+        locale,
         title,
         content,
         htmlContent,
         lastUpdatedBy: req.admin._id,
+        version,
+        minimumAcceptedVersion: version,
         isPublished: isPublished !== undefined ? isPublished : true,
       });
 
-      return sendCreated(res, { content: legalContent }, 'Legal content created successfully');
+      await legalService.recordVersion(legalContent, {
+        adminId: req.admin._id,
+        changeNote: req.body.changeNote,
+        requiresReacceptance: true,
+      });
+
+      return sendCreated(res, 'Legal content created successfully', { content: legalContent });
     }
   } catch (error) {
     logger.error('Error creating/updating legal content:', error);
-    return sendError(res, 'Failed to save legal content');
+    return sendError(res, 500, 'Failed to save legal content');
   }
 };
 
 /**
- * @desc Update legal content (Admin)
+ * @desc Update legal content for a type and ?locale= (Admin)
  * @route PATCH /api/v1/admin/legal/:type
  * @access Private (Admin)
  */
@@ -502,47 +786,55 @@ exports.updateLegalContent = async (req, res) => {
   try {
     const { type } = req.params;
     const { title, content, htmlContent, isPublished } = req.body;
+    const locale = getAdminLocale(req.query.locale);
+
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
 
-    const legalContent = await LegalContent.findOne({ type });
+    const legalContent = await LegalContent.findOne({ type, locale });
 
     if (!legalContent) {
       return sendNotFound(res, 'Legal content not found');
     }
 
-    // Update fields
-    if (title) legalContent.title = title;
-    if (content) legalContent.content = content;
-    if (htmlContent) legalContent.htmlContent = htmlContent;
-    if (isPublished !== undefined) legalContent.isPublished = isPublished;
-
-    legalContent.lastUpdatedBy = req.admin._id;
-    legalContent.version += 1;
-
-    await legalContent.save();
+    const versioned = await saveContentChanges(legalContent, {
+      title,
+      content,
+      htmlContent,
+      isPublished,
+    }, req);
 
     return res.status(200).json({
       status: 'success',
-      message: 'Legal content updated successfully',
+      message: versioned
+        ? 'Legal content updated successfully'
+        : 'Legal content unchanged, no new version created',
       data: {
         content: legalContent,
       },
     });
   } catch (error) {
     logger.error('Error updating legal content:', error);
-    return sendError(res, 'Failed to update legal content');
+    return sendError(res, 500, 'Failed to update legal content');
   }
 };
 
 /**
- * @desc Delete legal content (Admin)
+ * @desc Delete legal content for a type and ?locale= (Admin)
  * @route DELETE /api/v1/admin/legal/:type
  * @access Private (Admin - Superadmin only)
  */
 exports.deleteLegalContent = async (req, res) => {
   try {
     const { type } = req.params;
+    const locale = getAdminLocale(req.query.locale);
+
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
 
-    const content = await LegalContent.findOneAndDelete({ type });
+    const content = await LegalContent.findOneAndDelete({ type, locale });
 
     if (!content) {
       return sendNotFound(res, 'Legal content not found');
@@ -554,20 +846,25 @@ exports.deleteLegalContent = async (req, res) => {
     });
   } catch (error) {
     logger.error('Error deleting legal content:', error);
-    return sendError(res, 'Failed to delete legal content');
+    return sendError(res, 500, 'Failed to delete legal content');
   }
 };
 
 /**
- * @desc Toggle publish status (Admin)
+ * @desc Toggle publish status for a type and ?locale= (Admin)
  * @route PATCH /api/v1/admin/legal/:type/publish
  * @access Private (Admin)
  */
 exports.togglePublishStatus = async (req, res) => {
   try {
     const { type } = req.params;
+    const locale = getAdminLocale(req.query.locale);
+
+    if (!locale) {
+      return sendBadRequest(res, INVALID_LOCALE_MESSAGE);
+    }
 
-    const content = await LegalContent.findOne({ type });
+    const content = await LegalContent.findOne({ type, locale });
 
     if (!content) {
       return sendNotFound(res, 'Legal content not found');
@@ -586,6 +883,6 @@ exports.togglePublishStatus = async (req, res) => {
     });
   } catch (error) {
     logger.error('Error toggling publish status:', error);
-    return sendError(res, 'Failed to update publish status');
+    return sendError(res, 500, 'Failed to update publish status');
   }
 };
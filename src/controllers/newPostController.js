@@ -1,16 +1,91 @@
-const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils/response');
+const { sendResponse, sendSuccess, sendError, sendValidationError } = require('../utils/response');
 const Video = require('../models/Video');
 const Post = require('../models/Post');
 const SocialAccount = require('../models/SocialAccount');
 const bundleSocialService = require('../services/bundleSocialService');
+const postPublishQueue = require('../services/postPublishQueue');
+const videoRenderer = require('../services/videoRenderer');
+const captionVersionService = require('../services/captionVersionService');
+const postTemplateService = require('../services/postTemplateService');
+const postPlatformService = require('../services/postPlatformService');
+const platformConstraintService = require('../services/platformConstraintService');
 const emailService = require('../services/emailService');
 const logger = require('../utils/logger');
 
+// Load the video and work out what each platform of the post gets.
+// Shared by post creation, scheduling and the dry-run validation.
+const preparePost = async (req, publishDate) => {
+  const { videoId, videoVersion, captionVersionId, templateId } = req.body;
+  let { platforms, settings } = req.body;
+
+  // Verify video exists and belongs to user
+  const video = await Video.findOne({
+    _id: videoId,
+    user: req.user.id
+  });
+
+  if (!video) {
+    return { statusCode: 404, error: 'Video not found' };
+  }
+
+  // Verify video has been uploaded to Bundle.social
+  if (!video.bundleUploadId) {
+    return { statusCode: 400, error: 'Video must be uploaded to Bundle.social before creating posts' };
+  }
+
+  // Post the rendered version of the edits when requested/available
+  const asset = videoRenderer.resolvePublishAsset(video, videoVersion);
+  if (asset.error) {
+    return { statusCode: 400, error: asset.error };
+  }
+
+  // Fill caption/hashtags from a stored AI caption version when one is referenced
+  const postCaption = await captionVersionService.resolvePostCaption(req.user.id, video._id, {
+    caption: req.body.caption,
+    hashtags: req.body.hashtags,
+    captionVersionId
+  });
+  if (postCaption.error) {
+    return { statusCode: 404, error: postCaption.error };
+  }
+  let { caption, hashtags } = postCaption;
+
+  // Start from a saved post template when one is referenced; values in the request win
+  let template = null;
+  let platformOptions = {};
+  if (templateId) {
+    template = await postTemplateService.findForUser(req.user.id, templateId);
+    ({ caption, hashtags, platforms, settings, platformOptions } = postTemplateService.applyToPost(
+      template,
+      { caption, hashtags, platforms, settings },
+      { video, user: req.user, date: publishDate }
+    ));
+  }
+
+  // Each platform may have its own caption, hashtags and options
+  const platformContents = postPlatformService.resolvePlatforms(platforms, { caption, hashtags, platformOptions });
+
+  return { video, asset, postCaption, template, caption, hashtags, settings, platformContents };
+};
+
+// Connected social accounts for the post's platforms, and the platforms without one
+const findConnectedAccounts = async (userId, platformContents) => {
+  const connectedAccounts = await SocialAccount.find({
+    user: userId,
+    platform: { $in: platformContents.map(p => p.name) },
+    isConnected: true
+  });
+
+  const missingPlatforms = platformContents
+    .filter(p => !connectedAccounts.find(acc => acc.platform === p.name))
+    .map(p => p.name);
+
+  return { connectedAccounts, missingPlatforms };
+};
+
 // Create immediate post (publish right now)
 const createImmediatePost = async (req, res, next) => {
   try {
-    const { videoId, caption, hashtags, platforms, settings } = req.body;
-
     // Reject scheduledFor parameter for immediate posts
     if (req.body.scheduledFor) {
       return sendError(res, 400, 'scheduledFor parameter is not allowed for immediate posts. Use /api/v1/posts/schedule for scheduled posts.');
@@ -20,45 +95,41 @@ const createImmediatePost = async (req, res, next) => {
     let socialAccountTypes;
     let platformData;
 
-    // Verify video exists and belongs to user
-    const video = await Video.findOne({
-      _id: videoId,
-      user: req.user.id
-    });
-
-    if (!video) {
-      return sendNotFound(res, 'Video not found');
+    const prepared = await preparePost(req, new Date());
+    if (prepared.error) {
+      return sendError(res, prepared.statusCode, prepared.error);
     }
+    const { video, asset, postCaption, template, caption, hashtags, settings, platformContents } = prepared;
 
-    // Verify video has been uploaded to Bundle.social
-    if (!video.bundleUploadId) {
-      return sendError(res, 400, 'Video must be uploaded to Bundle.social before creating posts');
+    // Check captions and media against each platform's rules before anything is sent to Bundle.social
+    const violations = platformConstraintService.validate(platformContents, asset);
+    if (violations.length > 0) {
+      return sendValidationError(res, violations, 'Post does not meet platform requirements');
     }
 
     // Verify all selected platforms are connected
-    const connectedAccounts = await SocialAccount.find({
-      user: req.user.id,
-      platform: { $in: platforms.map(p => p.name.toLowerCase()) },
-      isConnected: true
-    });
-
-    if (connectedAccounts.length !== platforms.length) {
-      const missingPlatforms = platforms.filter(p => 
-        !connectedAccounts.find(acc => acc.platform === p.name.toLowerCase())
-      );
-      return sendError(res, 400, `Please connect your ${missingPlatforms.map(p => p.name).join(', ')} account(s) first`);
+    const { connectedAccounts, missingPlatforms } = await findConnectedAccounts(req.user.id, platformContents);
+    if (missingPlatforms.length > 0) {
+      return sendError(res, 400, `Please connect your ${missingPlatforms.join(', ')} account(s) first`);
     }
 
     // Create post record in database
     const post = await Post.create({
       user: req.user.id,
-      video: videoId,
-      thumbnailUrl: video.thumbnailUrl, // Cache video thumbnail for quick access
+      video: video._id,
+      videoVersion: asset.version,
+      videoUploadId: asset.uploadId,
+      thumbnailUrl: (asset.version === 'rendered' && video.render.thumbnailUrl) || video.thumbnailUrl, // Cache video thumbnail for quick access
       caption,
       hashtags: hashtags || [],
-      platforms: platforms.map(p => ({
-        name: p.name.toLowerCase(),
-        accountId: connectedAccounts.find(acc => acc.platform === p.name.toLowerCase()).bundleAccountId,
+      captionVersion: postCaption.captionVersion,
+      template: template?._id,
+      platforms: platformContents.map(p => ({
+        name: p.name,
+        accountId: connectedAccounts.find(acc => acc.platform === p.name).bundleAccountId,
+        caption: p.overrides.caption,
+        hashtags: p.overrides.hashtags,
+        options: Object.keys(p.options).length > 0 ? p.options : undefined,
         status: 'pending'
       })),
       settings: settings || {}
@@ -67,83 +138,15 @@ const createImmediatePost = async (req, res, next) => {
     // Create immediate post in Bundle.social
     try {
       // Get the Bundle.social platform types (uppercase)
-      socialAccountTypes = platforms.map(p => p.name.toUpperCase());
-      
+      socialAccountTypes = platformContents.map(p => p.name.toUpperCase());
+
       // Prepare platform-specific data according to Bundle.social format
-      platformData = {};
-      platforms.forEach(platform => {
-        const platformName = platform.name.toUpperCase();
-        const fullCaption = caption + (hashtags?.length ? ' ' + hashtags.map(h => `#${h}`).join(' ') : '');
-        
-        switch (platformName) {
-          case 'INSTAGRAM':
-            platformData[platformName] = {
-              type: video.duration > 60 ? 'REEL' : 'POST',
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId],
-              thumbnailOffset: 0,
-              shareToFeed: true
-            };
-            break;
-          case 'TIKTOK':
-            platformData[platformName] = {
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId],
-              privacy: 'PUBLIC_TO_EVERYONE',
-              isBrandContent: false,
-              disableComments: false,
-              disableDuet: false,
-              disableStitch: false
-            };
-            break;
-          case 'YOUTUBE':
-            // Use user-specified type from platform settings, or default based on duration
-            const youtubePlatform = platforms.find(p => p.name.toUpperCase() === 'YOUTUBE');
-            const youtubeType = youtubePlatform?.type || (video.duration <= 60 ? 'SHORT' : 'VIDEO');
-            
-            platformData[platformName] = {
-              type: youtubeType.toUpperCase(),
-              uploadIds: [video.bundleUploadId],
-              text: video.title || caption.substring(0, 100),
-              description: caption,
-              privacy: 'PUBLIC',
-              madeForKids: false
-            };
-            break;
-          case 'FACEBOOK':
-            platformData[platformName] = {
-              type: video.duration > 60 ? 'REEL' : 'POST',
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId]
-            };
-            break;
-          case 'TWITTER':
-            platformData[platformName] = {
-              text: fullCaption.substring(0, 280),
-              uploadIds: [video.bundleUploadId]
-            };
-            break;
-          case 'LINKEDIN':
-            platformData[platformName] = {
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId],
-              privacy: 'PUBLIC',
-              hideFromFeed: false,
-              disableReshare: false
-            };
-            break;
-          default:
-            platformData[platformName] = {
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId]
-            };
-        }
-      });
+      platformData = postPlatformService.buildPlatformData(platformContents, { asset, video });
 
       logger.info('Creating immediate post in Bundle.social:', {
         teamId: req.user.bundleTeamId,
         videoId: video._id,
-        bundleUploadId: video.bundleUploadId,
+        bundleUploadId: asset.uploadId,
         platforms: socialAccountTypes
       });
 
@@ -195,6 +198,10 @@ const createImmediatePost = async (req, res, next) => {
         { new: true }
       );
 
+      if (template) {
+        await postTemplateService.recordUse(template._id);
+      }
+
       // Send notification email
       emailService.sendPostPublishedNotification(req.user, post).catch(err => {
         logger.warn('Failed to send post notification:', err.message);
@@ -219,7 +226,7 @@ const createImmediatePost = async (req, res, next) => {
       logger.error('Bundle.social immediate post creation failed:', {
         errorMessage: bundleError.message,
         bundleTeamId: req.user.bundleTeamId,
-        videoUploadId: video.bundleUploadId,
+        videoUploadId: asset.uploadId,
         socialAccountTypes,
         postId: post._id,
         userId: req.user.id,
@@ -243,7 +250,7 @@ const createImmediatePost = async (req, res, next) => {
 // Create scheduled post for future publishing
 const createScheduledPost = async (req, res, next) => {
   try {
-    const { videoId, caption, hashtags, platforms, scheduledFor, settings } = req.body;
+    const { scheduledFor } = req.body;
 
     // Validate scheduled date
     if (!scheduledFor) {
@@ -259,131 +266,59 @@ const createScheduledPost = async (req, res, next) => {
     let socialAccountTypes;
     let platformData;
 
-    // Verify video exists and belongs to user
-    const video = await Video.findOne({
-      _id: videoId,
-      user: req.user.id
-    });
-
-    if (!video) {
-      return sendNotFound(res, 'Video not found');
+    const prepared = await preparePost(req, scheduledDate);
+    if (prepared.error) {
+      return sendError(res, prepared.statusCode, prepared.error);
     }
+    const { video, asset, postCaption, template, caption, hashtags, settings, platformContents } = prepared;
 
-    // Verify video has been uploaded to Bundle.social
-    if (!video.bundleUploadId) {
-      return sendError(res, 400, 'Video must be uploaded to Bundle.social before creating posts');
+    // Check captions and media against each platform's rules before anything is sent to Bundle.social
+    const violations = platformConstraintService.validate(platformContents, asset);
+    if (violations.length > 0) {
+      return sendValidationError(res, violations, 'Post does not meet platform requirements');
     }
 
     // Verify all selected platforms are connected
-    const connectedAccounts = await SocialAccount.find({
-      user: req.user.id,
-      platform: { $in: platforms.map(p => p.name.toLowerCase()) },
-      isConnected: true
-    });
-
-    if (connectedAccounts.length !== platforms.length) {
-      const missingPlatforms = platforms.filter(p => 
-        !connectedAccounts.find(acc => acc.platform === p.name.toLowerCase())
-      );
-      return sendError(res, 400, `Please connect your ${missingPlatforms.map(p => p.name).join(', ')} account(s) first`);
+    const { connectedAccounts, missingPlatforms } = await findConnectedAccounts(req.user.id, platformContents);
+    if (missingPlatforms.length > 0) {
+      return sendError(res, 400, `Please connect your ${missingPlatforms.join(', ')} account(s) first`);
     }
 
     // Create post record in database
     const post = await Post.create({
       user: req.user.id,
-      video: videoId,
-      thumbnailUrl: video.thumbnailUrl, // Cache video thumbnail for quick access
+      video: video._id,
+      videoVersion: asset.version,
+      videoUploadId: asset.uploadId,
+      thumbnailUrl: (asset.version === 'rendered' && video.render.thumbnailUrl) || video.thumbnailUrl, // Cache video thumbnail for quick access
       caption,
       hashtags: hashtags || [],
-      platforms: platforms.map(p => ({
-        name: p.name.toLowerCase(),
-        accountId: connectedAccounts.find(acc => acc.platform === p.name.toLowerCase()).bundleAccountId,
+      captionVersion: postCaption.captionVersion,
+      template: template?._id,
+      platforms: platformContents.map(p => ({
+        name: p.name,
+        accountId: connectedAccounts.find(acc => acc.platform === p.name).bundleAccountId,
+        caption: p.overrides.caption,
+        hashtags: p.overrides.hashtags,
+        options: Object.keys(p.options).length > 0 ? p.options : undefined,
         status: 'scheduled'
       })),
       scheduledFor: scheduledDate,
       settings: settings || {}
     });
 
-    // Create scheduled post in Bundle.social
+    // Queue scheduled post for Bundle.social
     try {
       // Get the Bundle.social platform types (uppercase)
-      socialAccountTypes = platforms.map(p => p.name.toUpperCase());
-      
+      socialAccountTypes = platformContents.map(p => p.name.toUpperCase());
+
       // Prepare platform-specific data according to Bundle.social format
-      platformData = {};
-      platforms.forEach(platform => {
-        const platformName = platform.name.toUpperCase();
-        const fullCaption = caption + (hashtags?.length ? ' ' + hashtags.map(h => `#${h}`).join(' ') : '');
-        
-        switch (platformName) {
-          case 'INSTAGRAM':
-            platformData[platformName] = {
-              type: video.duration > 60 ? 'REEL' : 'POST',
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId],
-              thumbnailOffset: 0,
-              shareToFeed: true
-            };
-            break;
-          case 'TIKTOK':
-            platformData[platformName] = {
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId],
-              privacy: 'PUBLIC_TO_EVERYONE',
-              isBrandContent: false,
-              disableComments: false,
-              disableDuet: false,
-              disableStitch: false
-            };
-            break;
-          case 'YOUTUBE':
-            // Use user-specified type from platform settings, or default based on duration
-            const youtubePlatformScheduled = platforms.find(p => p.name.toUpperCase() === 'YOUTUBE');
-            const youtubeTypeScheduled = youtubePlatformScheduled?.type || (video.duration <= 60 ? 'SHORT' : 'VIDEO');
-            
-            platformData[platformName] = {
-              type: youtubeTypeScheduled.toUpperCase(),
-              uploadIds: [video.bundleUploadId],
-              text: video.title || caption.substring(0, 100),
-              description: caption,
-              privacy: 'PUBLIC',
-              madeForKids: false
-            };
-            break;
-          case 'FACEBOOK':
-            platformData[platformName] = {
-              type: video.duration > 60 ? 'REEL' : 'POST',
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId]
-            };
-            break;
-          case 'TWITTER':
-            platformData[platformName] = {
-              text: fullCaption.substring(0, 280),
-              uploadIds: [video.bundleUploadId]
-            };
-            break;
-          case 'LINKEDIN':
-            platformData[platformName] = {
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId],
-              privacy: 'PUBLIC',
-              hideFromFeed: false,
-              disableReshare: false
-            };
-            break;
-          default:
-            platformData[platformName] = {
-              text: fullCaption,
-              uploadIds: [video.bundleUploadId]
-            };
-        }
-      });
+      platformData = postPlatformService.buildPlatformData(platformContents, { asset, video });
 
-      logger.info('Creating scheduled post in Bundle.social:', {
+      logger.info('Queueing scheduled post for Bundle.social:', {
         teamId: req.user.bundleTeamId,
         videoId: video._id,
-        bundleUploadId: video.bundleUploadId,
+        bundleUploadId: asset.uploadId,
         platforms: socialAccountTypes,
         scheduledFor: scheduledDate.toISOString()
       });
@@ -396,38 +331,9 @@ const createScheduledPost = async (req, res, next) => {
         data: platformData
       };
 
-      const bundlePost = await bundleSocialService.createScheduledPost(bundlePostParams);
-
-      // Update post with Bundle.social details
-      post.bundlePostId = bundlePost.id;
-      post.bundleStatus = bundlePost.status.toLowerCase(); // Use actual Bundle.social status
-      
-      // Set publishedAt if the post is already posted
-      if (bundlePost.status === 'POSTED' && bundlePost.postedDate) {
-        post.publishedAt = new Date(bundlePost.postedDate);
-        
-        // Update platform statuses to published
-        post.platforms.forEach(platform => {
-          platform.status = 'published';
-          platform.publishedAt = post.publishedAt;
-          // Set platform post ID if available in external data
-          if (bundlePost.externalData && bundlePost.externalData[platform.name.toUpperCase()]) {
-            platform.postId = bundlePost.externalData[platform.name.toUpperCase()].id;
-          }
-        });
-      } else {
-        // Update platform statuses based on Bundle.social status
-        const platformStatus = bundlePost.status === 'SCHEDULED' ? 'scheduled' : 
-                             bundlePost.status === 'ERROR' ? 'failed' : 'pending';  
-        post.platforms.forEach(platform => {
-          platform.status = platformStatus;
-          if (bundlePost.errors && bundlePost.errors[platform.name.toUpperCase()]) {
-            platform.errorMessage = bundlePost.errors[platform.name.toUpperCase()];
-          }
-        });
-      }
-      
-      await post.save();
+      // Submit through the publish queue: transient failures are retried in the background
+      // instead of losing the post, permanent failures land in the dead-letter queue
+      const outcome = await postPublishQueue.enqueue(post, bundlePostParams);
 
       // Add post ID to user's posts array
       const User = require('../models/User');
@@ -437,9 +343,46 @@ const createScheduledPost = async (req, res, next) => {
         { new: true }
       );
 
+      if (template) {
+        await postTemplateService.recordUse(template._id);
+      }
+
+      if (outcome.state === 'dead_letter') {
+        logger.error('Bundle.social scheduled post creation failed:', {
+          errorMessage: outcome.error.message,
+          bundleTeamId: req.user.bundleTeamId,
+          videoUploadId: asset.uploadId,
+          socialAccountTypes,
+          postId: post._id,
+          userId: req.user.id,
+          videoId: video._id,
+          scheduledFor: scheduledDate.toISOString(),
+          platformData: JSON.stringify(platformData, null, 2)
+        });
+
+        return next(new Error(`Bundle.social API Error: ${outcome.error.message}`));
+      }
+
+      if (outcome.state === 'retrying') {
+        logger.info('Scheduled post queued for retry:', {
+          postId: post._id,
+          nextAttemptAt: post.publishJob.nextAttemptAt,
+          userId: req.user.id
+        });
+
+        return sendResponse(res, 202, 'success', 'Post accepted and queued for scheduling. Bundle.social is temporarily unavailable, we will retry automatically.', {
+          postId: post._id,
+          bundleStatus: post.bundleStatus,
+          scheduledFor: post.scheduledFor,
+          publishState: post.publishJob.state,
+          nextAttemptAt: post.publishJob.nextAttemptAt,
+          platforms: post.platforms
+        });
+      }
+
       logger.info('Scheduled post created successfully:', { 
         postId: post._id, 
-        bundlePostId: bundlePost.id,
+        bundlePostId: post.bundlePostId,
         scheduledFor: scheduledDate.toISOString(),
         userId: req.user.id,
         addedToUserProfile: true
@@ -447,30 +390,31 @@ const createScheduledPost = async (req, res, next) => {
 
       sendSuccess(res, 'Post scheduled successfully', {
         postId: post._id,
-        bundlePostId: bundlePost.id,
+        bundlePostId: post.bundlePostId,
         bundleStatus: post.bundleStatus,
         scheduledFor: post.scheduledFor,
+        publishState: post.publishJob.state,
         platforms: post.platforms
       });
 
-    } catch (bundleError) {
-      logger.error('Bundle.social scheduled post creation failed:', {
-        errorMessage: bundleError.message,
+    } catch (queueError) {
+      logger.error('Scheduled post queueing failed:', {
+        errorMessage: queueError.message,
         bundleTeamId: req.user.bundleTeamId,
-        videoUploadId: video.bundleUploadId,
+        videoUploadId: asset.uploadId,
         socialAccountTypes,
         postId: post._id,
         userId: req.user.id,
         videoId: video._id,
-        scheduledFor: scheduledDate.toISOString(),
-        platformData: JSON.stringify(platformData, null, 2)
+        scheduledFor: scheduledDate.toISOString()
       });
 
-      // Delete the post record since Bundle.social creation failed
-      await Post.findByIdAndDelete(post._id);
+      // Delete the post record since it never made it into the queue
+      if (!post.publishJob || !post.publishJob.state) {
+        await Post.findByIdAndDelete(post._id);
+      }
 
-      const errorDetails = bundleError.response?.data?.message || bundleError.message;
-      return next(new Error(`Bundle.social API Error: ${errorDetails}`));
+      return next(queueError);
     }
 
   } catch (error) {
@@ -479,7 +423,57 @@ const createScheduledPost = async (req, res, next) => {
   }
 };
 
+// Check a post against every platform's rules without creating it (dry run)
+const validatePost = async (req, res, next) => {
+  try {
+    const publishDate = req.body.scheduledFor ? new Date(req.body.scheduledFor) : new Date();
+
+    const prepared = await preparePost(req, publishDate);
+    if (prepared.error) {
+      return sendError(res, prepared.statusCode, prepared.error);
+    }
+    const { asset, platformContents } = prepared;
+
+    const violations = platformConstraintService.validate(platformContents, asset);
+
+    // Posting would also fail for platforms without a connected account
+    const { missingPlatforms } = await findConnectedAccounts(req.user.id, platformContents);
+    missingPlatforms.forEach(name => {
+      violations.push(platformConstraintService.violation(
+        name, 'accountId', 'connected', true, false, `Connect your ${name} account first`
+      ));
+    });
+
+    const valid = violations.length === 0;
+
+    sendSuccess(res, valid ? 'Post meets every platform requirement' : 'Post does not meet platform requirements', {
+      valid,
+      violations,
+      platforms: platformContents.map(p => ({
+        name: p.name,
+        type: postPlatformService.typeOf(p, asset),
+        text: p.text,
+        characters: p.text.length,
+        hashtags: p.hashtags,
+        options: p.options
+      })),
+      media: {
+        version: asset.version,
+        duration: asset.duration,
+        dimensions: asset.dimensions,
+        fileSize: asset.fileSize,
+        mimeType: asset.mimeType
+      },
+      limits: platformConstraintService.describeLimits(platformContents.map(p => p.name))
+    });
+  } catch (error) {
+    logger.error('Validate post error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   createImmediatePost,
-  createScheduledPost
+  createScheduledPost,
+  validatePost
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ const Post = require('../models/Post');
 const Video = require('../models/Video');
 const SocialAccount = require('../models/SocialAccount');
 const bundleSocialService = require('../services/bundleSocialService');
+const postStatusSync = require('../services/postStatusSync');
 const emailService = require('../services/emailService');
 const { 
   sendSuccess, 
@@ -116,91 +117,7 @@ const getPost = async (req, res, next) => {
         const bundlePost = await bundleSocialService.getPost(post.bundlePostId);
         
         // Update post status and details from Bundle.social
-        let wasUpdated = false;
-        
-        // Update status
-        const newStatus = bundlePost.status.toLowerCase();
-        if (post.bundleStatus !== newStatus) {
-          post.bundleStatus = newStatus;
-          wasUpdated = true;
-        }
-
-        // Update published date if post is now posted
-        if (bundlePost.status === 'POSTED' && bundlePost.postedDate && !post.publishedAt) {
-          post.publishedAt = new Date(bundlePost.postedDate);
-          wasUpdated = true;
-        }
-
-        // Update individual platform statuses based on Bundle.social status
-        if (bundlePost.status === 'POSTED') {
-          post.platforms.forEach(platform => {
-            if (platform.status !== 'published') {
-              platform.status = 'published';
-              platform.publishedAt = post.publishedAt || new Date(bundlePost.postedDate);
-              // Set platform post ID if available in external data
-              if (bundlePost.externalData && bundlePost.externalData[platform.name.toUpperCase()]) {
-                platform.postId = bundlePost.externalData[platform.name.toUpperCase()].id;
-              }
-              wasUpdated = true;
-            }
-          });
-        } else if (bundlePost.status === 'ERROR') {
-          post.platforms.forEach(platform => {
-            if (platform.status !== 'failed') {
-              platform.status = 'failed';
-              // Set platform-specific error message if available
-              if (bundlePost.errors && bundlePost.errors[platform.name.toUpperCase()]) {
-                platform.errorMessage = bundlePost.errors[platform.name.toUpperCase()];
-              }
-              wasUpdated = true;
-            }
-          });
-        } else if (bundlePost.status === 'SCHEDULED') {
-          post.platforms.forEach(platform => {
-            if (platform.status !== 'scheduled') {
-              platform.status = 'scheduled';
-              wasUpdated = true;
-            }
-          });
-        }
-
-        // Update error information
-        if (bundlePost.error && post.bundleError !== bundlePost.error) {
-          post.bundleError = bundlePost.error;
-          wasUpdated = true;
-        }
-
-        // Update platform-specific errors
-        if (bundlePost.errors) {
-          if (!post.bundleErrors) {
-            post.bundleErrors = new Map();
-          }
-          
-          for (const [platform, error] of Object.entries(bundlePost.errors)) {
-            if (post.bundleErrors.get(platform) !== error) {
-              post.bundleErrors.set(platform, error);
-              wasUpdated = true;
-            }
-          }
-        }
-
-        // Update external data (platform post IDs and permalinks)
-        if (bundlePost.externalData) {
-          if (!post.bundleExternalData) {
-            post.bundleExternalData = new Map();
-          }
-          
-          for (const [platform, data] of Object.entries(bundlePost.externalData)) {
-            const currentData = post.bundleExternalData.get(platform);
-            if (!currentData || currentData.id !== data.id || currentData.permalink !== data.permalink) {
-              post.bundleExternalData.set(platform, {
-                id: data.id,
-                permalink: data.permalink
-              });
-              wasUpdated = true;
-            }
-          }
-        }
+        let wasUpdated = postStatusSync.apply(post, bundlePost);
         
         // Get latest analytics
         try {
@@ -537,93 +454,7 @@ const syncPostStatus = async (req, res, next) => {
     
     // Store old status for comparison
     const oldStatus = post.bundleStatus;
-    let wasUpdated = false;
-    
-    // Update status
-    const newStatus = bundlePost.status.toLowerCase();
-    if (post.bundleStatus !== newStatus) {
-      post.bundleStatus = newStatus;
-      wasUpdated = true;
-    }
-
-    // Update published date if post is now posted
-    if (bundlePost.status === 'POSTED' && bundlePost.postedDate && !post.publishedAt) {
-      post.publishedAt = new Date(bundlePost.postedDate);
-      wasUpdated = true;
-    }
-
-    // Update individual platform statuses based on Bundle.social status
-    if (bundlePost.status === 'POSTED') {
-      post.platforms.forEach(platform => {
-        if (platform.status !== 'published') {
-          platform.status = 'published';
-          platform.publishedAt = post.publishedAt || new Date(bundlePost.postedDate);
-          // Set platform post ID if available in external data
-          if (bundlePost.externalData && bundlePost.externalData[platform.name.toUpperCase()]) {
-            platform.postId = bundlePost.externalData[platform.name.toUpperCase()].id;
-          }
-          wasUpdated = true;
-        }
-      });
-    } else if (bundlePost.status === 'ERROR') {
-      post.platforms.forEach(platform => {
-        if (platform.status !== 'failed') {
-          platform.status = 'failed';
-          // Set platform-specific error message if available
-          if (bundlePost.errors && bundlePost.errors[platform.name.toUpperCase()]) {
-            platform.errorMessage = bundlePost.errors[platform.name.toUpperCase()];
-          }
-          wasUpdated = true;
-        }
-      });
-    } else if (bundlePost.status === 'SCHEDULED') {
-      post.platforms.forEach(platform => {
-        if (platform.status !== 'scheduled') {
-          platform.status = 'scheduled';
-          wasUpdated = true;
-        }
-      });
-    }
-
-    // Update error information - normalize null/undefined comparison
-    const normalizedBundleError = bundlePost.error || null;
-    const normalizedPostError = post.bundleError || null;
-    if (normalizedBundleError !== normalizedPostError) {
-      post.bundleError = bundlePost.error;
-      wasUpdated = true;
-    }
-
-    // Update platform-specific errors
-    if (bundlePost.errors) {
-      if (!post.bundleErrors) {
-        post.bundleErrors = new Map();
-      }
-      
-      for (const [platform, error] of Object.entries(bundlePost.errors)) {
-        if (post.bundleErrors.get(platform) !== error) {
-          post.bundleErrors.set(platform, error);
-          wasUpdated = true;
-        }
-      }
-    }
-
-    // Update external data
-    if (bundlePost.externalData) {
-      if (!post.bundleExternalData) {
-        post.bundleExternalData = new Map();
-      }
-      
-      for (const [platform, data] of Object.entries(bundlePost.externalData)) {
-        const currentData = post.bundleExternalData.get(platform);
-        if (!currentData || currentData.id !== data.id || currentData.permalink !== data.permalink) {
-          post.bundleExternalData.set(platform, {
-            id: data.id,
-            permalink: data.permalink
-          });
-          wasUpdated = true;
-        }
-      }
-    }
+    const wasUpdated = postStatusSync.apply(post, bundlePost);
     
     if (wasUpdated) {
       await post.save();
@@ -0,0 +1,209 @@
+const PostTemplate = require('../models/PostTemplate');
+const Video = require('../models/Video');
+const postTemplateService = require('../services/postTemplateService');
+const { normalizeHashtag } = require('../utils/brandVoice');
+const {
+  sendSuccess,
+  sendCreated,
+  sendBadRequest,
+  sendNotFound,
+  sendConflict
+} = require('../utils/response');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'caption',
+  'hashtags',
+  'platforms',
+  'settings',
+  'platformOptions'
+];
+
+// Copy editable fields from the request body, storing hashtags without the leading #
+const pickTemplateFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  if (fields.hashtags) {
+    fields.hashtags = [...new Set(fields.hashtags.map(normalizeHashtag).filter(Boolean))];
+  }
+
+  return fields;
+};
+
+const nameTaken = async (userId, name, excludeId = null) => {
+  const filter = { user: userId, name };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  return !!(await PostTemplate.exists(filter));
+};
+
+// Message for caption snippets with variables that do not exist, or null
+const unknownVariablesMessage = (caption) => {
+  const unknown = postTemplateService.findUnknownVariables(caption);
+  if (unknown.length === 0) {
+    return null;
+  }
+
+  const available = postTemplateService.listVariables().map(variable => variable.placeholder).join(', ');
+  return `Unknown caption variables: ${unknown.map(name => `{{${name}}}`).join(', ')}. Available: ${available}`;
+};
+
+// List the user's post templates (most used first) and the caption variables
+const getPostTemplates = async (req, res, next) => {
+  try {
+    const templates = await PostTemplate.find({ user: req.user.id })
+      .sort({ usageCount: -1, name: 1 });
+
+    sendSuccess(res, 'Post templates retrieved successfully', {
+      templates,
+      variables: postTemplateService.listVariables()
+    });
+  } catch (error) {
+    logger.error('Get post templates error:', error);
+    next(error);
+  }
+};
+
+// Get a single post template
+const getPostTemplate = async (req, res, next) => {
+  try {
+    const template = await PostTemplate.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!template) {
+      return sendNotFound(res, 'Post template not found');
+    }
+
+    sendSuccess(res, 'Post template retrieved successfully', { template });
+  } catch (error) {
+    logger.error('Get post template error:', error);
+    next(error);
+  }
+};
+
+// Create a post template
+const createPostTemplate = async (req, res, next) => {
+  try {
+    const count = await PostTemplate.countDocuments({ user: req.user.id });
+    if (count >= postTemplateService.maxPerUser) {
+      return sendBadRequest(res, `You can save up to ${postTemplateService.maxPerUser} post templates`);
+    }
+
+    const fields = pickTemplateFields(req.body);
+
+    const variablesError = unknownVariablesMessage(fields.caption);
+    if (variablesError) {
+      return sendBadRequest(res, variablesError);
+    }
+
+    if (await nameTaken(req.user.id, fields.name)) {
+      return sendConflict(res, 'A post template with this name already exists');
+    }
+
+    const template = await PostTemplate.create({
+      ...fields,
+      user: req.user.id
+    });
+
+    logger.info('Post template created:', { templateId: template._id, userId: req.user.id });
+
+    sendCreated(res, 'Post template created successfully', { template });
+  } catch (error) {
+    logger.error('Create post template error:', error);
+    next(error);
+  }
+};
+
+// Update a post template
+const updatePostTemplate = async (req, res, next) => {
+  try {
+    const template = await PostTemplate.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!template) {
+      return sendNotFound(res, 'Post template not found');
+    }
+
+    const fields = pickTemplateFields(req.body);
+
+    const variablesError = unknownVariablesMessage(fields.caption);
+    if (variablesError) {
+      return sendBadRequest(res, variablesError);
+    }
+
+    if (fields.name && await nameTaken(req.user.id, fields.name, template._id)) {
+      return sendConflict(res, 'A post template with this name already exists');
+    }
+
+    Object.assign(template, fields);
+    await template.save();
+
+    logger.info('Post template updated:', { templateId: template._id, userId: req.user.id });
+
+    sendSuccess(res, 'Post template updated successfully', { template });
+  } catch (error) {
+    logger.error('Update post template error:', error);
+    next(error);
+  }
+};
+
+// Delete a post template
+const deletePostTemplate = async (req, res, next) => {
+  try {
+    const template = await PostTemplate.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!template) {
+      return sendNotFound(res, 'Post template not found');
+    }
+
+    logger.info('Post template deleted:', { templateId: template._id, userId: req.user.id });
+
+    sendSuccess(res, 'Post template deleted successfully');
+  } catch (error) {
+    logger.error('Delete post template error:', error);
+    next(error);
+  }
+};
+
+// Fill in a template's caption for a video and publish date, without creating a post
+const previewPostTemplate = async (req, res, next) => {
+  try {
+    const template = await postTemplateService.findForUser(req.user.id, req.params.id);
+
+    let video = null;
+    if (req.body.videoId) {
+      video = await Video.findOne({ _id: req.body.videoId, user: req.user.id }).select('title description');
+      if (!video) {
+        return sendNotFound(res, 'Video not found');
+      }
+    }
+
+    const date = req.body.scheduledFor ? new Date(req.body.scheduledFor) : new Date();
+
+    sendSuccess(res, 'Post template preview generated successfully', {
+      caption: postTemplateService.renderCaption(template.caption, { video, user: req.user, date }),
+      hashtags: template.hashtags || [],
+      platforms: template.platforms || [],
+      settings: template.settings || {},
+      platformOptions: template.platformOptions || {}
+    });
+  } catch (error) {
+    logger.error('Preview post template error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPostTemplates,
+  getPostTemplate,
+  createPostTemplate,
+  updatePostTemplate,
+  deletePostTemplate,
+  previewPostTemplate
+};
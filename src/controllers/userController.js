@@ -1,6 +1,10 @@
 const User = require('../models/User');
+const aiUsageService = require('../services/aiUsageService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
 const { 
   sendSuccess, 
+  sendResponse,
   sendBadRequest, 
   sendNotFound,
   getPaginationMeta 
@@ -188,7 +192,7 @@ const deleteAccount = async (req, res, next) => {
   try {
     const { password } = req.body;
 
-    // Get user with password and populate related data
+    // Get user with password
     const user = await User.findById(req.user.id).select('+password');
 
     if (!user) {
@@ -207,85 +211,78 @@ const deleteAccount = async (req, res, next) => {
       }
     }
 
-    const userId = user._id;
-    const bundleTeamId = user.bundleTeamId;
+    // The account is purged after the grace period unless it is restored from the emailed link
+    const scheduledFor = await accountDeletionService.scheduleDeletion(user);
 
-    logger.info('Starting account deletion process:', { 
-      userId, 
-      bundleTeamId,
-      loginType: user.loginType 
+    sendSuccess(res, 'Account scheduled for deletion. We emailed you a link to restore it before then.', {
+      scheduledFor,
+      gracePeriodDays: accountDeletionService.gracePeriodDays
     });
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    next(error);
+  }
+};
 
-    // Start deletion process with database transaction for data consistency
-    const session = await User.startSession();
-    
-    try {
-      await session.withTransaction(async () => {
-        // 1. Get counts for logging before deletion
-        const Video = require('../models/Video');
-        const Post = require('../models/Post');
-        const SocialAccount = require('../models/SocialAccount');
-        
-        const videoCount = await Video.countDocuments({ user: userId }).session(session);
-        const postCount = await Post.countDocuments({ user: userId }).session(session);
-        const socialAccountCount = await SocialAccount.countDocuments({ user: userId }).session(session);
-
-        // 2. Delete all user's videos from database
-        // Note: Bundle.social uploads will be deleted automatically when team is deleted
-        await Video.deleteMany({ user: userId }).session(session);
-        logger.info('Deleted user videos from database:', { userId, count: videoCount });
-
-        // 3. Delete all user's posts from database  
-        // Note: Bundle.social posts will be deleted automatically when team is deleted
-        await Post.deleteMany({ user: userId }).session(session);
-        logger.info('Deleted user posts from database:', { userId, count: postCount });
-
-        // 4. Delete all social accounts from database
-        // Note: Bundle.social social accounts will be disconnected automatically when team is deleted
-        await SocialAccount.deleteMany({ user: userId }).session(session);
-        logger.info('Deleted social accounts from database:', { userId, count: socialAccountCount });
-
-        // 5. Delete the user
-        await User.findByIdAndDelete(userId).session(session);
-        logger.info('Deleted user record:', { userId });
-      });
-
-      // 6. Delete Bundle.social team (outside transaction as it's external API)
-      // This will automatically delete all related data: uploads, posts, social accounts
-      if (bundleTeamId) {
-        try {
-          const bundleSocialService = require('../services/bundleSocialService');
-          await bundleSocialService.deleteTeam(bundleTeamId);
-          logger.info('Deleted Bundle.social team and all related data:', { 
-            bundleTeamId, 
-            userId,
-            note: 'This automatically deleted all uploads, posts, and social account connections'
-          });
-        } catch (error) {
-          logger.error('Failed to delete Bundle.social team:', { 
-            bundleTeamId, 
-            userId, 
-            error: error.message 
-          });
-          // Don't fail the entire operation if Bundle.social deletion fails
-        }
-      }
+// Request a copy of the user's personal data (built in the background, link sent by email)
+const requestDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.requestExport(req.user.id);
+
+    sendResponse(res, 202, 'success', 'Data export requested. You will receive an email with a download link when it is ready.', {
+      dataExport
+    });
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    next(error);
+  }
+};
+
+// Recent data exports and their status
+const getDataExports = async (req, res, next) => {
+  try {
+    const dataExports = await dataExportService.listExports(req.user.id);
 
-      logger.info('Account deletion completed successfully:', { userId });
-      sendSuccess(res, 'Account and all related data deleted successfully');
-
-    } catch (transactionError) {
-      logger.error('Database transaction failed during account deletion:', {
-        userId,
-        error: transactionError.message
-      });
-      throw transactionError;
-    } finally {
-      await session.endSession();
+    sendSuccess(res, 'Data exports retrieved successfully', { dataExports });
+  } catch (error) {
+    logger.error('Get data exports error:', error);
+    next(error);
+  }
+};
+
+// Send an export archive as a file download
+const sendDataExportFile = async (res, dataExport) => {
+  await dataExportService.recordDownload(dataExport);
+
+  res.set('Cache-Control', 'no-store');
+  res.download(dataExport.filePath, dataExport.fileName, (error) => {
+    if (error && !res.headersSent) {
+      logger.error('Data export download failed:', { exportId: dataExport._id, error: error.message });
+      sendNotFound(res, 'Data export file not found');
     }
+  });
+};
+
+// Download one of the signed-in user's exports
+const downloadDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getOwnDownload(req.user.id, req.params.id);
 
+    await sendDataExportFile(res, dataExport);
   } catch (error) {
-    logger.error('Delete account error:', error);
+    logger.error('Download data export error:', error);
+    next(error);
+  }
+};
+
+// Download an export through the emailed, time-limited link
+const downloadDataExportByToken = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getDownloadByToken(req.query.token);
+
+    await sendDataExportFile(res, dataExport);
+  } catch (error) {
+    logger.error('Download data export by link error:', error);
     next(error);
   }
 };
@@ -293,7 +290,8 @@ const deleteAccount = async (req, res, next) => {
 // Get user statistics
 const getUserStats = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    // Aggregation pipelines don't cast ids, so match on the ObjectId
+    const userId = req.user._id;
 
     // Get user with related data
     const userWithStats = await User.aggregate([
@@ -347,6 +345,7 @@ const getUserStats = async (req, res, next) => {
     }
 
     const stats = userWithStats[0];
+    stats.aiUsage = await aiUsageService.getUsage(userId);
 
     sendSuccess(res, 'User statistics retrieved', { stats });
   } catch (error) {
@@ -384,6 +383,10 @@ module.exports = {
   updatePreferences,
   uploadProfilePicture,
   deleteAccount,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  downloadDataExportByToken,
   getUserStats,
   getAllUsers
 };
\ No newline at end of file
@@ -1,11 +1,17 @@
 const Video = require('../models/Video');
+const CaptionVersion = require('../models/CaptionVersion');
 const bundleSocialService = require('../services/bundleSocialService');
-const aiService = require('../services/aiService');
+const aiProviderRouter = require('../services/aiProviderRouter');
+const captionVersionService = require('../services/captionVersionService');
+const brandVoiceService = require('../services/brandVoiceService');
+const videoRenderer = require('../services/videoRenderer');
 const { 
+  sendResponse,
   sendSuccess, 
   sendCreated, 
   sendBadRequest, 
   sendNotFound,
+  sendConflict,
   getPaginationMeta 
 } = require('../utils/response');
 const { formatFileSize, formatDuration } = require('../utils/helpers');
@@ -258,6 +264,16 @@ const deleteVideo = async (req, res, next) => {
       }
     }
 
+    // Delete the rendered version from Bundle.social as well
+    if (video.render?.bundleUploadId) {
+      try {
+        await bundleSocialService.deleteUpload(video.render.bundleUploadId);
+        logger.info('Rendered video deleted from Bundle.social:', { bundleUploadId: video.render.bundleUploadId });
+      } catch (bundleError) {
+        logger.warn('Failed to delete rendered video from Bundle.social:', bundleError.message);
+      }
+    }
+
     // Delete local file only if it was stored locally (legacy videos)
     if (video.storageType === 'local' && video.filePath) {
       const fs = require('fs');
@@ -272,6 +288,7 @@ const deleteVideo = async (req, res, next) => {
     }
 
     await Video.findByIdAndDelete(req.params.id);
+    await CaptionVersion.deleteMany({ video: req.params.id });
 
     // Remove video ID from user's videos array
     const User = require('../models/User');
@@ -296,7 +313,71 @@ const deleteVideo = async (req, res, next) => {
   }
 };
 
-// Generate AI caption for video using Gemini
+// Queue a server-side render of the video's edits
+const renderVideo = async (req, res, next) => {
+  try {
+    const video = await Video.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!video) {
+      return sendNotFound(res, 'Video not found');
+    }
+
+    if (!videoRenderer.hasEdits(video.edits)) {
+      return sendBadRequest(res, 'Video has no edits to render');
+    }
+
+    if (['queued', 'rendering'].includes(video.render?.state)) {
+      return sendConflict(res, 'A render of this video is already in progress');
+    }
+
+    if (videoRenderer.isRenderCurrent(video) && !req.body.force) {
+      return sendSuccess(res, 'Video is already rendered with its current edits', {
+        status: video.status,
+        render: video.render,
+        isCurrent: true
+      });
+    }
+
+    await videoRenderer.requestRender(video);
+
+    sendResponse(res, 202, 'success', 'Video render queued', {
+      status: video.status,
+      render: video.render,
+      isCurrent: false
+    });
+  } catch (error) {
+    logger.error('Render video error:', error);
+    next(error);
+  }
+};
+
+// Get render progress for a video
+const getRenderStatus = async (req, res, next) => {
+  try {
+    const video = await Video.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('status edits render');
+
+    if (!video) {
+      return sendNotFound(res, 'Video not found');
+    }
+
+    sendSuccess(res, 'Render status retrieved successfully', {
+      status: video.status,
+      render: video.render || null,
+      isCurrent: videoRenderer.isRenderCurrent(video)
+    });
+  } catch (error) {
+    logger.error('Get render status error:', error);
+    next(error);
+  }
+};
+
+// Generate AI caption for video
 const generateAICaption = async (req, res, next) => {
   try {
     const video = await Video.findOne({
@@ -308,30 +389,41 @@ const generateAICaption = async (req, res, next) => {
       return sendNotFound(res, 'Video not found');
     }
 
-    const falAiService = require('../services/falAiService');
-    
+    const brandVoice = await brandVoiceService.resolveForGeneration(req.user.id, req.body.brandVoiceId);
+
     const options = {
       prompt: req.body.prompt,
-      tone: req.body.tone || 'casual',
+      tone: req.body.tone || (brandVoice && brandVoice.tone) || 'casual',
       includeHashtags: req.body.includeHashtags !== false,
       maxLength: req.body.maxLength || 300,
-      platform: req.body.platform || 'general'
+      platform: req.body.platform || 'general',
+      brandVoice
     };
 
-    const aiCaption = await falAiService.generateCaption(video, options);
+    const aiCaption = await aiProviderRouter.generateCaption(video, options, { userId: req.user.id });
+
+    const version = await captionVersionService.recordVersion(video, aiCaption, options, {
+      userId: req.user.id,
+      source: 'video_ai_caption'
+    });
 
     // Update video with AI generated content
     video.aiGeneratedCaption = aiCaption.caption;
     video.aiGeneratedHashtags = aiCaption.hashtags;
+    video.activeCaptionVersion = version._id;
     await video.save();
 
-    logger.info('AI caption generated with Fal.ai:', { videoId: video._id, userId: req.user.id });
+    logger.info('AI caption generated:', { videoId: video._id, userId: req.user.id, provider: aiCaption.provider });
 
     sendSuccess(res, 'AI caption generated successfully', {
       caption: aiCaption.caption,
       hashtags: aiCaption.hashtags,
       fullText: aiCaption.fullText,
-      model: aiCaption.model
+      model: aiCaption.model,
+      provider: aiCaption.provider,
+      brandVoice: aiCaption.brandVoice || null,
+      captionVersionId: version._id,
+      version: version.version
     });
   } catch (error) {
     logger.error('Generate AI caption error:', error);
@@ -550,6 +642,8 @@ module.exports = {
   getVideo,
   updateVideo,
   deleteVideo,
+  renderVideo,
+  getRenderStatus,
   generateAICaption,
   getVideoAnalytics,
   getAllUploads
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const bundleWebhookService = require('../services/bundleWebhookService');
+const configService = require('../services/configService');
+const { sendSuccess, sendError } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Headers kept from a refused delivery, each cut to MAX_HEADER_LENGTH
+const RECORDED_HEADERS = [
+  'content-type',
+  'content-length',
+  'user-agent',
+  'x-bundle-event-id',
+  'x-bundle-timestamp',
+  'x-bundle-signature'
+];
+const MAX_HEADER_LENGTH = 256;
+
+const truncate = (value) => (value === undefined ? undefined : String(value).slice(0, MAX_HEADER_LENGTH));
+
+// Record a delivery we refused, without letting logging failures mask the response.
+// The body is unverified, so only its size and hash are stored, not its content.
+const recordRejectedDelivery = async (req, reason, signatureValid = false) => {
+  const rawBody = req.rawBody || '';
+
+  try {
+    await WebhookDelivery.create({
+      provider: 'bundle_social',
+      eventId: signatureValid ? truncate(req.body?.id || req.get('x-bundle-event-id')) : undefined,
+      eventType: signatureValid ? truncate(req.body?.type) : undefined,
+      status: 'rejected',
+      signatureValid,
+      payload: {
+        headers: Object.fromEntries(
+          RECORDED_HEADERS.filter(name => req.get(name) !== undefined).map(name => [name, truncate(req.get(name))])
+        ),
+        bodySize: Buffer.byteLength(rawBody),
+        bodySha256: crypto.createHash('sha256').update(rawBody).digest('hex')
+      },
+      error: reason,
+      ipAddress: req.ip,
+      userAgent: truncate(req.get('User-Agent')),
+      processedAt: new Date()
+    });
+  } catch (logError) {
+    logger.error('Failed to record rejected webhook delivery:', logError.message);
+  }
+};
+
+// Receive Bundle.social post/upload status events
+const handleBundleSocialWebhook = async (req, res, next) => {
+  let delivery = null;
+
+  try {
+    const { webhookSecret } = await configService.getBundleSocialConfig();
+
+    if (!webhookSecret) {
+      logger.error('Bundle.social webhook received but no webhook secret is configured');
+      await recordRejectedDelivery(req, 'Webhook secret not configured');
+      return sendError(res, 503, 'Webhook receiver is not configured');
+    }
+
+    const verification = bundleWebhookService.verifySignature(req.rawBody, req.headers, webhookSecret);
+    if (!verification.valid) {
+      logger.warn('Rejected Bundle.social webhook:', { reason: verification.reason, ip: req.ip });
+      await recordRejectedDelivery(req, verification.reason);
+      return sendError(res, 401, 'Invalid webhook signature');
+    }
+
+    const eventId = req.body?.id || req.get('x-bundle-event-id');
+    if (!eventId || !req.body?.type) {
+      await recordRejectedDelivery(req, 'Missing event id or type', true);
+      return sendError(res, 400, 'Webhook event id and type are required');
+    }
+
+    // Claim the event id - a replay collides with the unique dedupe key
+    try {
+      delivery = await WebhookDelivery.create({
+        provider: 'bundle_social',
+        eventId,
+        eventType: req.body.type,
+        dedupeKey: `bundle_social:${eventId}`,
+        status: 'processing',
+        signatureValid: true,
+        payload: req.body,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      await WebhookDelivery.create({
+        provider: 'bundle_social',
+        eventId,
+        eventType: req.body.type,
+        status: 'duplicate',
+        signatureValid: true,
+        payload: req.body,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        processedAt: new Date()
+      });
+
+      logger.info('Ignored duplicate Bundle.social webhook:', { eventId, eventType: req.body.type });
+      return sendSuccess(res, 'Duplicate event ignored', { eventId, duplicate: true });
+    }
+
+    const result = await bundleWebhookService.handleEvent(req.body);
+
+    delivery.status = result.status;
+    delivery.changed = result.changed;
+    delivery.post = result.post?._id;
+    delivery.video = result.video?._id;
+    delivery.error = result.reason || undefined;
+    delivery.processedAt = new Date();
+    await delivery.save();
+
+    sendSuccess(res, 'Webhook processed successfully', {
+      eventId,
+      status: result.status,
+      changed: result.changed
+    });
+  } catch (error) {
+    logger.error('Bundle.social webhook processing error:', error);
+
+    if (delivery) {
+      // Release the dedupe key so Bundle.social's retry of this event is processed
+      try {
+        await WebhookDelivery.updateOne(
+          { _id: delivery._id },
+          {
+            $set: { status: 'failed', error: error.message, processedAt: new Date() },
+            $unset: { dedupeKey: 1 }
+          }
+        );
+      } catch (logError) {
+        logger.error('Failed to record webhook delivery failure:', logError.message);
+      }
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  handleBundleSocialWebhook
+};
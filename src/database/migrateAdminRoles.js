@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const AdminUser = require('../models/AdminUser');
+const AdminRole = require('../models/AdminRole');
+const { SYSTEM_ADMIN_ROLES, isValidPermission } = require('../config/adminPermissions');
+
+// Load environment variables
+dotenv.config();
+
+// What each of the old per-admin permissions allowed, in the new permission model
+const LEGACY_PERMISSIONS = {
+  users: ['users:read', 'users:write', 'notifications:read'],
+  media: ['media:read', 'media:write'],
+  videos: ['videos:read'],
+  posts: ['posts:read', 'posts:write'],
+  analytics: ['analytics:read'],
+  settings: ['settings:read', 'legal:read', 'faq:read'],
+  socialaccounts: []
+};
+
+/**
+ * Move admins to roles with fine-grained permissions
+ * Stores the built-in roles and converts the old per-admin permissions ("users", "media", ...)
+ * into "<resource>:<action>" permissions. Safe to run more than once.
+ */
+const migrateAdminRoles = async () => {
+  try {
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.DATABASE_URI);
+    console.log('✅ MongoDB Connected');
+
+    // Built-in roles keep any permissions that were already edited
+    for (const [name, definition] of Object.entries(SYSTEM_ADMIN_ROLES)) {
+      const result = await AdminRole.updateOne(
+        { name },
+        { $setOnInsert: { name, ...definition, isSystem: true } },
+        { upsert: true }
+      );
+      console.log(result.upsertedCount ? `✅ Created role: ${name}` : `⏭️  Role already exists: ${name}`);
+    }
+    await AdminRole.syncIndexes();
+
+    // The old values no longer pass schema validation, so read and update the collection directly
+    const admins = await AdminUser.collection
+      .find({ permissions: { $exists: true, $ne: [] } }, { projection: { email: 1, role: 1, permissions: 1 } })
+      .toArray();
+
+    let converted = 0;
+    for (const admin of admins) {
+      const permissions = new Set();
+      for (const permission of admin.permissions) {
+        if (isValidPermission(permission)) {
+          permissions.add(permission);
+        } else if (LEGACY_PERMISSIONS[permission]) {
+          LEGACY_PERMISSIONS[permission].forEach(mapped => permissions.add(mapped));
+        } else {
+          console.log(`⚠️  Dropping unknown permission "${permission}" of ${admin.email}`);
+        }
+      }
+
+      // Superadmins already have everything through their role
+      const migrated = admin.role === 'superadmin' ? [] : [...permissions];
+
+      if (migrated.length !== admin.permissions.length ||
+          migrated.some((permission, index) => permission !== admin.permissions[index])) {
+        await AdminUser.collection.updateOne({ _id: admin._id }, { $set: { permissions: migrated } });
+        converted++;
+      }
+    }
+    console.log(`✅ Converted permissions of ${converted} admins`);
+
+    const unknownRoles = await AdminUser.collection.distinct('role', {
+      role: { $nin: Object.keys(SYSTEM_ADMIN_ROLES).concat(await AdminRole.distinct('name')) }
+    });
+    if (unknownRoles.length > 0) {
+      console.log(`⚠️  Admins with roles that do not exist: ${unknownRoles.join(', ')}`);
+    }
+
+    console.log('');
+    console.log('🎉 Admin roles are ready!');
+  } catch (error) {
+    console.error('❌ Error migrating admin roles:', error.message);
+    process.exit(1);
+  } finally {
+    console.log('📪 Closing MongoDB connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateAdminRoles();
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const AdminUser = require('../models/AdminUser');
+const AuthSession = require('../models/AuthSession');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Move authentication to device sessions
+ * Removes the single refresh token stored on users and admins (those tokens carry no session
+ * ID and are no longer accepted, so everyone signs in once more) and creates the session indexes.
+ * Safe to run more than once.
+ */
+const migrateAuthSessions = async () => {
+  try {
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.DATABASE_URI);
+    console.log('✅ MongoDB Connected');
+
+    // The fields are no longer in the schemas, so update the collections directly
+    const legacyFilter = {
+      $or: [{ refreshToken: { $exists: true } }, { refreshTokenExpires: { $exists: true } }]
+    };
+    const legacyUnset = { $unset: { refreshToken: 1, refreshTokenExpires: 1 } };
+
+    const users = await User.collection.updateMany(legacyFilter, legacyUnset);
+    console.log(`✅ Removed stored refresh tokens from ${users.modifiedCount} users`);
+
+    const admins = await AdminUser.collection.updateMany(legacyFilter, legacyUnset);
+    console.log(`✅ Removed stored refresh tokens from ${admins.modifiedCount} admins`);
+
+    await AuthSession.syncIndexes();
+    console.log('✅ Session indexes created');
+
+    console.log('');
+    console.log('🎉 Device sessions are ready!');
+  } catch (error) {
+    console.error('❌ Error migrating to device sessions:', error.message);
+    process.exit(1);
+  } finally {
+    console.log('📪 Closing MongoDB connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateAuthSessions();
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const LegalContent = require('../models/LegalContent');
+const FaqCategory = require('../models/FaqCategory');
+const FaqEntry = require('../models/FaqEntry');
+
+// Load environment variables
+dotenv.config();
+
+const stripTags = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Import the FAQ legal document into structured FAQ entries
+ * Each <h2> question and the HTML up to the next <h2> become one entry in a "General"
+ * category, per locale. Skips locales that already have FAQ entries, so it is safe to re-run.
+ */
+const migrateFaqContent = async () => {
+  try {
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.DATABASE_URI);
+    console.log('✅ MongoDB Connected');
+
+    const documents = await LegalContent.find({ type: 'faq' });
+    if (documents.length === 0) {
+      console.log('ℹ️  No FAQ legal content found, nothing to import');
+      return;
+    }
+
+    let category = await FaqCategory.findOne({ slug: 'general' });
+    if (!category) {
+      category = await FaqCategory.create({ name: 'General', slug: 'general', order: 0 });
+      console.log('✅ Created "General" FAQ category');
+    }
+
+    for (const document of documents) {
+      if (await FaqEntry.exists({ locale: document.locale })) {
+        console.log(`⏭️  ${document.locale}: FAQ entries already exist, skipping`);
+        continue;
+      }
+
+      const sections = document.htmlContent.split(/<h2[^>]*>/i).slice(1);
+      const entries = sections
+        .map((section, index) => {
+          const [questionHtml, answerHtml = ''] = section.split(/<\/h2>/i);
+          return {
+            category: category._id,
+            locale: document.locale,
+            question: stripTags(questionHtml),
+            answer: stripTags(answerHtml),
+            answerHtml: answerHtml.trim(),
+            order: index,
+            isPublished: document.isPublished
+          };
+        })
+        .filter(entry => entry.question && entry.answer);
+
+      await FaqEntry.insertMany(entries);
+      console.log(`✅ ${document.locale}: imported ${entries.length} FAQ entries`);
+    }
+
+    console.log('');
+    console.log('🎉 FAQ import finished!');
+  } catch (error) {
+    console.error('❌ Error importing FAQ content:', error.message);
+    process.exit(1);
+  } finally {
+    console.log('📪 Closing MongoDB connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateFaqContent();
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const LegalContent = require('../models/LegalContent');
+const LegalContentVersion = require('../models/LegalContentVersion');
+const { DEFAULT_LOCALE } = require('../utils/locale');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Prepare legal content for per-locale variants
+ * Assigns the default locale to documents and versions saved before locales existed and
+ * replaces the old one-document-per-type unique index with the (type, locale) index.
+ * Safe to run more than once.
+ */
+const migrateLegalLocales = async () => {
+  try {
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.DATABASE_URI);
+    console.log('✅ MongoDB Connected');
+
+    const contents = await LegalContent.updateMany(
+      { locale: { $exists: false } },
+      { $set: { locale: DEFAULT_LOCALE } }
+    );
+    console.log(`✅ Set locale "${DEFAULT_LOCALE}" on ${contents.modifiedCount} legal documents`);
+
+    // Versions are immutable through the model, so update the collection directly
+    const versions = await LegalContentVersion.collection.updateMany(
+      { locale: { $exists: false } },
+      { $set: { locale: DEFAULT_LOCALE } }
+    );
+    console.log(`✅ Set locale "${DEFAULT_LOCALE}" on ${versions.modifiedCount} legal content versions`);
+
+    const droppedContentIndexes = await LegalContent.syncIndexes();
+    const droppedVersionIndexes = await LegalContentVersion.syncIndexes();
+    console.log('✅ Indexes synced, dropped:', [...droppedContentIndexes, ...droppedVersionIndexes].join(', ') || 'none');
+
+    console.log('');
+    console.log('🎉 Legal content is ready for localized variants!');
+  } catch (error) {
+    console.error('❌ Error migrating legal content:', error.message);
+    process.exit(1);
+  } finally {
+    console.log('📪 Closing MongoDB connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateLegalLocales();
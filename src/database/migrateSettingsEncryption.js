@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Settings = require('../models/Settings');
+const settingsHistoryService = require('../services/settingsHistoryService');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Encrypt the secrets already stored in settings
+ * Requires SETTINGS_ENCRYPTION_KEY. New and changed secrets are encrypted when saved; this
+ * script covers the ones saved before encryption was turned on. Safe to run more than once.
+ */
+const migrateSettingsEncryption = async () => {
+  try {
+    if (!process.env.SETTINGS_ENCRYPTION_KEY) {
+      throw new Error('Set SETTINGS_ENCRYPTION_KEY first (e.g. openssl rand -base64 32)');
+    }
+
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.DATABASE_URI);
+    console.log('✅ MongoDB Connected');
+
+    const { encrypted, rewrapped, unchanged } = await Settings.encryptStoredSecrets();
+
+    encrypted.forEach(path => console.log(`🔒 Encrypted ${path}`));
+    rewrapped.forEach(path => console.log(`🔁 Re-wrapped ${path} with the current key`));
+    console.log(`✅ ${encrypted.length} secrets encrypted, ${unchanged.length + rewrapped.length} already encrypted`);
+
+    // Earlier settings versions keep a copy of the secrets too
+    const history = await settingsHistoryService.encryptSnapshotSecrets();
+    console.log(`✅ Encrypted secrets in ${history.updated} settings versions`);
+    if (history.failed > 0) {
+      console.log(`⚠️  ${history.failed} settings versions could not be re-encrypted (see log)`);
+    }
+
+    console.log('');
+    console.log('🎉 Settings secrets are encrypted at rest!');
+  } catch (error) {
+    console.error('❌ Error encrypting settings secrets:', error.message);
+    process.exit(1);
+  } finally {
+    console.log('📪 Closing MongoDB connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateSettingsEncryption();
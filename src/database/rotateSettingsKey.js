@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Settings = require('../models/Settings');
+const settingsHistoryService = require('../services/settingsHistoryService');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Rotate the settings master key
+ * 1. Put the new key in SETTINGS_ENCRYPTION_KEY and the old one in SETTINGS_ENCRYPTION_PREVIOUS_KEYS
+ *    on every instance (both keys can decrypt in the meantime)
+ * 2. Run this script: the data key of every secret is re-wrapped with the new master key
+ * 3. Remove the old key from SETTINGS_ENCRYPTION_PREVIOUS_KEYS
+ * Safe to run more than once.
+ */
+const rotateSettingsKey = async () => {
+  try {
+    if (!process.env.SETTINGS_ENCRYPTION_KEY) {
+      throw new Error('Set the new key in SETTINGS_ENCRYPTION_KEY first');
+    }
+
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.DATABASE_URI);
+    console.log('✅ MongoDB Connected');
+
+    const { encrypted, rewrapped, unchanged } = await Settings.encryptStoredSecrets();
+
+    rewrapped.forEach(path => console.log(`🔁 Re-wrapped ${path}`));
+    encrypted.forEach(path => console.log(`🔒 Encrypted ${path} (was stored in plain text)`));
+    console.log(`✅ ${rewrapped.length} secrets moved to the new key, ${unchanged.length} already used it`);
+
+    // Earlier settings versions keep a copy of the secrets too
+    const history = await settingsHistoryService.encryptSnapshotSecrets();
+    console.log(`✅ Moved ${history.updated} settings versions to the new key`);
+    if (history.failed > 0) {
+      console.log(`⚠️  ${history.failed} settings versions use a key that is not configured; rolling back to them keeps the current secrets`);
+    }
+
+    console.log('');
+    console.log('🎉 Key rotation complete! The old key can be removed from SETTINGS_ENCRYPTION_PREVIOUS_KEYS.');
+  } catch (error) {
+    console.error('❌ Error rotating settings key:', error.message);
+    process.exit(1);
+  } finally {
+    console.log('📪 Closing MongoDB connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+// Run the script
+rotateSettingsKey();
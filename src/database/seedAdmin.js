@@ -36,7 +36,7 @@ const seedAdminUser = async () => {
       email: 'admin@soloai.com',
       password: 'Admin@123456', // CHANGE THIS IN PRODUCTION
       role: 'superadmin',
-      permissions: ['users', 'media', 'videos', 'posts', 'analytics', 'settings', 'socialaccounts'],
+      permissions: [], // The superadmin role already grants everything
       isActive: true
     });
 
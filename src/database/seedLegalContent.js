@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const LegalContent = require('../models/LegalContent');
+const LegalContentVersion = require('../models/LegalContentVersion');
 
 // Load environment variables
 dotenv.config();
@@ -128,7 +129,8 @@ const seedLegalContent = async () => {
 
     // Clear existing legal content
     await LegalContent.deleteMany({});
-    console.log('Cleared existing legal content');
+    await LegalContentVersion.deleteMany({});
+    console.log('Cleared existing legal content and version history');
 
     // Create Privacy Policy
     const privacyPolicy = await LegalContent.create({
@@ -160,6 +162,20 @@ const seedLegalContent = async () => {
     });
     console.log('✓ FAQ created');
 
+    // Version 1 of each document starts the version history
+    await LegalContentVersion.insertMany(
+      [privacyPolicy, termsOfUse, faq].map((doc) => ({
+        type: doc.type,
+        locale: doc.locale,
+        version: doc.version,
+        title: doc.title,
+        content: doc.content,
+        htmlContent: doc.htmlContent,
+        requiresReacceptance: true,
+      }))
+    );
+    console.log('✓ Version history created');
+
     console.log('\n========================================');
     console.log('Legal content seeded successfully!');
     console.log('========================================');
@@ -6,6 +6,8 @@ dotenv.config();
 
 // Import Settings model
 const Settings = require('../models/Settings');
+const { parseEnvInt } = require('../utils/helpers');
+const settingsHistoryService = require('../services/settingsHistoryService');
 
 // Colors for console output
 const colors = {
@@ -97,7 +99,8 @@ const seedSettings = async () => {
         falApiKey: process.env.FAL_API_KEY || '',
         falModel: process.env.FAL_MODEL || 'fal-ai/flux/dev',
         bundleSocialApiKey: process.env.BUNDLE_SOCIAL_API_KEY || '',
-        bundleSocialOrgId: process.env.BUNDLE_SOCIAL_ORG_ID || ''
+        bundleSocialOrgId: process.env.BUNDLE_SOCIAL_ORG_ID || '',
+        bundleSocialWebhookSecret: process.env.BUNDLE_SOCIAL_WEBHOOK_SECRET || ''
       },
 
       // Reddit API Configuration
@@ -136,6 +139,40 @@ const seedSettings = async () => {
         socialMediaIntegrationEnabled: true,
         aiAssistantEnabled: true,
         adminPanelEnabled: true
+      },
+
+      // AI Provider Routing
+      ai: {
+        providerOrder: (process.env.AI_PROVIDER_ORDER || 'fal,gemini,perplexity,openai')
+          .split(',')
+          .map(provider => provider.trim())
+          .filter(Boolean),
+        failoverEnabled: true,
+        rateLimitCooldownSeconds: parseInt(process.env.AI_RATE_LIMIT_COOLDOWN) || 60,
+        dailyRequestLimit: parseEnvInt(process.env.AI_DAILY_REQUEST_LIMIT, 50),
+        monthlyRequestLimit: parseEnvInt(process.env.AI_MONTHLY_REQUEST_LIMIT, 500),
+        dailyTokenLimit: parseEnvInt(process.env.AI_DAILY_TOKEN_LIMIT, 0),
+        monthlyTokenLimit: parseEnvInt(process.env.AI_MONTHLY_TOKEN_LIMIT, 0)
+      },
+
+      // Google / Apple Sign-In
+      socialAuth: {
+        googleClientIds: (process.env.GOOGLE_CLIENT_IDS || '')
+          .split(',')
+          .map(clientId => clientId.trim())
+          .filter(Boolean),
+        appleClientIds: (process.env.APPLE_CLIENT_IDS || '')
+          .split(',')
+          .map(clientId => clientId.trim())
+          .filter(Boolean)
+      },
+
+      // Admin Panel Security
+      adminSecurity: {
+        twoFactorRequiredRoles: (process.env.ADMIN_2FA_REQUIRED_ROLES || '')
+          .split(',')
+          .map(role => role.trim())
+          .filter(Boolean)
       }
     };
 
@@ -194,6 +231,7 @@ const seedSettings = async () => {
     if (existingSettings) {
       log.warning('Settings document already exists!');
       log.info('Updating existing settings...');
+      await settingsHistoryService.ensureBaselineRecorded();
       
       // Update existing settings
       Object.keys(settingsData).forEach(key => {
@@ -217,6 +255,11 @@ const seedSettings = async () => {
       log.success('Settings created successfully!');
     }
 
+    const version = await settingsHistoryService.recordVersion({ source: 'seed', note: 'npm run seed:settings' });
+    if (version) {
+      log.info(`Recorded as settings version ${version.version} (${version.changes.length} fields changed)`);
+    }
+
     log.section('✨ Settings Seeded Successfully!');
 
     console.log('\n📝 Next Steps:');
@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const AdminUser = require('../models/AdminUser');
 const AdminActivityLog = require('../models/AdminActivityLog');
+const sessionService = require('../services/sessionService');
+const adminRoleService = require('../services/adminRoleService');
 const { sendError, sendUnauthorized } = require('../utils/response');
 const logger = require('../utils/logger');
 
@@ -32,7 +34,7 @@ const protectAdmin = async (req, res, next) => {
     }
 
     // 3) Check if admin still exists
-    const admin = await AdminUser.findById(decoded.id).select('+refreshToken');
+    const admin = await AdminUser.findById(decoded.id);
     
     if (!admin) {
       return sendUnauthorized(res, 'Admin account no longer exists');
@@ -48,8 +50,15 @@ const protectAdmin = async (req, res, next) => {
       return sendUnauthorized(res, 'Admin account is temporarily locked due to too many failed login attempts');
     }
 
-    // 6) Attach admin to request
+    // 6) Check the session has not been revoked
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+      return sendUnauthorized(res, 'Your session has ended. Please login again.');
+    }
+
+    // 7) Attach admin and their effective permissions to request
     req.admin = admin;
+    req.sessionId = decoded.sid;
+    req.adminPermissions = await adminRoleService.getEffectivePermissions(admin);
     next();
   } catch (error) {
     logger.error('Admin authentication error:', error);
@@ -70,18 +79,15 @@ const restrictTo = (...roles) => {
 };
 
 /**
- * Check specific permissions
+ * Check specific permissions ("<resource>:<action>", see config/adminPermissions)
+ * The admin needs at least one of the listed permissions.
  */
 const checkPermission = (...requiredPermissions) => {
   return (req, res, next) => {
-    // Superadmin has all permissions
-    if (req.admin.role === 'superadmin') {
-      return next();
-    }
+    const granted = req.adminPermissions || [];
 
-    // Check if admin has at least one of the required permissions
-    const hasPermission = requiredPermissions.some(permission => 
-      req.admin.permissions.includes(permission)
+    const hasPermission = requiredPermissions.some(permission =>
+      adminRoleService.hasPermission(granted, permission)
     );
 
     if (!hasPermission) {
@@ -0,0 +1,44 @@
+const aiUsageService = require('../services/aiUsageService');
+const logger = require('../utils/logger');
+const { sendResponse } = require('../utils/response');
+
+/**
+ * Middleware to enforce the per-user daily and monthly AI quotas configured in Settings
+ * The AI provider router reserves each request atomically before calling a provider; this
+ * rejects users whose quota is already used up before any work is done and reports what is
+ * left. Must run after `protect`.
+ */
+const enforceAIQuota = async (req, res, next) => {
+  try {
+    const quota = await aiUsageService.checkQuota(req.user.id);
+    const { day, month } = quota.usage;
+
+    // Remaining requests for clients to display (omitted when unlimited)
+    if (day.remaining.requests !== null) {
+      res.set('X-AI-Daily-Remaining', String(day.remaining.requests));
+    }
+    if (month.remaining.requests !== null) {
+      res.set('X-AI-Monthly-Remaining', String(month.remaining.requests));
+    }
+
+    if (!quota.allowed) {
+      logger.warn('AI quota exceeded:', {
+        userId: req.user.id,
+        url: req.originalUrl,
+        message: quota.message
+      });
+
+      res.set('Retry-After', String(quota.retryAfterSeconds));
+      return sendResponse(res, 429, 'error', quota.message, { usage: quota.usage });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('AI quota check error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  enforceAIQuota
+};
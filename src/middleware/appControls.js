@@ -0,0 +1,118 @@
+const jwt = require('jsonwebtoken');
+const configService = require('../services/configService');
+const logger = require('../utils/logger');
+const { sendResponse } = require('../utils/response');
+
+// Paths that stay reachable during maintenance: health checks, docs, the admin API
+// (so admins can turn maintenance off), public app config (so clients can show the
+// maintenance state) and provider webhooks
+const MAINTENANCE_ALLOWED_PATHS = [
+  '/health',
+  '/api-docs',
+  '/api/v1/admin',
+  '/api/v1/config',
+  '/api/v1/webhooks'
+];
+
+// Human-readable names for feature flags in error messages
+const FEATURE_NAMES = {
+  aiAssistantEnabled: 'AI assistant',
+  socialMediaIntegrationEnabled: 'Social media integration',
+  videoEditingEnabled: 'Video editing'
+};
+
+const isAllowedDuringMaintenance = (path) =>
+  MAINTENANCE_ALLOWED_PATHS.some(allowed => path === allowed || path.startsWith(`${allowed}/`));
+
+// Requests carrying a valid admin token pass so admins can check the app during maintenance
+const hasAdminToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer') || !process.env.ADMIN_JWT_SECRET) {
+    return false;
+  }
+
+  try {
+    jwt.verify(header.split(' ')[1], process.env.ADMIN_JWT_SECRET);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Reject requests with a 503 while maintenance mode is on (Settings.app.maintenanceMode)
+ * Mounted before the API routes; settings are re-read every few seconds so no restart is needed.
+ */
+const maintenanceGate = async (req, res, next) => {
+  try {
+    if (isAllowedDuringMaintenance(req.path)) {
+      return next();
+    }
+
+    const controls = await configService.getRuntimeControls();
+    if (!controls.maintenanceMode || hasAdminToken(req)) {
+      return next();
+    }
+
+    res.set('Retry-After', '300');
+    return sendResponse(res, 503, 'error', `${controls.appName} is undergoing maintenance. Please try again shortly.`, {
+      code: 'MAINTENANCE_MODE',
+      maintenanceMode: true
+    });
+  } catch (error) {
+    logger.error('Maintenance check error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reject sign-ups while Settings.app.allowNewRegistrations is off
+ */
+const requireRegistrationOpen = async (req, res, next) => {
+  try {
+    if (await configService.areNewRegistrationsAllowed()) {
+      return next();
+    }
+
+    logger.info('Registration rejected, new registrations are closed:', { email: req.body?.email });
+
+    return sendResponse(res, 403, 'error', 'New registrations are currently closed.', {
+      code: 'REGISTRATION_CLOSED'
+    });
+  } catch (error) {
+    logger.error('Registration check error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Turn off a route group when its feature flag (Settings.features.*) is off
+ * @param {string} flag - Feature flag name (e.g. 'aiAssistantEnabled')
+ * @param {object} options - { when(req) } to gate only matching requests
+ */
+const requireFeature = (flag, { when } = {}) => async (req, res, next) => {
+  try {
+    if (when && !when(req)) {
+      return next();
+    }
+
+    if (await configService.isFeatureEnabled(flag)) {
+      return next();
+    }
+
+    const feature = FEATURE_NAMES[flag] || flag;
+    return sendResponse(res, 503, 'error', `${feature} is currently disabled.`, {
+      code: 'FEATURE_DISABLED',
+      feature: flag
+    });
+  } catch (error) {
+    logger.error('Feature flag check error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  maintenanceGate,
+  requireRegistrationOpen,
+  requireFeature
+};
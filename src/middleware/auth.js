@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 const AppError = require('../utils/appError');
 const { sendUnauthorized, sendForbidden } = require('../utils/response');
 
@@ -40,6 +41,10 @@ const protect = async (req, res, next) => {
       return sendUnauthorized(res, statusMessage || 'Your account has been suspended.');
     }
 
+    if (currentUser.isPendingDeletion) {
+      return sendUnauthorized(res, 'This account is scheduled for deletion.');
+    }
+
     // 6) Check if user is not locked (too many failed attempts)
     if (currentUser.isLocked) {
       return sendUnauthorized(res, 'Your account is temporarily locked due to too many failed login attempts.');
@@ -50,8 +55,14 @@ const protect = async (req, res, next) => {
       return sendUnauthorized(res, 'User recently changed password! Please log in again.');
     }
 
+    // 8) Check the session has not been signed out (tokens issued before sessions carry no sid)
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+      return sendUnauthorized(res, 'This session has been signed out. Please log in again.');
+    }
+
     // Grant access to protected route
     req.user = currentUser;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -81,8 +92,11 @@ const optionalAuth = async (req, res, next) => {
         await currentUser.checkBanExpiry();
         
         // Only attach user if account is active and not locked
-        if (currentUser.status === 'active' && !currentUser.isLocked && !currentUser.changedPasswordAfter(decoded.iat)) {
+        if (currentUser.status === 'active' && !currentUser.isPendingDeletion && !currentUser.isLocked &&
+          !currentUser.changedPasswordAfter(decoded.iat) &&
+          (!decoded.sid || await sessionService.isActive(decoded.sid))) {
           req.user = currentUser;
+          req.sessionId = decoded.sid;
         }
       }
     }
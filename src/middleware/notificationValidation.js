@@ -102,7 +102,12 @@ const validateSendNotification = (req, res, next) => {
       .messages({
         'any.only': 'Priority must be one of: high, normal, low'
       }),
-    isTest: Joi.boolean().optional()
+    isTest: Joi.boolean().optional(),
+    scheduledFor: Joi.date().iso().greater('now').optional()
+      .messages({
+        'date.greater': 'Scheduled time must be in the future',
+        'date.format': 'Scheduled time must be a valid ISO 8601 date'
+      })
   });
 
   const { error } = schema.validate(req.body, { abortEarly: false });
@@ -115,6 +120,28 @@ const validateSendNotification = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate reschedule notification request
+ */
+const validateRescheduleNotification = (req, res, next) => {
+  const schema = Joi.object({
+    scheduledFor: Joi.date().iso().greater('now').required()
+      .messages({
+        'date.greater': 'Scheduled time must be in the future',
+        'date.format': 'Scheduled time must be a valid ISO 8601 date',
+        'any.required': 'Scheduled time is required'
+      })
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return sendBadRequest(res, error.details[0].message);
+  }
+
+  next();
+};
+
 /**
  * Validate test notification request
  */
@@ -174,6 +201,7 @@ module.exports = {
   validateDeviceToken,
   validateRemoveToken,
   validateSendNotification,
+  validateRescheduleNotification,
   validateTestNotification,
   validateTargetUserCount
 };
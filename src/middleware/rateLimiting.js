@@ -64,9 +64,43 @@ const apiKeyLimiter = rateLimit({
   }
 });
 
+// FAQ helpful votes (public, so limited per IP)
+const faqVoteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 votes per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many votes, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    sendError(res, 429, 'Too many votes, please try again later.');
+  }
+});
+
+// Inbound webhooks: only rejected deliveries (error responses) count, so a sender without a
+// valid signature is cut off while genuine deliveries are never throttled
+const webhookRejectionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 rejected deliveries per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    status: 'error',
+    message: 'Too many rejected webhook deliveries, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    sendError(res, 429, 'Too many rejected webhook deliveries, please try again later.');
+  }
+});
+
 module.exports = {
   generalLimiter,
   authLimiter,
   uploadLimiter,
-  apiKeyLimiter
+  apiKeyLimiter,
+  faqVoteLimiter,
+  webhookRejectionLimiter
 };
\ No newline at end of file
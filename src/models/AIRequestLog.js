@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['succeeded', 'failed', 'rate_limited', 'skipped'],
+    required: true
+  },
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+const aiRequestLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['caption', 'hashtags', 'optimize', 'suggestions'],
+    required: true
+  },
+  // Provider that answered the request (empty when every provider failed)
+  provider: {
+    type: String,
+    enum: ['fal', 'gemini', 'perplexity', 'openai', null],
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  attempts: [attemptSchema],
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  platform: String,
+  model: String,
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  },
+  error: String,
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+aiRequestLogSchema.index({ user: 1, createdAt: -1 });
+aiRequestLogSchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIRequestLog', aiRequestLogSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Per-user AI usage counters, one document per user per UTC day and per UTC month
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  failedRequests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Successful requests answered by each provider
+  providers: {
+    fal: { type: Number, default: 0 },
+    gemini: { type: Number, default: 0 },
+    perplexity: { type: Number, default: 0 },
+    openai: { type: Number, default: 0 }
+  },
+  lastRequestAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+aiUsageSchema.index({ user: 1, period: 1, periodStart: 1 }, { unique: true });
+aiUsageSchema.index({ period: 1, periodStart: 1, requests: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
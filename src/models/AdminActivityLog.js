@@ -11,12 +11,14 @@ const adminActivityLogSchema = new mongoose.Schema({
     required: true,
     enum: [
       'login', 'logout', 'create', 'update', 'delete', 
-      'bulk_delete', 'upload', 'status_change', 'settings_update', 'restrict', 'unrestrict'
+      'bulk_delete', 'upload', 'status_change', 'settings_update', 'settings_rollback', 'restrict', 'unrestrict',
+      'send_notification', 'two_factor_setup', 'two_factor_enable', 'two_factor_disable',
+      'two_factor_reset', 'two_factor_recovery_codes', 'two_factor_failed'
     ]
   },
   resourceType: {
     type: String,
-    enum: ['user', 'video', 'post', 'media', 'social_account', 'settings', 'admin', 'legal_content'],
+    enum: ['user', 'video', 'post', 'media', 'social_account', 'settings', 'admin', 'legal_content', 'faq', 'notification', 'admin_role'],
     required: true
   },
   resourceId: String,
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { isValidPermission } = require('../config/adminPermissions');
+
+// Admin role defined as data: a named set of "<resource>:<action>" permissions
+const adminRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name may only contain letters, numbers, "-" and "_"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be longer than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: permissions => permissions.every(isValidPermission),
+      message: 'Role contains unknown permissions'
+    }
+  },
+  // Built-in roles (superadmin, admin, moderator) cannot be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AdminRole', adminRoleSchema);
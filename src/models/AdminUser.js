@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { isValidPermission } = require('../config/adminPermissions');
 
 const adminUserSchema = new mongoose.Schema({
   name: {
@@ -22,27 +23,59 @@ const adminUserSchema = new mongoose.Schema({
     minlength: 8,
     select: false
   },
+  // Name of an AdminRole (superadmin, admin, moderator or a custom role)
   role: {
     type: String,
-    enum: ['superadmin', 'admin', 'moderator'],
+    lowercase: true,
+    trim: true,
     default: 'admin'
   },
-  permissions: [{
-    type: String,
-    enum: ['users', 'media', 'videos', 'posts', 'analytics', 'settings', 'socialaccounts']
-  }],
+  // Extra "<resource>:<action>" permissions on top of the role's
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: permissions => permissions.every(isValidPermission),
+      message: 'Admin has unknown permissions'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
   lastLoginAt: Date,
-  refreshToken: String,
-  refreshTokenExpires: Date,
   loginAttempts: {
     type: Number,
     default: 0
   },
   lockUntil: Date,
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated by an enrollment that has not been confirmed with a code yet
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AdminUser'
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const analyticsSnapshotSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: ['post', 'account'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  socialAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SocialAccount'
+  },
+  // bundlePostId or bundleAccountId, depending on subjectType
+  bundleId: {
+    type: String,
+    required: true
+  },
+  platform: String,
+
+  // Cumulative counters as reported by Bundle.social at capture time
+  metrics: {
+    impressions: { type: Number, default: 0 },
+    impressionsUnique: { type: Number, default: 0 },
+    views: { type: Number, default: 0 },
+    viewsUnique: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 },
+    followers: { type: Number, default: 0 },
+    following: { type: Number, default: 0 },
+    postCount: { type: Number, default: 0 }
+  },
+  raw: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  source: {
+    type: String,
+    enum: ['collector', 'on_demand'],
+    default: 'collector'
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+analyticsSnapshotSchema.index({ subjectType: 1, bundleId: 1, capturedAt: 1 });
+analyticsSnapshotSchema.index({ user: 1, capturedAt: -1 });
+
+module.exports = mongoose.model('AnalyticsSnapshot', analyticsSnapshotSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token carries the session ID (sid) and a token ID (jti);
+// only the latest jti is valid, so presenting an older one means the token was copied.
+const authSessionSchema = new mongoose.Schema({
+  principalType: {
+    type: String,
+    enum: ['User', 'AdminUser'],
+    required: true
+  },
+  principal: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'principalType',
+    required: true
+  },
+  // jti of the only refresh token currently valid for this session
+  tokenId: {
+    type: String,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'logout_all',
+      'token_reuse',
+      'password_change',
+      'password_reset',
+      'account_status',
+      'account_deleted',
+      'deletion_requested',
+      'two_factor_reset'
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+authSessionSchema.index({ principalType: 1, principal: 1, revokedAt: 1 });
+// Sessions are removed a while after they expire; until then revoked ones stay visible for auditing
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A saved brand voice that AI caption generation follows
+const brandVoiceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Brand voice name is required'],
+    trim: true,
+    maxlength: [60, 'Brand voice name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Base tone the voice builds on; a tone sent with a request takes precedence
+  tone: {
+    type: String,
+    enum: ['professional', 'casual', 'funny', 'inspirational', 'educational', 'storytelling', 'urgent', 'luxury'],
+    default: 'casual'
+  },
+  // Example posts written in the brand's voice
+  samplePosts: [{
+    type: String,
+    trim: true,
+    maxlength: [2200, 'Sample post cannot be more than 2200 characters']
+  }],
+  // Words and phrases the caption must never contain (matched case-insensitively)
+  bannedWords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Hashtags every caption must carry, stored without the leading #
+  requiredHashtags: [{
+    type: String,
+    trim: true
+  }],
+  emojiPolicy: {
+    type: String,
+    enum: ['none', 'minimal', 'moderate', 'heavy'],
+    default: 'moderate'
+  },
+  ctaStyle: {
+    type: String,
+    enum: ['none', 'soft', 'direct', 'question', 'link_in_bio'],
+    default: 'soft'
+  },
+  // Optional wording for the call to action (e.g. "Shop the drop at the link in bio")
+  ctaText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'CTA text cannot be more than 200 characters']
+  },
+  // Used when a generation request does not name a brand voice
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+brandVoiceSchema.index({ user: 1, name: 1 }, { unique: true });
+brandVoiceSchema.index({ user: 1, isDefault: 1 });
+
+module.exports = mongoose.model('BrandVoice', brandVoiceSchema);
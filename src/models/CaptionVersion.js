@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Every AI-generated caption for a video, kept so earlier suggestions can be restored
+const captionVersionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Sequential per video, starting at 1
+  version: {
+    type: Number,
+    required: true
+  },
+  caption: {
+    type: String,
+    required: true
+  },
+  hashtags: [String],
+  fullText: String,
+  tone: String,
+  platform: String,
+  provider: {
+    type: String,
+    enum: ['fal', 'gemini', 'perplexity', 'openai']
+  },
+  model: String,
+  // Brand voice the caption was generated with
+  brandVoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BrandVoice'
+  },
+  // Options the caption was generated with (prompt, maxLength, includeHashtags, platforms)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  source: {
+    type: String,
+    enum: ['generate_caption', 'video_ai_caption', 'suggestions'],
+    default: 'generate_caption'
+  },
+  isFavorite: {
+    type: Boolean,
+    default: false
+  },
+  // Last time this version was restored onto the video
+  restoredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+captionVersionSchema.index({ video: 1, version: -1 }, { unique: true });
+captionVersionSchema.index({ user: 1, isFavorite: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CaptionVersion', captionVersionSchema);
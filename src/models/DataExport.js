@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A user's request for a copy of their personal data. Built in the background by the
+// data export processor; the archive can be downloaded through an emailed, time-limited link.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Lease held by the instance building the archive
+  lockedAt: Date,
+  lockedBy: String,
+  error: String,
+
+  // Archive on the server's disk (outside the public uploads folder)
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileName: String,
+  fileSize: Number,
+  // Number of records per section, e.g. { videos: 12, posts: 30 }
+  recordCounts: {
+    type: Map,
+    of: Number
+  },
+
+  // SHA-256 of the download token; the token itself is only sent by email
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: Date,
+  emailSentAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, requestedAt: -1 });
+dataExportSchema.index({ status: 1, requestedAt: 1 });
+dataExportSchema.index({ downloadTokenHash: 1 }, { sparse: true });
+// One export in progress per user, also for concurrent requests
+dataExportSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['queued', 'processing'] } } }
+);
+// Records are kept for a while after the archive expires so the request limit can be enforced
+dataExportSchema.index({ requestedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
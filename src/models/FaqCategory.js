@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A group of FAQ entries (e.g. "Account", "Publishing")
+const faqCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [80, 'Category name cannot be more than 80 characters']
+  },
+  // URL-friendly identifier used by the public API (?category=account)
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+  // Category names in other locales, e.g. { de: 'Konto' }
+  translations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isPublished: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+faqCategorySchema.index({ order: 1, name: 1 });
+
+// Name in the given locale, falling back to the base language and then the default name
+faqCategorySchema.methods.getLocalizedName = function(locale) {
+  if (!locale || !this.translations) {
+    return this.name;
+  }
+  return this.translations.get(locale) || this.translations.get(locale.split('-')[0]) || this.name;
+};
+
+module.exports = mongoose.model('FaqCategory', faqCategorySchema);
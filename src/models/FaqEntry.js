@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LOCALE } = require('../utils/locale');
+
+// A single FAQ question and answer
+const faqEntrySchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FaqCategory',
+    required: [true, 'Category is required']
+  },
+  locale: {
+    type: String,
+    default: DEFAULT_LOCALE
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot be more than 300 characters']
+  },
+  // Plain text answer (searched and shown in the app)
+  answer: {
+    type: String,
+    required: [true, 'Answer is required'],
+    maxlength: [5000, 'Answer cannot be more than 5000 characters']
+  },
+  // Optional formatted answer for web views
+  answerHtml: {
+    type: String,
+    maxlength: [20000, 'HTML answer cannot be more than 20000 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Position within the category
+  order: {
+    type: Number,
+    default: 0
+  },
+  isPublished: {
+    type: Boolean,
+    default: true
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+faqEntrySchema.index({ category: 1, order: 1 });
+faqEntrySchema.index({ locale: 1, isPublished: 1 });
+// Full-text search; no stemming or stop words since entries come in several languages
+faqEntrySchema.index(
+  { question: 'text', answer: 'text', tags: 'text' },
+  { weights: { question: 10, tags: 5, answer: 1 }, name: 'faq_text_search', default_language: 'none' }
+);
+
+module.exports = mongoose.model('FaqEntry', faqEntrySchema);
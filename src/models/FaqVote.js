@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One helpful / not-helpful vote per voter and FAQ entry
+const faqVoteSchema = new mongoose.Schema({
+  faq: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FaqEntry',
+    required: true
+  },
+  // "user:<id>" for signed-in users, "anon:<hash of IP>" otherwise
+  voterKey: {
+    type: String,
+    required: true
+  },
+  helpful: {
+    type: Boolean,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+faqVoteSchema.index({ faq: 1, voterKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('FaqVote', faqVoteSchema);
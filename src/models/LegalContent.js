@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LOCALE } = require('../utils/locale');
 
 const legalContentSchema = new mongoose.Schema(
   {
@@ -6,7 +7,12 @@ const legalContentSchema = new mongoose.Schema(
       type: String,
       enum: ['privacy_policy', 'terms_of_use', 'faq'],
       required: true,
-      unique: true,
+    },
+    // Language tag of this variant, e.g. "en", "de", "pt-BR"
+    locale: {
+      type: String,
+      required: true,
+      default: DEFAULT_LOCALE,
     },
     title: {
       type: String,
@@ -28,6 +34,12 @@ const legalContentSchema = new mongoose.Schema(
       type: Number,
       default: 1,
     },
+    // Oldest version a user may have accepted without being asked again
+    // (bumped when a version is saved with requiresReacceptance)
+    minimumAcceptedVersion: {
+      type: Number,
+      default: 1,
+    },
     isPublished: {
       type: Boolean,
       default: true,
@@ -38,8 +50,8 @@ const legalContentSchema = new mongoose.Schema(
   }
 );
 
-// Index for faster queries
-legalContentSchema.index({ type: 1 });
+// One document per type and locale
+legalContentSchema.index({ type: 1, locale: 1 }, { unique: true });
 
 // Method to increment version
 legalContentSchema.methods.incrementVersion = function () {
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LOCALE } = require('../utils/locale');
+
+// Immutable snapshot of a legal document, written every time its text changes
+const legalContentVersionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['privacy_policy', 'terms_of_use', 'faq'],
+      required: true,
+    },
+    locale: {
+      type: String,
+      required: true,
+      default: DEFAULT_LOCALE,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    htmlContent: {
+      type: String,
+      required: true,
+    },
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Users who accepted an earlier version must accept this one again
+    requiresReacceptance: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+legalContentVersionSchema.index({ type: 1, locale: 1, version: -1 }, { unique: true });
+
+// Versions are a legal record: never modified once written
+legalContentVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Legal content versions cannot be modified'));
+  }
+  next();
+});
+
+const rejectUpdate = function (next) {
+  next(new Error('Legal content versions cannot be modified'));
+};
+
+legalContentVersionSchema.pre('updateOne', rejectUpdate);
+legalContentVersionSchema.pre('updateMany', rejectUpdate);
+legalContentVersionSchema.pre('findOneAndUpdate', rejectUpdate);
+legalContentVersionSchema.pre('replaceOne', rejectUpdate);
+
+const LegalContentVersion = mongoose.model('LegalContentVersion', legalContentVersionSchema);
+
+module.exports = LegalContentVersion;
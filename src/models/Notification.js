@@ -130,6 +130,24 @@ const notificationSchema = new mongoose.Schema({
   sentAt: Date,
   completedAt: Date,
   
+  // Background dispatch bookkeeping (scheduled notifications only)
+  dispatch: {
+    claimedAt: Date,
+    claimedBy: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String
+  },
+  
+  // Cancellation details
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  
   // Test mode flag
   isTest: {
     type: Boolean,
@@ -142,6 +160,7 @@ const notificationSchema = new mongoose.Schema({
 // Indexes for efficient queries
 notificationSchema.index({ createdBy: 1, createdAt: -1 });
 notificationSchema.index({ status: 1, scheduledFor: 1 });
+notificationSchema.index({ status: 1, 'dispatch.claimedAt': 1 });
 notificationSchema.index({ targetType: 1, targetUser: 1 });
 notificationSchema.index({ type: 1, createdAt: -1 });
 
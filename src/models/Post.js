@@ -11,6 +11,21 @@ const postSchema = new mongoose.Schema({
     ref: 'Video',
     required: true
   },
+  // Which version of the video was posted (original upload or server-side render of its edits)
+  videoVersion: {
+    type: String,
+    enum: ['original', 'rendered'],
+    default: 'original'
+  },
+  videoUploadId: String, // Bundle.social upload ID that was posted
+  captionVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CaptionVersion' // AI caption version the post was created from
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostTemplate' // Post template the post was created from
+  },
   
   // Video thumbnail (cached from video for quick access)
   thumbnailUrl: {
@@ -39,6 +54,13 @@ const postSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Set when this platform gets its own caption/hashtags instead of the post's
+    caption: String,
+    hashtags: {
+      type: [String],
+      default: undefined
+    },
+    options: mongoose.Schema.Types.Mixed, // Bundle.social options (privacy, type, ...) from the request or template
     postId: String, // ID from the platform after publishing
     publishedAt: Date,
     status: {
@@ -73,6 +95,49 @@ const postSchema = new mongoose.Schema({
     }
   },
   
+  // Local publish queue (scheduled posts are handed to Bundle.social through this job)
+  publishJob: {
+    state: {
+      type: String,
+      enum: ['queued', 'processing', 'retrying', 'submitted', 'dead_letter']
+    },
+    payload: mongoose.Schema.Types.Mixed, // Prepared Bundle.social post request
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    submittedAt: Date,
+    deadLetteredAt: Date,
+    replayCount: {
+      type: Number,
+      default: 0
+    },
+    replayedAt: Date,
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    history: [{
+      attempt: Number,
+      at: Date,
+      outcome: {
+        type: String,
+        enum: ['submitted', 'retry_scheduled', 'dead_lettered', 'interrupted', 'replayed']
+      },
+      error: String,
+      statusCode: Number
+    }]
+  },
+  
   // Post settings
   settings: {
     autoPublish: {
@@ -112,7 +177,8 @@ const postSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
-    lastUpdated: Date
+    lastUpdated: Date,
+    lastSnapshotAt: Date
   }
 }, {
   timestamps: true
@@ -123,6 +189,8 @@ postSchema.index({ user: 1, createdAt: -1 });
 postSchema.index({ bundlePostId: 1 });
 postSchema.index({ scheduledFor: 1 });
 postSchema.index({ 'platforms.name': 1, 'platforms.status': 1 });
+postSchema.index({ 'publishJob.state': 1, 'publishJob.nextAttemptAt': 1 });
+postSchema.index({ bundleStatus: 1, 'analytics.lastSnapshotAt': 1 });
 
 // Middleware to update User's posts array when a post is created
 postSchema.post('save', async function(doc, next) {
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A reusable starting point for posts: caption snippet, hashtag set, platforms and options
+const postTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [60, 'Template name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Caption snippet; {{title}}, {{date}} etc. are filled in when a post is created
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [2200, 'Caption cannot be more than 2200 characters']
+  },
+  // Hashtag set, stored without the leading #
+  hashtags: [{
+    type: String,
+    trim: true
+  }],
+  platforms: [{
+    type: String,
+    enum: ['instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin']
+  }],
+  settings: {
+    autoPublish: Boolean,
+    allowComments: Boolean,
+    allowLikes: Boolean,
+    visibility: {
+      type: String,
+      enum: ['public', 'private', 'unlisted']
+    }
+  },
+  // Per-platform presets in Bundle.social terms, applied over the defaults when publishing
+  platformOptions: {
+    instagram: {
+      type: { type: String, enum: ['POST', 'REEL', 'STORY'] },
+      shareToFeed: Boolean
+    },
+    tiktok: {
+      privacy: {
+        type: String,
+        enum: ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY']
+      },
+      isBrandContent: Boolean,
+      disableComments: Boolean,
+      disableDuet: Boolean,
+      disableStitch: Boolean
+    },
+    youtube: {
+      type: { type: String, enum: ['SHORT', 'VIDEO'] },
+      privacy: { type: String, enum: ['PUBLIC', 'UNLISTED', 'PRIVATE'] },
+      madeForKids: Boolean
+    },
+    facebook: {
+      type: { type: String, enum: ['POST', 'REEL'] }
+    },
+    linkedin: {
+      privacy: { type: String, enum: ['PUBLIC', 'CONNECTIONS'] },
+      hideFromFeed: Boolean,
+      disableReshare: Boolean
+    }
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+postTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostTemplate', postTemplateSchema);
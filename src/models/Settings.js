@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const { parseEnvInt } = require('../utils/helpers');
+const {
+  isEncryptionConfigured,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret
+} = require('../utils/secretEncryption');
+
+// Credential fields. When SETTINGS_ENCRYPTION_KEY is set they are stored encrypted and only
+// decrypted when read through configService or the admin settings endpoint.
+const SECRET_PATHS = [
+  'cloudinary.apiSecret',
+  'mongodb.uri',
+  'email.resend.apiKey',
+  'email.smtp.pass',
+  'firebase.serviceAccount',
+  'apiKeys.falApiKey',
+  'apiKeys.bundleSocialApiKey',
+  'apiKeys.bundleSocialWebhookSecret',
+  'reddit.clientId',
+  'reddit.clientSecret',
+  'reddit.password',
+  'rapidApi.key'
+];
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value ? value[key] : undefined), obj);
+  if (parent) {
+    parent[keys[keys.length - 1]] = value;
+  }
+};
 
 const settingsSchema = new mongoose.Schema({
   // Singleton pattern - only one settings document
@@ -143,6 +178,11 @@ const settingsSchema = new mongoose.Schema({
     bundleSocialOrgId: {
       type: String,
       default: process.env.BUNDLE_SOCIAL_ORG_ID || ''
+    },
+    bundleSocialWebhookSecret: {
+      type: String,
+      select: false, // Don't return by default for security
+      default: process.env.BUNDLE_SOCIAL_WEBHOOK_SECRET || ''
     }
   },
 
@@ -270,6 +310,85 @@ const settingsSchema = new mongoose.Schema({
     }
   },
 
+  // AI Provider Routing
+  ai: {
+    // Providers are tried in this order; the next one is used when a provider fails
+    providerOrder: {
+      type: [String],
+      enum: ['fal', 'gemini', 'perplexity', 'openai'],
+      default: () => (process.env.AI_PROVIDER_ORDER || 'fal,gemini,perplexity,openai')
+        .split(',')
+        .map(provider => provider.trim())
+        .filter(Boolean)
+    },
+    failoverEnabled: {
+      type: Boolean,
+      default: true
+    },
+    rateLimitCooldownSeconds: {
+      type: Number, // how long a provider is skipped after a 429
+      default: parseInt(process.env.AI_RATE_LIMIT_COOLDOWN) || 60,
+      min: 0,
+      max: 3600
+    },
+    // Per-user quotas; 0 means unlimited. Days and months are UTC.
+    dailyRequestLimit: {
+      type: Number,
+      default: parseEnvInt(process.env.AI_DAILY_REQUEST_LIMIT, 50),
+      min: 0
+    },
+    monthlyRequestLimit: {
+      type: Number,
+      default: parseEnvInt(process.env.AI_MONTHLY_REQUEST_LIMIT, 500),
+      min: 0
+    },
+    dailyTokenLimit: {
+      type: Number,
+      default: parseEnvInt(process.env.AI_DAILY_TOKEN_LIMIT, 0),
+      min: 0
+    },
+    monthlyTokenLimit: {
+      type: Number,
+      default: parseEnvInt(process.env.AI_MONTHLY_TOKEN_LIMIT, 0),
+      min: 0
+    }
+  },
+
+  // Sign in with Google / Apple - ID tokens must be issued to one of these client IDs
+  socialAuth: {
+    // OAuth client IDs of the web, iOS and Android apps
+    googleClientIds: {
+      type: [String],
+      default: () => (process.env.GOOGLE_CLIENT_IDS || '')
+        .split(',')
+        .map(clientId => clientId.trim())
+        .filter(Boolean)
+    },
+    // App bundle ID and Services ID
+    appleClientIds: {
+      type: [String],
+      default: () => (process.env.APPLE_CLIENT_IDS || '')
+        .split(',')
+        .map(clientId => clientId.trim())
+        .filter(Boolean)
+    }
+  },
+
+  // Admin panel security
+  adminSecurity: {
+    // Admins with these roles (AdminRole names) must set up two-factor authentication before they can sign in
+    twoFactorRequiredRoles: {
+      type: [{
+        type: String,
+        lowercase: true
+      }],
+      default: () => (process.env.ADMIN_2FA_REQUIRED_ROLES || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean)
+    }
+  },
+
   // Metadata
   lastUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -305,6 +424,7 @@ settingsSchema.methods.toPublicJSON = function() {
   if (obj.apiKeys) {
     delete obj.apiKeys.falApiKey;
     delete obj.apiKeys.bundleSocialApiKey;
+    delete obj.apiKeys.bundleSocialWebhookSecret;
   }
   if (obj.reddit) {
     delete obj.reddit.clientId;
@@ -314,6 +434,9 @@ settingsSchema.methods.toPublicJSON = function() {
   if (obj.rapidApi) {
     delete obj.rapidApi.key;
   }
+  if (obj.firebase) {
+    delete obj.firebase.serviceAccount;
+  }
   
   return obj;
 };
@@ -321,47 +444,52 @@ settingsSchema.methods.toPublicJSON = function() {
 // Method to get settings with masked sensitive data
 settingsSchema.methods.toMaskedJSON = function() {
   const obj = this.toPublicJSON();
+  const secrets = this.toFullJSON();
   
   // Add masked versions
-  if (this.cloudinary?.apiSecret) {
-    obj.cloudinary.apiSecret = this.maskSecret(this.cloudinary.apiSecret);
+  if (secrets.cloudinary?.apiSecret) {
+    obj.cloudinary.apiSecret = this.maskSecret(secrets.cloudinary.apiSecret);
   }
-  if (this.mongodb?.uri) {
-    obj.mongodb.uri = this.maskSecret(this.mongodb.uri);
+  if (secrets.mongodb?.uri) {
+    obj.mongodb.uri = this.maskSecret(secrets.mongodb.uri);
   }
-  if (this.email?.resend?.apiKey) {
+  if (secrets.email?.resend?.apiKey) {
     obj.email = obj.email || {};
     obj.email.resend = obj.email.resend || {};
-    obj.email.resend.apiKey = this.maskSecret(this.email.resend.apiKey);
+    obj.email.resend.apiKey = this.maskSecret(secrets.email.resend.apiKey);
   }
-  if (this.email?.smtp?.pass) {
+  if (secrets.email?.smtp?.pass) {
     obj.email = obj.email || {};
     obj.email.smtp = obj.email.smtp || {};
-    obj.email.smtp.pass = this.maskSecret(this.email.smtp.pass);
+    obj.email.smtp.pass = this.maskSecret(secrets.email.smtp.pass);
   }
-  if (this.apiKeys?.falApiKey) {
+  if (secrets.apiKeys?.falApiKey) {
     obj.apiKeys = obj.apiKeys || {};
-    obj.apiKeys.falApiKey = this.maskSecret(this.apiKeys.falApiKey);
+    obj.apiKeys.falApiKey = this.maskSecret(secrets.apiKeys.falApiKey);
   }
-  if (this.apiKeys?.bundleSocialApiKey) {
+  if (secrets.apiKeys?.bundleSocialApiKey) {
     obj.apiKeys = obj.apiKeys || {};
-    obj.apiKeys.bundleSocialApiKey = this.maskSecret(this.apiKeys.bundleSocialApiKey);
+    obj.apiKeys.bundleSocialApiKey = this.maskSecret(secrets.apiKeys.bundleSocialApiKey);
   }
-  if (this.reddit?.clientId) {
+  if (secrets.apiKeys?.bundleSocialWebhookSecret) {
+    obj.apiKeys = obj.apiKeys || {};
+    obj.apiKeys.bundleSocialWebhookSecret = this.maskSecret(secrets.apiKeys.bundleSocialWebhookSecret);
+  }
+  if (secrets.reddit?.clientId) {
     obj.reddit = obj.reddit || {};
-    obj.reddit.clientId = this.maskSecret(this.reddit.clientId);
+    obj.reddit.clientId = this.maskSecret(secrets.reddit.clientId);
   }
-  if (this.reddit?.clientSecret) {
+  if (secrets.reddit?.clientSecret) {
     obj.reddit = obj.reddit || {};
-    obj.reddit.clientSecret = this.maskSecret(this.reddit.clientSecret);
+    obj.reddit.clientSecret = this.maskSecret(secrets.reddit.clientSecret);
   }
-  if (this.reddit?.password) {
+  if (secrets.reddit?.password) {
     obj.reddit = obj.reddit || {};
-    obj.reddit.password = this.maskSecret(this.reddit.password);
+    obj.reddit.password = this.maskSecret(secrets.reddit.password);
   }
-  if (this.rapidApi?.key) {
+  if (secrets.rapidApi?.key) {
     obj.rapidApi = obj.rapidApi || {};
-    obj.rapidApi.key = this.maskSecret(this.rapidApi.key);
+    obj.rapidApi.key = this.maskSecret(secrets.rapidApi.key);
   }
   
   return obj;
@@ -409,6 +537,11 @@ settingsSchema.methods.toFullJSON = function() {
     obj.apiKeys.bundleSocialApiKey = this.apiKeys.bundleSocialApiKey;
   }
   
+  if (this.apiKeys?.bundleSocialWebhookSecret !== undefined) {
+    obj.apiKeys = obj.apiKeys || {};
+    obj.apiKeys.bundleSocialWebhookSecret = this.apiKeys.bundleSocialWebhookSecret;
+  }
+  
   if (this.reddit?.clientId !== undefined) {
     obj.reddit = obj.reddit || {};
     obj.reddit.clientId = this.reddit.clientId;
@@ -429,9 +562,9 @@ settingsSchema.methods.toFullJSON = function() {
     obj.rapidApi.key = this.rapidApi.key;
   }
   
-  // Return everything including sensitive fields
-  // This should ONLY be used for superadmin requests with proper authentication
-  return obj;
+  // Return everything including sensitive fields, decrypted
+  // This should ONLY be used for admins allowed to read these sections
+  return this.constructor.decryptSecrets(obj);
 };
 
 // Helper method to mask sensitive strings
@@ -452,6 +585,7 @@ settingsSchema.statics.getSettings = async function() {
     .select('+email.smtp.pass')
     .select('+apiKeys.falApiKey')
     .select('+apiKeys.bundleSocialApiKey')
+    .select('+apiKeys.bundleSocialWebhookSecret')
     .select('+reddit.clientId')
     .select('+reddit.clientSecret')
     .select('+reddit.password')
@@ -472,6 +606,7 @@ settingsSchema.statics.getSettings = async function() {
       .select('+email.smtp.pass')
       .select('+apiKeys.falApiKey')
       .select('+apiKeys.bundleSocialApiKey')
+      .select('+apiKeys.bundleSocialWebhookSecret')
       .select('+reddit.clientId')
       .select('+reddit.clientSecret')
       .select('+reddit.password')
@@ -482,6 +617,66 @@ settingsSchema.statics.getSettings = async function() {
   return settings;
 };
 
+/**
+ * Decrypt the secret fields of a plain settings object (in place)
+ * @param {object} obj - Settings as a plain object
+ * @param {function} [onError] - Called with (path, error) when a field cannot be decrypted; the
+ *   field is then left empty. Without it the error is thrown.
+ * @returns {object} The same object
+ */
+settingsSchema.statics.decryptSecrets = function(obj, onError) {
+  for (const path of SECRET_PATHS) {
+    const value = getPath(obj, path);
+    if (!isEncrypted(value)) continue;
+
+    try {
+      setPath(obj, path, decryptSecret(value, path));
+    } catch (error) {
+      if (!onError) throw error;
+      onError(path, error);
+      setPath(obj, path, '');
+    }
+  }
+  return obj;
+};
+
+/**
+ * Encrypt plain secrets in the stored document and re-wrap encrypted ones with the current
+ * master key. Works on the raw document so schema defaults and hooks do not interfere.
+ * @returns {Promise<object>} { encrypted, rewrapped, unchanged } - field paths
+ */
+settingsSchema.statics.encryptStoredSecrets = async function() {
+  if (!isEncryptionConfigured()) {
+    throw new Error('SETTINGS_ENCRYPTION_KEY is not configured');
+  }
+
+  const result = { encrypted: [], rewrapped: [], unchanged: [] };
+  const stored = await this.collection.findOne({ _id: 'app_settings' });
+  if (!stored) {
+    return result;
+  }
+
+  const updates = {};
+  for (const path of SECRET_PATHS) {
+    const value = getPath(stored, path);
+    if (!value) continue;
+
+    const updated = rewrapSecret(value, path);
+    if (updated === value) {
+      result.unchanged.push(path);
+    } else {
+      updates[path] = updated;
+      result[isEncrypted(value) ? 'rewrapped' : 'encrypted'].push(path);
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await this.collection.updateOne({ _id: 'app_settings' }, { $set: updates });
+  }
+
+  return result;
+};
+
 // Static method to update settings
 settingsSchema.statics.updateSettings = async function(updates, adminId) {
   let settings = await this.findById('app_settings');
@@ -536,6 +731,10 @@ settingsSchema.pre('save', function(next) {
     errors.push('Bundle.social API Key contains invalid bullet characters (•)');
   }
 
+  if (this.apiKeys?.bundleSocialWebhookSecret && bulletRegex.test(this.apiKeys.bundleSocialWebhookSecret)) {
+    errors.push('Bundle.social Webhook Secret contains invalid bullet characters (•)');
+  }
+
   if (this.reddit?.clientId && bulletRegex.test(this.reddit.clientId)) {
     errors.push('Reddit Client ID contains invalid bullet characters (•)');
   }
@@ -561,4 +760,26 @@ settingsSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Settings', settingsSchema);
+// Pre-save hook to encrypt secrets at rest (values that are already encrypted are kept as they are)
+settingsSchema.pre('save', function(next) {
+  if (!isEncryptionConfigured()) {
+    return next();
+  }
+
+  try {
+    for (const path of SECRET_PATHS) {
+      const value = this.get(path);
+      if (value && !isEncrypted(value)) {
+        this.set(path, encryptSecret(value, path));
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const Settings = mongoose.model('Settings', settingsSchema);
+Settings.SECRET_PATHS = SECRET_PATHS;
+
+module.exports = Settings;
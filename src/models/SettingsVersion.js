@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Snapshot of the settings document, written every time settings change
+const settingsVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    // Stored settings as they were after the change (secrets as stored, i.e. encrypted when
+    // SETTINGS_ENCRYPTION_KEY is set). Needed for rollback, never returned as is.
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      select: false,
+    },
+    // Field-level diff against the previous version, secrets masked
+    changes: [
+      {
+        _id: false,
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        secret: Boolean,
+      },
+    ],
+    source: {
+      type: String,
+      enum: ['baseline', 'update', 'contact_emails', 'rollback', 'seed'],
+      required: true,
+    },
+    // For rollbacks: the version that was restored
+    restoredVersion: Number,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+settingsVersionSchema.index({ version: -1 }, { unique: true });
+
+// History is an audit record: never modified once written (key rotation re-wraps secrets
+// through the collection directly)
+settingsVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Settings versions cannot be modified'));
+  }
+  next();
+});
+
+const rejectUpdate = function (next) {
+  next(new Error('Settings versions cannot be modified'));
+};
+
+settingsVersionSchema.pre('updateOne', rejectUpdate);
+settingsVersionSchema.pre('updateMany', rejectUpdate);
+settingsVersionSchema.pre('findOneAndUpdate', rejectUpdate);
+settingsVersionSchema.pre('replaceOne', rejectUpdate);
+
+const SettingsVersion = mongoose.model('SettingsVersion', settingsVersionSchema);
+
+module.exports = SettingsVersion;
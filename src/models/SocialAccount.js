@@ -46,6 +46,8 @@ const socialAccountSchema = new mongoose.Schema({
     default: Date.now
   },
   lastSyncAt: Date,
+  lastAnalyticsUpdate: Date,
+  lastAnalyticsSnapshotAt: Date,
   
   // Account metadata
   metadata: {
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { DEFAULT_LOCALE } = require('../utils/locale');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -32,6 +33,23 @@ const userSchema = new mongoose.Schema({
     required: true,
     default: 'email'
   },
+
+  // Provider subject IDs from verified Google/Apple ID tokens; social logins match on these, not email
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  appleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Email is an Apple "Hide My Email" relay address (...@privaterelay.appleid.com)
+  isPrivateRelayEmail: {
+    type: Boolean,
+    default: false
+  },
   
   // Additional personal details
   dateOfBirth: {
@@ -74,6 +92,21 @@ const userSchema = new mongoose.Schema({
   banExpiry: {
     type: Date
   },
+
+  // Account deletion requested by the user: sign-in is blocked and the account is purged at
+  // `scheduledFor` unless it is restored first
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    // SHA-256 of the token in the emailed restore link
+    restoreTokenHash: {
+      type: String,
+      select: false
+    },
+    // Purge in progress (lease held by the instance deleting the account)
+    purgeStartedAt: Date,
+    purgeLockedBy: String
+  },
   
   // Email verification
   emailVerified: {
@@ -95,10 +128,6 @@ const userSchema = new mongoose.Schema({
   },
   passwordChangedAt: Date,
   
-  // Refresh token for JWT
-  refreshToken: String,
-  refreshTokenExpires: Date,
-  
   // Account security
   loginAttempts: {
     type: Number,
@@ -150,6 +179,29 @@ const userSchema = new mongoose.Schema({
     }]
   },
   
+  // Legal documents the user accepted (append-only: one entry per acceptance)
+  legalConsents: [{
+    type: {
+      type: String,
+      enum: ['privacy_policy', 'terms_of_use'],
+      required: true
+    },
+    locale: {
+      type: String,
+      default: DEFAULT_LOCALE
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    ipAddress: String,
+    userAgent: String
+  }],
+
   // FCM (Firebase Cloud Messaging) device tokens for push notifications
   fcmTokens: [{
     token: {
@@ -190,6 +242,7 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ bundleTeamId: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for account locked
 userSchema.virtual('isLocked').get(function() {
@@ -214,6 +267,11 @@ userSchema.virtual('isSuspended').get(function() {
   return this.status === 'suspended';
 });
 
+// Virtual for account scheduled for deletion
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !!(this.deletion && this.deletion.scheduledFor);
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password') || !this.password) return next();
@@ -111,9 +111,53 @@ const videoSchema = new mongoose.Schema({
     }]
   },
   
+  // Server-side render of `edits` (see services/videoRenderer.js)
+  render: {
+    state: {
+      type: String,
+      enum: ['queued', 'rendering', 'completed', 'failed']
+    },
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    editsHash: String, // Hash of the edits the render was produced from
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    requestedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lockedAt: Date,
+    lockedBy: String,
+    error: String,
+    // Rendered asset on Bundle.social
+    bundleUploadId: String,
+    thumbnailUrl: String,
+    iconUrl: String,
+    dimensions: {
+      width: Number,
+      height: Number
+    },
+    duration: Number, // in seconds
+    fileSize: Number
+  },
+  
   // AI generated content
   aiGeneratedCaption: String,
   aiGeneratedHashtags: [String],
+  // Caption history (see CaptionVersion)
+  activeCaptionVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CaptionVersion'
+  },
+  captionVersionCount: {
+    type: Number,
+    default: 0
+  },
   
   createdAt: {
     type: Date,
@@ -131,6 +175,7 @@ const videoSchema = new mongoose.Schema({
 videoSchema.index({ user: 1, createdAt: -1 });
 videoSchema.index({ status: 1 });
 videoSchema.index({ bundleUploadId: 1 });
+videoSchema.index({ 'render.state': 1, 'render.requestedAt': 1 });
 
 // Pre-save middleware to update updatedAt
 videoSchema.pre('save', function(next) {
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['bundle_social'],
+    required: true
+  },
+  eventId: String,
+  eventType: String,
+  // Set only on accepted deliveries so a replayed event id collides on the unique index
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'duplicate', 'rejected', 'failed'],
+    default: 'processing'
+  },
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  changed: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  ipAddress: String,
+  userAgent: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ provider: 1, receivedAt: -1 });
+webhookDeliverySchema.index({ status: 1, receivedAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+webhookDeliverySchema.index({ post: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
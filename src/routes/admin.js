@@ -1,14 +1,36 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
 const legalController = require('../controllers/legalController');
+const faqController = require('../controllers/faqController');
 const adminNotificationController = require('../controllers/adminNotificationController');
-const { protectAdmin, restrictTo, checkPermission, logActivity } = require('../middleware/adminAuth');
+const adminRoleController = require('../controllers/adminRoleController');
+const { protectAdmin, checkPermission, logActivity } = require('../middleware/adminAuth');
 const { uploadMedia, handleMulterError } = require('../middleware/upload');
 const {
   validateSendNotification,
+  validateRescheduleNotification,
   validateTestNotification,
   validateTargetUserCount
 } = require('../middleware/notificationValidation');
+const { validate, validateQuery } = require('../middleware/validation');
+const {
+  faqCategoryCreateSchema,
+  faqCategoryUpdateSchema,
+  faqEntryCreateSchema,
+  faqEntryUpdateSchema,
+  faqCategoryReorderSchema,
+  faqEntryReorderSchema,
+  adminTwoFactorChallengeSchema,
+  adminTwoFactorLoginSchema,
+  adminTwoFactorCodeSchema,
+  adminTwoFactorDisableSchema,
+  adminTwoFactorResetSchema,
+  adminRoleCreateSchema,
+  adminRoleUpdateSchema,
+  paginationSchema,
+  settingsVersionCompareSchema,
+  settingsRollbackSchema
+} = require('../utils/validation');
 
 const router = express.Router();
 
@@ -37,6 +59,8 @@ const router = express.Router();
  *     description: Activity logs and audit trails
  *   - name: Admin Legal
  *     description: Legal content management (Privacy Policy, Terms of Use, FAQ)
+ *   - name: Admin FAQ
+ *     description: Structured FAQ entries and categories
  */
 
 /**
@@ -44,6 +68,12 @@ const router = express.Router();
  * /api/v1/admin/login:
  *   post:
  *     summary: Admin login
+ *     description: |
+ *       Password step of the admin login. Without two-factor authentication the response contains the tokens.
+ *       With two-factor enabled it contains `twoFactorRequired` and a `challengeToken` for
+ *       `POST /admin/login/2fa`; if the admin's role requires two-factor but it is not set up yet it contains
+ *       `twoFactorSetupRequired` and a `challengeToken` for `POST /admin/login/2fa/setup`.
+ *       Challenge tokens expire after 5 minutes.
  *     tags: [Admin Authentication]
  *     requestBody:
  *       required: true
@@ -95,21 +125,137 @@ const router = express.Router();
  *                           type: string
  *                         role:
  *                           type: string
- *                           enum: [superadmin, admin, moderator]
+ *                           description: Role name (built-in superadmin, admin, moderator or a custom role)
  *                         permissions:
  *                           type: array
+ *                           description: Effective permissions (role and extra permissions, wildcards not expanded)
  *                           items:
  *                             type: string
+ *                         twoFactorEnabled:
+ *                           type: boolean
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Enter a code at /admin/login/2fa (no tokens issued yet)
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                       description: Set up two-factor at /admin/login/2fa/setup (no tokens issued yet)
+ *                     challengeToken:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: number
+ *                       description: Challenge token lifetime in seconds
+ *                       example: 300
  *       401:
  *         description: Invalid credentials
  */
 router.post('/login', adminController.login);
 
+/**
+ * @swagger
+ * /api/v1/admin/login/2fa:
+ *   post:
+ *     summary: Complete admin login with a two-factor code
+ *     description: |
+ *       Second login step. `code` is the 6-digit code from the authenticator app or one of the
+ *       one-time recovery codes. Wrong codes count towards the account lockout.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful (same response as a login without two-factor; `recoveryCodesRemaining` is added when a recovery code was used)
+ *       401:
+ *         description: Invalid code, or the challenge expired
+ */
+router.post('/login/2fa', validate(adminTwoFactorLoginSchema), adminController.verifyLoginTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin/login/2fa/setup:
+ *   post:
+ *     summary: Start required two-factor setup during login
+ *     description: For admins whose role requires two-factor authentication but who have not set it up yet.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminTwoFactorEnrollment'
+ *       401:
+ *         description: The challenge expired
+ */
+router.post('/login/2fa/setup', validate(adminTwoFactorChallengeSchema), adminController.startLoginTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/v1/admin/login/2fa/setup/verify:
+ *   post:
+ *     summary: Finish required two-factor setup and log in
+ *     description: Confirms the new secret with a code from the app, then signs in. The response includes the recovery codes, shown only once.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful, with `recoveryCodes`
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: The challenge expired
+ */
+router.post('/login/2fa/setup/verify', validate(adminTwoFactorLoginSchema), adminController.confirmLoginTwoFactorSetup);
+
 /**
  * @swagger
  * /api/v1/admin/refresh-token:
  *   post:
  *     summary: Refresh admin access token
+ *     description: Refresh tokens are single-use. Each refresh returns a new one; reusing an old one ends the session.
  *     tags: [Admin Authentication]
  *     requestBody:
  *       required: true
@@ -126,7 +272,7 @@ router.post('/login', adminController.login);
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired or already used refresh token
  */
 router.post('/refresh-token', adminController.refreshToken);
 
@@ -135,6 +281,245 @@ router.post('/refresh-token', adminController.refreshToken);
 // All routes below require authentication
 router.use(protectAdmin);
 
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminTwoFactorEnrollment:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 secret, for entering manually in the authenticator app
+ *           example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *         otpauthUri:
+ *           type: string
+ *           description: Provisioning URI to render as a QR code
+ *           example: otpauth://totp/Solo%20AI%3Aadmin%40soloai.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Solo%20AI&algorithm=SHA1&digits=6&period=30
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/2fa:
+ *   get:
+ *     summary: Get own two-factor status
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     twoFactor:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         enabledAt:
+ *                           type: string
+ *                           format: date-time
+ *                         required:
+ *                           type: boolean
+ *                           description: The admin's role must use two-factor authentication
+ *                         recoveryCodesRemaining:
+ *                           type: number
+ */
+router.get('/2fa', adminController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Generates a new secret. It takes effect once confirmed with POST /admin/2fa/verify.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminTwoFactorEnrollment'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', adminController.startTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/v1/admin/2fa/verify:
+ *   post:
+ *     summary: Confirm two-factor setup
+ *     description: Enables two-factor authentication and returns 10 one-time recovery codes, shown only once.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["3f9a1-c07d2", "88b0e-41a9f"]
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/2fa/verify', validate(adminTwoFactorCodeSchema), adminController.confirmTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/v1/admin/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Requires a current code. The previous recovery codes stop working.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/2fa/recovery-codes', validate(adminTwoFactorCodeSchema), adminController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/v1/admin/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the password and a current code. Not allowed when the admin's role requires two-factor.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Incorrect password or code, or two-factor is not enabled
+ *       403:
+ *         description: Two-factor authentication is required for the admin's role
+ */
+router.post('/2fa/disable', validate(adminTwoFactorDisableSchema), adminController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin/me/permissions:
+ *   get:
+ *     summary: Get own effective permissions
+ *     description: |
+ *       The permissions of the admin's role plus their extra permissions. `permissions` is the list as
+ *       granted (may contain `*` or `<resource>:*`); `effectivePermissions` has the wildcards expanded,
+ *       for showing and hiding parts of the admin panel.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                       example: moderator
+ *                     rolePermissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     extraPermissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     effectivePermissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["dashboard:read", "users:read", "posts:read", "posts:write"]
+ */
+router.get('/me/permissions', adminRoleController.getMyPermissions);
+
 // ==================== DASHBOARD ====================
 
 /**
@@ -189,7 +574,7 @@ router.use(protectAdmin);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/dashboard/stats', adminController.getDashboardStats);
+router.get('/dashboard/stats', checkPermission('dashboard:read'), adminController.getDashboardStats);
 
 // ==================== MEDIA MANAGEMENT ====================
 
@@ -303,7 +688,7 @@ router.get('/dashboard/stats', adminController.getDashboardStats);
  */
 router.get(
   '/media',
-  checkPermission('media'),
+  checkPermission('media:read'),
   adminController.getAllMedia
 );
 
@@ -404,7 +789,7 @@ router.get(
  */
 router.post(
   '/media',
-  checkPermission('media'),
+  checkPermission('media:write'),
   logActivity('upload', 'media'),
   uploadMedia.single('file'),
   handleMulterError,
@@ -478,7 +863,7 @@ router.post(
  */
 router.get(
   '/media/:id',
-  checkPermission('media'),
+  checkPermission('media:read'),
   adminController.getMedia
 );
 
@@ -544,7 +929,7 @@ router.get(
  */
 router.patch(
   '/media/:id',
-  checkPermission('media'),
+  checkPermission('media:write'),
   logActivity('update', 'media'),
   adminController.updateMedia
 );
@@ -596,7 +981,7 @@ router.patch(
  */
 router.patch(
   '/media/:id/toggle-status',
-  checkPermission('media'),
+  checkPermission('media:write'),
   logActivity('status_change', 'media'),
   adminController.toggleMediaStatus
 );
@@ -640,7 +1025,7 @@ router.patch(
  */
 router.delete(
   '/media/:id',
-  checkPermission('media'),
+  checkPermission('media:delete'),
   logActivity('delete', 'media'),
   adminController.deleteMedia
 );
@@ -701,8 +1086,7 @@ router.delete(
  */
 router.post(
   '/media/bulk-delete',
-  restrictTo('superadmin', 'admin'),
-  checkPermission('media'),
+  checkPermission('media:delete'),
   logActivity('bulk_delete', 'media'),
   adminController.bulkDeleteMedia
 );
@@ -799,30 +1183,99 @@ router.post(
  */
 router.get(
   '/users',
-  checkPermission('users'),
+  checkPermission('users:read'),
   adminController.getAllUsers
 );
 
 /**
  * @swagger
- * /api/v1/admin/users/{id}:
+ * /api/v1/admin/users/pending-deletions:
  *   get:
- *     summary: Get user details with stats
+ *     summary: Get accounts scheduled for deletion
+ *     description: |
+ *       Users who deleted their account and are within the grace period, the soonest purge
+ *       first. `deletion.scheduledFor` is when the account is permanently deleted.
  *     tags: [Admin Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: page
  *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: User details retrieved successfully
- *         content:
- *           application/json:
- *             schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Pending deletions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           deletion:
+ *                             type: object
+ *                             properties:
+ *                               requestedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               scheduledFor:
+ *                                 type: string
+ *                                 format: date-time
+ *                               purgeStartedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get(
+  '/users/pending-deletions',
+  checkPermission('users:read'),
+  validateQuery(paginationSchema),
+  adminController.getPendingDeletions
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}:
+ *   get:
+ *     summary: Get user details with stats
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 status:
@@ -869,7 +1322,7 @@ router.get(
  */
 router.get(
   '/users/:id',
-  checkPermission('users'),
+  checkPermission('users:read'),
   adminController.getUserDetails
 );
 
@@ -1166,8 +1619,7 @@ router.get(
  */
 router.patch(
   '/users/:id/ban',
-  restrictTo('superadmin', 'admin'),
-  checkPermission('users'),
+  checkPermission('users:write'),
   logActivity('update', 'user'),
   adminController.banUser
 );
@@ -1194,11 +1646,45 @@ router.patch(
  */
 router.delete(
   '/users/:id',
-  restrictTo('superadmin'),
+  checkPermission('users:delete'),
   logActivity('delete', 'user'),
   adminController.deleteUser
 );
 
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/cancel-deletion:
+ *   post:
+ *     summary: Cancel a user's pending account deletion
+ *     description: Restores an account scheduled for deletion, as long as the purge has not started. The user signs in again afterwards.
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: User has no pending deletion, or it is already being purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/users/:id/cancel-deletion',
+  checkPermission('users:write'),
+  logActivity('update', 'user'),
+  adminController.cancelUserDeletion
+);
+
 // ==================== VIDEO MANAGEMENT ====================
 
 /**
@@ -1271,7 +1757,7 @@ router.delete(
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/videos', checkPermission('videos'), adminController.getAllVideos);
+router.get('/videos', checkPermission('videos:read'), adminController.getAllVideos);
 
 /**
  * @swagger
@@ -1311,7 +1797,7 @@ router.get('/videos', checkPermission('videos'), adminController.getAllVideos);
  *       
  *       If Bundle.social deletion fails, the database deletion will still proceed.
  *       
- *       **Requires**: Superadmin or Admin role with 'videos' permission
+ *       **Requires**: `videos:delete` permission
  *       404:
  *         description: Video not found
  *         content:
@@ -1323,8 +1809,7 @@ router.get('/videos', checkPermission('videos'), adminController.getAllVideos);
  */
 router.delete(
   '/videos/:id',
-  restrictTo('superadmin', 'admin'),
-  checkPermission('videos'),
+  checkPermission('videos:delete'),
   logActivity('delete', 'video'),
   adminController.deleteVideo
 );
@@ -1355,6 +1840,12 @@ router.delete(
  *         schema:
  *           type: string
  *       - in: query
+ *         name: publishState
+ *         description: Filter by local publish queue state
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, retrying, submitted, dead_letter]
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -1400,7 +1891,108 @@ router.delete(
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/posts', checkPermission('posts'), adminController.getAllPosts);
+router.get('/posts', checkPermission('posts:read'), adminController.getAllPosts);
+
+/**
+ * @swagger
+ * /api/v1/admin/posts/dead-letter:
+ *   get:
+ *     summary: Get posts in the publish dead-letter queue
+ *     description: |
+ *       Lists scheduled posts that could not be handed to Bundle.social, either because the
+ *       failure was permanent or because every retry was used up. Each post includes its
+ *       `publishJob` with the attempt history and last error.
+ *     tags: [Admin Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Dead-lettered posts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     posts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Post'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         total:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/posts/dead-letter', checkPermission('posts:read'), adminController.getDeadLetterPosts);
+
+/**
+ * @swagger
+ * /api/v1/admin/posts/{id}/replay:
+ *   post:
+ *     summary: Replay a dead-lettered post
+ *     description: |
+ *       Puts a dead-lettered post back on the publish queue with a fresh retry budget.
+ *       The background worker submits it to Bundle.social on its next cycle.
+ *
+ *       **Requires**: `posts:write` permission
+ *     tags: [Admin Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post requeued for publishing
+ *       400:
+ *         description: Post is not in the dead-letter queue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post(
+  '/posts/:id/replay',
+  checkPermission('posts:write'),
+  logActivity('update', 'post'),
+  adminController.replayPost
+);
 
 /**
  * @swagger
@@ -1440,7 +2032,7 @@ router.get('/posts', checkPermission('posts'), adminController.getAllPosts);
  *       
  *       If Bundle.social deletion fails, the database deletion will still proceed.
  *       
- *       **Requires**: Superadmin or Admin role with 'posts' permission
+ *       **Requires**: `posts:delete` permission
  *       404:
  *         description: Post not found
  *         content:
@@ -1452,8 +2044,7 @@ router.get('/posts', checkPermission('posts'), adminController.getAllPosts);
  */
 router.delete(
   '/posts/:id',
-  restrictTo('superadmin', 'admin'),
-  checkPermission('posts'),
+  checkPermission('posts:delete'),
   logActivity('delete', 'post'),
   adminController.deletePost
 );
@@ -1529,7 +2120,7 @@ router.delete(
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/analytics/overview', checkPermission('analytics'), adminController.getAnalyticsOverview);
+router.get('/analytics/overview', checkPermission('analytics:read'), adminController.getAnalyticsOverview);
 
 /**
  * @swagger
@@ -1592,7 +2183,132 @@ router.get('/analytics/overview', checkPermission('analytics'), adminController.
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/analytics/users', checkPermission('analytics'), adminController.getUserAnalytics);
+router.get('/analytics/users', checkPermission('analytics:read'), adminController.getUserAnalytics);
+
+/**
+ * @swagger
+ * /api/v1/admin/analytics/ai-usage:
+ *   get:
+ *     summary: Get AI usage analytics
+ *     description: AI requests, reported tokens and provider usage across all users, with the heaviest users
+ *     tags: [Admin Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           minimum: 1
+ *           maximum: 366
+ *       - in: query
+ *         name: limit
+ *         description: Number of top users to return
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: AI usage analytics retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                       example: 30 days
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         requests:
+ *                           type: number
+ *                         successful:
+ *                           type: number
+ *                         failed:
+ *                           type: number
+ *                         promptTokens:
+ *                           type: number
+ *                         completionTokens:
+ *                           type: number
+ *                         totalTokens:
+ *                           type: number
+ *                         activeUsers:
+ *                           type: number
+ *                     byProvider:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: fal
+ *                           requests:
+ *                             type: number
+ *                           totalTokens:
+ *                             type: number
+ *                           avgDurationMs:
+ *                             type: number
+ *                     byOperation:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: caption
+ *                           requests:
+ *                             type: number
+ *                           failed:
+ *                             type: number
+ *                     daily:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: "2025-01-15"
+ *                           requests:
+ *                             type: number
+ *                           totalTokens:
+ *                             type: number
+ *                     topUsers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           userId:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           requests:
+ *                             type: number
+ *                           totalTokens:
+ *                             type: number
+ *       400:
+ *         description: Invalid days or limit
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/analytics/ai-usage', checkPermission('analytics:read'), adminController.getAIUsageAnalytics);
 
 // ==================== SETTINGS ====================
 
@@ -1605,14 +2321,15 @@ router.get('/analytics/users', checkPermission('analytics'), adminController.get
  *       Retrieve system settings from database with three disclosure levels:
  *       
  *       **Disclosure Levels:**
- *       - `public` (default): Secrets completely removed - safe for all admin roles
- *       - `masked` (superadmin only): Secrets partially shown (e.g., "sk_l••••••••x789")
- *       - `full` (superadmin only): Complete secrets shown in plain text (⚠️ use with caution)
+ *       - `public` (default): Secrets completely removed
+ *       - `masked`: Secrets partially shown (e.g., "sk_l••••••••x789")
+ *       - `full`: Complete secrets shown in plain text (⚠️ use with caution)
  *       
  *       **Access Control:**
- *       - Any admin role can use `public` disclosure
- *       - Only superadmin can use `masked` or `full` disclosure
- *       - Non-superadmin requests for masked/full will silently fallback to public
+ *       - Requires `settings:read`
+ *       - Secrets are only revealed for sections the admin may read: `settings_api_keys:read`
+ *         (cloudinary, mongodb, apiKeys, reddit, rapidApi, firebase) and `settings_email:read` (email)
+ *       - Other sections fall back to their public version and are listed in `hiddenSections`
  *     tags: [Admin Settings]
  *     security:
  *       - bearerAuth: []
@@ -1625,9 +2342,9 @@ router.get('/analytics/users', checkPermission('analytics'), adminController.get
  *           default: public
  *         description: |
  *           Disclosure level for sensitive settings:
- *           - `public`: No secrets (default, all roles)
- *           - `masked`: Masked secrets like "sk_l••••••••x789" (superadmin only)
- *           - `full`: Complete secrets in plain text (superadmin only, ⚠️ handle with care)
+ *           - `public`: No secrets (default)
+ *           - `masked`: Masked secrets like "sk_l••••••••x789" (sections the admin may read)
+ *           - `full`: Complete secrets in plain text (sections the admin may read, ⚠️ handle with care)
  *     responses:
  *       200:
  *         description: Settings retrieved successfully
@@ -1738,6 +2455,9 @@ router.get('/analytics/users', checkPermission('analytics'), adminController.get
  *                               description: Removed in public, masked in masked, full in full
  *                             bundleSocialOrgId:
  *                               type: string
+ *                             bundleSocialWebhookSecret:
+ *                               type: string
+ *                               description: Removed in public, masked in masked, full in full
  *                         urls:
  *                           type: object
  *                           properties:
@@ -1769,8 +2489,46 @@ router.get('/analytics/users', checkPermission('analytics'), adminController.get
  *                               type: boolean
  *                             adminPanelEnabled:
  *                               type: boolean
+ *                         ai:
+ *                           type: object
+ *                           properties:
+ *                             providerOrder:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                                 enum: [fal, gemini, perplexity, openai]
+ *                             failoverEnabled:
+ *                               type: boolean
+ *                             rateLimitCooldownSeconds:
+ *                               type: number
+ *                             dailyRequestLimit:
+ *                               type: number
+ *                             monthlyRequestLimit:
+ *                               type: number
+ *                             dailyTokenLimit:
+ *                               type: number
+ *                             monthlyTokenLimit:
+ *                               type: number
+ *                         socialAuth:
+ *                           type: object
+ *                           properties:
+ *                             googleClientIds:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                             appleClientIds:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                         adminSecurity:
+ *                           type: object
+ *                           properties:
+ *                             twoFactorRequiredRoles:
+ *                               type: array
+ *                               items:
+ *                                 type: string
  *       403:
- *         description: Access denied - superadmin role required
+ *         description: Missing settings:read permission
  *         content:
  *           application/json:
  *             schema:
@@ -1781,15 +2539,15 @@ router.get('/analytics/users', checkPermission('analytics'), adminController.get
  *                   example: error
  *                 message:
  *                   type: string
- *                   example: Only superadmin can view settings
+ *                   example: "You need one of these permissions: settings:read"
  */
-router.get('/settings', restrictTo('superadmin'), adminController.getSettings);
+router.get('/settings', checkPermission('settings:read'), adminController.getSettings);
 
 /**
  * @swagger
  * /api/v1/admin/settings:
  *   patch:
- *     summary: Update system settings (superadmin only)
+ *     summary: Update system settings
  *     description: |
  *       Update system configuration stored in database. Changes take effect immediately.
  *       Secrets (JWT, API keys) are excluded - use environment variables for those.
@@ -1908,6 +2666,10 @@ router.get('/settings', restrictTo('superadmin'), adminController.getSettings);
  *                     type: string
  *                     example: "org_xxxxxxxxxxxx"
  *                     description: "Bundle.social organization ID"
+ *                   bundleSocialWebhookSecret:
+ *                     type: string
+ *                     example: "whsec_xxxxxxxxxxxx"
+ *                     description: "Shared secret used to verify Bundle.social webhook signatures"
  *               urls:
  *                 type: object
  *                 properties:
@@ -1944,17 +2706,80 @@ router.get('/settings', restrictTo('superadmin'), adminController.getSettings);
  *                     type: boolean
  *                   adminPanelEnabled:
  *                     type: boolean
+ *               ai:
+ *                 type: object
+ *                 description: AI caption provider routing
+ *                 properties:
+ *                   providerOrder:
+ *                     type: array
+ *                     description: Providers in the order they are tried
+ *                     items:
+ *                       type: string
+ *                       enum: [fal, gemini, perplexity, openai]
+ *                     example: ["fal", "gemini", "perplexity", "openai"]
+ *                   failoverEnabled:
+ *                     type: boolean
+ *                     description: Fall back to the next provider on errors and rate limits
+ *                     example: true
+ *                   rateLimitCooldownSeconds:
+ *                     type: number
+ *                     description: Seconds a provider is skipped after a rate limit error
+ *                     example: 60
+ *                   dailyRequestLimit:
+ *                     type: integer
+ *                     description: AI requests per user per UTC day (0 = unlimited)
+ *                     example: 50
+ *                   monthlyRequestLimit:
+ *                     type: integer
+ *                     description: AI requests per user per UTC month (0 = unlimited)
+ *                     example: 500
+ *                   dailyTokenLimit:
+ *                     type: integer
+ *                     description: Reported tokens per user per UTC day (0 = unlimited)
+ *                     example: 0
+ *                   monthlyTokenLimit:
+ *                     type: integer
+ *                     description: Reported tokens per user per UTC month (0 = unlimited)
+ *                     example: 0
+ *               socialAuth:
+ *                 type: object
+ *                 description: Google / Apple sign-in. ID tokens are only accepted when issued to one of these client IDs.
+ *                 properties:
+ *                   googleClientIds:
+ *                     type: array
+ *                     description: OAuth client IDs of the web, iOS and Android apps
+ *                     items:
+ *                       type: string
+ *                     example: ["1234567890-abc.apps.googleusercontent.com"]
+ *                   appleClientIds:
+ *                     type: array
+ *                     description: App bundle ID and Services ID
+ *                     items:
+ *                       type: string
+ *                     example: ["com.soloai.app"]
+ *               adminSecurity:
+ *                 type: object
+ *                 description: Admin panel security
+ *                 properties:
+ *                   twoFactorRequiredRoles:
+ *                     type: array
+ *                     description: Admins with these roles must set up two-factor authentication before they can sign in (requires admins:write)
+ *                     items:
+ *                       type: string
+ *                     example: ["superadmin", "admin"]
  *     responses:
  *       200:
  *         description: Settings updated successfully
  *       400:
  *         description: Invalid settings values
  *       403:
- *         description: Only superadmin can update settings
+ *         description: |
+ *           Missing settings:write, or the permission of a sensitive section
+ *           (settings_api_keys:write, settings_email:write, admins:write for adminSecurity)
  */
 router.patch(
   '/settings',
-  restrictTo('superadmin'),
+  checkPermission('settings:write'),
   logActivity('settings_update', 'settings'),
   adminController.updateSettings
 );
@@ -1970,7 +2795,7 @@ router.patch(
  *       - Support inquiries from users
  *       - Problem/bug reports
  *       
- *       Admin or Superadmin can update these settings.
+ *       Requires `settings:write`.
  *     tags: [Admin Settings]
  *     security:
  *       - bearerAuth: []
@@ -2036,15 +2861,288 @@ router.patch(
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin or Superadmin only
+ *         description: Forbidden - settings:write permission required
  */
 router.patch(
   '/settings/contact-emails',
-  restrictTo('superadmin', 'admin'),
+  checkPermission('settings:write'),
   logActivity('settings_update', 'settings'),
   adminController.updateContactEmails
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SettingsChange:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *           example: ai.providerOrder
+ *         from:
+ *           description: Previous value (secrets shown as •••••••• when set)
+ *           example: ["fal", "gemini"]
+ *         to:
+ *           description: New value (secrets shown as •••••••• when set)
+ *           example: ["gemini", "fal"]
+ *         secret:
+ *           type: boolean
+ *           description: The field is a credential; only whether it changed is shown
+ *     SettingsVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: number
+ *           example: 7
+ *         source:
+ *           type: string
+ *           enum: [baseline, update, contact_emails, rollback, seed]
+ *         restoredVersion:
+ *           type: number
+ *           description: For rollbacks, the version that was restored
+ *         note:
+ *           type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SettingsChange'
+ *         createdBy:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/settings/history:
+ *   get:
+ *     summary: Get settings change history
+ *     description: |
+ *       Every change to the settings is stored as a numbered version with a field-level diff against
+ *       the previous one. Version 1 (`baseline`) holds the settings as they were before history was kept.
+ *     tags: [Admin Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Settings history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SettingsVersion'
+ *                 meta:
+ *                   type: object
+ *       403:
+ *         description: Missing settings:read permission
+ */
+router.get(
+  '/settings/history',
+  checkPermission('settings:read'),
+  validateQuery(paginationSchema),
+  adminController.getSettingsHistory
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/settings/history/compare:
+ *   get:
+ *     summary: Compare two settings versions
+ *     description: Field-level differences from one version to another, or to the current settings when `to` is omitted. Secrets are masked.
+ *     tags: [Admin Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current settings
+ *     responses:
+ *       200:
+ *         description: Settings versions compared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: number
+ *                     to:
+ *                       oneOf:
+ *                         - type: number
+ *                         - type: string
+ *                           example: current
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SettingsChange'
+ *       404:
+ *         description: Settings version not found
+ */
+router.get(
+  '/settings/history/compare',
+  checkPermission('settings:read'),
+  validateQuery(settingsVersionCompareSchema),
+  adminController.compareSettingsVersions
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/settings/history/{version}:
+ *   get:
+ *     summary: Get a settings version
+ *     description: The version's diff and the full settings it contained (secrets masked).
+ *     tags: [Admin Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Settings version retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/SettingsVersion'
+ *                         - type: object
+ *                           properties:
+ *                             snapshot:
+ *                               type: object
+ *                               description: Settings of this version, secrets masked
+ *       404:
+ *         description: Settings version not found
+ */
+router.get(
+  '/settings/history/:version(\\d+)',
+  checkPermission('settings:read'),
+  adminController.getSettingsVersion
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/settings/history/{version}/rollback:
+ *   post:
+ *     summary: Roll settings back to an earlier version
+ *     description: |
+ *       Restores the settings of the version and records the rollback as a new version. Cloudinary,
+ *       email, Bundle.social, fal.ai and Firebase re-read their configuration when their section changed.
+ *       
+ *       Needs write access to every section that changes (e.g. `settings_api_keys:write` when API keys
+ *       differ). Secrets encrypted with a master key that is no longer configured keep their current
+ *       value and are listed in `skippedSecrets`.
+ *     tags: [Admin Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Undo provider order change
+ *     responses:
+ *       200:
+ *         description: Settings rolled back (or already matching the version)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       type: number
+ *                       description: The new version created by the rollback
+ *                     restoredVersion:
+ *                       type: number
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SettingsChange'
+ *                     skippedSecrets:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       403:
+ *         description: Missing settings:write or the permission of a changed section
+ *       404:
+ *         description: Settings version not found
+ */
+router.post(
+  '/settings/history/:version(\\d+)/rollback',
+  checkPermission('settings:write'),
+  validate(settingsRollbackSchema),
+  adminController.rollbackSettings
+);
+
 // ==================== ACTIVITY LOGS ====================
 
 /**
@@ -2142,23 +3240,17 @@ router.patch(
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/activity-logs', restrictTo('superadmin', 'admin'), adminController.getActivityLogs);
-
-// ==================== ADMIN MANAGEMENT (SUPERADMIN ONLY) ====================
-
-/**
- * @swagger
- * tags:
- *   - name: Admin Management
- *     description: Superadmin exclusive - manage admin accounts
- */
+router.get('/activity-logs', checkPermission('activity_logs:read'), adminController.getActivityLogs);
 
 /**
  * @swagger
- * /api/v1/admin/admins:
+ * /api/v1/admin/webhooks/deliveries:
  *   get:
- *     summary: Get all admin users (superadmin only)
- *     tags: [Admin Management]
+ *     summary: Get inbound webhook deliveries
+ *     description: |
+ *       Audit log of every webhook delivery received (processed, ignored, duplicate, rejected and failed).
+ *       Rejected deliveries keep only their headers, body size and body SHA-256 as `payload`.
+ *     tags: [Admin Activity]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -2171,74 +3263,188 @@ router.get('/activity-logs', restrictTo('superadmin', 'admin'), adminController.
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 20
+ *           default: 50
  *       - in: query
- *         name: role
+ *         name: provider
  *         schema:
  *           type: string
- *           enum: [superadmin, admin, moderator]
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
+ *           enum: [bundle_social]
  *       - in: query
- *         name: search
+ *         name: status
  *         schema:
  *           type: string
- *         description: Search by name or email
+ *           enum: [processing, processed, ignored, duplicate, rejected, failed]
  *       - in: query
- *         name: sortBy
+ *         name: eventType
  *         schema:
  *           type: string
- *           default: createdAt
+ *           example: post.published
  *       - in: query
- *         name: sortOrder
+ *         name: eventId
  *         schema:
  *           type: string
- *           enum: [asc, desc]
- *           default: desc
  *     responses:
  *       200:
- *         description: Admins retrieved successfully
+ *         description: Webhook deliveries retrieved
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
+ *                 status:
+ *                   type: string
+ *                   example: success
  *                 data:
  *                   type: object
  *                   properties:
- *                     admins:
+ *                     deliveries:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
  *                           _id:
  *                             type: string
- *                           name:
+ *                           provider:
  *                             type: string
- *                           email:
+ *                             example: bundle_social
+ *                           eventId:
  *                             type: string
- *                           role:
+ *                           eventType:
  *                             type: string
- *                           permissions:
- *                             type: array
- *                             items:
- *                               type: string
- *                           isActive:
+ *                           status:
+ *                             type: string
+ *                             example: processed
+ *                           signatureValid:
+ *                             type: boolean
+ *                           changed:
+ *                             type: boolean
+ *                           error:
+ *                             type: string
+ *                           payload:
+ *                             type: object
+ *                           post:
+ *                             type: object
+ *                           video:
+ *                             type: object
+ *                           ipAddress:
+ *                             type: string
+ *                           receivedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           processedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         total:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/webhooks/deliveries', checkPermission('webhooks:read'), adminController.getWebhookDeliveries);
+
+// ==================== ADMIN MANAGEMENT ====================
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin Management
+ *     description: Manage admin accounts (admins:read / admins:write / admins:delete)
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/admins:
+ *   get:
+ *     summary: Get all admin users
+ *     tags: [Admin Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or email
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: Admins retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     admins:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           role:
+ *                             type: string
+ *                           permissions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           isActive:
  *                             type: boolean
  *                           createdBy:
  *                             type: object
  *                           createdAt:
  *                             type: string
  *       403:
- *         description: Access denied - superadmin only
+ *         description: Missing admins:read permission
  */
 router.get(
   '/admins',
-  restrictTo('superadmin'),
+  checkPermission('admins:read'),
   adminController.getAllAdmins
 );
 
@@ -2246,24 +3452,17 @@ router.get(
  * @swagger
  * /api/v1/admin/admins:
  *   post:
- *     summary: Create new admin user (superadmin only)
+ *     summary: Create new admin user
  *     description: |
- *       Create a new admin account with specified role and permissions.
- *       Only superadmin can create new admin users.
+ *       Create a new admin account with a role and optional extra permissions.
+ *       
+ *       **Roles:** the built-in `superadmin` (everything), `admin` and `moderator`, or any custom
+ *       role (see `GET /api/v1/admin/roles`).
  *       
- *       **Roles:**
- *       - `superadmin`: Full system access (all permissions)
- *       - `admin`: Standard admin with configurable permissions
- *       - `moderator`: Limited admin with specific permissions
+ *       **Permissions:** `<resource>:<action>` on top of the role, e.g. `analytics:read`
+ *       (see `GET /api/v1/admin/permissions`). `<resource>:*` grants every action on a resource.
  *       
- *       **Permissions:**
- *       - `users`: Manage user accounts
- *       - `media`: Manage media library
- *       - `videos`: Manage videos
- *       - `posts`: Manage social media posts
- *       - `analytics`: View analytics
- *       - `settings`: Modify system settings
- *       - `socialaccounts`: Manage social accounts
+ *       You can only assign a role or grant permissions you hold yourself.
  *     tags: [Admin Management]
  *     security:
  *       - bearerAuth: []
@@ -2291,15 +3490,14 @@ router.get(
  *                 example: SecurePass123!
  *               role:
  *                 type: string
- *                 enum: [superadmin, admin, moderator]
  *                 default: admin
  *                 example: admin
  *               permissions:
  *                 type: array
+ *                 description: Extra permissions on top of the role
  *                 items:
  *                   type: string
- *                   enum: [users, media, videos, posts, analytics, settings, socialaccounts]
- *                 example: ["users", "media", "posts"]
+ *                 example: ["webhooks:read"]
  *           examples:
  *             full_admin:
  *               summary: Full Admin
@@ -2308,7 +3506,7 @@ router.get(
  *                 email: john.admin@soloai.com
  *                 password: SecurePass123!
  *                 role: admin
- *                 permissions: ["users", "media", "videos", "posts", "analytics"]
+ *                 permissions: []
  *             moderator:
  *               summary: Content Moderator
  *               value:
@@ -2316,7 +3514,7 @@ router.get(
  *                 email: jane.mod@soloai.com
  *                 password: ModPass123!
  *                 role: moderator
- *                 permissions: ["users", "media", "posts"]
+ *                 permissions: ["posts:write"]
  *     responses:
  *       201:
  *         description: Admin created successfully
@@ -2335,13 +3533,13 @@ router.get(
  *                     admin:
  *                       type: object
  *       400:
- *         description: Invalid input or email already exists
+ *         description: Invalid input, unknown role or permission, or email already exists
  *       403:
- *         description: Access denied - superadmin only
+ *         description: Missing admins:write, or the role / permissions include access you do not have
  */
 router.post(
   '/admins',
-  restrictTo('superadmin'),
+  checkPermission('admins:write'),
   logActivity('create', 'admin'),
   adminController.createAdmin
 );
@@ -2350,10 +3548,11 @@ router.post(
  * @swagger
  * /api/v1/admin/admins/{id}:
  *   patch:
- *     summary: Update admin user (superadmin only)
+ *     summary: Update admin user
  *     description: |
  *       Update admin details including role and permissions.
- *       Cannot modify another superadmin account.
+ *       Cannot modify another superadmin account or an admin who has permissions you do not have,
+ *       and you can only assign roles and permissions you hold yourself.
  *     tags: [Admin Management]
  *     security:
  *       - bearerAuth: []
@@ -2377,7 +3576,6 @@ router.post(
  *                 format: email
  *               role:
  *                 type: string
- *                 enum: [superadmin, admin, moderator]
  *               permissions:
  *                 type: array
  *                 items:
@@ -2390,13 +3588,13 @@ router.post(
  *       400:
  *         description: Invalid input
  *       403:
- *         description: Cannot modify superadmin or access denied
+ *         description: Cannot modify this admin, or the role / permissions include access you do not have
  *       404:
  *         description: Admin not found
  */
 router.patch(
   '/admins/:id',
-  restrictTo('superadmin'),
+  checkPermission('admins:write'),
   logActivity('update', 'admin'),
   adminController.updateAdmin
 );
@@ -2405,11 +3603,11 @@ router.patch(
  * @swagger
  * /api/v1/admin/admins/{id}/restrict:
  *   patch:
- *     summary: Restrict or unrestrict admin account (superadmin only)
+ *     summary: Restrict or unrestrict admin account
  *     description: |
  *       Activate or deactivate an admin account.
  *       Deactivated admins cannot login or access the system.
- *       Cannot restrict superadmin accounts or your own account.
+ *       Cannot restrict superadmin accounts, your own account or an admin who has permissions you do not have.
  *     tags: [Admin Management]
  *     security:
  *       - bearerAuth: []
@@ -2454,13 +3652,13 @@ router.patch(
  *       400:
  *         description: Missing isActive field
  *       403:
- *         description: Cannot restrict superadmin or self
+ *         description: Cannot restrict this admin
  *       404:
  *         description: Admin not found
  */
 router.patch(
   '/admins/:id/restrict',
-  restrictTo('superadmin'),
+  checkPermission('admins:write'),
   logActivity('restrict', 'admin'),
   adminController.restrictAdmin
 );
@@ -2469,10 +3667,10 @@ router.patch(
  * @swagger
  * /api/v1/admin/admins/{id}:
  *   delete:
- *     summary: Delete admin user (superadmin only)
+ *     summary: Delete admin user
  *     description: |
  *       Permanently delete an admin account.
- *       Cannot delete superadmin accounts or your own account.
+ *       Cannot delete superadmin accounts, your own account or an admin who has permissions you do not have.
  *       This action cannot be undone.
  *     tags: [Admin Management]
  *     security:
@@ -2488,31 +3686,112 @@ router.patch(
  *       200:
  *         description: Admin deleted successfully
  *       403:
- *         description: Cannot delete superadmin or self
+ *         description: Cannot delete this admin
  *       404:
  *         description: Admin not found
  */
 router.delete(
   '/admins/:id',
-  restrictTo('superadmin'),
+  checkPermission('admins:delete'),
   logActivity('delete', 'admin'),
   adminController.deleteAdmin
 );
 
-// ==================== LEGAL CONTENT ROUTES ====================
+/**
+ * @swagger
+ * /api/v1/admin/admins/{id}/2fa:
+ *   delete:
+ *     summary: Reset an admin's two-factor authentication
+ *     description: |
+ *       For an admin who lost their authenticator. Removes the secret and recovery codes and signs the
+ *       admin out everywhere; if their role requires two-factor they set it up again at the next login.
+ *       Cannot be used on your own account.
+ *     tags: [Admin Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admin user ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Lost phone
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset successfully
+ *       403:
+ *         description: Cannot reset your own two-factor authentication
+ *       404:
+ *         description: Admin not found
+ */
+router.delete(
+  '/admins/:id/2fa',
+  checkPermission('admins:write'),
+  validate(adminTwoFactorResetSchema),
+  adminController.resetAdminTwoFactor
+);
+
+// ==================== ROLES & PERMISSIONS ====================
 
 /**
  * @swagger
- * /api/v1/admin/legal:
+ * components:
+ *   schemas:
+ *     AdminRole:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: support
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["users:read", "users:write", "notifications:*"]
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in role (cannot be deleted)
+ *         adminCount:
+ *           type: number
+ *           description: Admins with this role
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin Roles
+ *     description: |
+ *       Roles are lists of `<resource>:<action>` permissions (`*` grants everything, `<resource>:*` every
+ *       action on one resource). The built-in roles superadmin, admin and moderator can be edited (except
+ *       superadmin) but not deleted. Admins can only grant permissions they hold themselves.
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/permissions:
  *   get:
- *     summary: Get all legal content
- *     description: Retrieve all legal content (Privacy Policy, Terms of Use, FAQ) with admin details
- *     tags: [Admin Legal]
+ *     summary: Get the permission catalog
+ *     description: Every resource with its actions, and which settings sections need their own permission.
+ *     tags: [Admin Roles]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Legal content retrieved successfully
+ *         description: Permissions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -2521,76 +3800,50 @@ router.delete(
  *                 status:
  *                   type: string
  *                   example: success
- *                 results:
- *                   type: number
  *                 data:
  *                   type: object
  *                   properties:
- *                     contents:
+ *                     resources:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
- *                           _id:
- *                             type: string
- *                           type:
- *                             type: string
- *                             enum: [privacy_policy, terms_of_use, faq]
- *                           title:
- *                             type: string
- *                           content:
- *                             type: string
- *                           htmlContent:
- *                             type: string
- *                           lastUpdatedBy:
- *                             type: object
- *                             properties:
- *                               _id:
- *                                 type: string
- *                               name:
- *                                 type: string
- *                               email:
- *                                 type: string
- *                           version:
- *                             type: number
- *                           isPublished:
- *                             type: boolean
- *                           createdAt:
+ *                           resource:
  *                             type: string
- *                             format: date-time
- *                           updatedAt:
+ *                             example: settings_api_keys
+ *                           description:
  *                             type: string
- *                             format: date-time
- *       401:
- *         description: Unauthorized - Invalid or missing token
+ *                           actions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["read", "write"]
+ *                           permissions:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["settings_api_keys:read", "settings_api_keys:write"]
+ *                     settingsSections:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: string
+ *                       example: { "apiKeys": "settings_api_keys", "email": "settings_email" }
+ *       403:
+ *         description: Missing roles:read permission
  */
-router.get(
-  '/legal',
-  protectAdmin,
-  checkPermission('settings'),
-  legalController.getAllLegalContent
-);
+router.get('/permissions', checkPermission('roles:read'), adminRoleController.getPermissionCatalog);
 
 /**
  * @swagger
- * /api/v1/admin/legal/{type}:
+ * /api/v1/admin/roles:
  *   get:
- *     summary: Get legal content by type
- *     description: Retrieve specific legal content with full details including admin information
- *     tags: [Admin Legal]
+ *     summary: Get all roles
+ *     tags: [Admin Roles]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: type
- *         required: true
- *         schema:
- *           type: string
- *           enum: [privacy_policy, terms_of_use, faq]
- *         description: Type of legal content
  *     responses:
  *       200:
- *         description: Legal content retrieved successfully
+ *         description: Roles retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -2602,105 +3855,163 @@ router.get(
  *                 data:
  *                   type: object
  *                   properties:
- *                     content:
- *                       type: object
- *                       properties:
- *                         _id:
- *                           type: string
- *                         type:
- *                           type: string
- *                           enum: [privacy_policy, terms_of_use, faq]
- *                         title:
- *                           type: string
- *                         content:
- *                           type: string
- *                         htmlContent:
- *                           type: string
- *                         version:
- *                           type: number
- *                         isPublished:
- *                           type: boolean
- *                         lastUpdatedBy:
- *                           type: object
- *                           properties:
- *                             _id:
- *                               type: string
- *                             name:
- *                               type: string
- *                             email:
- *                               type: string
- *                         createdAt:
- *                           type: string
- *                           format: date-time
- *                         updatedAt:
- *                           type: string
- *                           format: date-time
- *       404:
- *         description: Legal content not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AdminRole'
+ *       403:
+ *         description: Missing roles:read permission
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 2-40 lowercase letters, numbers, "-" and "_"
+ *                 example: support
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: Customer support team
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["users:read", "users:write", "notifications:*"]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Invalid name or unknown permission
+ *       403:
+ *         description: Missing roles:write, or granting permissions you do not have
+ *       409:
+ *         description: A role with this name already exists
  */
-router.get(
-  '/legal/:type',
-  protectAdmin,
-  checkPermission('settings'),
-  legalController.getAdminLegalContent
+router.get('/roles', checkPermission('roles:read'), adminRoleController.getRoles);
+
+router.post(
+  '/roles',
+  checkPermission('roles:write'),
+  validate(adminRoleCreateSchema),
+  logActivity('create', 'admin_role'),
+  adminRoleController.createRole
 );
 
 /**
  * @swagger
- * /api/v1/admin/legal:
- *   post:
- *     summary: Create or update legal content
- *     description: Create new legal content or update existing one. Automatically increments version on update.
- *     tags: [Admin Legal]
+ * /api/v1/admin/roles/{name}:
+ *   patch:
+ *     summary: Update a role
+ *     description: |
+ *       Change the description or replace the permissions. Both the old and the new permissions must be
+ *       ones you hold. The superadmin role's permissions cannot be changed. Takes effect for admins with
+ *       this role within 30 seconds.
+ *     tags: [Admin Roles]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - type
- *               - title
- *               - content
- *               - htmlContent
  *             properties:
- *               type:
- *                 type: string
- *                 enum: [privacy_policy, terms_of_use, faq]
- *                 description: Type of legal content
- *               title:
- *                 type: string
- *                 example: Privacy Policy
- *               content:
- *                 type: string
- *                 description: Plain text version of content
- *               htmlContent:
+ *               description:
  *                 type: string
- *                 description: HTML formatted content for web view
- *               isPublished:
- *                 type: boolean
- *                 default: true
- *           example:
- *             type: privacy_policy
- *             title: Privacy Policy
- *             content: "Welcome to SoloAI! We value your trust and are committed to protecting your privacy..."
- *             htmlContent: "<h2>1. Introduction</h2><p>Welcome to SoloAI! We value your trust...</p>"
- *             isPublished: true
+ *                 maxLength: 200
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Legal content updated successfully
+ *         description: Role updated successfully
+ *       400:
+ *         description: Unknown permission
+ *       403:
+ *         description: Missing roles:write, superadmin role, or permissions you do not have
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: Built-in roles cannot be deleted, nor roles still assigned to an admin.
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: Missing roles:delete, or a built-in role
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role is still assigned to admins
+ */
+router.patch(
+  '/roles/:name',
+  checkPermission('roles:write'),
+  validate(adminRoleUpdateSchema),
+  logActivity('update', 'admin_role'),
+  adminRoleController.updateRole
+);
+
+router.delete(
+  '/roles/:name',
+  checkPermission('roles:delete'),
+  logActivity('delete', 'admin_role'),
+  adminRoleController.deleteRole
+);
+
+// ==================== LEGAL CONTENT ROUTES ====================
+
+/**
+ * @swagger
+ * /api/v1/admin/legal:
+ *   get:
+ *     summary: Get all legal content
+ *     description: Retrieve all legal content (Privacy Policy, Terms of Use, FAQ) in every locale with admin details
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: Only this locale variant, e.g. de or pt-BR
+ *     responses:
+ *       200:
+ *         description: Legal content retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -2709,71 +4020,68 @@ router.get(
  *                 status:
  *                   type: string
  *                   example: success
- *                 message:
- *                   type: string
- *                   example: Legal content updated successfully
- *                 data:
+ *                 meta:
  *                   type: object
  *                   properties:
- *                     content:
- *                       type: object
- *                       properties:
- *                         _id:
- *                           type: string
- *                         type:
- *                           type: string
- *                         title:
- *                           type: string
- *                         version:
- *                           type: number
- *                         isPublished:
- *                           type: boolean
- *       201:
- *         description: Legal content created successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 message:
- *                   type: string
- *                   example: Legal content created successfully
+ *                     total:
+ *                       type: number
  *                 data:
  *                   type: object
  *                   properties:
- *                     content:
- *                       type: object
- *       400:
- *         description: Missing required fields or invalid type
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                     contents:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             enum: [privacy_policy, terms_of_use, faq]
+ *                           locale:
+ *                             type: string
+ *                             example: en
+ *                           title:
+ *                             type: string
+ *                           content:
+ *                             type: string
+ *                           htmlContent:
+ *                             type: string
+ *                           lastUpdatedBy:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               email:
+ *                                 type: string
+ *                           version:
+ *                             type: number
+ *                           isPublished:
+ *                             type: boolean
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           updatedAt:
+ *                             type: string
+ *                             format: date-time
  *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Unauthorized - Invalid or missing token
  */
-router.post(
+router.get(
   '/legal',
+  checkPermission('legal:read'),
   protectAdmin,
-  restrictTo('superadmin', 'admin'),
-  checkPermission('settings'),
-  logActivity('create', 'legal_content'),
-  legalController.createOrUpdateLegalContent
+  legalController.getAllLegalContent
 );
 
 /**
  * @swagger
  * /api/v1/admin/legal/{type}:
- *   patch:
- *     summary: Update legal content
- *     description: Update existing legal content by type. Version is automatically incremented.
+ *   get:
+ *     summary: Get legal content by type
+ *     description: Retrieve specific legal content with full details including admin information
  *     tags: [Admin Legal]
  *     security:
  *       - bearerAuth: []
@@ -2784,29 +4092,16 @@ router.post(
  *         schema:
  *           type: string
  *           enum: [privacy_policy, terms_of_use, faq]
- *         description: Type of legal content to update
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               content:
- *                 type: string
- *               htmlContent:
- *                 type: string
- *               isPublished:
- *                 type: boolean
- *           example:
- *             title: Updated Privacy Policy
- *             htmlContent: "<h2>1. Introduction</h2><p>Updated content...</p>"
- *             isPublished: true
+ *         description: Type of legal content
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Locale variant, e.g. en, de, pt-BR (defaults to the default locale)
  *     responses:
  *       200:
- *         description: Legal content updated successfully
+ *         description: Legal content retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -2815,9 +4110,6 @@ router.post(
  *                 status:
  *                   type: string
  *                   example: success
- *                 message:
- *                   type: string
- *                   example: Legal content updated successfully
  *                 data:
  *                   type: object
  *                   properties:
@@ -2828,15 +4120,504 @@ router.post(
  *                           type: string
  *                         type:
  *                           type: string
+ *                           enum: [privacy_policy, terms_of_use, faq]
  *                         title:
  *                           type: string
+ *                         content:
+ *                           type: string
+ *                         htmlContent:
+ *                           type: string
  *                         version:
  *                           type: number
  *                         isPublished:
  *                           type: boolean
- *                         updatedAt:
- *                           type: string
- *                           format: date-time
+ *                         lastUpdatedBy:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             email:
+ *                               type: string
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *                         updatedAt:
+ *                           type: string
+ *                           format: date-time
+ *       404:
+ *         description: Legal content not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/legal/:type',
+  checkPermission('legal:read'),
+  protectAdmin,
+  legalController.getAdminLegalContent
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/legal/{type}/versions:
+ *   get:
+ *     summary: Get version history of legal content
+ *     description: Every saved version of the document, newest first, with the admin who saved it. Versions are immutable.
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Locale variant, e.g. en, de, pt-BR (defaults to the default locale)
+ *     responses:
+ *       200:
+ *         description: Legal content versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/LegalContentVersion'
+ *                           - type: object
+ *                             properties:
+ *                               createdBy:
+ *                                 type: object
+ *                                 properties:
+ *                                   name:
+ *                                     type: string
+ *                                   email:
+ *                                     type: string
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/legal/:type/versions',
+  checkPermission('legal:read'),
+  protectAdmin,
+  legalController.getAdminLegalVersions
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/legal/{type}/versions/{version}:
+ *   get:
+ *     summary: Get a specific version of legal content
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Locale variant, e.g. en, de, pt-BR (defaults to the default locale)
+ *     responses:
+ *       200:
+ *         description: Legal content version retrieved successfully
+ *       404:
+ *         description: Version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/legal/:type/versions/:version',
+  checkPermission('legal:read'),
+  protectAdmin,
+  legalController.getAdminLegalVersion
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/legal:
+ *   post:
+ *     summary: Create or update legal content
+ *     description: |
+ *       Create new legal content or update existing one. Changing the title or text increments the
+ *       version and stores an immutable snapshot in the version history; changing only `isPublished`
+ *       does not. Set `requiresReacceptance` for material changes so users who accepted an older
+ *       privacy policy or terms of use are asked to accept the new version.
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - title
+ *               - content
+ *               - htmlContent
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [privacy_policy, terms_of_use, faq]
+ *                 description: Type of legal content
+ *               locale:
+ *                 type: string
+ *                 default: en
+ *                 description: Locale variant to create or update, e.g. en, de, pt-BR. Each locale has its own version history.
+ *               title:
+ *                 type: string
+ *                 example: Privacy Policy
+ *               content:
+ *                 type: string
+ *                 description: Plain text version of content
+ *               htmlContent:
+ *                 type: string
+ *                 description: HTML formatted content for web view
+ *               isPublished:
+ *                 type: boolean
+ *                 default: true
+ *               requiresReacceptance:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Users who accepted an earlier version must accept this one (privacy policy and terms of use)
+ *               changeNote:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Summary of what changed, stored with the version
+ *           example:
+ *             type: privacy_policy
+ *             locale: en
+ *             title: Privacy Policy
+ *             content: "Welcome to SoloAI! We value your trust and are committed to protecting your privacy..."
+ *             htmlContent: "<h2>1. Introduction</h2><p>Welcome to SoloAI! We value your trust...</p>"
+ *             isPublished: true
+ *     responses:
+ *       200:
+ *         description: Legal content updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Legal content updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         type:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         version:
+ *                           type: number
+ *                         isPublished:
+ *                           type: boolean
+ *       201:
+ *         description: Legal content created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Legal content created successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: object
+ *       400:
+ *         description: Missing required fields or invalid type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/legal',
+  checkPermission('legal:write'),
+  protectAdmin,
+  logActivity('create', 'legal_content'),
+  legalController.createOrUpdateLegalContent
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/legal/{type}:
+ *   patch:
+ *     summary: Update legal content
+ *     description: |
+ *       Update existing legal content by type. Changing the title or text increments the version and
+ *       stores an immutable snapshot; set `requiresReacceptance` to make users accept the new version.
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *         description: Type of legal content to update
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Locale variant, e.g. en, de, pt-BR (defaults to the default locale)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               htmlContent:
+ *                 type: string
+ *               isPublished:
+ *                 type: boolean
+ *               requiresReacceptance:
+ *                 type: boolean
+ *                 default: false
+ *               changeNote:
+ *                 type: string
+ *                 maxLength: 500
+ *           example:
+ *             title: Updated Privacy Policy
+ *             htmlContent: "<h2>1. Introduction</h2><p>Updated content...</p>"
+ *             isPublished: true
+ *             requiresReacceptance: true
+ *             changeNote: Added a section on AI caption data retention
+ *     responses:
+ *       200:
+ *         description: Legal content updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Legal content updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         type:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         version:
+ *                           type: number
+ *                         isPublished:
+ *                           type: boolean
+ *                         updatedAt:
+ *                           type: string
+ *                           format: date-time
+ *       404:
+ *         description: Legal content not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch(
+  '/legal/:type',
+  checkPermission('legal:write'),
+  protectAdmin,
+  logActivity('update', 'legal_content'),
+  legalController.updateLegalContent
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/legal/{type}/publish:
+ *   patch:
+ *     summary: Toggle publish status
+ *     description: Publish or unpublish legal content. Unpublished content won't be visible to public.
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *         description: Type of legal content
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Locale variant, e.g. en, de, pt-BR (defaults to the default locale)
+ *     responses:
+ *       200:
+ *         description: Publish status toggled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Legal content publish status updated
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         type:
+ *                           type: string
+ *                         isPublished:
+ *                           type: boolean
+ *       404:
+ *         description: Legal content not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch(
+  '/legal/:type/publish',
+  checkPermission('legal:write'),
+  protectAdmin,
+  logActivity('status_change', 'legal_content'),
+  legalController.togglePublishStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/legal/{type}:
+ *   delete:
+ *     summary: Delete legal content
+ *     description: Permanently delete legal content. Its version history is kept, and a document created again later continues the version numbering. Requires `legal:delete`.
+ *     tags: [Admin Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *         description: Type of legal content to delete
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Locale variant, e.g. en, de, pt-BR (defaults to the default locale)
+ *     responses:
+ *       204:
+ *         description: Legal content deleted successfully
+ *       200:
+ *         description: Legal content deleted successfully (alternative)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Legal content deleted successfully
  *       404:
  *         description: Legal content not found
  *         content:
@@ -2849,139 +4630,468 @@ router.post(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - legal:delete permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.patch(
+router.delete(
   '/legal/:type',
+  checkPermission('legal:delete'),
   protectAdmin,
-  restrictTo('superadmin', 'admin'),
-  checkPermission('settings'),
-  logActivity('update', 'legal_content'),
-  legalController.updateLegalContent
+  logActivity('delete', 'legal_content'),
+  legalController.deleteLegalContent
+);
+
+// ==================== FAQ ROUTES ====================
+
+/**
+ * @swagger
+ * /api/v1/admin/faq/categories:
+ *   get:
+ *     summary: Get all FAQ categories
+ *     description: All categories in display order, including unpublished ones, with entry counts
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: FAQ categories retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create FAQ category
+ *     description: The category is added last. The slug is derived from the name when omitted.
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 80
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 maxLength: 300
+ *               translations:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Category name per locale
+ *               isPublished:
+ *                 type: boolean
+ *                 default: true
+ *           example:
+ *             name: Account
+ *             description: Signing in, profile and account deletion
+ *             translations:
+ *               de: Konto
+ *               pt-BR: Conta
+ *     responses:
+ *       201:
+ *         description: FAQ category created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A FAQ category with this slug already exists
+ */
+router.get(
+  '/faq/categories',
+  checkPermission('faq:read'),
+  protectAdmin,
+  faqController.getAdminFaqCategories
+);
+
+router.post(
+  '/faq/categories',
+  checkPermission('faq:write'),
+  protectAdmin,
+  validate(faqCategoryCreateSchema),
+  logActivity('create', 'faq'),
+  faqController.createFaqCategory
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/faq/categories/reorder:
+ *   patch:
+ *     summary: Reorder FAQ categories
+ *     description: Send every category ID in the new display order
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: FAQ categories reordered successfully
+ *       400:
+ *         description: Unknown or missing category IDs
+ */
+router.patch(
+  '/faq/categories/reorder',
+  checkPermission('faq:write'),
+  protectAdmin,
+  validate(faqCategoryReorderSchema),
+  logActivity('update', 'faq'),
+  faqController.reorderFaqCategories
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/faq/categories/{id}:
+ *   patch:
+ *     summary: Update FAQ category
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               translations:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               isPublished:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: FAQ category updated successfully
+ *       404:
+ *         description: FAQ category not found
+ *       409:
+ *         description: A FAQ category with this slug already exists
+ *   delete:
+ *     summary: Delete FAQ category
+ *     description: Only empty categories can be deleted; move or delete their entries first.
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: FAQ category deleted successfully
+ *       404:
+ *         description: FAQ category not found
+ *       409:
+ *         description: The category still has entries
+ */
+router.patch(
+  '/faq/categories/:id',
+  checkPermission('faq:write'),
+  protectAdmin,
+  validate(faqCategoryUpdateSchema),
+  logActivity('update', 'faq'),
+  faqController.updateFaqCategory
+);
+
+router.delete(
+  '/faq/categories/:id',
+  checkPermission('faq:delete'),
+  protectAdmin,
+  logActivity('delete', 'faq'),
+  faqController.deleteFaqCategory
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/faq:
+ *   get:
+ *     summary: Get FAQ entries
+ *     description: All entries including unpublished ones, with vote counts
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isPublished
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the question
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: FAQ entries retrieved successfully
+ *   post:
+ *     summary: Create FAQ entry
+ *     description: The entry is added last in its category and locale.
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - question
+ *               - answer
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 description: Category ID
+ *               locale:
+ *                 type: string
+ *                 default: en
+ *               question:
+ *                 type: string
+ *                 maxLength: 300
+ *               answer:
+ *                 type: string
+ *                 maxLength: 5000
+ *                 description: Plain text answer (searched)
+ *               answerHtml:
+ *                 type: string
+ *                 description: Optional formatted answer for web views
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isPublished:
+ *                 type: boolean
+ *                 default: true
+ *           example:
+ *             category: 665f1c2e8f1b2a0012345678
+ *             question: How do I delete my account?
+ *             answer: Go to Settings → Account → Delete Account.
+ *             tags: [account, delete]
+ *     responses:
+ *       201:
+ *         description: FAQ entry created successfully
+ *       400:
+ *         description: Validation error or unknown category
+ */
+router.get(
+  '/faq',
+  checkPermission('faq:read'),
+  protectAdmin,
+  faqController.getAdminFaqs
+);
+
+router.post(
+  '/faq',
+  checkPermission('faq:write'),
+  protectAdmin,
+  validate(faqEntryCreateSchema),
+  logActivity('create', 'faq'),
+  faqController.createFaq
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/faq/reorder:
+ *   patch:
+ *     summary: Reorder FAQ entries
+ *     description: Send every entry ID of one category and locale in the new order
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - ids
+ *             properties:
+ *               category:
+ *                 type: string
+ *               locale:
+ *                 type: string
+ *                 default: en
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: FAQ entries reordered successfully
+ *       400:
+ *         description: Unknown or missing entry IDs
+ *       404:
+ *         description: FAQ category not found
+ */
+router.patch(
+  '/faq/reorder',
+  checkPermission('faq:write'),
+  protectAdmin,
+  validate(faqEntryReorderSchema),
+  logActivity('update', 'faq'),
+  faqController.reorderFaqs
 );
 
 /**
  * @swagger
- * /api/v1/admin/legal/{type}/publish:
- *   patch:
- *     summary: Toggle publish status
- *     description: Publish or unpublish legal content. Unpublished content won't be visible to public.
- *     tags: [Admin Legal]
+ * /api/v1/admin/faq/{id}:
+ *   get:
+ *     summary: Get FAQ entry
+ *     tags: [Admin FAQ]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: type
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           enum: [privacy_policy, terms_of_use, faq]
- *         description: Type of legal content
  *     responses:
  *       200:
- *         description: Publish status toggled successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 message:
+ *         description: FAQ entry retrieved successfully
+ *       404:
+ *         description: FAQ entry not found
+ *   patch:
+ *     summary: Update FAQ entry
+ *     description: Moving an entry to another category or locale puts it last there.
+ *     tags: [Admin FAQ]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               locale:
+ *                 type: string
+ *               question:
+ *                 type: string
+ *               answer:
+ *                 type: string
+ *               answerHtml:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
  *                   type: string
- *                   example: Legal content publish status updated
- *                 data:
- *                   type: object
- *                   properties:
- *                     content:
- *                       type: object
- *                       properties:
- *                         _id:
- *                           type: string
- *                         type:
- *                           type: string
- *                         isPublished:
- *                           type: boolean
+ *               isPublished:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: FAQ entry updated successfully
  *       404:
- *         description: Legal content not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- */
-router.patch(
-  '/legal/:type/publish',
-  protectAdmin,
-  restrictTo('superadmin', 'admin'),
-  checkPermission('settings'),
-  logActivity('status_change', 'legal_content'),
-  legalController.togglePublishStatus
-);
-
-/**
- * @swagger
- * /api/v1/admin/legal/{type}:
+ *         description: FAQ entry not found
  *   delete:
- *     summary: Delete legal content
- *     description: Permanently delete legal content. Only superadmin can perform this action.
- *     tags: [Admin Legal]
+ *     summary: Delete FAQ entry
+ *     tags: [Admin FAQ]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: type
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           enum: [privacy_policy, terms_of_use, faq]
- *         description: Type of legal content to delete
  *     responses:
- *       204:
- *         description: Legal content deleted successfully
  *       200:
- *         description: Legal content deleted successfully (alternative)
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 message:
- *                   type: string
- *                   example: Legal content deleted successfully
+ *         description: FAQ entry deleted successfully
  *       404:
- *         description: Legal content not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Forbidden - Superadmin only
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: FAQ entry not found
  */
+router.get(
+  '/faq/:id',
+  checkPermission('faq:read'),
+  protectAdmin,
+  faqController.getAdminFaq
+);
+
+router.patch(
+  '/faq/:id',
+  checkPermission('faq:write'),
+  protectAdmin,
+  validate(faqEntryUpdateSchema),
+  logActivity('update', 'faq'),
+  faqController.updateFaq
+);
+
 router.delete(
-  '/legal/:type',
+  '/faq/:id',
+  checkPermission('faq:delete'),
   protectAdmin,
-  restrictTo('superadmin'),
-  logActivity('delete', 'legal_content'),
-  legalController.deleteLegalContent
+  logActivity('delete', 'faq'),
+  faqController.deleteFaq
 );
 
 // ==================== PUSH NOTIFICATIONS ====================
@@ -3004,6 +5114,9 @@ router.delete(
  *       - **all**: Send to all users with registered device tokens
  *       - **individual**: Send to a specific user by ID
  *       - **segment**: Send to users matching specific criteria
+ *
+ *       When `scheduledFor` is provided the notification is stored with status `scheduled`
+ *       and delivered by the background dispatcher once that time is reached.
  *     tags: [Admin Notifications]
  *     security:
  *       - bearerAuth: []
@@ -3076,6 +5189,11 @@ router.delete(
  *               isTest:
  *                 type: boolean
  *                 default: false
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deliver later at this time instead of sending immediately (must be in the future)
+ *                 example: "2025-12-01T09:00:00.000Z"
  *           examples:
  *             broadcast_all:
  *               summary: Broadcast to All Users
@@ -3168,9 +5286,8 @@ router.delete(
  */
 router.post(
   '/notifications/send',
+  checkPermission('notifications:write'),
   protectAdmin,
-  restrictTo('superadmin', 'admin'),
-  checkPermission('users'),
   validateSendNotification,
   logActivity('send_notification', 'notification'),
   adminNotificationController.sendNotification
@@ -3285,8 +5402,8 @@ router.post(
  */
 router.get(
   '/notifications',
+  checkPermission('notifications:read'),
   protectAdmin,
-  checkPermission('users'),
   adminNotificationController.getAllNotifications
 );
 
@@ -3369,8 +5486,8 @@ router.get(
  */
 router.get(
   '/notifications/stats',
+  checkPermission('notifications:read'),
   protectAdmin,
-  checkPermission('users'),
   adminNotificationController.getNotificationStats
 );
 
@@ -3436,8 +5553,8 @@ router.get(
  */
 router.post(
   '/notifications/test',
+  checkPermission('notifications:write'),
   protectAdmin,
-  restrictTo('superadmin', 'admin'),
   validateTestNotification,
   adminNotificationController.testNotification
 );
@@ -3499,8 +5616,8 @@ router.post(
  */
 router.get(
   '/notifications/firebase-health',
+  checkPermission('settings_api_keys:read'),
   protectAdmin,
-  restrictTo('superadmin'),
   adminNotificationController.checkFirebaseHealth
 );
 
@@ -3585,12 +5702,170 @@ router.get(
  */
 router.post(
   '/notifications/target-count',
+  checkPermission('notifications:read'),
   protectAdmin,
-  checkPermission('users'),
   validateTargetUserCount,
   adminNotificationController.getTargetUserCount
 );
 
+/**
+ * @swagger
+ * /api/v1/admin/notifications/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a scheduled notification
+ *     description: |
+ *       Cancel a notification that is still waiting for the background dispatcher.
+ *       Notifications that are already sending, sent or failed cannot be cancelled.
+ *     tags: [Admin Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Notification cancelled successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           example: cancelled
+ *                         scheduledFor:
+ *                           type: string
+ *                           format: date-time
+ *                         cancelledAt:
+ *                           type: string
+ *                           format: date-time
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Notification is no longer scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch(
+  '/notifications/:id/cancel',
+  checkPermission('notifications:write'),
+  protectAdmin,
+  logActivity('status_change', 'notification'),
+  adminNotificationController.cancelNotification
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/notifications/{id}/reschedule:
+ *   patch:
+ *     summary: Reschedule a scheduled notification
+ *     description: Move a notification that has not been dispatched yet to a new delivery time
+ *     tags: [Admin Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledFor
+ *             properties:
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New delivery time (must be in the future)
+ *                 example: "2025-12-01T09:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Notification rescheduled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Notification rescheduled successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           example: scheduled
+ *                         scheduledFor:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         description: Invalid or past scheduled time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Notification is no longer scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch(
+  '/notifications/:id/reschedule',
+  checkPermission('notifications:write'),
+  protectAdmin,
+  validateRescheduleNotification,
+  logActivity('update', 'notification'),
+  adminNotificationController.rescheduleNotification
+);
+
 /**
  * @swagger
  * /api/v1/admin/notifications/{id}:
@@ -3685,8 +5960,8 @@ router.post(
  */
 router.get(
   '/notifications/:id',
+  checkPermission('notifications:read'),
   protectAdmin,
-  checkPermission('users'),
   adminNotificationController.getNotification
 );
 
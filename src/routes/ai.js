@@ -4,6 +4,7 @@ const { protect } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 const { aiCaptionSchema } = require('../utils/validation');
 const Joi = require('joi');
+const { enforceAIQuota } = require('../middleware/aiQuota');
 const aiRateLimiter = require('../middleware/aiRateLimit');
 
 const router = express.Router();
@@ -12,18 +13,27 @@ const router = express.Router();
  * @swagger
  * tags:
  *   name: AI
- *   description: AI-powered content generation and optimization using Fal.ai
+ *   description: |
+ *     AI-powered content generation and optimization routed across Fal.ai, Gemini, Perplexity and OpenAI.
+ *
+ *     Every AI route enforces the per-user daily and monthly quotas configured in Settings. When a quota is
+ *     used up the route returns 429 with a `Retry-After` header and the current usage; remaining requests are
+ *     reported in the `X-AI-Daily-Remaining` and `X-AI-Monthly-Remaining` headers. Caption, hashtag and
+ *     optimization requests are also limited to 5 per minute.
  */
 
 // All routes require authentication
 router.use(protect);
 
+// Per-user daily/monthly AI quotas (configured in Settings)
+router.use(enforceAIQuota);
+
 /**
  * @swagger
  * /api/v1/ai/status:
  *   get:
  *     summary: Get AI service status and capabilities
- *     description: Check Fal.ai service availability, supported platforms, tones, and capabilities
+ *     description: Check AI provider availability, routing order, supported platforms, tones, and capabilities
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -52,22 +62,24 @@ router.use(protect);
  *                           example: true
  *                         provider:
  *                           type: string
+ *                           nullable: true
  *                           example: Fal.ai
- *                         model:
- *                           type: string
- *                           example: fal-ai/flux/dev
- *                         models:
- *                           type: object
- *                           properties:
- *                             flux_dev:
- *                               type: string
- *                               example: fal-ai/flux/dev - Fast image and text generation (default)
- *                             flux_pro:
- *                               type: string
- *                               example: fal-ai/flux-pro - Professional quality generation
- *                             flux_schnell:
- *                               type: string
- *                               example: fal-ai/flux/schnell - Ultra-fast generation
+ *                           description: First provider in the routing order that can currently answer
+ *                         providerOrder:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: [fal, gemini, perplexity, openai]
+ *                         failoverEnabled:
+ *                           type: boolean
+ *                           example: true
+ *                         rateLimitCooldownSeconds:
+ *                           type: number
+ *                           example: 60
+ *                         providers:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AIProviderStatus'
  *                         capabilities:
  *                           type: object
  *                           properties:
@@ -81,9 +93,8 @@ router.use(protect);
  *                               type: boolean
  *                             multiPlatformSuggestions:
  *                               type: boolean
- *                             realTimeData:
+ *                             providerFailover:
  *                               type: boolean
- *                               description: false for Fal.ai (generative AI service)
  *                         supportedPlatforms:
  *                           type: array
  *                           items:
@@ -103,13 +114,6 @@ router.use(protect);
  *                             maxHashtags:
  *                               type: number
  *                               example: 30
- *                             requestsPerMinute:
- *                               type: number
- *                               example: 10
- *                         configSource:
- *                           type: string
- *                           enum: [database, environment]
- *                           description: Source of API configuration
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
@@ -119,14 +123,14 @@ router.get('/status', aiController.getAIStatus);
  * @swagger
  * /api/v1/ai/health:
  *   get:
- *     summary: Check Fal.ai API health
- *     description: Test connection to Fal.ai API and verify API key is working
+ *     summary: Check AI provider health
+ *     description: Probe each configured AI provider that supports a health check and report routing state
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Fal.ai API is healthy
+ *         description: At least one provider in the routing order is healthy
  *         content:
  *           application/json:
  *             schema:
@@ -137,18 +141,26 @@ router.get('/status', aiController.getAIStatus);
  *                   example: success
  *                 message:
  *                   type: string
- *                   example: Fal.ai API is healthy
+ *                   example: AI providers are healthy
  *                 data:
  *                   type: object
  *                   properties:
  *                     healthy:
  *                       type: boolean
- *                     model:
- *                       type: string
- *                     response:
- *                       type: string
+ *                     providerOrder:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     failoverEnabled:
+ *                       type: boolean
+ *                     rateLimitCooldownSeconds:
+ *                       type: number
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AIProviderStatus'
  *       503:
- *         description: Fal.ai API is unavailable
+ *         description: No AI provider is available
  *         content:
  *           application/json:
  *             schema:
@@ -159,7 +171,7 @@ router.get('/status', aiController.getAIStatus);
  *                   example: error
  *                 message:
  *                   type: string
- *                   example: Fal.ai API is unavailable
+ *                   example: No AI provider is available
  */
 router.get('/health', aiController.checkAIHealth);
 
@@ -167,7 +179,7 @@ router.get('/health', aiController.checkAIHealth);
  * @swagger
  * /api/v1/ai/generate-caption:
  *   post:
- *     summary: Generate AI-powered caption for video using Fal.ai
+ *     summary: Generate AI-powered caption for video
  *     description: |
  *       Automatically generates platform-optimized captions with intelligent prompt engineering.
  *       No manual prompt needed - the AI automatically applies platform-specific best practices,
@@ -177,11 +189,11 @@ router.get('/health', aiController.checkAIHealth);
  *       - Platform-specific optimization (Instagram, TikTok, YouTube, etc.)
  *       - 8 different tone options
  *       - Automatic hashtag generation with trending suggestions
- *       - AI-powered text generation using Fal.ai models
+ *       - Requests go to the first provider in the configured order; errors and rate limits fail over to the next provider
  *       - Smart emoji placement and formatting
  *       - Multiple model options (flux/dev, flux-pro, flux/schnell)
  *       
- *       **Rate Limit:** 10 requests per minute
+ *       **Quota:** Counts toward the per-user daily and monthly AI quota (see `/api/v1/users/stats`)
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -243,6 +255,11 @@ router.get('/health', aiController.checkAIHealth);
  *                   enum: [instagram, tiktok, youtube, facebook, twitter, linkedin, pinterest]
  *                 description: Array of platforms for multi-platform optimization (optional)
  *                 example: ["instagram", "tiktok"]
+ *               brandVoiceId:
+ *                 type: string
+ *                 description: |
+ *                   Brand voice to follow (see `/api/v1/brand-voices`). Defaults to the user's default brand voice.
+ *                   Its tone is used when `tone` is not sent.
  *           examples:
  *             instagram_casual:
  *               summary: Instagram - Casual tone
@@ -300,7 +317,11 @@ router.get('/health', aiController.checkAIHealth);
  *                     model:
  *                       type: string
  *                       example: fal-ai/flux/dev
- *                       description: Fal.ai model used for generation
+ *                       description: Model used for generation
+ *                     provider:
+ *                       type: string
+ *                       enum: [fal, gemini, perplexity, openai]
+ *                       description: Provider that answered the request
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -312,7 +333,7 @@ router.get('/health', aiController.checkAIHealth);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: AI quota used up, or every provider is rate limited
  *         content:
  *           application/json:
  *             schema:
@@ -320,12 +341,12 @@ router.get('/health', aiController.checkAIHealth);
  *               properties:
  *                 status:
  *                   type: string
- *                   example: error
+ *                   example: fail
  *                 message:
  *                   type: string
- *                   example: Fal.ai API rate limit exceeded. Please try again in a few moments.
- *       500:
- *         description: AI service error
+ *                   example: All AI providers are rate limited. Please wait a moment and try again.
+ *       503:
+ *         description: No AI provider configured or every provider failed
  *         content:
  *           application/json:
  *             schema:
@@ -337,22 +358,109 @@ const generateCaptionSchema = Joi.object({
   includeHashtags: Joi.boolean().optional(),
   maxLength: Joi.number().integer().min(50).max(5000).optional(),
   platform: Joi.string().valid('instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin', 'pinterest').optional(),
-  platforms: Joi.array().items(Joi.string().valid('instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin', 'pinterest')).optional()
+  platforms: Joi.array().items(Joi.string().valid('instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin', 'pinterest')).optional(),
+  brandVoiceId: Joi.string().optional()
 });
 
 router.post('/generate-caption', aiRateLimiter, validate(generateCaptionSchema), aiController.generateCaption);
 
+/**
+ * @swagger
+ * /api/v1/ai/generate-caption/stream:
+ *   post:
+ *     summary: Generate AI caption for video as a Server-Sent Events stream
+ *     description: |
+ *       Same request body, quota and provider routing as `/api/v1/ai/generate-caption`, but the response is
+ *       a `text/event-stream` that reports progress while the caption is generated.
+ *
+ *       Validation, quota and "video not found" errors are returned as normal JSON responses before the
+ *       stream starts. Once the stream has started, failures arrive as an `error` event.
+ *
+ *       **Events** (each `data` line is JSON):
+ *       - `provider` — `{ provider }` a provider is being tried. When a second `provider` event arrives,
+ *         the previous provider failed: discard any partial text received so far.
+ *       - `queue` — `{ provider, status, position }` queue status (Fal.ai: `IN_QUEUE`, `IN_PROGRESS`, `COMPLETED`)
+ *       - `token` — `{ provider, text }` partial caption text as it is generated (Gemini, Perplexity, OpenAI
+ *         stream token by token; Fal.ai sends the whole text in one event)
+ *       - `caption` — `{ status, message, data }` the final parsed caption, identical to the JSON response
+ *         of `/api/v1/ai/generate-caption`
+ *       - `error` — `{ status, statusCode, message }` generation failed (429 when every provider is rate limited)
+ *       - `done` — `{}` always the last event
+ *
+ *       Comment lines (`: ping`) are sent every 15 seconds to keep the connection open.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - videoId
+ *             properties:
+ *               videoId:
+ *                 type: string
+ *               tone:
+ *                 type: string
+ *                 enum: [professional, casual, funny, inspirational, educational, storytelling, urgent, luxury]
+ *               includeHashtags:
+ *                 type: boolean
+ *               maxLength:
+ *                 type: integer
+ *                 minimum: 50
+ *                 maximum: 5000
+ *               platform:
+ *                 type: string
+ *                 enum: [instagram, tiktok, youtube, facebook, twitter, linkedin, pinterest]
+ *               platforms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               brandVoiceId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: provider
+ *                 data: {"provider":"perplexity"}
+ *
+ *                 event: token
+ *                 data: {"provider":"perplexity","text":"Caption: Just dropped"}
+ *
+ *                 event: caption
+ *                 data: {"status":"success","message":"AI caption generated successfully","data":{"caption":"Just dropped...","hashtags":["cooking"],"provider":"perplexity"}}
+ *
+ *                 event: done
+ *                 data: {}
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Video not found
+ *       429:
+ *         description: AI quota used up
+ */
+router.post('/generate-caption/stream', aiRateLimiter, validate(generateCaptionSchema), aiController.generateCaptionStream);
+
 /**
  * @swagger
  * /api/v1/ai/hashtags:
  *   post:
  *     summary: Generate trending hashtags for content
  *     description: |
- *       Generate strategic, platform-specific hashtags using Fal.ai.
+ *       Generate strategic, platform-specific hashtags.
  *       Automatically selects a mix of high-volume, niche, and trending hashtags
  *       optimized for the target platform's algorithm.
  *       
- *       **Rate Limit:** 10 requests per minute
+ *       **Quota:** Counts toward the per-user daily and monthly AI quota (see `/api/v1/users/stats`)
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -407,6 +515,9 @@ router.post('/generate-caption', aiRateLimiter, validate(generateCaptionSchema),
  *                     platform:
  *                       type: string
  *                       example: instagram
+ *                     provider:
+ *                       type: string
+ *                       example: fal
  *                     content:
  *                       type: string
  *       400:
@@ -429,11 +540,11 @@ router.post('/hashtags', aiRateLimiter, validate(generateHashtagsSchema), aiCont
  *   post:
  *     summary: Optimize caption for specific platform
  *     description: |
- *       Optimize an existing caption for a specific platform using Fal.ai.
+ *       Optimize an existing caption for a specific platform.
  *       Adapts formatting, length, style, and engagement elements to match
  *       platform-specific best practices and algorithm preferences.
  *       
- *       **Rate Limit:** 10 requests per minute
+ *       **Quota:** Counts toward the per-user daily and monthly AI quota (see `/api/v1/users/stats`)
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -482,6 +593,9 @@ router.post('/hashtags', aiRateLimiter, validate(generateHashtagsSchema), aiCont
  *                       example: "🍝 POV: Making the BEST pasta you've ever tasted! Who else is obsessed with cooking? Drop a 🍝 if you're trying this! #CookingTikTok #PastaLover"
  *                     platform:
  *                       type: string
+ *                     provider:
+ *                       type: string
+ *                       example: fal
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -503,7 +617,7 @@ router.post('/optimize', aiRateLimiter, validate(optimizeCaptionSchema), aiContr
  *     description: |
  *       Get optimized caption suggestions for all major social media platforms
  *       in a single request. Each platform receives a caption optimized for
- *       its unique format, audience, and algorithm using Fal.ai.
+ *       its unique format, audience, and algorithm.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -530,6 +644,13 @@ router.post('/optimize', aiRateLimiter, validate(optimizeCaptionSchema), aiContr
  *           - **storytelling**: Narrative-driven, engaging, descriptive with story arcs
  *           - **urgent**: Time-sensitive, action-oriented with FOMO and scarcity
  *           - **luxury**: Premium, sophisticated, exclusive with aspirational language
+ *
+ *           Defaults to the brand voice's tone when a brand voice applies.
+ *       - in: query
+ *         name: brandVoiceId
+ *         schema:
+ *           type: string
+ *         description: Brand voice to follow; defaults to the user's default brand voice
  *     responses:
  *       200:
  *         description: Multi-platform suggestions generated successfully
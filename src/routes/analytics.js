@@ -19,6 +19,7 @@ router.use(protect);
  * /api/v1/analytics/account/{socialAccountId}:
  *   get:
  *     summary: Get analytics for a specific social media account
+ *     description: Returns live analytics from Bundle.social plus a day/week time series built from stored snapshots
  *     tags: [Analytics]
  *     parameters:
  *       - in: path
@@ -40,6 +41,25 @@ router.use(protect);
  *           type: string
  *           example: "followers,engagement,reach"
  *         description: Comma-separated list of metrics to include
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         description: Time series bucket size
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Time series start (default 30 days ago for day, 12 weeks ago for week)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Time series end (default now, max range 366 days)
  *     responses:
  *       200:
  *         description: Account analytics retrieved successfully
@@ -105,6 +125,10 @@ router.use(protect);
  *                             uniqueReach:
  *                               type: number
  *                               example: 32450
+ *                     timeSeries:
+ *                       $ref: '#/components/schemas/AnalyticsTimeSeries'
+ *       400:
+ *         description: Invalid interval or date range
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -123,6 +147,7 @@ router.get('/account/:socialAccountId', analyticsController.getAccountAnalytics)
  * /api/v1/analytics/post/{postId}:
  *   get:
  *     summary: Get analytics for a specific post
+ *     description: Returns live analytics from Bundle.social plus a day/week time series built from stored snapshots
  *     tags: [Analytics]
  *     parameters:
  *       - in: path
@@ -137,6 +162,25 @@ router.get('/account/:socialAccountId', analyticsController.getAccountAnalytics)
  *           type: boolean
  *           default: false
  *         description: Include detailed breakdown by platform
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         description: Time series bucket size
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Time series start (default 30 days ago for day, 12 weeks ago for week)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Time series end (default now, max range 366 days)
  *     responses:
  *       200:
  *         description: Post analytics retrieved successfully
@@ -192,6 +236,10 @@ router.get('/account/:socialAccountId', analyticsController.getAccountAnalytics)
  *                         platformBreakdown:
  *                           type: object
  *                           description: Analytics by platform (when detailed=true)
+ *                     timeSeries:
+ *                       $ref: '#/components/schemas/AnalyticsTimeSeries'
+ *       400:
+ *         description: Invalid interval or date range
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -1,6 +1,7 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const { validate } = require('../middleware/validation');
+const { requireRegistrationOpen } = require('../middleware/appControls');
 // const { authLimiter } = require('../middleware/rateLimiting'); // DISABLED FOR TESTING
 const { 
   registerSchema, 
@@ -10,7 +11,8 @@ const {
   verifyEmailOtpSchema,
   sendPasswordResetOtpSchema,
   verifyPasswordResetOtpSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  restoreAccountSchema
 } = require('../utils/validation');
 
 const router = express.Router();
@@ -33,8 +35,14 @@ const router = express.Router();
  *     description: |
  *       Register a new user with different authentication types:
  *       - **Email**: Requires password and confirmPassword
- *       - **Google**: Only requires email and name (no password)
- *       - **Apple**: Only requires email and name (no password)
+ *       - **Google**: Requires `idToken` from Google Sign-In and name (no password)
+ *       - **Apple**: Requires `idToken` from Sign in with Apple and name (no password). Apple only shares
+ *         the user's name with the app on first sign-in, so send it from the client.
+ *
+ *       For Google and Apple the ID token is verified server-side (signature, issuer, audience, expiry)
+ *       and the account email is taken from the token. The account is linked to the provider's subject ID,
+ *       so later logins match on that ID even if the email changes. Apple "Hide My Email" relay addresses
+ *       are stored as the account email and flagged with `isPrivateRelayEmail`.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -58,21 +66,21 @@ const router = express.Router();
  *                 phoneNumber: "+1234567890"
  *             google_registration:
  *               summary: Google Registration
- *               description: Register with Google OAuth (no password required)
+ *               description: Register with a Google ID token (no password required)
  *               value:
  *                 name: "John Doe"
- *                 email: "john@gmail.com"
  *                 loginType: "google"
+ *                 idToken: "eyJhbGciOiJSUzI1NiIsImtpZCI6Ij.."
  *                 dateOfBirth: "1990-05-15"
  *                 gender: "male"
  *                 phoneNumber: "+1234567890"
  *             apple_registration:
  *               summary: Apple Registration
- *               description: Register with Apple Sign-In (no password required)
+ *               description: Register with an Apple ID token (no password required)
  *               value:
  *                 name: "John Doe"
- *                 email: "john@icloud.com"
  *                 loginType: "apple"
+ *                 idToken: "eyJraWQiOiJZdXlYb1kiLCJhbGci.."
  *                 dateOfBirth: "1990-05-15"
  *                 gender: "male"
  *                 phoneNumber: "+1234567890"
@@ -99,6 +107,8 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/AuthTokens'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: New registrations are closed (data.code = REGISTRATION_CLOSED)
  *       409:
  *         description: User already exists
  *         content:
@@ -106,7 +116,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/register', validate(registerSchema), authController.register);
+router.post('/register', requireRegistrationOpen, validate(registerSchema), authController.register);
 
 /**
  * @swagger
@@ -116,8 +126,12 @@ router.post('/register', validate(registerSchema), authController.register);
  *     description: |
  *       Login with different authentication types:
  *       - **Email**: Requires password
- *       - **Google**: Only requires email (OAuth handled externally)
- *       - **Apple**: Only requires email (OAuth handled externally)
+ *       - **Google**: Requires `idToken` from Google Sign-In
+ *       - **Apple**: Requires `idToken` from Sign in with Apple
+ *
+ *       Google and Apple ID tokens are verified server-side and matched to the account by the provider's
+ *       subject ID. Accounts registered before ID tokens were verified are linked on their first login,
+ *       using the token's verified email.
  *       
  *       ## Account Status Validation
  *       Login validates the account status and will reject banned or suspended accounts:
@@ -153,16 +167,16 @@ router.post('/register', validate(registerSchema), authController.register);
  *                 loginType: "email"
  *             google_login:
  *               summary: Google Login
- *               description: Login with Google OAuth (no password required)
+ *               description: Login with a Google ID token (no password required)
  *               value:
- *                 email: "john@gmail.com"
  *                 loginType: "google"
+ *                 idToken: "eyJhbGciOiJSUzI1NiIsImtpZCI6Ij.."
  *             apple_login:
  *               summary: Apple Login
- *               description: Login with Apple Sign-In (no password required)
+ *               description: Login with an Apple ID token (no password required)
  *               value:
- *                 email: "john@icloud.com"
  *                 loginType: "apple"
+ *                 idToken: "eyJraWQiOiJZdXlYb1kiLCJhbGci.."
  *     responses:
  *       200:
  *         description: Login successful
@@ -195,6 +209,8 @@ router.post('/register', validate(registerSchema), authController.register);
  *           - **Account suspended**: User account has been suspended by admin
  *           - **Account locked**: Too many failed login attempts (temporary 2-hour lock)
  *           - **Wrong login type**: Account registered with different method (email/google/apple)
+ *           - **Invalid ID token**: Google/Apple token has a bad signature, issuer or audience, or has expired
+ *           - **No linked account**: No account is linked to the Google/Apple identity (register first)
  *         content:
  *           application/json:
  *             schema:
@@ -238,7 +254,7 @@ router.post('/login', validate(loginSchema), authController.login);
  * /api/v1/auth/refresh-token:
  *   post:
  *     summary: Refresh access token
- *     description: Use a valid refresh token to get a new access token. The refresh token will be rotated (invalidated and replaced with a new one).
+ *     description: Use a valid refresh token to get a new access token. The refresh token will be rotated (invalidated and replaced with a new one); reusing an old refresh token signs out the whole session.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -276,7 +292,9 @@ router.post('/login', validate(loginSchema), authController.login);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Expired refresh token
+ *         description: |
+ *           Expired, revoked or already used refresh token. Refresh tokens are single-use: presenting
+ *           one that was already exchanged signs the whole session out.
  *         content:
  *           application/json:
  *             schema:
@@ -289,7 +307,7 @@ router.post('/refresh-token', validate(refreshTokenSchema), authController.refre
  * /api/v1/auth/reset-password:
  *   post:
  *     summary: Reset password after OTP verification
- *     description: Reset password using email and new password. OTP must be verified first using /verify-password-reset-otp endpoint. This endpoint checks if OTP was verified internally.
+ *     description: Reset password using email and new password. OTP must be verified first using /verify-password-reset-otp endpoint. This endpoint checks if OTP was verified internally. Every existing session is signed out and a new session is started, returned as accessToken and refreshToken.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -557,6 +575,59 @@ router.post('/send-password-reset-otp', validate(sendPasswordResetOtpSchema), au
  */
 router.post('/verify-password-reset-otp', validate(verifyPasswordResetOtpSchema), authController.verifyPasswordResetOtp);
 
+/**
+ * @swagger
+ * /api/v1/auth/restore-account:
+ *   post:
+ *     summary: Restore an account scheduled for deletion
+ *     description: |
+ *       Cancels a pending account deletion with the token from the "Your Account Is Scheduled
+ *       for Deletion" email (`/restore-account?token=...` in the app). Works until the grace
+ *       period ends; afterwards the account is purged. The user signs in again afterwards.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the restore link
+ *     responses:
+ *       200:
+ *         description: Account restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Account restored successfully. You can sign in again.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     loginType:
+ *                       type: string
+ *       400:
+ *         description: Invalid or expired restore link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/restore-account', validate(restoreAccountSchema), authController.restoreAccount);
+
 // Protected routes (require authentication)
 const { protect } = require('../middleware/auth');
 
@@ -580,6 +651,107 @@ router.use(protect); // All routes after this middleware require authentication
  */
 router.post('/logout', authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List signed-in devices
+ *     description: Active sessions of the current user, most recently used first. The session of this request is flagged with `current`.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuthSession'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Sign out all devices
+ *     description: Revokes every session of the current user, including this one unless `keepCurrent=true`.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the session of this request signed in
+ *     responses:
+ *       200:
+ *         description: Sessions signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedCount:
+ *                       type: number
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeAllSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one device
+ *     description: Revokes the session; its refresh token and access tokens stop working immediately.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       type: boolean
+ *                       description: The revoked session was the one making this request
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions/:id', authController.revokeSession);
+
 /**
  * @swagger
  * /api/v1/auth/update-password:
@@ -605,7 +777,7 @@ router.post('/logout', authController.logout);
  *                 description: New password
  *     responses:
  *       200:
- *         description: Password updated successfully
+ *         description: Password updated successfully. Other sessions are signed out; the response has a new accessToken for the current session, plus a refreshToken if a new session was started.
  *         content:
  *           application/json:
  *             schema:
@@ -626,6 +798,9 @@ router.patch('/update-password', authController.updatePassword);
  * /api/v1/auth/me:
  *   get:
  *     summary: Get current user profile
+ *     description: |
+ *       Returns the user and their legal consent status. When `legalConsent.requiresAcceptance` is
+ *       true the app should show the listed documents and accept them via `POST /api/v1/legal/consents`.
  *     tags: [Authentication]
  *     responses:
  *       200:
@@ -643,6 +818,8 @@ router.patch('/update-password', authController.updatePassword);
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *                     legalConsent:
+ *                       $ref: '#/components/schemas/LegalConsentStatus'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
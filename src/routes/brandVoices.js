@@ -0,0 +1,204 @@
+const express = require('express');
+const brandVoiceController = require('../controllers/brandVoiceController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { brandVoiceCreateSchema, brandVoiceUpdateSchema } = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Brand Voices
+ *   description: Saved brand voice profiles that AI caption generation follows
+ */
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/brand-voices:
+ *   get:
+ *     summary: List brand voices
+ *     description: Returns the user's brand voices, default first.
+ *     tags: [Brand Voices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Brand voices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     brandVoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BrandVoice'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Create a brand voice
+ *     description: |
+ *       Save a brand voice profile. AI caption endpoints (`/api/v1/ai/generate-caption`,
+ *       `/api/v1/ai/generate-caption/stream`, `/api/v1/ai/suggestions/{videoId}` and
+ *       `/api/v1/videos/{id}/ai-caption`) follow the profile named by `brandVoiceId`, or the
+ *       default profile when none is named.
+ *
+ *       The first profile a user creates becomes their default. Up to 20 profiles can be saved.
+ *     tags: [Brand Voices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 60
+ *                 example: Acme Coffee
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Warm, witty and a little nerdy about coffee
+ *               tone:
+ *                 type: string
+ *                 enum: [professional, casual, funny, inspirational, educational, storytelling, urgent, luxury]
+ *               samplePosts:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 example: ["Monday called. We answered with a double shot ☕"]
+ *               bannedWords:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [cheap, guys]
+ *               requiredHashtags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [acmecoffee]
+ *               emojiPolicy:
+ *                 type: string
+ *                 enum: [none, minimal, moderate, heavy]
+ *               ctaStyle:
+ *                 type: string
+ *                 enum: [none, soft, direct, question, link_in_bio]
+ *               ctaText:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: Order ahead at the link in bio
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Brand voice created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     brandVoice:
+ *                       $ref: '#/components/schemas/BrandVoice'
+ *       400:
+ *         description: Validation error or brand voice limit reached
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: A brand voice with this name already exists
+ */
+router.get('/', brandVoiceController.getBrandVoices);
+router.post('/', validate(brandVoiceCreateSchema), brandVoiceController.createBrandVoice);
+
+/**
+ * @swagger
+ * /api/v1/brand-voices/{id}:
+ *   get:
+ *     summary: Get a brand voice
+ *     tags: [Brand Voices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Brand voice retrieved successfully
+ *       404:
+ *         description: Brand voice not found
+ *   put:
+ *     summary: Update a brand voice
+ *     description: |
+ *       Send only the fields to change. Setting `isDefault: true` clears the default flag on the
+ *       user's other brand voices.
+ *     tags: [Brand Voices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BrandVoice'
+ *     responses:
+ *       200:
+ *         description: Brand voice updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Brand voice not found
+ *       409:
+ *         description: A brand voice with this name already exists
+ *   delete:
+ *     summary: Delete a brand voice
+ *     description: Captions already generated with the brand voice are kept.
+ *     tags: [Brand Voices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Brand voice deleted successfully
+ *       404:
+ *         description: Brand voice not found
+ */
+router.get('/:id', brandVoiceController.getBrandVoice);
+router.put('/:id', validate(brandVoiceUpdateSchema), brandVoiceController.updateBrandVoice);
+router.delete('/:id', brandVoiceController.deleteBrandVoice);
+
+module.exports = router;
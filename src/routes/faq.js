@@ -0,0 +1,308 @@
+const express = require('express');
+const faqController = require('../controllers/faqController');
+const { optionalAuth } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+const { faqVoteLimiter } = require('../middleware/rateLimiting');
+const { faqVoteSchema, faqSearchSchema } = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: FAQ
+ *   description: Frequently asked questions with categories, search and helpful votes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FaqEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         category:
+ *           type: string
+ *           description: Category ID (an object with _id, slug and name in search results and single entries)
+ *         locale:
+ *           type: string
+ *           example: en
+ *         question:
+ *           type: string
+ *           example: How do I delete my account?
+ *         answer:
+ *           type: string
+ *         answerHtml:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         order:
+ *           type: number
+ *         helpfulCount:
+ *           type: number
+ *         notHelpfulCount:
+ *           type: number
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     FaqCategory:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           example: account
+ *         name:
+ *           type: string
+ *           description: Name in the resolved locale
+ *           example: Account
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/faq:
+ *   get:
+ *     summary: Get the FAQ
+ *     description: |
+ *       Published FAQ entries grouped by category, in category and entry order. Entries are served
+ *       in the locale that best matches `?lang=` / `Accept-Language` (falling back to the default
+ *       locale); empty categories are left out.
+ *     tags: [FAQ]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only this category (slug)
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR
+ *     responses:
+ *       200:
+ *         description: FAQ retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                     availableLocales:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/FaqCategory'
+ *                           - type: object
+ *                             properties:
+ *                               entries:
+ *                                 type: array
+ *                                 items:
+ *                                   $ref: '#/components/schemas/FaqEntry'
+ *       404:
+ *         description: FAQ category not found
+ */
+router.get('/', faqController.getFaqs);
+
+/**
+ * @swagger
+ * /api/v1/faq/search:
+ *   get:
+ *     summary: Search the FAQ
+ *     description: Full-text search over published questions, answers and tags, best matches first
+ *     tags: [FAQ]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         example: delete account
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only this category (slug)
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: FAQ search completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     locale:
+ *                       type: string
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FaqEntry'
+ *                 meta:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ */
+router.get('/search', validateQuery(faqSearchSchema), faqController.searchFaqs);
+
+/**
+ * @swagger
+ * /api/v1/faq/categories:
+ *   get:
+ *     summary: Get FAQ categories
+ *     tags: [FAQ]
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: FAQ categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FaqCategory'
+ */
+router.get('/categories', faqController.getFaqCategories);
+
+/**
+ * @swagger
+ * /api/v1/faq/{id}:
+ *   get:
+ *     summary: Get a FAQ entry
+ *     tags: [FAQ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: FAQ entry retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entry:
+ *                       $ref: '#/components/schemas/FaqEntry'
+ *       404:
+ *         description: FAQ entry not found
+ */
+router.get('/:id', faqController.getFaq);
+
+/**
+ * @swagger
+ * /api/v1/faq/{id}/vote:
+ *   post:
+ *     summary: Vote whether an answer was helpful
+ *     description: |
+ *       One vote per voter and entry: signed-in users (optional bearer token) vote as themselves,
+ *       anonymous votes are counted per IP address. Voting again with the other value moves the vote.
+ *     tags: [FAQ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - helpful
+ *             properties:
+ *               helpful:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Vote recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     helpful:
+ *                       type: boolean
+ *                     helpfulCount:
+ *                       type: number
+ *                     notHelpfulCount:
+ *                       type: number
+ *       404:
+ *         description: FAQ entry not found
+ *       429:
+ *         description: Too many votes
+ */
+router.post('/:id/vote', faqVoteLimiter, optionalAuth, validate(faqVoteSchema), faqController.voteFaq);
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const express = require('express');
 const legalController = require('../controllers/legalController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { legalConsentSchema } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -10,13 +13,102 @@ const router = express.Router();
  *   description: Legal content management (Privacy Policy, Terms of Use, FAQ)
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LegalConsentStatus:
+ *       type: object
+ *       properties:
+ *         requiresAcceptance:
+ *           type: boolean
+ *           description: True when any published document still needs to be accepted; the app should prompt the user
+ *         documents:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [privacy_policy, terms_of_use]
+ *               locale:
+ *                 type: string
+ *                 description: Locale variant the status refers to; consent is tracked per locale
+ *               availableLocales:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               title:
+ *                 type: string
+ *               currentVersion:
+ *                 type: number
+ *               minimumAcceptedVersion:
+ *                 type: number
+ *                 description: Users who accepted an older version must accept the current one
+ *               acceptedVersion:
+ *                 type: number
+ *                 nullable: true
+ *               acceptedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               needsAcceptance:
+ *                 type: boolean
+ *               hasNewerVersion:
+ *                 type: boolean
+ *                 description: A newer version exists that does not require re-acceptance
+ *               lastUpdated:
+ *                 type: string
+ *                 format: date-time
+ *     LegalContentVersion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *         locale:
+ *           type: string
+ *         version:
+ *           type: number
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *           description: Only included when fetching a single version
+ *         htmlContent:
+ *           type: string
+ *           description: Only included when fetching a single version
+ *         changeNote:
+ *           type: string
+ *         requiresReacceptance:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
 /**
  * @swagger
  * /api/v1/legal/links:
  *   get:
  *     summary: Get all legal content links
- *     description: Retrieve links to all published legal documents for display in app
+ *     description: |
+ *       Retrieve links to all published legal documents for display in app, one per type in the
+ *       locale that best matches `?lang=` / `Accept-Language`, with the other available locales.
  *     tags: [Legal]
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR. Takes precedence over Accept-Language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred locales, e.g. "pt-BR,pt;q=0.9,en;q=0.8"
  *     responses:
  *       200:
  *         description: Legal links retrieved successfully
@@ -41,6 +133,14 @@ const router = express.Router();
  *                             enum: [privacy_policy, terms_of_use, faq]
  *                           title:
  *                             type: string
+ *                           locale:
+ *                             type: string
+ *                             example: de
+ *                           availableLocales:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: [de, en, pt-BR]
  *                           url:
  *                             type: string
  *                             description: URL for web view rendering
@@ -55,12 +155,124 @@ const router = express.Router();
  */
 router.get('/links', legalController.getLegalLinks);
 
+/**
+ * @swagger
+ * /api/v1/legal/consents:
+ *   get:
+ *     summary: Get legal consent status
+ *     description: |
+ *       Which versions of the privacy policy and terms of use the user accepted, and whether a
+ *       published version needs (re-)acceptance. The same status is returned as `legalConsent`
+ *       by `GET /api/v1/auth/me`. Documents are resolved in the locale from `?lang=` / `Accept-Language`.
+ *     tags: [Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR. Takes precedence over Accept-Language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred locales, e.g. "pt-BR,pt;q=0.9,en;q=0.8"
+ *     responses:
+ *       200:
+ *         description: Legal consent status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/LegalConsentStatus'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Accept a legal document
+ *     description: |
+ *       Record that the user accepted the current version of the privacy policy or terms of use.
+ *       `version` must be the version shown to the user; accepting an outdated version returns 409.
+ *       `locale` names the locale variant that was shown (otherwise it is resolved from
+ *       `?lang=` / `Accept-Language`); version numbers are per locale.
+ *       The acceptance time, IP address and user agent are stored.
+ *     tags: [Legal]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - version
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [privacy_policy, terms_of_use]
+ *               version:
+ *                 type: number
+ *                 example: 3
+ *               locale:
+ *                 type: string
+ *                 example: de
+ *     responses:
+ *       201:
+ *         description: Legal content accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/LegalConsentStatus'
+ *                     - type: object
+ *                       properties:
+ *                         consent:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                             locale:
+ *                               type: string
+ *                             version:
+ *                               type: number
+ *                             acceptedAt:
+ *                               type: string
+ *                               format: date-time
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Legal document not found or not published
+ *       409:
+ *         description: The version is not the current version
+ */
+router.get('/consents', protect, legalController.getConsentStatus);
+router.post('/consents', protect, validate(legalConsentSchema), legalController.acceptLegalContent);
+
 /**
  * @swagger
  * /api/v1/legal/{type}:
  *   get:
  *     summary: Get legal content by type (JSON)
- *     description: Retrieve legal content in JSON format for programmatic access
+ *     description: |
+ *       Retrieve legal content in JSON format for programmatic access. The locale is resolved from
+ *       `?lang=`, then `Accept-Language`: an exact match, then the base language (pt-BR → pt), then
+ *       a regional variant (pt → pt-BR), then the default locale (en). The resolved locale is sent
+ *       in the `Content-Language` header.
  *     tags: [Legal]
  *     parameters:
  *       - in: path
@@ -70,6 +282,16 @@ router.get('/links', legalController.getLegalLinks);
  *           type: string
  *           enum: [privacy_policy, terms_of_use, faq]
  *         description: Type of legal content
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR. Takes precedence over Accept-Language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred locales, e.g. "pt-BR,pt;q=0.9,en;q=0.8"
  *     responses:
  *       200:
  *         description: Legal content retrieved successfully
@@ -89,6 +311,8 @@ router.get('/links', legalController.getLegalLinks);
  *                       properties:
  *                         type:
  *                           type: string
+ *                         locale:
+ *                           type: string
  *                         title:
  *                           type: string
  *                         content:
@@ -97,6 +321,8 @@ router.get('/links', legalController.getLegalLinks);
  *                           type: string
  *                         version:
  *                           type: number
+ *                         minimumAcceptedVersion:
+ *                           type: number
  *                         isPublished:
  *                           type: boolean
  *                         createdAt:
@@ -105,6 +331,10 @@ router.get('/links', legalController.getLegalLinks);
  *                         updatedAt:
  *                           type: string
  *                           format: date-time
+ *                     availableLocales:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *       404:
  *         description: Legal content not found
  */
@@ -115,7 +345,7 @@ router.get('/:type', legalController.getLegalContent);
  * /api/v1/legal/{type}/view:
  *   get:
  *     summary: Get legal content as HTML web view
- *     description: Render legal content as a fully styled HTML page for web view display
+ *     description: Render legal content as a fully styled HTML page for web view display, in the locale resolved like `GET /api/v1/legal/{type}`
  *     tags: [Legal]
  *     parameters:
  *       - in: path
@@ -125,6 +355,16 @@ router.get('/:type', legalController.getLegalContent);
  *           type: string
  *           enum: [privacy_policy, terms_of_use, faq]
  *         description: Type of legal content
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR. Takes precedence over Accept-Language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred locales, e.g. "pt-BR,pt;q=0.9,en;q=0.8"
  *     responses:
  *       200:
  *         description: HTML page rendered successfully
@@ -137,4 +377,104 @@ router.get('/:type', legalController.getLegalContent);
  */
 router.get('/:type/view', legalController.getLegalContentView);
 
+/**
+ * @swagger
+ * /api/v1/legal/{type}/versions:
+ *   get:
+ *     summary: Get version history of a legal document
+ *     description: Every version of the resolved locale variant, newest first (without the text). Each locale has its own version numbers.
+ *     tags: [Legal]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR. Takes precedence over Accept-Language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred locales, e.g. "pt-BR,pt;q=0.9,en;q=0.8"
+ *     responses:
+ *       200:
+ *         description: Legal content versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LegalContentVersion'
+ *       404:
+ *         description: Legal content not found
+ */
+router.get('/:type/versions', legalController.getLegalVersions);
+
+/**
+ * @swagger
+ * /api/v1/legal/{type}/versions/{version}:
+ *   get:
+ *     summary: Get a specific version of a legal document
+ *     description: The full text of a past or current version, e.g. the version a user accepted
+ *     tags: [Legal]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [privacy_policy, terms_of_use, faq]
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Preferred locale, e.g. de or pt-BR. Takes precedence over Accept-Language.
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Preferred locales, e.g. "pt-BR,pt;q=0.9,en;q=0.8"
+ *     responses:
+ *       200:
+ *         description: Legal content version retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       $ref: '#/components/schemas/LegalContentVersion'
+ *       404:
+ *         description: Legal content or version not found
+ */
+router.get('/:type/versions/:version', legalController.getLegalVersion);
+
 module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const postTemplateController = require('../controllers/postTemplateController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const {
+  postTemplateCreateSchema,
+  postTemplateUpdateSchema,
+  postTemplatePreviewSchema
+} = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Post Templates
+ *   description: Reusable caption snippets, hashtag sets and platform presets for new posts
+ */
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/post-templates:
+ *   get:
+ *     summary: List post templates
+ *     description: Returns the user's post templates, most used first, and the variables caption snippets can use.
+ *     tags: [Post Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Post templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PostTemplate'
+ *                     variables:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: title
+ *                           placeholder:
+ *                             type: string
+ *                             example: "{{title}}"
+ *                           description:
+ *                             type: string
+ *                             example: Video title
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Create a post template
+ *     description: |
+ *       Save a template to start posts from. Pass its id as `templateId` to
+ *       `/api/v1/posts/create` or `/api/v1/posts/schedule`; caption, hashtags and platforms sent
+ *       with the post replace the template's, and `settings` are merged field by field.
+ *
+ *       The caption snippet can use `{{title}}`, `{{description}}`, `{{name}}`, `{{date}}`,
+ *       `{{time}}`, `{{weekday}}` and `{{year}}`. Dates and times are the publish time in UTC.
+ *       Up to 50 templates can be saved.
+ *     tags: [Post Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PostTemplate'
+ *           example:
+ *             name: Weekly recipe
+ *             caption: "New recipe: {{title}} 🍝 Fresh for {{weekday}}!"
+ *             hashtags: [recipe, homecooking]
+ *             platforms: [instagram, tiktok]
+ *             settings:
+ *               allowComments: true
+ *             platformOptions:
+ *               tiktok:
+ *                 disableDuet: true
+ *               instagram:
+ *                 type: REEL
+ *     responses:
+ *       201:
+ *         description: Post template created successfully
+ *       400:
+ *         description: Validation error, unknown caption variable or template limit reached
+ *       409:
+ *         description: A post template with this name already exists
+ */
+router.get('/', postTemplateController.getPostTemplates);
+router.post('/', validate(postTemplateCreateSchema), postTemplateController.createPostTemplate);
+
+/**
+ * @swagger
+ * /api/v1/post-templates/{id}:
+ *   get:
+ *     summary: Get a post template
+ *     tags: [Post Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post template retrieved successfully
+ *       404:
+ *         description: Post template not found
+ *   put:
+ *     summary: Update a post template
+ *     description: Send only the fields to change. `settings` and `platformOptions` are replaced as a whole.
+ *     tags: [Post Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PostTemplate'
+ *     responses:
+ *       200:
+ *         description: Post template updated successfully
+ *       400:
+ *         description: Validation error or unknown caption variable
+ *       404:
+ *         description: Post template not found
+ *       409:
+ *         description: A post template with this name already exists
+ *   delete:
+ *     summary: Delete a post template
+ *     description: Posts already created from the template are kept.
+ *     tags: [Post Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post template deleted successfully
+ *       404:
+ *         description: Post template not found
+ */
+router.get('/:id', postTemplateController.getPostTemplate);
+router.put('/:id', validate(postTemplateUpdateSchema), postTemplateController.updatePostTemplate);
+router.delete('/:id', postTemplateController.deletePostTemplate);
+
+/**
+ * @swagger
+ * /api/v1/post-templates/{id}/preview:
+ *   post:
+ *     summary: Preview a post template
+ *     description: Fills in the caption snippet for a video and publish date without creating a post.
+ *     tags: [Post Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               videoId:
+ *                 type: string
+ *                 description: Video for {{title}} and {{description}}
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish time for {{date}}, {{time}}, {{weekday}} and {{year}} (default now)
+ *     responses:
+ *       200:
+ *         description: Post template preview generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     caption:
+ *                       type: string
+ *                       example: "New recipe: Creamy garlic pasta 🍝 Fresh for Monday!"
+ *                     hashtags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     platforms:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     settings:
+ *                       type: object
+ *                     platformOptions:
+ *                       type: object
+ *       404:
+ *         description: Post template or video not found
+ */
+router.post('/:id/preview', validate(postTemplatePreviewSchema), postTemplateController.previewPostTemplate);
+
+module.exports = router;
@@ -3,8 +3,9 @@ const postController = require('../controllers/postController');
 const newPostController = require('../controllers/newPostController');
 const { protect } = require('../middleware/auth');
 const { ensureBundleSetup } = require('../middleware/bundleSetup');
+const { requireFeature } = require('../middleware/appControls');
 const { validate, validateQuery } = require('../middleware/validation');
-const { postCreateSchema, postScheduleSchema, paginationSchema } = require('../utils/validation');
+const { postCreateSchema, postScheduleSchema, postValidateSchema, paginationSchema } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -131,8 +132,6 @@ router.use(protect);
  *             type: object
  *             required:
  *               - videoId
- *               - caption
- *               - platforms
  *             properties:
  *               videoId:
  *                 type: string
@@ -140,7 +139,7 @@ router.use(protect);
  *                 example: 60f1b1b1b1b1b1b1b1b1b1b1
  *               caption:
  *                 type: string
- *                 description: Post caption/content (1-2200 characters)
+ *                 description: Post caption/content (1-2200 characters). Required unless captionVersionId or templateId is given.
  *                 minLength: 1
  *                 maxLength: 2200
  *                 example: Check out this amazing video! 🎬✨
@@ -152,9 +151,26 @@ router.use(protect);
  *                 maxItems: 30
  *                 description: Optional hashtags (max 30 items, each max 30 chars)
  *                 example: ["#video", "#content", "#amazing"]
+ *               videoVersion:
+ *                 type: string
+ *                 enum: [auto, original, rendered]
+ *                 default: auto
+ *                 description: "Which version of the video to post. auto uses the rendered version when it matches the current edits, otherwise the original. rendered fails if no current render exists."
+ *               captionVersionId:
+ *                 type: string
+ *                 description: "AI caption version to post (see GET /api/v1/videos/{id}/captions). Its caption and hashtags are used unless caption/hashtags are also sent. Makes caption optional."
+ *               templateId:
+ *                 type: string
+ *                 description: "Post template to start from (see /api/v1/post-templates). Its caption snippet, hashtags, platforms, settings and platform presets are used for anything the request does not send. Makes caption and platforms optional."
  *               platforms:
  *                 type: array
  *                 minItems: 1
+ *                 description: |
+ *                   Platforms to post to, each at most once. Required unless templateId is given.
+ *                   Each entry can carry its own caption, hashtags and options; options not sent come
+ *                   from the post template, then the defaults. Captions and the video are checked
+ *                   against each platform's rules before anything is sent to Bundle.social
+ *                   (see POST /api/v1/posts/validate).
  *                 items:
  *                   type: object
  *                   required:
@@ -168,10 +184,50 @@ router.use(protect);
  *                     accountId:
  *                       type: string
  *                       description: Platform account ID from Bundle.social
+ *                     caption:
+ *                       type: string
+ *                       description: Caption for this platform only (replaces the post caption)
+ *                     hashtags:
+ *                       type: array
+ *                       maxItems: 30
+ *                       items:
+ *                         type: string
+ *                       description: Hashtags for this platform only (replace the post hashtags)
  *                     type:
  *                       type: string
- *                       enum: [SHORT, VIDEO]
- *                       description: "YouTube-specific: Video type (SHORT for vertical videos ≤60s, VIDEO for regular uploads). Only used when name is 'youtube'. Optional - defaults to SHORT for videos ≤60s, VIDEO otherwise"
+ *                       enum: [SHORT, VIDEO, POST, REEL, STORY]
+ *                       description: "YouTube: SHORT or VIDEO (defaults to SHORT for videos ≤60s, VIDEO otherwise). Instagram: POST, REEL or STORY. Facebook: POST or REEL. Instagram and Facebook default to REEL for videos over 60s, POST otherwise"
+ *                     privacy:
+ *                       type: string
+ *                       description: "YouTube: PUBLIC, UNLISTED or PRIVATE. TikTok: PUBLIC_TO_EVERYONE, MUTUAL_FOLLOW_FRIENDS, FOLLOWER_OF_CREATOR or SELF_ONLY. LinkedIn: PUBLIC or CONNECTIONS"
+ *                     madeForKids:
+ *                       type: boolean
+ *                       description: YouTube only
+ *                     disableComments:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     disableDuet:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     disableStitch:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     isBrandContent:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     thumbnailOffset:
+ *                       type: integer
+ *                       minimum: 0
+ *                       description: "Instagram only: milliseconds into the video to take the cover frame from"
+ *                     shareToFeed:
+ *                       type: boolean
+ *                       description: Instagram only
+ *                     hideFromFeed:
+ *                       type: boolean
+ *                       description: LinkedIn only
+ *                     disableReshare:
+ *                       type: boolean
+ *                       description: LinkedIn only
  *                       example: SHORT
  *                 example:
  *                   - name: instagram
@@ -181,6 +237,12 @@ router.use(protect);
  *                     type: SHORT
  *                   - name: twitter
  *                     accountId: bundle_account_456
+ *                     caption: New video is up 🎬
+ *                     hashtags: ["video"]
+ *                   - name: tiktok
+ *                     accountId: bundle_account_321
+ *                     privacy: FOLLOWER_OF_CREATOR
+ *                     disableDuet: true
  *               settings:
  *                 type: object
  *                 description: Optional post settings
@@ -222,9 +284,11 @@ router.use(protect);
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         description: "Validation failed, or the post breaks a platform's rules (see POST /api/v1/posts/validate). errors lists each violation, e.g. field platforms.twitter.caption"
  */
 // Immediate post creation (publish right now using past date in Bundle.social)
-router.post('/create', ensureBundleSetup, validate(postCreateSchema), newPostController.createImmediatePost);
+router.post('/create', requireFeature('socialMediaIntegrationEnabled'), ensureBundleSetup, validate(postCreateSchema), newPostController.createImmediatePost);
 
 /**
  * @swagger
@@ -240,8 +304,6 @@ router.post('/create', ensureBundleSetup, validate(postCreateSchema), newPostCon
  *             type: object
  *             required:
  *               - videoId
- *               - caption
- *               - platforms
  *               - scheduledFor
  *             properties:
  *               videoId:
@@ -250,13 +312,19 @@ router.post('/create', ensureBundleSetup, validate(postCreateSchema), newPostCon
  *                 example: 60f1b1b1b1b1b1b1b1b1b1b1
  *               caption:
  *                 type: string
- *                 description: Post caption/content (1-2200 characters)
+ *                 description: Post caption/content (1-2200 characters). Required unless captionVersionId or templateId is given.
  *                 minLength: 1
  *                 maxLength: 2200
  *                 example: Check out this amazing video! 🎬✨
  *               platforms:
  *                 type: array
  *                 minItems: 1
+ *                 description: |
+ *                   Platforms to post to, each at most once. Required unless templateId is given.
+ *                   Each entry can carry its own caption, hashtags and options; options not sent come
+ *                   from the post template, then the defaults. Captions and the video are checked
+ *                   against each platform's rules before anything is sent to Bundle.social
+ *                   (see POST /api/v1/posts/validate).
  *                 items:
  *                   type: object
  *                   required:
@@ -270,10 +338,50 @@ router.post('/create', ensureBundleSetup, validate(postCreateSchema), newPostCon
  *                     accountId:
  *                       type: string
  *                       description: Platform account ID from Bundle.social
+ *                     caption:
+ *                       type: string
+ *                       description: Caption for this platform only (replaces the post caption)
+ *                     hashtags:
+ *                       type: array
+ *                       maxItems: 30
+ *                       items:
+ *                         type: string
+ *                       description: Hashtags for this platform only (replace the post hashtags)
  *                     type:
  *                       type: string
- *                       enum: [SHORT, VIDEO]
- *                       description: "YouTube-specific: Video type (SHORT for vertical videos ≤60s, VIDEO for regular uploads). Only used when name is 'youtube'. Optional - defaults to SHORT for videos ≤60s, VIDEO otherwise"
+ *                       enum: [SHORT, VIDEO, POST, REEL, STORY]
+ *                       description: "YouTube: SHORT or VIDEO (defaults to SHORT for videos ≤60s, VIDEO otherwise). Instagram: POST, REEL or STORY. Facebook: POST or REEL. Instagram and Facebook default to REEL for videos over 60s, POST otherwise"
+ *                     privacy:
+ *                       type: string
+ *                       description: "YouTube: PUBLIC, UNLISTED or PRIVATE. TikTok: PUBLIC_TO_EVERYONE, MUTUAL_FOLLOW_FRIENDS, FOLLOWER_OF_CREATOR or SELF_ONLY. LinkedIn: PUBLIC or CONNECTIONS"
+ *                     madeForKids:
+ *                       type: boolean
+ *                       description: YouTube only
+ *                     disableComments:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     disableDuet:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     disableStitch:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     isBrandContent:
+ *                       type: boolean
+ *                       description: TikTok only
+ *                     thumbnailOffset:
+ *                       type: integer
+ *                       minimum: 0
+ *                       description: "Instagram only: milliseconds into the video to take the cover frame from"
+ *                     shareToFeed:
+ *                       type: boolean
+ *                       description: Instagram only
+ *                     hideFromFeed:
+ *                       type: boolean
+ *                       description: LinkedIn only
+ *                     disableReshare:
+ *                       type: boolean
+ *                       description: LinkedIn only
  *                       example: VIDEO
  *                 example:
  *                   - name: instagram
@@ -293,6 +401,17 @@ router.post('/create', ensureBundleSetup, validate(postCreateSchema), newPostCon
  *                 items:
  *                   type: string
  *                 example: ["#video", "#content", "#amazing"]
+ *               videoVersion:
+ *                 type: string
+ *                 enum: [auto, original, rendered]
+ *                 default: auto
+ *                 description: "Which version of the video to post. auto uses the rendered version when it matches the current edits, otherwise the original. rendered fails if no current render exists."
+ *               captionVersionId:
+ *                 type: string
+ *                 description: "AI caption version to post (see GET /api/v1/videos/{id}/captions). Its caption and hashtags are used unless caption/hashtags are also sent. Makes caption optional."
+ *               templateId:
+ *                 type: string
+ *                 description: "Post template to start from (see /api/v1/post-templates). Its caption snippet, hashtags, platforms, settings and platform presets are used for anything the request does not send. Makes caption and platforms optional."
  *               mentions:
  *                 type: array
  *                 items:
@@ -317,19 +436,195 @@ router.post('/create', ensureBundleSetup, validate(postCreateSchema), newPostCon
  *                     bundleSocialPostId:
  *                       type: string
  *                       description: Bundle.social post identifier
+ *       202:
+ *         description: |
+ *           Post saved and queued. Bundle.social was temporarily unavailable (timeout, rate limit
+ *           or server error), so submission is retried in the background with exponential backoff.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     postId:
+ *                       type: string
+ *                     publishState:
+ *                       type: string
+ *                       example: retrying
+ *                     nextAttemptAt:
+ *                       type: string
+ *                       format: date-time
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         description: "Validation failed, or the post breaks a platform's rules (see POST /api/v1/posts/validate). errors lists each violation, e.g. field platforms.twitter.caption"
  *       500:
- *         description: Bundle.social scheduling error
+ *         description: Bundle.social rejected the post. It is kept in the dead-letter queue for admin replay.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 // Scheduled post creation (publish at future date)
-router.post('/schedule', ensureBundleSetup, validate(postScheduleSchema), newPostController.createScheduledPost);
+router.post('/schedule', requireFeature('socialMediaIntegrationEnabled'), ensureBundleSetup, validate(postScheduleSchema), newPostController.createScheduledPost);
+
+/**
+ * @swagger
+ * /api/v1/posts/validate:
+ *   post:
+ *     summary: Check a post against platform rules (dry run)
+ *     description: |
+ *       Takes the same body as `/api/v1/posts/create` (plus an optional `scheduledFor` for template
+ *       date variables) and lists every rule the post breaks, without creating it. The same checks
+ *       run when a post is created or scheduled.
+ *
+ *       Per platform: caption length (with hashtags), hashtag count, number and format of @mentions,
+ *       and the video's duration, aspect ratio, file size and format, with tighter rules for some post
+ *       types (YouTube Shorts, Instagram stories). Video rules are skipped when the detail is not known
+ *       for the video. Platforms without a connected account are reported too.
+ *     tags: [Posts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - videoId
+ *             properties:
+ *               videoId:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               hashtags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               videoVersion:
+ *                 type: string
+ *                 enum: [auto, original, rendered]
+ *               captionVersionId:
+ *                 type: string
+ *               templateId:
+ *                 type: string
+ *               platforms:
+ *                 type: array
+ *                 description: Same entries as for /api/v1/posts/create
+ *                 items:
+ *                   type: object
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *           example:
+ *             videoId: 60f1b1b1b1b1b1b1b1b1b1b1
+ *             caption: Behind the scenes with @our_team 🎬
+ *             hashtags: ["bts"]
+ *             platforms:
+ *               - name: twitter
+ *                 accountId: bundle_account_456
+ *               - name: youtube
+ *                 accountId: bundle_account_789
+ *                 type: SHORT
+ *     responses:
+ *       200:
+ *         description: Check completed; `valid` is false when there are violations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                       example: false
+ *                     violations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           field:
+ *                             type: string
+ *                             example: platforms.youtube.video.duration
+ *                           platform:
+ *                             type: string
+ *                             example: youtube
+ *                           rule:
+ *                             type: string
+ *                             enum: [captionLength, hashtags, mentions, mentionFormat, minDuration, maxDuration, aspectRatio, fileSize, format, thumbnailOffset, connected]
+ *                             example: maxDuration
+ *                           message:
+ *                             type: string
+ *                             example: YouTube Shorts can be at most 3 minutes long (this one is 4.5 minutes)
+ *                           limit:
+ *                             description: The platform's limit
+ *                             example: 180
+ *                           value:
+ *                             description: The post's value
+ *                             example: 270
+ *                     platforms:
+ *                       type: array
+ *                       description: What each platform would get
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             description: Post type (chosen or default)
+ *                           text:
+ *                             type: string
+ *                           characters:
+ *                             type: integer
+ *                           hashtags:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           options:
+ *                             type: object
+ *                     media:
+ *                       type: object
+ *                       description: The video version that would be posted
+ *                       properties:
+ *                         version:
+ *                           type: string
+ *                           enum: [original, rendered]
+ *                         duration:
+ *                           type: number
+ *                         dimensions:
+ *                           type: object
+ *                           properties:
+ *                             width:
+ *                               type: integer
+ *                             height:
+ *                               type: integer
+ *                         fileSize:
+ *                           type: integer
+ *                         mimeType:
+ *                           type: string
+ *                     limits:
+ *                       type: object
+ *                       description: Rules of the selected platforms
+ *       400:
+ *         description: Video not uploaded to Bundle.social, no current render, or template problem
+ *       404:
+ *         description: Video, caption version or post template not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/validate', requireFeature('socialMediaIntegrationEnabled'), validate(postValidateSchema), newPostController.validatePost);
 
 /**
  * @swagger
@@ -529,7 +824,7 @@ router
   .delete(postController.deletePost);
 
 // Post actions
-router.post('/:id/publish', postController.publishPost);
+router.post('/:id/publish', requireFeature('socialMediaIntegrationEnabled'), postController.publishPost);
 
 /**
  * @swagger
@@ -2,8 +2,8 @@ const express = require('express');
 const userController = require('../controllers/userController');
 const { protect } = require('../middleware/auth');
 const { uploadMedia, handleMulterError } = require('../middleware/upload');
-const { validate, validateImageUpload } = require('../middleware/validation');
-const { updateProfileSchema, deleteAccountSchema } = require('../utils/validation');
+const { validate, validateQuery, validateImageUpload } = require('../middleware/validation');
+const { updateProfileSchema, deleteAccountSchema, dataExportDownloadSchema } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -14,7 +14,82 @@ const router = express.Router();
  *   description: User profile and account management
  */
 
-// All routes require authentication
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed, expired]
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         fileName:
+ *           type: string
+ *           example: soloai-data-export-6650f1c2a4b3c2d1e0f9a8b7.json
+ *         fileSize:
+ *           type: number
+ *           description: Archive size in bytes
+ *         recordCounts:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           example: { videos: 12, posts: 30, socialAccounts: 3, analytics: 240, captionHistory: 18 }
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the download link and archive expire
+ *         emailSentAt:
+ *           type: string
+ *           format: date-time
+ *         downloadCount:
+ *           type: number
+ *         error:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/data-export/download:
+ *   get:
+ *     summary: Download a data export through the emailed link
+ *     description: |
+ *       Link from the "Your Data Export Is Ready" email. Works without signing in and stops
+ *       working when the export expires (48 hours by default).
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: JSON archive of the user's data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid download link
+ *       404:
+ *         description: Data export not found
+ *       410:
+ *         description: Download link has expired
+ */
+router.get('/data-export/download', validateQuery(dataExportDownloadSchema), userController.downloadDataExportByToken);
+
+// All other routes require authentication
 router.use(protect);
 
 /**
@@ -242,6 +317,7 @@ router.post(
  * /api/v1/users/stats:
  *   get:
  *     summary: Get user statistics
+ *     description: Content counts, engagement totals and AI usage for the current day and month (UTC)
  *     tags: [Users]
  *     responses:
  *       200:
@@ -251,30 +327,44 @@ router.post(
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
+ *                 status:
+ *                   type: string
+ *                   example: success
  *                 data:
  *                   type: object
  *                   properties:
- *                     videosCount:
- *                       type: number
- *                       example: 25
- *                     postsCount:
- *                       type: number
- *                       example: 47
- *                     totalViews:
- *                       type: number
- *                       example: 12543
- *                     engagement:
+ *                     stats:
  *                       type: object
  *                       properties:
- *                         likes:
+ *                         name:
+ *                           type: string
+ *                         email:
+ *                           type: string
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *                         totalVideos:
+ *                           type: number
+ *                           example: 25
+ *                         totalPosts:
+ *                           type: number
+ *                           example: 47
+ *                         connectedAccounts:
  *                           type: number
- *                         comments:
+ *                           example: 3
+ *                         totalViews:
  *                           type: number
- *                         shares:
+ *                           example: 12543
+ *                         totalLikes:
  *                           type: number
+ *                           example: 842
+ *                         aiUsage:
+ *                           type: object
+ *                           properties:
+ *                             day:
+ *                               $ref: '#/components/schemas/AIUsagePeriod'
+ *                             month:
+ *                               $ref: '#/components/schemas/AIUsagePeriod'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
@@ -286,17 +376,16 @@ router.get('/stats', userController.getUserStats);
  *   delete:
  *     summary: Delete user account and all related data
  *     description: |
- *       Permanently deletes the user account and all associated data including:
+ *       Schedules the account for deletion. The user is signed out on all devices, can no longer
+ *       sign in, and receives an email with a restore link. After the grace period (30 days by
+ *       default, `ACCOUNT_DELETION_GRACE_DAYS`) a background job permanently deletes:
  *       - User profile and authentication data
  *       - All uploaded videos and posts (database records)
  *       - Connected social media accounts (database records)
  *       - Bundle.social team (automatically deletes all uploads, posts, and social connections)
- *       - User preferences and settings
+ *       - User preferences, settings and data export archives
  *       
- *       **Efficient Cleanup**: Deleting the Bundle.social team automatically removes all related data 
- *       (uploads, posts, social accounts) from the Bundle.social platform in a single operation.
- *       
- *       **Warning**: This action is irreversible!
+ *       Until then the account can be restored with POST /api/v1/auth/restore-account, or by an admin.
  *       
  *       **For email users**: Password verification is required
  *       **For social users** (Google/Apple): No password required
@@ -324,7 +413,7 @@ router.get('/stats', userController.getUserStats);
  *               value: {}
  *     responses:
  *       200:
- *         description: Account and all related data deleted successfully
+ *         description: Account scheduled for deletion
  *         content:
  *           application/json:
  *             schema:
@@ -335,7 +424,16 @@ router.get('/stats', userController.getUserStats);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Account and all related data deleted successfully
+ *                   example: Account scheduled for deletion. We emailed you a link to restore it before then.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *                     gracePeriodDays:
+ *                       type: number
+ *                       example: 30
  *       400:
  *         description: Password required or incorrect
  *         content:
@@ -353,6 +451,101 @@ router.get('/stats', userController.getUserStats);
  */
 router.delete('/account', validate(deleteAccountSchema), userController.deleteAccount);
 
+/**
+ * @swagger
+ * /api/v1/users/data-export:
+ *   post:
+ *     summary: Request a copy of your personal data
+ *     description: |
+ *       Queues an export of the profile, preferences, device tokens, videos, posts, connected
+ *       accounts, cached analytics, AI caption history and AI usage. When the archive is ready
+ *       a time-limited download link is emailed to the user.
+ *
+ *       One export can be in progress at a time, and 2 can be requested per 24 hours
+ *       (`DATA_EXPORT_DAILY_LIMIT`).
+ *     tags: [Users]
+ *     responses:
+ *       202:
+ *         description: Data export requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dataExport:
+ *                       $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: An export is already being prepared
+ *       429:
+ *         description: Daily export limit reached
+ *   get:
+ *     summary: List your recent data exports
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Data exports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dataExports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router
+  .route('/data-export')
+  .post(userController.requestDataExport)
+  .get(userController.getDataExports);
+
+/**
+ * @swagger
+ * /api/v1/users/data-export/{id}/download:
+ *   get:
+ *     summary: Download one of your data exports
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: JSON archive of the user's data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Data export not found
+ *       409:
+ *         description: Data export is not ready yet
+ *       410:
+ *         description: Data export has expired
+ */
+router.get('/data-export/:id/download', userController.downloadDataExport);
+
 /**
  * @swagger
  * /api/v1/users/all:
@@ -1,11 +1,13 @@
 const express = require('express');
 const videoController = require('../controllers/videoController');
+const captionController = require('../controllers/captionController');
 const { protect } = require('../middleware/auth');
 const { ensureBundleSetup } = require('../middleware/bundleSetup');
+const { requireFeature } = require('../middleware/appControls');
 const { uploadVideo, uploadVideoMemory, handleMulterError } = require('../middleware/upload');
 const { validate, validateVideoUpload } = require('../middleware/validation');
 // const { uploadLimiter } = require('../middleware/rateLimiting');
-const { videoUploadSchema, videoEditSchema, aiCaptionSchema } = require('../utils/validation');
+const { videoUploadSchema, videoEditSchema, videoRenderSchema, captionVersionFavoriteSchema, aiCaptionSchema } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -416,7 +418,11 @@ router.get('/user/:id', videoController.getUserVideos);
 router
   .route('/:id')
   .get(videoController.getVideo)
-  .patch(validate(videoEditSchema), videoController.updateVideo)
+  .patch(
+    requireFeature('videoEditingEnabled', { when: req => req.body.edits !== undefined }),
+    validate(videoEditSchema),
+    videoController.updateVideo
+  )
   .delete(videoController.deleteVideo);
 
 /**
@@ -516,10 +522,289 @@ router
  */
 router.post(
   '/:id/ai-caption',
+  requireFeature('aiAssistantEnabled'),
   validate(aiCaptionSchema),
   videoController.generateAICaption
 );
 
+/**
+ * @swagger
+ * /api/v1/videos/{id}/render:
+ *   post:
+ *     summary: Render video edits
+ *     description: |
+ *       Queues a server-side ffmpeg render of the video's `edits` (trim, speed, filters and overlays).
+ *       The rendered file is uploaded to Bundle.social as a separate asset; the original is kept.
+ *
+ *       While the render is queued or running, the video `status` is `processing`. It returns to
+ *       `completed` whether or not the render succeeds, as the original stays usable; a failed
+ *       render only sets `render.state` to `failed` (see `render.error`).
+ *
+ *       **Overlays:** `timestamp` is in seconds on the rendered timeline. Text overlays read
+ *       `data.text`, `data.fontSize`, `data.color` and `data.duration`; sticker and drawing overlays
+ *       read an image from `data.url` and optional `data.width`. The image must be a base64 PNG,
+ *       JPEG, GIF or WebP data URL, or an HTTPS URL on an allowed image host (5MB by default).
+ *       Positions between 0 and 1 are relative to the frame, larger values are pixels.
+ *
+ *       **Filters:** grayscale, blackwhite, sepia, vintage, warm, cool, bright, contrast, vivid,
+ *       blur, sharpen, vignette, invert. Unknown filters are ignored.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Video ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Render again even if the current edits are already rendered
+ *     responses:
+ *       200:
+ *         description: Video is already rendered with its current edits
+ *       202:
+ *         description: Render queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Video render queued
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       example: processing
+ *                     render:
+ *                       $ref: '#/components/schemas/VideoRender'
+ *                     isCurrent:
+ *                       type: boolean
+ *                       example: false
+ *       400:
+ *         description: Video has no edits to render
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: A render is already in progress
+ *   get:
+ *     summary: Get render status
+ *     description: Returns render state and progress. `isCurrent` is true when the completed render matches the video's current edits.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Render status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       example: processing
+ *                     render:
+ *                       $ref: '#/components/schemas/VideoRender'
+ *                     isCurrent:
+ *                       type: boolean
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router
+  .route('/:id/render')
+  .post(requireFeature('videoEditingEnabled'), ensureBundleSetup, validate(videoRenderSchema), videoController.renderVideo)
+  .get(videoController.getRenderStatus);
+
+/**
+ * @swagger
+ * /api/v1/videos/{id}/captions:
+ *   get:
+ *     summary: List caption versions
+ *     description: |
+ *       Every AI-generated caption for the video (from `/ai/generate-caption`, `/videos/{id}/ai-caption`
+ *       and `/ai/suggestions/{videoId}`) is stored as a numbered version, newest first.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Video ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: favorite
+ *         schema:
+ *           type: boolean
+ *         description: Only favourites (true) or only non-favourites (false)
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Caption versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     activeCaptionVersion:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Version currently set as the video's AI caption
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CaptionVersion'
+ *                 meta:
+ *                   type: object
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/captions', captionController.getCaptionVersions);
+
+/**
+ * @swagger
+ * /api/v1/videos/{id}/captions/{versionId}/restore:
+ *   post:
+ *     summary: Restore a caption version
+ *     description: Sets the version's caption and hashtags as the video's current AI caption
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Video ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Caption version ID
+ *     responses:
+ *       200:
+ *         description: Caption version restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     videoId:
+ *                       type: string
+ *                     caption:
+ *                       type: string
+ *                     hashtags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     activeCaptionVersion:
+ *                       type: string
+ *                     version:
+ *                       $ref: '#/components/schemas/CaptionVersion'
+ *       404:
+ *         description: Video or caption version not found
+ */
+router.post('/:id/captions/:versionId/restore', captionController.restoreCaptionVersion);
+
+/**
+ * @swagger
+ * /api/v1/videos/{id}/captions/{versionId}/favorite:
+ *   patch:
+ *     summary: Mark or unmark a caption version as favourite
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Video ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Caption version ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isFavorite
+ *             properties:
+ *               isFavorite:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Favourite flag updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Caption version not found
+ */
+router.patch(
+  '/:id/captions/:versionId/favorite',
+  validate(captionVersionFavoriteSchema),
+  captionController.setCaptionVersionFavorite
+);
+
 /**
  * @swagger
  * /api/v1/videos/{id}/analytics:
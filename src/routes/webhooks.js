@@ -0,0 +1,109 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { webhookRejectionLimiter } = require('../middleware/rateLimiting');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: Inbound webhooks from third-party services
+ */
+
+/**
+ * @swagger
+ * /api/v1/webhooks/bundle-social:
+ *   post:
+ *     summary: Receive Bundle.social post and upload events
+ *     description: |
+ *       Receives signed status events from Bundle.social and applies them to local posts and videos.
+ *
+ *       **Signature:** `x-bundle-signature` must be the hex HMAC-SHA256 of `<x-bundle-timestamp>.<raw body>`
+ *       using the configured Bundle.social webhook secret. Deliveries older than 5 minutes are rejected.
+ *
+ *       **Replays:** each event id is processed once; repeated deliveries return 200 with `duplicate: true`.
+ *
+ *       **Events:**
+ *       - `post.*` — updates `bundleStatus`, platform statuses, `bundleErrors` and `bundleExternalData` of the post with matching `bundlePostId`
+ *       - `upload.*` — updates status, thumbnails, dimensions and duration of the video with matching `bundleUploadId`
+ *
+ *       Every delivery (including rejected and duplicate ones) is logged for auditing.
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: x-bundle-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: x-bundle-timestamp
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unix timestamp in seconds
+ *       - in: header
+ *         name: x-bundle-event-id
+ *         schema:
+ *           type: string
+ *         description: Event id (used when the body has no `id`)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - data
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 example: evt_01HZX3
+ *               type:
+ *                 type: string
+ *                 example: post.published
+ *               data:
+ *                 type: object
+ *                 description: Bundle.social post or upload object
+ *     responses:
+ *       200:
+ *         description: Event processed, ignored or recognised as a duplicate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Webhook processed successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eventId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [processed, ignored]
+ *                     changed:
+ *                       type: boolean
+ *                     duplicate:
+ *                       type: boolean
+ *       400:
+ *         description: Event id or type missing
+ *       401:
+ *         description: Missing, stale or invalid signature
+ *       429:
+ *         description: Too many rejected deliveries from this IP (only failed deliveries count)
+ *       500:
+ *         description: Processing failed - Bundle.social should retry the delivery
+ *       503:
+ *         description: Webhook secret not configured
+ */
+router.post('/bundle-social', webhookRejectionLimiter, webhookController.handleBundleSocialWebhook);
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { USER_DATA_SECTIONS } = require('../config/userData');
+const sessionService = require('./sessionService');
+const dataExportService = require('./dataExportService');
+const bundleSocialService = require('./bundleSocialService');
+const emailService = require('./emailService');
+const configService = require('./configService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Account Deletion Service
+ * Deleting an account only schedules it: sign-in is blocked right away and a restore link is
+ * emailed. A local job purges the account and its data once the grace period has passed.
+ *
+ *   active → pending deletion → purged
+ *                 ↘ restored (by the user or an admin)
+ */
+class AccountDeletionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.instanceId = `${process.pid}-${Date.now()}`;
+    this.pollInterval = parseInt(process.env.ACCOUNT_PURGE_INTERVAL) || 10 * 60 * 1000; // 10 minutes
+    this.leaseTimeout = 30 * 60 * 1000; // 30 minutes
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+  }
+
+  /**
+   * Start polling for accounts whose grace period has ended
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Account purge tick failed:', error.message);
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for purges
+    this.timer.unref();
+
+    logger.info('Account purge job started', {
+      instanceId: this.instanceId,
+      pollInterval: this.pollInterval,
+      gracePeriodDays: this.gracePeriodDays
+    });
+  }
+
+  /**
+   * Stop polling (an in-flight purge finishes on its own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Account purge job stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Purge every account that is due, one at a time
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      let user;
+      while ((user = await this.claimNext())) {
+        try {
+          await this.purgeAccount(user);
+        } catch (error) {
+          // The lease expires and the purge is retried on a later tick
+          logger.error('Account purge failed:', { userId: user._id, error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Schedule the user's account for deletion, sign out every device and email a restore link
+   * @param {object} user - User document
+   * @returns {Promise<Date>} When the account will be purged
+   */
+  async scheduleDeletion(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + this.gracePeriodDays * 24 * 60 * 60 * 1000);
+
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor,
+      restoreTokenHash: hashToken(token)
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await sessionService.revokeAll('User', user._id, { reason: 'deletion_requested' });
+
+    logger.info('Account deletion scheduled:', { userId: user._id, scheduledFor });
+
+    await this.sendScheduledEmail(user, token, scheduledFor);
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion with the token from the emailed restore link
+   * @param {string} token - Restore token
+   * @returns {Promise<object>} Restored user
+   */
+  async restoreWithToken(token) {
+    const user = await this.cancelPending({ 'deletion.restoreTokenHash': hashToken(String(token)) });
+    if (!user) {
+      throw new AppError('This restore link is invalid or has expired', 400);
+    }
+
+    logger.info('Account restored by user:', { userId: user._id });
+
+    return user;
+  }
+
+  /**
+   * Cancel a pending deletion on behalf of the user (admin)
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Restored user
+   */
+  async cancelDeletion(userId) {
+    const user = await this.cancelPending({ _id: userId });
+    if (!user) {
+      throw new AppError('User has no pending deletion, or it is already being purged', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Accounts waiting to be purged, the soonest first
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} { users, total }
+   */
+  async listPending({ page = 1, limit = 20 } = {}) {
+    const query = { 'deletion.scheduledFor': { $exists: true } };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ 'deletion.scheduledFor': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('name email loginType status deletion createdAt lastLoginAt'),
+      User.countDocuments(query)
+    ]);
+
+    return { users, total };
+  }
+
+  /**
+   * Clear the deletion of a matching account that has not started purging yet
+   * @param {object} filter - User filter
+   * @returns {Promise<object|null>} Restored user
+   */
+  async cancelPending(filter) {
+    return User.findOneAndUpdate(
+      {
+        ...filter,
+        'deletion.scheduledFor': { $gt: new Date() },
+        'deletion.purgeStartedAt': { $exists: false }
+      },
+      { $unset: { deletion: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Atomically claim the next account whose grace period has ended
+   * @returns {Promise<object|null>} Claimed user or null
+   */
+  async claimNext() {
+    const now = new Date();
+    const staleCutoff = new Date(now.getTime() - this.leaseTimeout);
+
+    return User.findOneAndUpdate(
+      {
+        'deletion.scheduledFor': { $lte: now },
+        $or: [
+          { 'deletion.purgeStartedAt': { $exists: false } },
+          { 'deletion.purgeStartedAt': { $lte: staleCutoff } }
+        ]
+      },
+      {
+        $set: {
+          'deletion.purgeStartedAt': now,
+          'deletion.purgeLockedBy': this.instanceId
+        }
+      },
+      { sort: { 'deletion.scheduledFor': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Permanently delete the user, their content and their Bundle.social team
+   * @param {object} user - User document
+   */
+  async purgeAccount(user) {
+    const userId = user._id;
+    const bundleTeamId = user.bundleTeamId;
+
+    logger.info('Starting account purge:', {
+      userId,
+      bundleTeamId,
+      loginType: user.loginType
+    });
+
+    // Delete the database records in one transaction for data consistency
+    const session = await User.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const deleted = {};
+
+        // Every collection the data export covers.
+        // Bundle.social uploads, posts and social accounts go with the team below.
+        for (const section of USER_DATA_SECTIONS) {
+          const result = await section.model.deleteMany(section.filter(userId)).session(session);
+          deleted[section.key] = result.deletedCount;
+        }
+
+        await User.findByIdAndDelete(userId).session(session);
+
+        logger.info('Deleted user records:', { userId, ...deleted });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // Outside the transaction as it's an external API.
+    // Deleting the team also deletes all its uploads, posts and social accounts.
+    if (bundleTeamId) {
+      try {
+        await bundleSocialService.deleteTeam(bundleTeamId);
+        logger.info('Deleted Bundle.social team and all related data:', { bundleTeamId, userId });
+      } catch (error) {
+        // Don't fail the purge if Bundle.social deletion fails
+        logger.error('Failed to delete Bundle.social team:', {
+          bundleTeamId,
+          userId,
+          error: error.message
+        });
+      }
+    }
+
+    // Data export archives are files on disk
+    try {
+      await dataExportService.deleteAllForUser(userId);
+    } catch (error) {
+      logger.error('Failed to delete data exports:', { userId, error: error.message });
+    }
+
+    logger.info('Account purge completed:', { userId });
+  }
+
+  /**
+   * Email the restore link. The link goes to the app, which posts the token to
+   * /api/v1/auth/restore-account.
+   */
+  async sendScheduledEmail(user, token, scheduledFor) {
+    try {
+      const urls = await configService.getUrls();
+      const restoreUrl = `${urls.frontendUrl || process.env.FRONTEND_URL}/restore-account?token=${token}`;
+
+      const result = await emailService.sendAccountDeletionScheduled(user, restoreUrl, scheduledFor);
+      if (!result.success) {
+        logger.warn('Account deletion email not sent:', { userId: user._id, reason: result.message || result.error });
+      }
+    } catch (error) {
+      logger.error('Failed to send account deletion email:', { userId: user._id, error: error.message });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountDeletionService();
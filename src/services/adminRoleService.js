@@ -0,0 +1,273 @@
+const AdminRole = require('../models/AdminRole');
+const AdminUser = require('../models/AdminUser');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const {
+  SYSTEM_ADMIN_ROLES,
+  isValidPermission,
+  hasPermission,
+  expandPermissions
+} = require('../config/adminPermissions');
+
+/**
+ * Admin Role Service
+ * Roles as data, effective permissions of an admin and the rules for changing roles.
+ */
+class AdminRoleService {
+  constructor() {
+    // Roles are looked up on every admin request; a change made through another instance
+    // applies within the cache timeout
+    this.cachedRoles = null;
+    this.rolesFetchedAt = null;
+    this.cacheTimeout = 30 * 1000;
+  }
+
+  invalidateCache() {
+    this.cachedRoles = null;
+    this.rolesFetchedAt = null;
+  }
+
+  /**
+   * All roles by name; built-in roles that are not seeded yet use their default definition
+   * @returns {Promise<Map<string, object>>}
+   */
+  async getRoleMap() {
+    const now = Date.now();
+    if (this.cachedRoles && now - this.rolesFetchedAt < this.cacheTimeout) {
+      return this.cachedRoles;
+    }
+
+    const roles = new Map(Object.entries(SYSTEM_ADMIN_ROLES).map(([name, definition]) => [
+      name,
+      { name, ...definition, isSystem: true }
+    ]));
+
+    const stored = await AdminRole.find().lean();
+    for (const role of stored) {
+      roles.set(role.name, role);
+    }
+
+    this.cachedRoles = roles;
+    this.rolesFetchedAt = now;
+    return roles;
+  }
+
+  /**
+   * @param {string} name - Role name
+   * @returns {Promise<object|null>}
+   */
+  async getRole(name) {
+    const roles = await this.getRoleMap();
+    return roles.get(name) || null;
+  }
+
+  /**
+   * Permissions of the admin's role plus the admin's own extra permissions
+   * @param {object} admin - AdminUser
+   * @returns {Promise<string[]>}
+   */
+  async getEffectivePermissions(admin) {
+    const role = await this.getRole(admin.role);
+    if (!role) {
+      logger.warn('Admin has an unknown role:', { adminId: admin._id, role: admin.role });
+    }
+
+    const granted = [...(role ? role.permissions : []), ...(admin.permissions || [])]
+      .filter(isValidPermission);
+
+    return [...new Set(granted)];
+  }
+
+  /**
+   * Whether the granted permissions cover a required permission
+   * @param {string[]} granted - Effective permissions
+   * @param {string} required - "<resource>:<action>"
+   * @returns {boolean}
+   */
+  hasPermission(granted, required) {
+    return hasPermission(granted, required);
+  }
+
+  /**
+   * Effective permissions with wildcards expanded, for the admin panel
+   * @param {string[]} granted - Effective permissions
+   * @returns {string[]}
+   */
+  expandPermissions(granted) {
+    return expandPermissions(granted);
+  }
+
+  /**
+   * Reject unknown permissions and permissions the acting admin does not hold themselves
+   * (nobody can hand out more access than they have)
+   * @param {string[]} permissions - Permissions to grant
+   * @param {string[]} granterPermissions - Effective permissions of the acting admin
+   */
+  assertGrantable(permissions, granterPermissions) {
+    if (!Array.isArray(permissions)) {
+      throw new AppError('Permissions must be a list', 400);
+    }
+
+    const invalid = permissions.filter(permission => !isValidPermission(permission));
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid permissions: ${invalid.join(', ')}`, 400);
+    }
+
+    const notHeld = expandPermissions(permissions)
+      .filter(permission => !hasPermission(granterPermissions, permission));
+    if (notHeld.length > 0) {
+      throw new AppError(`You cannot grant permissions you do not have: ${notHeld.join(', ')}`, 403);
+    }
+  }
+
+  /**
+   * Check a role can be assigned by the acting admin
+   * @param {string} name - Role name
+   * @param {string[]} granterPermissions - Effective permissions of the acting admin
+   * @returns {Promise<object>} The role
+   */
+  async assertAssignable(name, granterPermissions) {
+    const role = await this.getRole(String(name).toLowerCase());
+    if (!role) {
+      const roles = await this.getRoleMap();
+      throw new AppError(`Invalid role. Must be one of: ${[...roles.keys()].join(', ')}`, 400);
+    }
+
+    this.assertGrantable(role.permissions, granterPermissions);
+    return role;
+  }
+
+  /**
+   * Check the acting admin holds every permission of the admin they want to change
+   * (a moderator-level account manager cannot lock out or edit someone with more access)
+   * @param {object} target - AdminUser being changed
+   * @param {string[]} granterPermissions - Effective permissions of the acting admin
+   */
+  async assertManageable(target, granterPermissions) {
+    const targetPermissions = await this.getEffectivePermissions(target);
+    const notHeld = expandPermissions(targetPermissions)
+      .filter(permission => !hasPermission(granterPermissions, permission));
+
+    if (notHeld.length > 0) {
+      throw new AppError('You cannot manage an admin who has permissions you do not have', 403);
+    }
+  }
+
+  /**
+   * All roles with the number of admins holding each
+   * @returns {Promise<Array>}
+   */
+  async listRoles() {
+    const [roles, counts] = await Promise.all([
+      this.getRoleMap(),
+      AdminUser.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const countByRole = new Map(counts.map(item => [item._id, item.count]));
+
+    return [...roles.values()]
+      .map(role => ({
+        _id: role._id,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: !!role.isSystem,
+        adminCount: countByRole.get(role.name) || 0,
+        updatedAt: role.updatedAt
+      }))
+      .sort((a, b) => Number(b.isSystem) - Number(a.isSystem) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create a custom role
+   * @param {object} data - { name, description, permissions }
+   * @param {object} admin - Acting admin ({ _id, permissions: effective permissions })
+   * @returns {Promise<object>}
+   */
+  async createRole({ name, description, permissions = [] }, admin) {
+    if (await this.getRole(name.toLowerCase())) {
+      throw new AppError('A role with this name already exists', 409);
+    }
+
+    this.assertGrantable(permissions, admin.permissions);
+
+    const role = await AdminRole.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: admin._id,
+      lastUpdatedBy: admin._id
+    });
+
+    this.invalidateCache();
+    return role;
+  }
+
+  /**
+   * Update a role's description or permissions. Built-in roles are stored on first change.
+   * @param {string} name - Role name
+   * @param {object} changes - { description, permissions }
+   * @param {object} admin - Acting admin ({ _id, permissions: effective permissions })
+   * @returns {Promise<object>}
+   */
+  async updateRole(name, { description, permissions }, admin) {
+    const existing = await this.getRole(name);
+    if (!existing) {
+      throw new AppError('Role not found', 404);
+    }
+
+    if (permissions !== undefined) {
+      if (existing.name === 'superadmin') {
+        throw new AppError('The superadmin role always has every permission', 403);
+      }
+      this.assertGrantable(permissions, admin.permissions);
+      // Taking permissions away is also a grant decision: only for permissions the admin holds
+      this.assertGrantable(existing.permissions, admin.permissions);
+    }
+
+    const update = { lastUpdatedBy: admin._id };
+    if (description !== undefined) update.description = description;
+    if (permissions !== undefined) update.permissions = [...new Set(permissions)];
+
+    const role = await AdminRole.findOneAndUpdate(
+      { name: existing.name },
+      {
+        $set: update,
+        $setOnInsert: {
+          isSystem: !!existing.isSystem,
+          ...(permissions === undefined ? { permissions: existing.permissions } : {}),
+          ...(description === undefined && existing.description ? { description: existing.description } : {})
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    this.invalidateCache();
+    return role;
+  }
+
+  /**
+   * Delete a custom role that no admin holds
+   * @param {string} name - Role name
+   */
+  async deleteRole(name) {
+    const existing = await this.getRole(name);
+    if (!existing) {
+      throw new AppError('Role not found', 404);
+    }
+    if (existing.isSystem) {
+      throw new AppError('Built-in roles cannot be deleted', 403);
+    }
+
+    const adminCount = await AdminUser.countDocuments({ role: existing.name });
+    if (adminCount > 0) {
+      throw new AppError(`This role is assigned to ${adminCount} admin(s). Assign them another role first.`, 409);
+    }
+
+    await AdminRole.deleteOne({ name: existing.name });
+    this.invalidateCache();
+  }
+}
+
+// Export singleton instance
+module.exports = new AdminRoleService();
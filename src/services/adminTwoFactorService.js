@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const configService = require('./configService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { generateSecret, verifyTotp, buildOtpAuthUri } = require('../utils/totp');
+
+// Lifetime of the token handed out between the password step and the code step
+const CHALLENGE_EXPIRES_IN_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+// Challenge tokens use their own key so they can never pass as admin access tokens
+const getChallengeSecret = () => `${process.env.ADMIN_JWT_SECRET}:two-factor-challenge`;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+  .digest('hex');
+
+/**
+ * Admin Two-Factor Service
+ * TOTP enrollment, one-time recovery codes, login challenges and the per-role requirement.
+ */
+class AdminTwoFactorService {
+  get challengeExpiresIn() {
+    return CHALLENGE_EXPIRES_IN_SECONDS;
+  }
+
+  /**
+   * Whether the admin's role must use two-factor authentication
+   * @param {object} admin - AdminUser
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredFor(admin) {
+    const { twoFactorRequiredRoles = [] } = await configService.getAdminSecurityConfig();
+    return twoFactorRequiredRoles.includes(admin.role);
+  }
+
+  /**
+   * Short-lived token proving the password step succeeded
+   * @param {object} admin - AdminUser
+   * @param {string} purpose - 'login' (enter a code) or 'setup' (enroll before first login)
+   * @returns {string}
+   */
+  createChallenge(admin, purpose) {
+    return jwt.sign({ id: admin._id, purpose }, getChallengeSecret(), {
+      expiresIn: CHALLENGE_EXPIRES_IN_SECONDS
+    });
+  }
+
+  /**
+   * Check a challenge token and return the admin it was issued to
+   * @param {string} token - Challenge token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<object>} AdminUser
+   */
+  async verifyChallenge(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, getChallengeSecret());
+    } catch (error) {
+      throw new AppError('Your sign-in attempt has expired. Please log in again.', 401);
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new AppError('Invalid sign-in challenge', 401);
+    }
+
+    const admin = await AdminUser.findById(decoded.id);
+    if (!admin || !admin.isActive) {
+      throw new AppError('Invalid sign-in challenge', 401);
+    }
+    if (admin.isLocked) {
+      throw new AppError('Account is temporarily locked due to too many failed login attempts', 401);
+    }
+
+    return admin;
+  }
+
+  /**
+   * Two-factor state of an admin, for the admin's own settings page
+   * @param {object} admin - AdminUser
+   * @returns {Promise<object>}
+   */
+  async getStatus(admin) {
+    const withCodes = await AdminUser.findById(admin._id).select('+twoFactor.recoveryCodes');
+    const twoFactor = withCodes.twoFactor || {};
+
+    return {
+      enabled: !!twoFactor.enabled,
+      enabledAt: twoFactor.enabledAt || null,
+      required: await this.isRequiredFor(admin),
+      recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0
+    };
+  }
+
+  /**
+   * Generate a new secret. It only takes effect once confirmed with a code from the app.
+   * @param {object} admin - AdminUser
+   * @returns {Promise<object>} { secret, otpauthUri }
+   */
+  async startEnrollment(admin) {
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = generateSecret();
+    await AdminUser.updateOne({ _id: admin._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const { name: issuer } = await configService.getAppSettings();
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: admin.email, issuer: issuer || 'Solo AI' })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code generated from the pending secret
+   * @param {string} adminId - Admin ID
+   * @param {string} code - 6-digit code
+   * @returns {Promise<string[]>} Recovery codes (shown once)
+   */
+  async confirmEnrollment(adminId, code) {
+    const admin = await AdminUser.findById(adminId).select('+twoFactor.pendingSecret');
+
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    if (!admin.twoFactor || !admin.twoFactor.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = verifyTotp(admin.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new AppError('Invalid verification code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await AdminUser.updateOne({ _id: adminId }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': admin.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    logger.info('Admin two-factor authentication enabled:', { adminId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a code from the authenticator app, or use up a recovery code
+   * @param {string} adminId - Admin ID
+   * @param {string} code - 6-digit code or recovery code
+   * @returns {Promise<object|null>} { method: 'totp' | 'recovery_code' }, or null if the code is wrong
+   */
+  async verifyCode(adminId, code) {
+    const admin = await AdminUser.findById(adminId).select('+twoFactor.secret');
+    if (!admin || !admin.twoFactor || !admin.twoFactor.enabled) {
+      return null;
+    }
+
+    const normalized = String(code || '').trim();
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = verifyTotp(admin.twoFactor.secret, normalized);
+      if (step === null) {
+        return null;
+      }
+
+      // Record the step atomically; a code that was already used (or an older one) fails
+      const accepted = await AdminUser.updateOne(
+        { _id: adminId, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return accepted.modifiedCount > 0 ? { method: 'totp' } : null;
+    }
+
+    const hash = hashRecoveryCode(normalized);
+    const consumed = await AdminUser.updateOne(
+      { _id: adminId, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+
+    if (consumed.modifiedCount === 0) {
+      return null;
+    }
+
+    logger.warn('Admin signed in with a recovery code:', { adminId });
+    return { method: 'recovery_code' };
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<string[]>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(adminId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await AdminUser.updateOne(
+      { _id: adminId },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and recovery codes
+   * @param {string} adminId - Admin ID
+   */
+  async disable(adminId) {
+    await AdminUser.updateOne({ _id: adminId }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+
+    logger.info('Admin two-factor authentication disabled:', { adminId });
+  }
+
+  /**
+   * One-time recovery codes, formatted xxxxx-xxxxx
+   * @returns {string[]}
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new AdminTwoFactorService();
@@ -0,0 +1,399 @@
+const falAiService = require('./falAiService');
+const geminiService = require('./geminiService');
+const perplexityService = require('./perplexityService');
+const aiService = require('./aiService');
+const configService = require('./configService');
+const aiUsageService = require('./aiUsageService');
+const AIRequestLog = require('../models/AIRequestLog');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { applyBrandVoice } = require('../utils/brandVoice');
+
+/**
+ * AI Provider Router
+ * Sends caption/hashtag/optimization requests to the AI providers in the order configured
+ * in Settings (ai.providerOrder). When a provider errors, the next configured provider is
+ * tried; a provider that answers with a rate limit is skipped for a cooldown period.
+ *
+ * Every request is recorded in AIRequestLog with the provider that answered it and the
+ * outcome of each attempt, and metered against the user's quota (see aiUsageService): the
+ * request is reserved before the first provider is called and released if all of them fail.
+ */
+class AIProviderRouter {
+  constructor() {
+    this.providers = {
+      fal: { label: 'Fal.ai', service: falAiService },
+      gemini: { label: 'Google Gemini', service: geminiService },
+      perplexity: { label: 'Perplexity', service: perplexityService },
+      openai: { label: 'OpenAI', service: aiService }
+    };
+
+    // provider name → timestamp (ms) until which it is skipped
+    this.cooldowns = new Map();
+  }
+
+  /**
+   * Generate a caption for a video
+   * @param {object} video - Video document
+   * @param {object} options - Caption options (tone, platform, maxLength, includeHashtags, brandVoice, ...)
+   * @param {object} context - { userId }
+   * @param {object} handlers - Optional streaming callbacks:
+   *   onAttempt(provider) before each provider is tried (partial text from an earlier provider is void),
+   *   onQueueUpdate({ provider, status, position }) and onToken({ provider, text })
+   * @returns {Promise<object>} { caption, hashtags, fullText, platform, model, provider, attempts, brandVoice }
+   */
+  async generateCaption(video, options = {}, context = {}, handlers = null) {
+    const { result, provider, attempts } = await this.execute(
+      'caption',
+      (service, name) => {
+        if (!handlers) {
+          return service.generateCaption(video, options);
+        }
+
+        if (handlers.onAttempt) {
+          handlers.onAttempt(name);
+        }
+
+        return service.generateCaption(video, options, {
+          onQueueUpdate: update => handlers.onQueueUpdate && handlers.onQueueUpdate({ provider: name, ...update }),
+          onToken: text => handlers.onToken && handlers.onToken({ provider: name, text })
+        });
+      },
+      { ...context, videoId: video._id, platform: options.platform }
+    );
+
+    return applyBrandVoice({
+      caption: result.caption,
+      hashtags: result.hashtags || [],
+      fullText: result.fullText || result.caption,
+      platform: result.platform || options.platform,
+      model: result.model,
+      usage: result.usage,
+      provider,
+      attempts
+    }, options.brandVoice, { includeHashtags: options.includeHashtags !== false });
+  }
+
+  /**
+   * Generate hashtags for content
+   * @param {string} content - Content to tag
+   * @param {object} options - { maxCount, platform }
+   * @param {object} context - { userId }
+   * @returns {Promise<object>} { hashtags, provider, attempts }
+   */
+  async generateHashtags(content, options = {}, context = {}) {
+    // Gemini names the limit maxHashtags; the other providers use maxCount
+    const providerOptions = { ...options, maxHashtags: options.maxCount };
+
+    const { result, provider, attempts } = await this.execute(
+      'hashtags',
+      service => service.generateHashtags(content, providerOptions),
+      { ...context, platform: options.platform }
+    );
+
+    return { hashtags: result, provider, attempts };
+  }
+
+  /**
+   * Rewrite a caption for a platform
+   * @param {string} caption - Original caption
+   * @param {string} platform - Target platform
+   * @param {object} context - { userId }
+   * @returns {Promise<object>} { optimizedCaption, provider, attempts }
+   */
+  async optimizeForPlatform(caption, platform, context = {}) {
+    const { result, provider, attempts } = await this.execute(
+      'optimize',
+      service => service.optimizeForPlatform(caption, platform),
+      { ...context, platform }
+    );
+
+    return { optimizedCaption: result, provider, attempts };
+  }
+
+  /**
+   * Generate a caption per platform; each platform is routed (and fails over) independently
+   * @param {object} video - Video document
+   * @param {string[]} platforms - Platforms to generate for
+   * @param {string} tone - Caption tone
+   * @param {object} context - { userId }
+   * @param {object} brandVoice - Optional BrandVoice profile to follow
+   * @returns {Promise<object>} Suggestions keyed by platform
+   */
+  async generateMultiPlatformSuggestions(video, platforms, tone = 'casual', context = {}, brandVoice = null) {
+    const suggestions = {};
+
+    for (const platform of platforms) {
+      const platformConfig = falAiService.getPlatformConfig(platform);
+
+      try {
+        const { result, provider } = await this.execute(
+          'suggestions',
+          service => service.generateCaption(video, {
+            platform,
+            tone,
+            includeHashtags: true,
+            maxLength: platformConfig.maxLength,
+            brandVoice
+          }),
+          { ...context, videoId: video._id, platform }
+        );
+
+        const branded = applyBrandVoice({ caption: result.caption, hashtags: result.hashtags || [] }, brandVoice);
+
+        suggestions[platform] = {
+          caption: branded.caption,
+          hashtags: branded.hashtags,
+          characterCount: branded.caption.length,
+          platformConfig,
+          model: result.model,
+          provider
+        };
+        if (branded.brandVoice) {
+          suggestions[platform].brandVoice = branded.brandVoice;
+        }
+      } catch (error) {
+        logger.warn(`Failed to generate suggestion for ${platform}:`, error.message);
+        suggestions[platform] = {
+          error: error.message,
+          caption: '',
+          hashtags: []
+        };
+      }
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Try providers in order until one succeeds
+   * @param {string} operation - 'caption' | 'hashtags' | 'optimize' | 'suggestions'
+   * @param {Function} call - (service, providerName) => Promise<result>
+   * @param {object} context - { userId, videoId, platform }
+   * @returns {Promise<object>} { result, provider, attempts }
+   */
+  async execute(operation, call, context = {}) {
+    const config = await configService.getAIConfig();
+    const order = config.providerOrder.filter(name => this.providers[name]);
+    const candidates = config.failoverEnabled ? order : order.slice(0, 1);
+
+    // Take the request out of the user's quota up front; it's given back if every provider fails
+    const quota = context.userId ? await aiUsageService.reserveRequest(context.userId) : null;
+    if (quota && !quota.allowed) {
+      throw new AppError(quota.message, 429);
+    }
+
+    const startedAt = Date.now();
+    const attempts = [];
+    let lastError = null;
+
+    for (const name of candidates) {
+      if (this.isCoolingDown(name)) {
+        attempts.push({ provider: name, outcome: 'skipped', error: 'Rate limited, cooling down' });
+        continue;
+      }
+
+      if (!(await this.isConfigured(name))) {
+        attempts.push({ provider: name, outcome: 'skipped', error: 'Not configured' });
+        continue;
+      }
+
+      const attemptStartedAt = Date.now();
+
+      try {
+        const result = await call(this.providers[name].service, name);
+
+        attempts.push({ provider: name, outcome: 'succeeded', durationMs: Date.now() - attemptStartedAt });
+
+        await this.record(operation, context, {
+          provider: name,
+          success: true,
+          attempts,
+          model: result?.model,
+          usage: result?.usage,
+          durationMs: Date.now() - startedAt
+        });
+
+        return { result, provider: name, attempts };
+      } catch (error) {
+        const rateLimited = this.isRateLimitError(error);
+
+        if (rateLimited && config.rateLimitCooldownSeconds > 0) {
+          this.cooldowns.set(name, Date.now() + config.rateLimitCooldownSeconds * 1000);
+        }
+
+        attempts.push({
+          provider: name,
+          outcome: rateLimited ? 'rate_limited' : 'failed',
+          error: error.message,
+          durationMs: Date.now() - attemptStartedAt
+        });
+
+        logger.warn(`AI provider ${name} failed for ${operation}:`, {
+          error: error.message,
+          rateLimited,
+          userId: context.userId
+        });
+
+        lastError = error;
+      }
+    }
+
+    const tried = attempts.filter(attempt => attempt.outcome !== 'skipped');
+    const rateLimitedOnly = attempts.some(attempt => attempt.outcome === 'rate_limited' || attempt.error === 'Rate limited, cooling down') &&
+      !tried.some(attempt => attempt.outcome === 'failed');
+
+    let message;
+    if (attempts.length === 0 || attempts.every(attempt => attempt.error === 'Not configured')) {
+      message = 'No AI provider is configured. Please add an API key in Settings or environment variables.';
+    } else if (rateLimitedOnly) {
+      message = 'All AI providers are rate limited. Please wait a moment and try again.';
+    } else {
+      message = `AI request failed on all providers: ${lastError ? lastError.message : 'no provider available'}`;
+    }
+
+    if (quota) {
+      await aiUsageService.releaseRequest(quota.reservation).catch(error => {
+        logger.error('Failed to release AI quota reservation:', error.message);
+      });
+    }
+
+    await this.record(operation, context, {
+      provider: null,
+      success: false,
+      attempts,
+      error: message,
+      durationMs: Date.now() - startedAt
+    });
+
+    throw new AppError(message, rateLimitedOnly ? 429 : 503);
+  }
+
+  /**
+   * Whether a provider has credentials
+   * @param {string} name - Provider name
+   * @returns {Promise<boolean>}
+   */
+  async isConfigured(name) {
+    const { service } = this.providers[name];
+
+    // The OpenAI service reads its key from the environment and has no initializer
+    if (!service.ensureInitialized) {
+      return !!service.openaiApiKey;
+    }
+
+    try {
+      await service.ensureInitialized();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a provider is inside its rate limit cooldown
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  isCoolingDown(name) {
+    const until = this.cooldowns.get(name);
+    if (!until) {
+      return false;
+    }
+
+    if (until <= Date.now()) {
+      this.cooldowns.delete(name);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Detect rate limit errors from status codes or provider messages
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRateLimitError(error) {
+    const status = error.statusCode || error.status || error.response?.status;
+    if (status === 429) {
+      return true;
+    }
+
+    return /rate limit|too many requests|\b429\b/i.test(error.message || '');
+  }
+
+  /**
+   * Persist and meter the outcome of a routed request; never fails the request itself
+   * @param {string} operation
+   * @param {object} context - { userId, videoId, platform }
+   * @param {object} outcome - { provider, success, attempts, model, usage, error, durationMs }
+   */
+  async record(operation, context, outcome) {
+    if (!context.userId) {
+      return;
+    }
+
+    try {
+      await AIRequestLog.create({
+        user: context.userId,
+        operation,
+        video: context.videoId,
+        platform: context.platform,
+        ...outcome
+      });
+
+      await aiUsageService.recordRequest(context.userId, outcome);
+    } catch (error) {
+      logger.error('Failed to record AI request:', error.message);
+    }
+  }
+
+  /**
+   * Describe configured providers, routing order and cooldowns; optionally probe provider APIs
+   * @param {object} options - { probe: boolean }
+   * @returns {Promise<object>} { healthy, providerOrder, failoverEnabled, providers }
+   */
+  async getStatus({ probe = false } = {}) {
+    const config = await configService.getAIConfig();
+    const order = config.providerOrder.filter(name => this.providers[name]);
+
+    const providers = [];
+    for (const name of Object.keys(this.providers)) {
+      const { label, service } = this.providers[name];
+      const configured = await this.isConfigured(name);
+      const coolingDown = this.isCoolingDown(name);
+
+      const provider = {
+        name,
+        label,
+        configured,
+        enabled: order.includes(name),
+        priority: order.includes(name) ? order.indexOf(name) + 1 : null,
+        coolingDown,
+        cooldownUntil: coolingDown ? new Date(this.cooldowns.get(name)) : null
+      };
+
+      if (probe && configured && typeof service.checkAPIHealth === 'function') {
+        const health = await service.checkAPIHealth();
+        provider.healthy = health.healthy;
+        provider.error = health.error;
+      } else {
+        provider.healthy = configured && !coolingDown;
+      }
+
+      providers.push(provider);
+    }
+
+    return {
+      healthy: providers.some(provider => provider.enabled && provider.healthy),
+      providerOrder: order,
+      failoverEnabled: config.failoverEnabled,
+      rateLimitCooldownSeconds: config.rateLimitCooldownSeconds,
+      providers
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AIProviderRouter();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { buildBrandVoiceInstructions } = require('../utils/brandVoice');
 
 class AIService {
   constructor() {
@@ -8,41 +9,53 @@ class AIService {
   }
 
   // Generate AI caption for video
-  async generateCaption(videoData, options = {}) {
+  // handlers.onToken (optional) receives partial text while the completion streams
+  async generateCaption(videoData, options = {}, handlers = {}) {
     try {
       const {
         prompt = '',
         tone = 'casual',
         includeHashtags = true,
         maxLength = 300,
-        platform = 'general'
+        platform = 'general',
+        brandVoice = null
       } = options;
 
       // Create context-aware prompt
-      const systemPrompt = this.createCaptionPrompt(tone, platform, includeHashtags, maxLength);
+      const systemPrompt = this.createCaptionPrompt(tone, platform, includeHashtags, maxLength, brandVoice);
       const userPrompt = this.createUserPrompt(videoData, prompt);
 
-      const response = await axios.post(
-        `${this.openaiBaseUrl}/chat/completions`,
-        {
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          max_tokens: Math.min(maxLength * 2, 500),
-          temperature: 0.7,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000, // 30 seconds
-        }
-      );
+      const requestBody = {
+        model: 'gpt-3.5-turbo',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        max_tokens: Math.min(maxLength * 2, 500),
+        temperature: 0.7,
+      };
+
+      let generatedCaption;
+      let usage;
+
+      if (handlers.onToken) {
+        ({ text: generatedCaption, usage } = await this.streamChatCompletion(requestBody, handlers.onToken));
+      } else {
+        const response = await axios.post(
+          `${this.openaiBaseUrl}/chat/completions`,
+          requestBody,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.openaiApiKey}`,
+              'Content-Type': 'application/json',
+            },
+            timeout: 30000, // 30 seconds
+          }
+        );
 
-      const generatedCaption = response.data.choices[0].message.content.trim();
+        generatedCaption = response.data.choices[0].message.content.trim();
+        usage = response.data.usage;
+      }
       
       // Extract hashtags if they're included
       const hashtags = includeHashtags ? this.extractHashtags(generatedCaption) : [];
@@ -57,12 +70,72 @@ class AIService {
       return {
         caption: captionWithoutHashtags,
         hashtags,
-        fullText: generatedCaption
+        fullText: generatedCaption,
+        model: 'gpt-3.5-turbo',
+        usage: {
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0,
+          totalTokens: usage?.total_tokens || 0
+        }
       };
     } catch (error) {
       logger.error('Failed to generate AI caption:', error.response?.data || error.message);
-      throw new Error('Failed to generate AI caption');
+      const aiError = new Error('Failed to generate AI caption');
+      // Keep the upstream status so callers can tell rate limits apart
+      aiError.statusCode = error.response?.status;
+      throw aiError;
+    }
+  }
+
+  // Stream a chat completion, passing each text delta to onToken
+  async streamChatCompletion(requestBody, onToken) {
+    const response = await axios.post(
+      `${this.openaiBaseUrl}/chat/completions`,
+      { ...requestBody, stream: true, stream_options: { include_usage: true } },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.openaiApiKey}`,
+          'Content-Type': 'application/json',
+        },
+        responseType: 'stream',
+        timeout: 30000, // 30 seconds
+      }
+    );
+
+    let text = '';
+    let usage;
+    let buffer = '';
+
+    // The body is a server-sent event stream of `data: {json}` lines, ending with `data: [DONE]`
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          continue;
+        }
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          continue;
+        }
+
+        const data = JSON.parse(payload);
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (data.usage) {
+          usage = data.usage;
+        }
+      }
     }
+
+    return { text: text.trim(), usage };
   }
 
   // Generate hashtags for content
@@ -98,7 +171,10 @@ class AIService {
       return hashtags;
     } catch (error) {
       logger.error('Failed to generate AI hashtags:', error.response?.data || error.message);
-      throw new Error('Failed to generate hashtags');
+      const aiError = new Error('Failed to generate hashtags');
+      // Keep the upstream status so callers can tell rate limits apart
+      aiError.statusCode = error.response?.status;
+      throw aiError;
     }
   }
 
@@ -135,12 +211,17 @@ class AIService {
       return optimizedCaption;
     } catch (error) {
       logger.error('Failed to optimize caption for platform:', error.response?.data || error.message);
-      throw new Error('Failed to optimize caption');
+      const aiError = new Error('Failed to optimize caption');
+      // Keep the upstream status so callers can tell rate limits apart
+      aiError.statusCode = error.response?.status;
+      throw aiError;
     }
   }
 
   // Create system prompt for caption generation
-  createCaptionPrompt(tone, platform, includeHashtags, maxLength) {
+  createCaptionPrompt(tone, platform, includeHashtags, maxLength, brandVoice = null) {
+    const brandVoiceInstructions = buildBrandVoiceInstructions(brandVoice);
+
     return `You are a social media content expert. Create engaging captions for video content.
             
             Guidelines:
@@ -150,7 +231,7 @@ class AIService {
             - ${includeHashtags ? 'Include relevant hashtags at the end' : 'Do not include hashtags'}
             - Make it engaging and encourage interaction
             - Use emojis appropriately
-            - Keep it authentic and relatable`;
+            - Keep it authentic and relatable${brandVoiceInstructions ? `\n\n${brandVoiceInstructions}` : ''}`;
   }
 
   // Create user prompt with video context
@@ -0,0 +1,380 @@
+const AIUsage = require('../models/AIUsage');
+const AIRequestLog = require('../models/AIRequestLog');
+const configService = require('./configService');
+
+const PERIODS = ['day', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * AI Usage Service
+ * Meters AI requests per user into daily and monthly counters (AIUsage) and checks them
+ * against the quotas configured in Settings (ai.dailyRequestLimit, ai.monthlyRequestLimit,
+ * ai.dailyTokenLimit, ai.monthlyTokenLimit). A limit of 0 means unlimited.
+ *
+ * A request is reserved against the quotas before any provider is called (reserveRequest) and
+ * given back if every provider fails (releaseRequest), so only successful requests count.
+ * Tokens are counted when the provider reports them.
+ */
+class AIUsageService {
+  /**
+   * Reserve one request of the user's daily and monthly quotas before calling a provider.
+   * Each counter is only incremented while it is under its limits, so concurrent requests
+   * cannot go over the quota.
+   * @param {string} userId - User id
+   * @returns {Promise<object>} { allowed, message, retryAfterSeconds, reservation }
+   */
+  async reserveRequest(userId) {
+    const config = await configService.getAIConfig();
+    const now = new Date();
+    const reserved = [];
+
+    for (const period of PERIODS) {
+      const periodStart = this.getPeriodStart(period, now);
+      const requestLimit = period === 'day' ? config.dailyRequestLimit : config.monthlyRequestLimit;
+      const tokenLimit = period === 'day' ? config.dailyTokenLimit : config.monthlyTokenLimit;
+
+      const filter = { user: userId, period, periodStart };
+      if (requestLimit > 0) {
+        filter.requests = { $lt: requestLimit };
+      }
+      if (tokenLimit > 0) {
+        filter.totalTokens = { $lt: tokenLimit };
+      }
+
+      const update = { $inc: { requests: 1 }, $set: { lastRequestAt: now } };
+
+      if (!(await this.incrementWithinLimits(filter, update))) {
+        await this.releaseRequest({ user: userId, periods: reserved });
+
+        const usage = await AIUsage.findOne({ user: userId, period, periodStart }).lean();
+        const exhausted = requestLimit > 0 && (usage?.requests || 0) >= requestLimit ? 'request' : 'token';
+        const resetsAt = this.getPeriodEnd(period, periodStart);
+        const label = period === 'day' ? 'Daily' : 'Monthly';
+
+        return {
+          allowed: false,
+          message: `${label} AI ${exhausted} quota reached. It resets at ${resetsAt.toISOString()}.`,
+          retryAfterSeconds: Math.max(Math.ceil((resetsAt - Date.now()) / 1000), 1),
+          reservation: null
+        };
+      }
+
+      reserved.push({ period, periodStart });
+    }
+
+    return {
+      allowed: true,
+      message: null,
+      retryAfterSeconds: 0,
+      reservation: { user: userId, periods: reserved }
+    };
+  }
+
+  /**
+   * Give back a reserved request, e.g. when every provider failed
+   * @param {object} reservation - From reserveRequest
+   */
+  async releaseRequest(reservation) {
+    if (!reservation) {
+      return;
+    }
+
+    for (const { period, periodStart } of reservation.periods) {
+      await AIUsage.updateOne(
+        { user: reservation.user, period, periodStart, requests: { $gt: 0 } },
+        { $inc: { requests: -1 } }
+      );
+    }
+  }
+
+  /**
+   * Conditionally increment a usage counter, creating it on the first request of the period
+   * @param {object} filter - Counter key plus limit conditions
+   * @param {object} update - Update to apply
+   * @returns {Promise<boolean>} Whether the counter was under its limits and got incremented
+   */
+  async incrementWithinLimits(filter, update) {
+    try {
+      await AIUsage.updateOne(filter, update, { upsert: true });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // The counter exists but is at a limit (the upsert tried to insert a second one), or a
+      // concurrent first request just created it; only the latter can still be incremented
+      const result = await AIUsage.updateOne(filter, update);
+      return result.matchedCount > 0;
+    }
+  }
+
+  /**
+   * Meter a routed AI request. The request itself was counted by reserveRequest (and given back
+   * on failure); this adds the tokens and provider of a success, or counts the failure.
+   * @param {string} userId - User id
+   * @param {object} outcome - { provider, success, usage: { promptTokens, completionTokens, totalTokens } }
+   */
+  async recordRequest(userId, { provider, success, usage } = {}) {
+    const now = new Date();
+    const inc = success
+      ? {
+          promptTokens: usage?.promptTokens || 0,
+          completionTokens: usage?.completionTokens || 0,
+          totalTokens: usage?.totalTokens || 0
+        }
+      : { failedRequests: 1 };
+
+    if (success && provider) {
+      inc[`providers.${provider}`] = 1;
+    }
+
+    for (const period of PERIODS) {
+      const filter = { user: userId, period, periodStart: this.getPeriodStart(period, now) };
+      const update = { $inc: inc, $set: { lastRequestAt: now } };
+
+      try {
+        await AIUsage.updateOne(filter, update, { upsert: true });
+      } catch (error) {
+        // Two concurrent upserts can race on the unique index; the second one retries as an update
+        if (error.code === 11000) {
+          await AIUsage.updateOne(filter, update);
+        } else {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Current day and month usage with limits and remaining allowance
+   * @param {string} userId - User id
+   * @returns {Promise<object>} { day, month }
+   */
+  async getUsage(userId) {
+    const config = await configService.getAIConfig();
+    const now = new Date();
+    const starts = PERIODS.map(period => this.getPeriodStart(period, now));
+
+    const documents = await AIUsage.find({
+      user: userId,
+      $or: PERIODS.map((period, index) => ({ period, periodStart: starts[index] }))
+    }).lean();
+
+    return PERIODS.reduce((result, period, index) => {
+      const document = documents.find(doc => doc.period === period) || {};
+      const limits = {
+        requests: period === 'day' ? config.dailyRequestLimit : config.monthlyRequestLimit,
+        tokens: period === 'day' ? config.dailyTokenLimit : config.monthlyTokenLimit
+      };
+      const requests = document.requests || 0;
+      const totalTokens = document.totalTokens || 0;
+
+      result[period] = {
+        periodStart: starts[index],
+        resetsAt: this.getPeriodEnd(period, starts[index]),
+        requests,
+        failedRequests: document.failedRequests || 0,
+        promptTokens: document.promptTokens || 0,
+        completionTokens: document.completionTokens || 0,
+        totalTokens,
+        providers: {
+          fal: document.providers?.fal || 0,
+          gemini: document.providers?.gemini || 0,
+          perplexity: document.providers?.perplexity || 0,
+          openai: document.providers?.openai || 0
+        },
+        limits,
+        // null = unlimited
+        remaining: {
+          requests: limits.requests > 0 ? Math.max(limits.requests - requests, 0) : null,
+          tokens: limits.tokens > 0 ? Math.max(limits.tokens - totalTokens, 0) : null
+        }
+      };
+      return result;
+    }, {});
+  }
+
+  /**
+   * Check whether the user may make another AI request
+   * @param {string} userId - User id
+   * @returns {Promise<object>} { allowed, message, retryAfterSeconds, usage }
+   */
+  async checkQuota(userId) {
+    const usage = await this.getUsage(userId);
+
+    for (const period of PERIODS) {
+      const { remaining, resetsAt } = usage[period];
+      const label = period === 'day' ? 'Daily' : 'Monthly';
+
+      let exhausted = null;
+      if (remaining.requests === 0) {
+        exhausted = 'request';
+      } else if (remaining.tokens === 0) {
+        exhausted = 'token';
+      }
+
+      if (exhausted) {
+        return {
+          allowed: false,
+          message: `${label} AI ${exhausted} quota reached. It resets at ${resetsAt.toISOString()}.`,
+          retryAfterSeconds: Math.max(Math.ceil((resetsAt - Date.now()) / 1000), 1),
+          usage
+        };
+      }
+    }
+
+    return { allowed: true, message: null, retryAfterSeconds: 0, usage };
+  }
+
+  /**
+   * Platform-wide usage for admin analytics
+   * @param {object} options - { from: Date, to: Date, limit: number }
+   * @returns {Promise<object>} { totals, byProvider, byOperation, daily, topUsers }
+   */
+  async getSummary({ from, to = new Date(), limit = 10 }) {
+    const match = { createdAt: { $gte: from, $lte: to } };
+
+    const [totals, byProvider, byOperation, daily, topUsers] = await Promise.all([
+      AIRequestLog.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            requests: { $sum: 1 },
+            successful: { $sum: { $cond: ['$success', 1, 0] } },
+            failed: { $sum: { $cond: ['$success', 0, 1] } },
+            promptTokens: { $sum: '$usage.promptTokens' },
+            completionTokens: { $sum: '$usage.completionTokens' },
+            totalTokens: { $sum: '$usage.totalTokens' },
+            users: { $addToSet: '$user' }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            requests: 1,
+            successful: 1,
+            failed: 1,
+            promptTokens: 1,
+            completionTokens: 1,
+            totalTokens: 1,
+            activeUsers: { $size: '$users' }
+          }
+        }
+      ]),
+      AIRequestLog.aggregate([
+        { $match: { ...match, success: true } },
+        {
+          $group: {
+            _id: '$provider',
+            requests: { $sum: 1 },
+            totalTokens: { $sum: '$usage.totalTokens' },
+            avgDurationMs: { $avg: '$durationMs' }
+          }
+        },
+        { $sort: { requests: -1 } }
+      ]),
+      AIRequestLog.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$operation',
+            requests: { $sum: 1 },
+            failed: { $sum: { $cond: ['$success', 0, 1] } }
+          }
+        },
+        { $sort: { requests: -1 } }
+      ]),
+      AIRequestLog.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            requests: { $sum: 1 },
+            totalTokens: { $sum: '$usage.totalTokens' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      AIRequestLog.aggregate([
+        { $match: { ...match, success: true } },
+        {
+          $group: {
+            _id: '$user',
+            requests: { $sum: 1 },
+            totalTokens: { $sum: '$usage.totalTokens' }
+          }
+        },
+        { $sort: { requests: -1 } },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user'
+          }
+        },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            userId: '$_id',
+            name: '$user.name',
+            email: '$user.email',
+            requests: 1,
+            totalTokens: 1
+          }
+        }
+      ])
+    ]);
+
+    return {
+      from,
+      to,
+      totals: totals[0] || {
+        requests: 0,
+        successful: 0,
+        failed: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        activeUsers: 0
+      },
+      byProvider,
+      byOperation,
+      daily,
+      topUsers
+    };
+  }
+
+  /**
+   * Start of the UTC day or month containing the date
+   * @param {string} period - 'day' or 'month'
+   * @param {Date} date
+   * @returns {Date}
+   */
+  getPeriodStart(period, date = new Date()) {
+    if (period === 'month') {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Start of the next period
+   * @param {string} period - 'day' or 'month'
+   * @param {Date} periodStart
+   * @returns {Date}
+   */
+  getPeriodEnd(period, periodStart) {
+    if (period === 'month') {
+      return new Date(Date.UTC(periodStart.getUTCFullYear(), periodStart.getUTCMonth() + 1, 1));
+    }
+    return new Date(periodStart.getTime() + DAY_MS);
+  }
+}
+
+// Export singleton instance
+module.exports = new AIUsageService();
@@ -0,0 +1,386 @@
+const Post = require('../models/Post');
+const SocialAccount = require('../models/SocialAccount');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const bundleSocialService = require('./bundleSocialService');
+const logger = require('../utils/logger');
+
+const METRIC_KEYS = [
+  'impressions',
+  'impressionsUnique',
+  'views',
+  'viewsUnique',
+  'likes',
+  'comments',
+  'shares',
+  'saves',
+  'followers',
+  'following',
+  'postCount'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Analytics Collector
+ * Periodically pulls post and social account analytics from Bundle.social and stores
+ * dated snapshots so growth can be charted over time.
+ *
+ * A post/account is due when its last snapshot is older than the snapshot interval.
+ * Due documents are claimed atomically, so several instances can run the collector safely.
+ */
+class AnalyticsCollector {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.pollInterval = parseInt(process.env.ANALYTICS_COLLECTOR_INTERVAL) || 15 * 60 * 1000; // 15 minutes
+    this.snapshotInterval = parseInt(process.env.ANALYTICS_SNAPSHOT_INTERVAL) || 6 * 60 * 60 * 1000; // 6 hours
+    this.maxPostAgeDays = parseInt(process.env.ANALYTICS_MAX_POST_AGE_DAYS) || 90;
+    this.batchSize = 25;
+  }
+
+  /**
+   * Start polling for due snapshots
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Analytics collector tick failed:', error.message);
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for the collector
+    this.timer.unref();
+
+    logger.info('Analytics collector started', {
+      pollInterval: this.pollInterval,
+      snapshotInterval: this.snapshotInterval
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Analytics collector stopped');
+    }
+  }
+
+  /**
+   * Run a single collection cycle
+   */
+  async tick() {
+    // Skip if the previous cycle is still running
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const post = await this.claimNextPost();
+        if (!post) {
+          break;
+        }
+        await this.collectPost(post);
+      }
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const socialAccount = await this.claimNextAccount();
+        if (!socialAccount) {
+          break;
+        }
+        await this.collectAccount(socialAccount);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next published post that is due for a snapshot
+   * @returns {Promise<object|null>} Claimed post or null
+   */
+  async claimNextPost() {
+    const now = new Date();
+
+    return Post.findOneAndUpdate(
+      {
+        bundleStatus: 'posted',
+        bundlePostId: { $exists: true, $ne: null },
+        publishedAt: { $gte: new Date(now.getTime() - this.maxPostAgeDays * DAY_MS) },
+        $or: [
+          { 'analytics.lastSnapshotAt': { $exists: false } },
+          { 'analytics.lastSnapshotAt': { $lte: new Date(now.getTime() - this.snapshotInterval) } }
+        ]
+      },
+      { $set: { 'analytics.lastSnapshotAt': now } },
+      { sort: { 'analytics.lastSnapshotAt': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Atomically claim the next connected social account that is due for a snapshot
+   * @returns {Promise<object|null>} Claimed social account or null
+   */
+  async claimNextAccount() {
+    const now = new Date();
+
+    return SocialAccount.findOneAndUpdate(
+      {
+        isActive: true,
+        isConnected: true,
+        $or: [
+          { lastAnalyticsSnapshotAt: { $exists: false } },
+          { lastAnalyticsSnapshotAt: { $lte: new Date(now.getTime() - this.snapshotInterval) } }
+        ]
+      },
+      { $set: { lastAnalyticsSnapshotAt: now } },
+      { sort: { lastAnalyticsSnapshotAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Fetch and store analytics for a claimed post
+   * @param {object} post - Post document
+   */
+  async collectPost(post) {
+    try {
+      const analytics = await bundleSocialService.getPostAnalytics(post.bundlePostId);
+      await this.recordPostAnalytics(post, analytics, { source: 'collector' });
+    } catch (error) {
+      // The claim stays in place, so the post is retried on the next interval
+      logger.warn('Failed to collect post analytics:', {
+        postId: post._id,
+        bundlePostId: post.bundlePostId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fetch and store analytics for a claimed social account
+   * @param {object} socialAccount - SocialAccount document
+   */
+  async collectAccount(socialAccount) {
+    try {
+      const analytics = await bundleSocialService.getAccountAnalytics(socialAccount.bundleAccountId);
+      await this.recordAccountAnalytics(socialAccount, analytics, { source: 'collector' });
+    } catch (error) {
+      logger.warn('Failed to collect account analytics:', {
+        socialAccountId: socialAccount._id,
+        bundleAccountId: socialAccount.bundleAccountId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update the post's cached counters and store a snapshot when one is due
+   * Collector calls always snapshot (the claim already established it is due)
+   * @param {object} post - Post document
+   * @param {object} analytics - Bundle.social post analytics response
+   * @param {object} options - { source: 'collector' | 'on_demand' }
+   * @returns {Promise<object>} Normalized metrics
+   */
+  async recordPostAnalytics(post, analytics, { source = 'on_demand' } = {}) {
+    const metrics = this.normalizeMetrics(analytics);
+    const now = new Date();
+    const takeSnapshot = source === 'collector' || this.isDue(post.analytics?.lastSnapshotAt, now);
+
+    const update = {
+      'analytics.views': metrics.views,
+      'analytics.likes': metrics.likes,
+      'analytics.comments': metrics.comments,
+      'analytics.shares': metrics.shares,
+      'analytics.lastUpdated': now
+    };
+
+    if (takeSnapshot) {
+      await AnalyticsSnapshot.create({
+        subjectType: 'post',
+        user: post.user,
+        post: post._id,
+        bundleId: post.bundlePostId,
+        platform: post.platforms?.length === 1 ? post.platforms[0].name : undefined,
+        metrics,
+        raw: analytics,
+        source,
+        capturedAt: now
+      });
+      update['analytics.lastSnapshotAt'] = now;
+    }
+
+    await Post.updateOne({ _id: post._id }, { $set: update });
+
+    return metrics;
+  }
+
+  /**
+   * Store an account snapshot when one is due
+   * @param {object} socialAccount - SocialAccount document
+   * @param {object} analytics - Bundle.social account analytics response
+   * @param {object} options - { source: 'collector' | 'on_demand' }
+   * @returns {Promise<object>} Normalized metrics
+   */
+  async recordAccountAnalytics(socialAccount, analytics, { source = 'on_demand' } = {}) {
+    const metrics = this.normalizeMetrics(analytics);
+    const now = new Date();
+    const takeSnapshot = source === 'collector' || this.isDue(socialAccount.lastAnalyticsSnapshotAt, now);
+
+    const update = {
+      lastAnalyticsUpdate: now,
+      'metadata.followerCount': metrics.followers,
+      'metadata.followingCount': metrics.following,
+      'metadata.postCount': metrics.postCount
+    };
+
+    if (takeSnapshot) {
+      await AnalyticsSnapshot.create({
+        subjectType: 'account',
+        user: socialAccount.user,
+        socialAccount: socialAccount._id,
+        bundleId: socialAccount.bundleAccountId,
+        platform: socialAccount.platform,
+        metrics,
+        raw: analytics,
+        source,
+        capturedAt: now
+      });
+      update.lastAnalyticsSnapshotAt = now;
+    }
+
+    await SocialAccount.updateOne({ _id: socialAccount._id }, { $set: update });
+
+    return metrics;
+  }
+
+  /**
+   * Build a day/week bucketed time series from stored snapshots
+   * Counters are cumulative, so each bucket reports its latest value plus the change over the bucket
+   * @param {string} subjectType - 'post' or 'account'
+   * @param {string} bundleId - bundlePostId or bundleAccountId
+   * @param {object} options - { interval: 'day' | 'week', from: Date, to: Date }
+   * @returns {Promise<object>} { interval, from, to, buckets }
+   */
+  async getTimeSeries(subjectType, bundleId, { interval = 'day', from, to }) {
+    const snapshots = await AnalyticsSnapshot.find({
+      subjectType,
+      bundleId,
+      capturedAt: { $gte: from, $lte: to }
+    })
+      .sort({ capturedAt: 1 })
+      .select('metrics capturedAt')
+      .lean();
+
+    // Latest snapshot before the range, so the first bucket's change is measured correctly
+    const baseline = await AnalyticsSnapshot.findOne({
+      subjectType,
+      bundleId,
+      capturedAt: { $lt: from }
+    })
+      .sort({ capturedAt: -1 })
+      .select('metrics capturedAt')
+      .lean();
+
+    const buckets = [];
+    let previousMetrics = baseline ? baseline.metrics : null;
+
+    for (const snapshot of snapshots) {
+      const period = this.getBucketStart(snapshot.capturedAt, interval).toISOString();
+      let bucket = buckets[buckets.length - 1];
+
+      if (!bucket || bucket.period !== period) {
+        bucket = {
+          period,
+          startMetrics: previousMetrics || snapshot.metrics,
+          samples: 0
+        };
+        buckets.push(bucket);
+      }
+
+      bucket.samples += 1;
+      bucket.capturedAt = snapshot.capturedAt;
+      bucket.metrics = this.pickMetrics(snapshot.metrics);
+      previousMetrics = snapshot.metrics;
+    }
+
+    return {
+      interval,
+      from,
+      to,
+      buckets: buckets.map(({ startMetrics, ...bucket }) => ({
+        ...bucket,
+        change: METRIC_KEYS.reduce((change, key) => {
+          change[key] = (bucket.metrics[key] || 0) - (startMetrics[key] || 0);
+          return change;
+        }, {})
+      }))
+    };
+  }
+
+  /**
+   * Start of the UTC day, or of the ISO week (Monday), containing the date
+   * @param {Date} date
+   * @param {string} interval - 'day' or 'week'
+   * @returns {Date}
+   */
+  getBucketStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (interval === 'week') {
+      const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+      start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    }
+
+    return start;
+  }
+
+  /**
+   * Flatten a Bundle.social analytics response into numeric counters
+   * Bundle.social returns a list of dated items; the most recent one holds the current totals
+   * @param {object} analytics - Bundle.social analytics response
+   * @returns {object} Metrics keyed by METRIC_KEYS
+   */
+  normalizeMetrics(analytics) {
+    let source = analytics || {};
+
+    if (Array.isArray(source.items) && source.items.length > 0) {
+      source = [...source.items].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))[0];
+    }
+
+    return this.pickMetrics(source);
+  }
+
+  /**
+   * Keep only known numeric metrics
+   * @param {object} source
+   * @returns {object}
+   */
+  pickMetrics(source = {}) {
+    return METRIC_KEYS.reduce((metrics, key) => {
+      const value = Number(source[key]);
+      metrics[key] = Number.isFinite(value) ? value : 0;
+      return metrics;
+    }, {});
+  }
+
+  /**
+   * Whether a new snapshot is due given the last snapshot time
+   * @param {Date} lastSnapshotAt
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isDue(lastSnapshotAt, now = new Date()) {
+    return !lastSnapshotAt || now - new Date(lastSnapshotAt) >= this.snapshotInterval;
+  }
+}
+
+// Export singleton instance
+module.exports = new AnalyticsCollector();
@@ -0,0 +1,49 @@
+const BrandVoice = require('../models/BrandVoice');
+const AppError = require('../utils/appError');
+
+const MAX_BRAND_VOICES = 20;
+
+/**
+ * Brand Voice Service
+ * Looks up the brand voice profile an AI generation request should follow and keeps
+ * at most one profile per user marked as the default.
+ */
+class BrandVoiceService {
+  constructor() {
+    this.maxPerUser = MAX_BRAND_VOICES;
+  }
+
+  /**
+   * Profile for a generation request: the named one, otherwise the user's default
+   * @param {string} userId - User id
+   * @param {string} brandVoiceId - Optional profile id from the request
+   * @returns {Promise<object|null>} Plain BrandVoice object, or null when none applies
+   */
+  async resolveForGeneration(userId, brandVoiceId) {
+    if (brandVoiceId) {
+      const brandVoice = await BrandVoice.findOne({ _id: brandVoiceId, user: userId }).lean();
+      if (!brandVoice) {
+        throw new AppError('Brand voice not found', 404);
+      }
+      return brandVoice;
+    }
+
+    return BrandVoice.findOne({ user: userId, isDefault: true }).lean();
+  }
+
+  /**
+   * Make a profile the user's only default
+   * @param {string} userId - User id
+   * @param {string} brandVoiceId - Profile id
+   */
+  async setDefault(userId, brandVoiceId) {
+    await BrandVoice.updateMany(
+      { user: userId, _id: { $ne: brandVoiceId }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+    await BrandVoice.updateOne({ _id: brandVoiceId, user: userId }, { $set: { isDefault: true } });
+  }
+}
+
+// Export singleton instance
+module.exports = new BrandVoiceService();
@@ -323,7 +323,8 @@ class BundleSocialService {
     // Handle timeout errors with retry logic
     const isTimeoutError = error.code === 'ECONNABORTED' || error.message?.includes('timeout');
     
-    if (isTimeoutError && retryCount < maxRetries) {
+    // Callers with their own retry policy (e.g. the publish queue) opt out of inline retries
+    if (isTimeoutError && postData.inlineRetries !== false && retryCount < maxRetries) {
       const waitTime = (retryCount + 1) * 5000;
       logger.warn(`Bundle.social API timeout, retrying in ${waitTime/1000}s... (attempt ${retryCount + 1}/${maxRetries})`);
       
@@ -335,11 +336,16 @@ class BundleSocialService {
     
     let actualErrorMessage = error.response?.data?.message || error.message;
     
-    if (isTimeoutError) {
+    if (isTimeoutError && postData.inlineRetries !== false) {
       actualErrorMessage = `Bundle.social API timeout after ${maxRetries + 1} attempts. The video post may still be processing in Bundle.social.`;
     }
     
-    throw new Error(actualErrorMessage);
+    // Keep transport details so callers can tell transient failures from permanent ones
+    const postError = new Error(actualErrorMessage);
+    postError.statusCode = error.response?.status;
+    postError.code = error.code;
+    postError.isTimeout = isTimeoutError;
+    throw postError;
   }
 
   // Legacy method for backward compatibility (now uses immediate post)
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Video = require('../models/Video');
+const postStatusSync = require('./postStatusSync');
+const logger = require('../utils/logger');
+
+/**
+ * Bundle.social Webhook Service
+ * Verifies signed webhook deliveries and applies post/upload events to local documents.
+ *
+ * Signature scheme:
+ *   x-bundle-timestamp: unix timestamp (seconds) of the delivery
+ *   x-bundle-signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}` using the webhook secret
+ */
+class BundleWebhookService {
+  constructor() {
+    this.toleranceSeconds = 5 * 60; // Reject deliveries signed more than 5 minutes ago
+
+    // Bundle.social upload status → local Video status
+    this.uploadStatusMap = {
+      PENDING: 'processing',
+      PROCESSING: 'processing',
+      READY: 'completed',
+      COMPLETED: 'completed',
+      UPLOADED: 'completed',
+      ERROR: 'failed',
+      FAILED: 'failed'
+    };
+  }
+
+  /**
+   * Verify the delivery signature
+   * @param {Buffer|string} rawBody - Exact request body as received
+   * @param {object} headers - Request headers
+   * @param {string} secret - Shared webhook secret
+   * @returns {object} { valid, reason }
+   */
+  verifySignature(rawBody, headers, secret) {
+    const signature = headers['x-bundle-signature'];
+    const timestamp = headers['x-bundle-timestamp'];
+
+    if (!signature || !timestamp) {
+      return { valid: false, reason: 'Missing signature headers' };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (Number.isNaN(timestampSeconds)) {
+      return { valid: false, reason: 'Invalid signature timestamp' };
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds);
+    if (age > this.toleranceSeconds) {
+      return { valid: false, reason: 'Signature timestamp outside tolerance' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody || ''}`)
+      .digest('hex');
+
+    // Strip an optional "sha256=" prefix
+    const provided = String(signature).replace(/^sha256=/, '');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const providedBuffer = Buffer.from(provided, 'hex');
+
+    if (expectedBuffer.length !== providedBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Apply an event to the matching local document
+   * @param {object} event - Parsed webhook body ({ id, type, data })
+   * @returns {Promise<object>} { status, post, video, changed, reason }
+   */
+  async handleEvent(event) {
+    const type = event.type || '';
+
+    if (type.startsWith('post.')) {
+      return this.handlePostEvent(event);
+    }
+
+    if (type.startsWith('upload.')) {
+      return this.handleUploadEvent(event);
+    }
+
+    return { status: 'ignored', changed: false, reason: `Unsupported event type: ${type || 'none'}` };
+  }
+
+  /**
+   * Sync a Post from a post.* event
+   * @param {object} event - Webhook event
+   */
+  async handlePostEvent(event) {
+    const bundlePost = event.data?.post || event.data;
+
+    if (!bundlePost || !bundlePost.id) {
+      throw new Error('Post event is missing post data');
+    }
+
+    const post = await Post.findOne({ bundlePostId: bundlePost.id });
+    if (!post) {
+      return { status: 'ignored', changed: false, reason: 'No local post for Bundle.social post' };
+    }
+
+    const oldStatus = post.bundleStatus;
+    const changed = postStatusSync.apply(post, bundlePost);
+
+    if (changed) {
+      await post.save();
+      logger.info('Post updated from Bundle.social webhook:', {
+        postId: post._id,
+        bundlePostId: post.bundlePostId,
+        oldStatus,
+        newStatus: post.bundleStatus,
+        eventType: event.type
+      });
+    }
+
+    return { status: 'processed', post, changed, reason: null };
+  }
+
+  /**
+   * Sync a Video from an upload.* event
+   * @param {object} event - Webhook event
+   */
+  async handleUploadEvent(event) {
+    const upload = event.data?.upload || event.data;
+
+    if (!upload || !upload.id) {
+      throw new Error('Upload event is missing upload data');
+    }
+
+    const video = await Video.findOne({ bundleUploadId: upload.id });
+    if (!video) {
+      return { status: 'ignored', changed: false, reason: 'No local video for Bundle.social upload' };
+    }
+
+    let changed = false;
+
+    // While an edit render is running, video.status tracks the render instead
+    const renderInProgress = ['queued', 'rendering'].includes(video.render?.state);
+    const newStatus = upload.status ? this.uploadStatusMap[upload.status.toUpperCase()] : null;
+    if (newStatus && !renderInProgress && video.status !== newStatus) {
+      video.status = newStatus;
+      changed = true;
+    }
+
+    if (upload.thumbnailUrl && video.thumbnailUrl !== upload.thumbnailUrl) {
+      video.thumbnailUrl = upload.thumbnailUrl;
+      changed = true;
+    }
+
+    if (upload.iconUrl && video.iconUrl !== upload.iconUrl) {
+      video.iconUrl = upload.iconUrl;
+      changed = true;
+    }
+
+    if (upload.width && upload.height &&
+        (video.dimensions?.width !== upload.width || video.dimensions?.height !== upload.height)) {
+      video.dimensions = {
+        width: upload.width,
+        height: upload.height
+      };
+      changed = true;
+    }
+
+    // Bundle.social returns duration as videoLength
+    if (upload.videoLength && video.duration !== upload.videoLength) {
+      video.duration = upload.videoLength;
+      changed = true;
+    }
+
+    if (changed) {
+      await video.save();
+      logger.info('Video updated from Bundle.social webhook:', {
+        videoId: video._id,
+        bundleUploadId: video.bundleUploadId,
+        status: video.status,
+        eventType: event.type
+      });
+    }
+
+    return { status: 'processed', video, changed, reason: null };
+  }
+}
+
+// Export singleton instance
+module.exports = new BundleWebhookService();
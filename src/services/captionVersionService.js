@@ -0,0 +1,115 @@
+const Video = require('../models/Video');
+const CaptionVersion = require('../models/CaptionVersion');
+const logger = require('../utils/logger');
+
+/**
+ * Caption Version Service
+ * Stores every AI-generated caption as a numbered version of its video so earlier
+ * suggestions can be listed, restored onto the video, favourited and used for posts.
+ */
+class CaptionVersionService {
+  /**
+   * Store a generated caption as the video's next version
+   * @param {object} video - Video document
+   * @param {object} result - Router result ({ caption, hashtags, fullText, platform, provider, model })
+   * @param {object} options - Options the caption was generated with
+   * @param {object} meta - { userId, source }
+   * @returns {Promise<object>} CaptionVersion document
+   */
+  async recordVersion(video, result, options = {}, { userId, source = 'generate_caption' } = {}) {
+    // Atomic counter so concurrent generations get distinct version numbers
+    const counter = await Video.findByIdAndUpdate(
+      video._id,
+      { $inc: { captionVersionCount: 1 } },
+      { new: true, select: 'captionVersionCount' }
+    );
+
+    const { tone, platform, brandVoice, ...generationOptions } = options;
+
+    const version = await CaptionVersion.create({
+      user: userId || video.user,
+      video: video._id,
+      version: counter.captionVersionCount,
+      caption: result.caption,
+      hashtags: result.hashtags || [],
+      fullText: result.fullText,
+      tone,
+      platform: result.platform || platform,
+      provider: result.provider,
+      model: result.model,
+      brandVoice: brandVoice ? brandVoice._id : undefined,
+      options: generationOptions,
+      source
+    });
+
+    logger.info('Caption version stored:', {
+      videoId: video._id,
+      versionId: version._id,
+      version: version.version,
+      source
+    });
+
+    return version;
+  }
+
+  /**
+   * Make a version the video's current AI caption
+   * @param {object} video - Video document
+   * @param {object} version - CaptionVersion document belonging to the video
+   * @returns {Promise<object>} Updated video
+   */
+  async restoreVersion(video, version) {
+    video.aiGeneratedCaption = version.caption;
+    video.aiGeneratedHashtags = version.hashtags;
+    video.activeCaptionVersion = version._id;
+    await video.save();
+
+    version.restoredAt = new Date();
+    await version.save();
+
+    return video;
+  }
+
+  /**
+   * Find a version owned by the user, optionally scoped to a video
+   * @param {string} userId - User id
+   * @param {string} versionId - CaptionVersion id
+   * @param {string} videoId - Video id the version must belong to
+   * @returns {Promise<object|null>}
+   */
+  async findVersion(userId, versionId, videoId) {
+    const filter = { _id: versionId, user: userId };
+    if (videoId) {
+      filter.video = videoId;
+    }
+    return CaptionVersion.findOne(filter);
+  }
+
+  /**
+   * Resolve the caption and hashtags for a new post, filling them from a caption version when referenced
+   * Explicit caption/hashtags in the request take precedence over the version's
+   * @param {string} userId - User id
+   * @param {string} videoId - Video the post is for
+   * @param {object} input - { caption, hashtags, captionVersionId }
+   * @returns {Promise<object>} { caption, hashtags, captionVersion } or { error }
+   */
+  async resolvePostCaption(userId, videoId, { caption, hashtags, captionVersionId }) {
+    if (!captionVersionId) {
+      return { caption, hashtags: hashtags || [], captionVersion: null };
+    }
+
+    const version = await this.findVersion(userId, captionVersionId, videoId);
+    if (!version) {
+      return { error: 'Caption version not found for this video' };
+    }
+
+    return {
+      caption: caption || version.caption,
+      hashtags: hashtags || version.hashtags || [],
+      captionVersion: version._id
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CaptionVersionService();
@@ -1,4 +1,5 @@
 const Settings = require('../models/Settings');
+const { parseEnvInt } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
@@ -12,12 +13,19 @@ const logger = require('../utils/logger');
  * 
  * Settings are stored in database and can be updated via admin panel.
  * When settings are updated in DB, they immediately take precedence over .env values.
+ * Credentials are stored encrypted (SETTINGS_ENCRYPTION_KEY) and decrypted here.
  */
 class ConfigService {
   constructor() {
     this.cachedSettings = null;
     this.lastFetch = null;
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+
+    // Maintenance/registration/feature flags are checked on every request, so they get their
+    // own short-lived cache: a change made through another instance applies within seconds
+    this.cachedRuntimeControls = null;
+    this.runtimeControlsFetchedAt = null;
+    this.runtimeControlsTimeout = 15 * 1000;
   }
 
   /**
@@ -37,18 +45,18 @@ class ConfigService {
       // Fetch from database
       logger.debug('Fetching settings from database');
       const settings = await Settings.findById('app_settings')
-        .select('+cloudinary.apiSecret +mongodb.uri +email.resend.apiKey +email.smtp.pass +apiKeys.falApiKey +apiKeys.bundleSocialApiKey +reddit.clientId +reddit.clientSecret +reddit.password +firebase.serviceAccount +rapidApi.key');
+        .select('+cloudinary.apiSecret +mongodb.uri +email.resend.apiKey +email.smtp.pass +apiKeys.falApiKey +apiKeys.bundleSocialApiKey +apiKeys.bundleSocialWebhookSecret +reddit.clientId +reddit.clientSecret +reddit.password +firebase.serviceAccount +rapidApi.key');
 
       if (!settings) {
         logger.warn('No settings found in database, creating from environment variables');
         const newSettings = await Settings.getSettings();
-        this.cachedSettings = newSettings.toObject();
+        this.cachedSettings = this.decryptSecrets(newSettings.toObject());
         this.lastFetch = now;
         return this.cachedSettings;
       }
 
-      // Cache the settings
-      this.cachedSettings = settings.toObject();
+      // Cache the settings, with secrets decrypted
+      this.cachedSettings = this.decryptSecrets(settings.toObject());
       this.lastFetch = now;
 
       logger.debug('Settings fetched and cached successfully');
@@ -62,6 +70,21 @@ class ConfigService {
     }
   }
 
+  /**
+   * Decrypt the secrets stored encrypted at rest. A secret that cannot be decrypted (e.g. its
+   * master key is missing) is left empty so the environment variable fallback applies.
+   * @param {Object} settings - Settings as a plain object
+   * @returns {Object} Settings with plain secrets
+   */
+  decryptSecrets(settings) {
+    return Settings.decryptSecrets(settings, (path, error) => {
+      logger.error('Failed to decrypt setting, falling back to environment variable:', {
+        path,
+        message: error.message
+      });
+    });
+  }
+
   /**
    * Invalidate cache (call after settings update)
    */
@@ -69,6 +92,8 @@ class ConfigService {
     logger.info('Settings cache invalidated');
     this.cachedSettings = null;
     this.lastFetch = null;
+    this.cachedRuntimeControls = null;
+    this.runtimeControlsFetchedAt = null;
   }
 
   /**
@@ -110,7 +135,8 @@ class ConfigService {
         falApiKey: process.env.FAL_API_KEY || '',
         falModel: process.env.FAL_MODEL || 'fal-ai/flux/dev',
         bundleSocialApiKey: process.env.BUNDLE_SOCIAL_API_KEY || '',
-        bundleSocialOrgId: process.env.BUNDLE_SOCIAL_ORG_ID || ''
+        bundleSocialOrgId: process.env.BUNDLE_SOCIAL_ORG_ID || '',
+        bundleSocialWebhookSecret: process.env.BUNDLE_SOCIAL_WEBHOOK_SECRET || ''
       },
       reddit: {
         clientId: process.env.REDDIT_CLIENT_ID || '',
@@ -147,6 +173,34 @@ class ConfigService {
         socialMediaIntegrationEnabled: true,
         aiAssistantEnabled: true,
         adminPanelEnabled: true
+      },
+      ai: {
+        providerOrder: (process.env.AI_PROVIDER_ORDER || 'fal,gemini,perplexity,openai')
+          .split(',')
+          .map(provider => provider.trim())
+          .filter(Boolean),
+        failoverEnabled: true,
+        rateLimitCooldownSeconds: parseInt(process.env.AI_RATE_LIMIT_COOLDOWN) || 60,
+        dailyRequestLimit: parseEnvInt(process.env.AI_DAILY_REQUEST_LIMIT, 50),
+        monthlyRequestLimit: parseEnvInt(process.env.AI_MONTHLY_REQUEST_LIMIT, 500),
+        dailyTokenLimit: parseEnvInt(process.env.AI_DAILY_TOKEN_LIMIT, 0),
+        monthlyTokenLimit: parseEnvInt(process.env.AI_MONTHLY_TOKEN_LIMIT, 0)
+      },
+      socialAuth: {
+        googleClientIds: (process.env.GOOGLE_CLIENT_IDS || '')
+          .split(',')
+          .map(clientId => clientId.trim())
+          .filter(Boolean),
+        appleClientIds: (process.env.APPLE_CLIENT_IDS || '')
+          .split(',')
+          .map(clientId => clientId.trim())
+          .filter(Boolean)
+      },
+      adminSecurity: {
+        twoFactorRequiredRoles: (process.env.ADMIN_2FA_REQUIRED_ROLES || '')
+          .split(',')
+          .map(role => role.trim())
+          .filter(Boolean)
       }
     };
   }
@@ -232,10 +286,12 @@ class ConfigService {
     // DB credentials take priority - only fall back to env if DB values are empty/null
     const apiKey = settings.apiKeys?.bundleSocialApiKey || process.env.BUNDLE_SOCIAL_API_KEY || '';
     const orgId = settings.apiKeys?.bundleSocialOrgId || process.env.BUNDLE_SOCIAL_ORG_ID || '';
+    const webhookSecret = settings.apiKeys?.bundleSocialWebhookSecret || process.env.BUNDLE_SOCIAL_WEBHOOK_SECRET || '';
     
     return {
       apiKey,
       organizationId: orgId,
+      webhookSecret,
       baseURL: process.env.BUNDLE_SOCIAL_BASE_URL || 'https://api.bundle.social/api/v1'
     };
   }
@@ -262,7 +318,8 @@ class ConfigService {
       falApiKey: dbKeys?.falApiKey || envKeys.falApiKey,
       falModel: dbKeys?.falModel || envKeys.falModel,
       bundleSocialApiKey: dbKeys?.bundleSocialApiKey || envKeys.bundleSocialApiKey,
-      bundleSocialOrgId: dbKeys?.bundleSocialOrgId || envKeys.bundleSocialOrgId
+      bundleSocialOrgId: dbKeys?.bundleSocialOrgId || envKeys.bundleSocialOrgId,
+      bundleSocialWebhookSecret: dbKeys?.bundleSocialWebhookSecret || envKeys.bundleSocialWebhookSecret
     };
   }
 
@@ -290,6 +347,48 @@ class ConfigService {
     return settings.features || this.getFallbackSettings().features;
   }
 
+  /**
+   * Get AI provider routing and quota settings
+   */
+  async getAIConfig() {
+    const settings = await this.getSettings();
+    const dbAi = settings.ai;
+    const envAi = this.getFallbackSettings().ai;
+
+    return {
+      providerOrder: dbAi?.providerOrder?.length ? dbAi.providerOrder : envAi.providerOrder,
+      failoverEnabled: dbAi?.failoverEnabled !== undefined ? dbAi.failoverEnabled : envAi.failoverEnabled,
+      rateLimitCooldownSeconds: dbAi?.rateLimitCooldownSeconds ?? envAi.rateLimitCooldownSeconds,
+      dailyRequestLimit: dbAi?.dailyRequestLimit ?? envAi.dailyRequestLimit,
+      monthlyRequestLimit: dbAi?.monthlyRequestLimit ?? envAi.monthlyRequestLimit,
+      dailyTokenLimit: dbAi?.dailyTokenLimit ?? envAi.dailyTokenLimit,
+      monthlyTokenLimit: dbAi?.monthlyTokenLimit ?? envAi.monthlyTokenLimit
+    };
+  }
+
+  /**
+   * Get Google/Apple sign-in client IDs
+   * Database values have PRIORITY over environment variables
+   */
+  async getSocialAuthConfig() {
+    const settings = await this.getSettings();
+    const dbSocial = settings.socialAuth;
+    const envSocial = this.getFallbackSettings().socialAuth;
+
+    return {
+      googleClientIds: dbSocial?.googleClientIds?.length ? dbSocial.googleClientIds : envSocial.googleClientIds,
+      appleClientIds: dbSocial?.appleClientIds?.length ? dbSocial.appleClientIds : envSocial.appleClientIds
+    };
+  }
+
+  /**
+   * Get admin panel security settings
+   */
+  async getAdminSecurityConfig() {
+    const settings = await this.getSettings();
+    return settings.adminSecurity || this.getFallbackSettings().adminSecurity;
+  }
+
   /**
    * Get Reddit API configuration
    * Database credentials have PRIORITY over environment variables
@@ -350,20 +449,67 @@ class ConfigService {
     };
   }
 
+  /**
+   * Get maintenance mode, registration and feature flags used to gate requests
+   * @returns {Promise<Object>} { appName, maintenanceMode, allowNewRegistrations, features }
+   */
+  async getRuntimeControls() {
+    const now = Date.now();
+    if (this.cachedRuntimeControls && now - this.runtimeControlsFetchedAt < this.runtimeControlsTimeout) {
+      return this.cachedRuntimeControls;
+    }
+
+    const fallback = this.getFallbackSettings();
+    let settings = null;
+
+    try {
+      settings = await Settings.findById('app_settings').select('app features').lean();
+    } catch (error) {
+      logger.error('Failed to fetch runtime controls from database:', error.message);
+    }
+
+    const app = settings?.app || fallback.app;
+    const features = { ...fallback.features, ...(settings?.features || {}) };
+
+    this.cachedRuntimeControls = {
+      appName: app.name || fallback.app.name,
+      maintenanceMode: app.maintenanceMode === true,
+      allowNewRegistrations: app.allowNewRegistrations !== false, // Default to true
+      features: {
+        videoEditingEnabled: features.videoEditingEnabled !== false,
+        socialMediaIntegrationEnabled: features.socialMediaIntegrationEnabled !== false,
+        aiAssistantEnabled: features.aiAssistantEnabled !== false,
+        adminPanelEnabled: features.adminPanelEnabled !== false
+      }
+    };
+    this.runtimeControlsFetchedAt = now;
+
+    return this.cachedRuntimeControls;
+  }
+
   /**
    * Check if maintenance mode is enabled
    */
   async isMaintenanceMode() {
-    const appSettings = await this.getAppSettings();
-    return appSettings.maintenanceMode || false;
+    const controls = await this.getRuntimeControls();
+    return controls.maintenanceMode;
   }
 
   /**
    * Check if new registrations are allowed
    */
   async areNewRegistrationsAllowed() {
-    const appSettings = await this.getAppSettings();
-    return appSettings.allowNewRegistrations !== false; // Default to true
+    const controls = await this.getRuntimeControls();
+    return controls.allowNewRegistrations;
+  }
+
+  /**
+   * Check if a feature flag is on
+   * @param {string} flag - Feature flag name (e.g. 'aiAssistantEnabled')
+   */
+  async isFeatureEnabled(flag) {
+    const controls = await this.getRuntimeControls();
+    return controls.features[flag] !== false;
   }
 }
 
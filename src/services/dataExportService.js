@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const { USER_DATA_SECTIONS } = require('../config/userData');
+const emailService = require('./emailService');
+const configService = require('./configService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+const ARCHIVE_FORMAT_VERSION = 1;
+
+// Security state of the account that is not the user's personal data
+const PROFILE_EXCLUDED_FIELDS = [
+  'emailVerificationToken',
+  'emailOtp',
+  'emailOtpExpires',
+  'passwordResetOtp',
+  'passwordResetOtpExpires',
+  'passwordResetOtpVerified',
+  'loginAttempts',
+  'lockUntil'
+];
+
+const PENDING_EXPORT_MESSAGE = 'A data export is already being prepared. You will receive an email when it is ready.';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Data Export Service
+ * Lets users download a copy of their personal data. Requests are queued and built by a local
+ * job into a JSON archive; the user gets an email with a download link that expires.
+ *
+ *   queued → processing → completed → expired
+ *                       ↘ failed
+ */
+class DataExportService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.instanceId = `${process.pid}-${Date.now()}`;
+    this.pollInterval = parseInt(process.env.DATA_EXPORT_INTERVAL) || 30 * 1000; // 30 seconds
+    this.leaseTimeout = 15 * 60 * 1000; // 15 minutes
+    this.maxAttempts = 3;
+    this.exportDir = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../../exports');
+    this.linkTtlHours = parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS) || 48;
+    this.dailyLimit = parseInt(process.env.DATA_EXPORT_DAILY_LIMIT) || 2;
+  }
+
+  /**
+   * Start polling for queued exports
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Data export tick failed:', error.message);
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for exports
+    this.timer.unref();
+
+    logger.info('Data export processor started', {
+      instanceId: this.instanceId,
+      pollInterval: this.pollInterval,
+      exportDir: this.exportDir
+    });
+  }
+
+  /**
+   * Stop polling (an in-flight export finishes on its own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Data export processor stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Run a single processing cycle
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.purgeExpired();
+      await this.recoverStaleExports();
+
+      const dataExport = await this.claimNext();
+      if (dataExport) {
+        await this.build(dataExport);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Queue an export of the user's data. One export runs at a time per user, and only
+   * `DATA_EXPORT_DAILY_LIMIT` can be requested in 24 hours.
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} DataExport
+   */
+  async requestExport(userId) {
+    const pending = await DataExport.exists({ user: userId, status: { $in: ['queued', 'processing'] } });
+    if (pending) {
+      throw new AppError(PENDING_EXPORT_MESSAGE, 409);
+    }
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const recent = await DataExport.find({ user: userId, requestedAt: { $gte: since } })
+      .sort({ requestedAt: 1 })
+      .select('requestedAt')
+      .lean();
+
+    if (recent.length >= this.dailyLimit) {
+      const retryAt = new Date(recent[0].requestedAt.getTime() + 24 * 60 * 60 * 1000);
+      throw new AppError(
+        `You can request ${this.dailyLimit} data exports per day. Try again after ${retryAt.toISOString()}.`,
+        429
+      );
+    }
+
+    let dataExport;
+    try {
+      dataExport = await DataExport.create({ user: userId });
+    } catch (error) {
+      // A concurrent request queued one first (unique index on pending exports)
+      if (error.code === 11000) {
+        throw new AppError(PENDING_EXPORT_MESSAGE, 409);
+      }
+      throw error;
+    }
+
+    logger.info('Data export queued:', { exportId: dataExport._id, userId });
+
+    return dataExport;
+  }
+
+  /**
+   * The user's recent exports, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listExports(userId) {
+    return DataExport.find({ user: userId })
+      .sort({ requestedAt: -1 })
+      .limit(10)
+      .select('-lockedAt -lockedBy')
+      .lean();
+  }
+
+  /**
+   * A completed, unexpired export of the user
+   * @param {string} userId - User ID
+   * @param {string} exportId - DataExport ID
+   * @returns {Promise<object>} DataExport with filePath
+   */
+  async getOwnDownload(userId, exportId) {
+    const dataExport = await DataExport.findOne({ _id: exportId, user: userId }).select('+filePath');
+    return this.assertDownloadable(dataExport);
+  }
+
+  /**
+   * The export an emailed download link belongs to
+   * @param {string} token - Download token from the link
+   * @returns {Promise<object>} DataExport with filePath
+   */
+  async getDownloadByToken(token) {
+    const dataExport = await DataExport.findOne({ downloadTokenHash: hashToken(String(token)) })
+      .select('+filePath');
+    return this.assertDownloadable(dataExport);
+  }
+
+  /**
+   * Count a download of the archive
+   * @param {object} dataExport - DataExport
+   */
+  async recordDownload(dataExport) {
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    logger.info('Data export downloaded:', { exportId: dataExport._id, userId: dataExport.user });
+  }
+
+  /**
+   * Remove every export of a user, archives included (account deletion)
+   * @param {string} userId - User ID
+   */
+  async deleteAllForUser(userId) {
+    const dataExports = await DataExport.find({ user: userId }).select('+filePath').lean();
+
+    for (const dataExport of dataExports) {
+      await this.removeFile(dataExport.filePath);
+    }
+    await DataExport.deleteMany({ user: userId });
+  }
+
+  /**
+   * @param {object|null} dataExport - DataExport with filePath
+   * @returns {object} The same export
+   */
+  assertDownloadable(dataExport) {
+    if (!dataExport) {
+      throw new AppError('Data export not found', 404);
+    }
+
+    if (dataExport.status === 'expired' || (dataExport.expiresAt && dataExport.expiresAt <= Date.now())) {
+      throw new AppError('This download link has expired. Please request a new data export.', 410);
+    }
+
+    if (dataExport.status !== 'completed' || !dataExport.filePath) {
+      throw new AppError('Data export is not ready yet', 409);
+    }
+
+    return dataExport;
+  }
+
+  /**
+   * Atomically claim the oldest queued export
+   * @returns {Promise<object|null>} Claimed export or null
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return DataExport.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'processing',
+          startedAt: now,
+          lockedAt: now,
+          lockedBy: this.instanceId
+        },
+        $inc: { attempts: 1 }
+      },
+      {
+        sort: { requestedAt: 1 },
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Requeue exports whose worker died mid-build, or fail them once attempts are exhausted
+   */
+  async recoverStaleExports() {
+    const cutoff = new Date(Date.now() - this.leaseTimeout);
+    const stale = { status: 'processing', lockedAt: { $lte: cutoff } };
+
+    const failed = await DataExport.updateMany(
+      { ...stale, attempts: { $gte: this.maxAttempts } },
+      {
+        $set: { status: 'failed', error: 'Export interrupted too many times' },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+
+    const requeued = await DataExport.updateMany(
+      stale,
+      {
+        $set: { status: 'queued' },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+
+    if (failed.modifiedCount > 0 || requeued.modifiedCount > 0) {
+      logger.warn('Recovered interrupted data exports:', {
+        requeued: requeued.modifiedCount,
+        failed: failed.modifiedCount
+      });
+    }
+  }
+
+  /**
+   * Delete archives whose download link has expired
+   */
+  async purgeExpired() {
+    const expired = await DataExport.find({ status: 'completed', expiresAt: { $lte: new Date() } })
+      .select('+filePath')
+      .lean();
+
+    for (const dataExport of expired) {
+      await this.removeFile(dataExport.filePath);
+      await DataExport.updateOne(
+        { _id: dataExport._id, status: 'completed' },
+        { $set: { status: 'expired' }, $unset: { filePath: 1, downloadTokenHash: 1 } }
+      );
+    }
+
+    if (expired.length > 0) {
+      logger.info('Expired data exports removed:', { count: expired.length });
+    }
+  }
+
+  /**
+   * Build the archive of a claimed export and email the download link
+   * @param {object} dataExport - DataExport in 'processing' state
+   */
+  async build(dataExport) {
+    const fileName = `soloai-data-export-${dataExport._id}.json`;
+    const filePath = path.join(this.exportDir, fileName);
+
+    try {
+      const user = await User.findById(dataExport.user)
+        .select(PROFILE_EXCLUDED_FIELDS.map(field => `-${field}`).join(' '))
+        .lean();
+      if (!user) {
+        throw new Error('User no longer exists');
+      }
+
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      const recordCounts = await this.writeArchive(user, filePath);
+      const { size } = await fs.promises.stat(filePath);
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + this.linkTtlHours * 60 * 60 * 1000);
+
+      // Only record the result if we still own the export
+      const completed = await DataExport.findOneAndUpdate(
+        { _id: dataExport._id, status: 'processing', lockedBy: this.instanceId },
+        {
+          $set: {
+            status: 'completed',
+            completedAt: new Date(),
+            filePath,
+            fileName,
+            fileSize: size,
+            recordCounts,
+            downloadTokenHash: hashToken(token),
+            expiresAt
+          },
+          $unset: { lockedAt: 1, lockedBy: 1, error: 1 }
+        },
+        { new: true }
+      );
+
+      if (!completed) {
+        // Lost the lock, or the account was deleted meanwhile
+        await this.removeFile(filePath);
+        logger.warn('Data export finished after losing its lock, archive discarded:', { exportId: dataExport._id });
+        return;
+      }
+
+      logger.info('Data export completed:', { exportId: dataExport._id, userId: user._id, fileSize: size });
+
+      await this.sendReadyEmail(completed, user, token);
+    } catch (error) {
+      logger.error('Data export failed:', { exportId: dataExport._id, error: error.message });
+
+      await this.removeFile(filePath);
+      await DataExport.updateOne(
+        { _id: dataExport._id, lockedBy: this.instanceId },
+        {
+          $set: { status: 'failed', error: error.message },
+          $unset: { lockedAt: 1, lockedBy: 1 }
+        }
+      );
+    }
+  }
+
+  /**
+   * Write the user's data as one JSON document, streaming each section from the database
+   * @param {object} user - User (lean, without security fields)
+   * @param {string} filePath - Archive path
+   * @returns {Promise<object>} Number of records per section
+   */
+  async writeArchive(user, filePath) {
+    const stream = fs.createWriteStream(filePath, { mode: 0o600 });
+    const write = async (chunk) => {
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    const { fcmTokens = [], preferences = {}, ...profile } = user;
+    const recordCounts = {};
+
+    try {
+      await write('{\n');
+      await write(`"formatVersion": ${ARCHIVE_FORMAT_VERSION},\n`);
+      await write(`"exportedAt": ${JSON.stringify(new Date())},\n`);
+      await write(`"profile": ${JSON.stringify(profile)},\n`);
+      await write(`"preferences": ${JSON.stringify(preferences)},\n`);
+      await write(`"deviceTokens": ${JSON.stringify(fcmTokens)}`);
+
+      for (const section of USER_DATA_SECTIONS) {
+        await write(`,\n${JSON.stringify(section.key)}: [`);
+
+        let count = 0;
+        const cursor = section.model.find(section.filter(user._id))
+          .select(section.select || '')
+          .sort({ createdAt: 1 })
+          .lean()
+          .cursor();
+
+        for await (const record of cursor) {
+          await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+          count++;
+        }
+
+        await write(count > 0 ? '\n]' : ']');
+        recordCounts[section.key] = count;
+      }
+
+      await write('\n}\n');
+    } finally {
+      stream.end();
+    }
+    await once(stream, 'close');
+
+    return recordCounts;
+  }
+
+  /**
+   * Email the download link. The archive can also be downloaded from the app, so a failed
+   * email does not fail the export.
+   */
+  async sendReadyEmail(dataExport, user, token) {
+    try {
+      const urls = await configService.getUrls();
+      const baseUrl = (urls.productionUrl || process.env.PRODUCTION_URL || '').replace(/\/+$/, '');
+      const downloadUrl = `${baseUrl}/api/v1/users/data-export/download?token=${token}`;
+
+      const result = await emailService.sendDataExportReady(user, downloadUrl, dataExport.expiresAt);
+      if (!result.success) {
+        logger.warn('Data export email not sent:', { exportId: dataExport._id, reason: result.message || result.error });
+        return;
+      }
+
+      await DataExport.updateOne({ _id: dataExport._id }, { $set: { emailSentAt: new Date() } });
+    } catch (error) {
+      logger.error('Failed to send data export email:', { exportId: dataExport._id, error: error.message });
+    }
+  }
+
+  async removeFile(filePath) {
+    if (filePath) {
+      await fs.promises.rm(filePath, { force: true }).catch(() => {});
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DataExportService();
@@ -241,6 +241,24 @@ class EmailService {
     );
   }
 
+  // Send personal data export download link
+  async sendDataExportReady(user, downloadUrl, expiresAt) {
+    return await this.sendEmail(
+      user.email,
+      'Your Data Export Is Ready',
+      this.getDataExportReadyTemplate(user, downloadUrl, expiresAt)
+    );
+  }
+
+  // Send account deletion notice with restore link
+  async sendAccountDeletionScheduled(user, restoreUrl, scheduledFor) {
+    return await this.sendEmail(
+      user.email,
+      'Your Account Is Scheduled for Deletion',
+      this.getAccountDeletionScheduledTemplate(user, restoreUrl, scheduledFor)
+    );
+  }
+
   // Welcome email template
   getWelcomeEmailTemplate(user) {
     return `
@@ -385,6 +403,57 @@ class EmailService {
       </div>
     `;
   }
+
+  // Account deletion scheduled template
+  getAccountDeletionScheduledTemplate(user, restoreUrl, scheduledFor) {
+    return `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <h2 style="color: #333;">Your Account Is Scheduled for Deletion</h2>
+        <p>Hi ${user.name},</p>
+        <p>We received a request to delete your account. You have been signed out on all devices, and your account, videos, posts and connected social accounts will be permanently deleted on <strong>${new Date(scheduledFor).toUTCString()}</strong>.</p>
+        
+        <p>Changed your mind? You can restore your account until then:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${restoreUrl}" style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Restore My Account
+          </a>
+        </div>
+        
+        <p>If you didn't request this, restore your account and change your password right away.</p>
+        
+        <p>Best regards,<br>The Video Editing Platform Team</p>
+      </div>
+    `;
+  }
+
+  // Data export ready template
+  getDataExportReadyTemplate(user, downloadUrl, expiresAt) {
+    return `
+      <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+        <h2 style="color: #333;">Your Data Export Is Ready</h2>
+        <p>Hi ${user.name},</p>
+        <p>The copy of your personal data you requested is ready. It contains your profile, videos, posts, connected accounts, analytics and AI caption history as a JSON file.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${downloadUrl}" style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Download My Data
+          </a>
+        </div>
+        
+        <div style="background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0;">
+          <p style="margin: 0; color: #856404;"><strong>⚠️ Important:</strong></p>
+          <ul style="margin: 10px 0 0 0; color: #856404;">
+            <li>This link expires on <strong>${new Date(expiresAt).toUTCString()}</strong></li>
+            <li>Anyone with this link can download your data - do not forward this email</li>
+            <li>If you didn't request this, please secure your account immediately</li>
+          </ul>
+        </div>
+        
+        <p>Best regards,<br>The Video Editing Platform Team</p>
+      </div>
+    `;
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
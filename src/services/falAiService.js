@@ -1,5 +1,6 @@
 const { fal } = require('@fal-ai/client');
 const logger = require('../utils/logger');
+const { buildBrandVoiceInstructions } = require('../utils/brandVoice');
 const configService = require('./configService');
 
 class FalAiService {
@@ -52,6 +53,17 @@ class FalAiService {
     }
   }
 
+  /**
+   * Re-read the API key and model from settings (after settings change)
+   */
+  async reinitialize() {
+    logger.info('Reinitializing Fal.ai service with updated settings...');
+    this.apiKey = '';
+    this.initialized = false;
+    this.initPromise = this.initialize();
+    await this.initPromise;
+  }
+
   /**
    * Ensure service is initialized before use
    */
@@ -145,9 +157,10 @@ class FalAiService {
    * Build optimized prompt for caption generation using Fal.ai
    */
   buildCaptionPrompt(video, options) {
-    const { tone, includeHashtags, platform, platforms } = options;
+    const { tone, includeHashtags, platform, platforms, brandVoice } = options;
     const platformConfig = this.getPlatformConfig(platform);
     const toneInstructions = this.getToneInstructions(tone);
+    const brandVoiceInstructions = buildBrandVoiceInstructions(brandVoice);
 
     const targetPlatforms = platforms && platforms.length > 0 ? platforms : [platform];
     const platformList = targetPlatforms.join(', ');
@@ -160,7 +173,7 @@ Description: ${video.description || 'No description'}
 Duration: ${video.duration ? Math.round(video.duration) + ' seconds' : 'Unknown'}
 
 TARGET PLATFORM: ${platformList}
-TONE: ${tone} - ${toneInstructions}
+TONE: ${tone} - ${toneInstructions}${brandVoiceInstructions ? `\n\n${brandVoiceInstructions}` : ''}
 
 PLATFORM REQUIREMENTS:
 - Max Length: ${platformConfig.maxLength} characters
@@ -178,8 +191,10 @@ Be concise, engaging, and platform-optimized.`;
 
   /**
    * Generate caption using Fal.ai text generation
+   * @param {object} handlers - Optional { onQueueUpdate, onToken } for streaming progress;
+   *   Fal.ai returns the text in one piece, so onToken receives it once
    */
-  async generateCaption(video, options = {}) {
+  async generateCaption(video, options = {}, handlers = {}) {
     await this.ensureInitialized();
 
     try {
@@ -189,6 +204,7 @@ Be concise, engaging, and platform-optimized.`;
         maxLength = 300,
         platform = 'instagram',
         platforms = [],
+        brandVoice = null,
         model = this.model
       } = options;
 
@@ -197,7 +213,8 @@ Be concise, engaging, and platform-optimized.`;
         includeHashtags,
         maxLength,
         platform,
-        platforms
+        platforms,
+        brandVoice
       });
 
       logger.info('Generating caption with Fal.ai:', {
@@ -218,6 +235,12 @@ Be concise, engaging, and platform-optimized.`;
           if (update.status === 'IN_QUEUE') {
             logger.debug('Caption generation queued, position:', update.position);
           }
+          if (handlers.onQueueUpdate) {
+            handlers.onQueueUpdate({
+              status: update.status,
+              position: update.queue_position ?? update.position ?? null
+            });
+          }
         }
       });
 
@@ -236,6 +259,10 @@ Be concise, engaging, and platform-optimized.`;
         throw new Error('Unexpected response format from Fal.ai');
       }
 
+      if (handlers.onToken) {
+        handlers.onToken(generatedText);
+      }
+
       const parsed = this.parseResponse(generatedText, includeHashtags);
 
       logger.info('Caption generated successfully:', {
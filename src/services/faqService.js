@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const FaqCategory = require('../models/FaqCategory');
+const FaqEntry = require('../models/FaqEntry');
+const FaqVote = require('../models/FaqVote');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { resolveLocale } = require('../utils/locale');
+
+// Fields of an entry shown to app users
+const PUBLIC_ENTRY_FIELDS = 'category locale question answer answerHtml tags order helpfulCount notHelpfulCount updatedAt';
+
+/**
+ * FAQ Service
+ * Published FAQ listing and search (in the best matching locale), helpful votes and ordering.
+ */
+class FaqService {
+  /**
+   * Published categories in display order
+   * @param {string} slug - Only this category, if given
+   * @returns {Promise<Array>}
+   */
+  async getPublishedCategories(slug) {
+    const filter = { isPublished: true };
+    if (slug) {
+      filter.slug = slug;
+    }
+    return FaqCategory.find(filter).sort({ order: 1, name: 1 });
+  }
+
+  /**
+   * Locale to serve FAQ entries in, from the locales that have published entries
+   * @param {string[]} locales - Requested locales, most preferred first
+   * @returns {Promise<object>} { locale, availableLocales }
+   */
+  async resolveEntryLocale(locales) {
+    const availableLocales = (await FaqEntry.distinct('locale', { isPublished: true })).sort();
+    return { locale: resolveLocale(locales, availableLocales), availableLocales };
+  }
+
+  /**
+   * Published FAQ grouped by category
+   * @param {object} options - { locales, category } category is a slug
+   * @returns {Promise<object>} { locale, availableLocales, categories }
+   */
+  async listPublished({ locales = [], category } = {}) {
+    const categories = await this.getPublishedCategories(category);
+    if (category && categories.length === 0) {
+      throw new AppError('FAQ category not found', 404);
+    }
+
+    const { locale, availableLocales } = await this.resolveEntryLocale(locales);
+
+    const entries = locale
+      ? await FaqEntry.find({
+        locale,
+        isPublished: true,
+        category: { $in: categories.map(item => item._id) }
+      })
+        .select(PUBLIC_ENTRY_FIELDS)
+        .sort({ order: 1, createdAt: 1 })
+        .lean()
+      : [];
+
+    const grouped = categories
+      .map(item => ({
+        _id: item._id,
+        slug: item.slug,
+        name: item.getLocalizedName(locale),
+        description: item.description,
+        entries: entries.filter(entry => entry.category.equals(item._id))
+      }))
+      .filter(item => item.entries.length > 0);
+
+    return { locale, availableLocales, categories: grouped };
+  }
+
+  /**
+   * Full-text search over published entries (question, answer and tags)
+   * @param {object} options - { q, locales, category, page, limit }
+   * @returns {Promise<object>} { locale, entries, total }
+   */
+  async search({ q, locales = [], category, page = 1, limit = 20 } = {}) {
+    const categories = await this.getPublishedCategories(category);
+    if (category && categories.length === 0) {
+      throw new AppError('FAQ category not found', 404);
+    }
+
+    const { locale } = await this.resolveEntryLocale(locales);
+    if (!locale) {
+      return { locale: null, entries: [], total: 0 };
+    }
+
+    const filter = {
+      $text: { $search: q },
+      locale,
+      isPublished: true,
+      category: { $in: categories.map(item => item._id) }
+    };
+
+    const [entries, total] = await Promise.all([
+      FaqEntry.find(filter, { score: { $meta: 'textScore' } })
+        .select(PUBLIC_ENTRY_FIELDS)
+        .sort({ score: { $meta: 'textScore' }, order: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FaqEntry.countDocuments(filter)
+    ]);
+
+    const categoriesById = new Map(categories.map(item => [item._id.toString(), item]));
+    for (const entry of entries) {
+      const entryCategory = categoriesById.get(entry.category.toString());
+      entry.category = {
+        _id: entryCategory._id,
+        slug: entryCategory.slug,
+        name: entryCategory.getLocalizedName(locale)
+      };
+    }
+
+    return { locale, entries, total };
+  }
+
+  /**
+   * A published entry in a published category
+   * @param {string} id - FAQ entry ID
+   * @returns {Promise<object>}
+   */
+  async getPublishedEntry(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError('FAQ entry not found', 404);
+    }
+
+    const entry = await FaqEntry.findOne({ _id: id, isPublished: true })
+      .select(PUBLIC_ENTRY_FIELDS)
+      .populate({ path: 'category', select: 'slug name translations isPublished' });
+
+    if (!entry || !entry.category || !entry.category.isPublished) {
+      throw new AppError('FAQ entry not found', 404);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Record a helpful / not-helpful vote. Each voter has one vote per entry; voting again
+   * with the other value moves the vote.
+   * @param {string} id - FAQ entry ID
+   * @param {string} voterKey - "user:<id>" or "anon:<hash>"
+   * @param {boolean} helpful - Whether the answer helped
+   * @returns {Promise<object>} { helpfulCount, notHelpfulCount, helpful }
+   */
+  async vote(id, voterKey, helpful) {
+    await this.getPublishedEntry(id);
+
+    const counter = helpful ? 'helpfulCount' : 'notHelpfulCount';
+    const otherCounter = helpful ? 'notHelpfulCount' : 'helpfulCount';
+
+    let increments = null;
+    const existing = await FaqVote.findOne({ faq: id, voterKey });
+
+    if (!existing) {
+      try {
+        await FaqVote.create({ faq: id, voterKey, helpful });
+        increments = { [counter]: 1 };
+      } catch (error) {
+        // A concurrent request from the same voter already counted
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    } else if (existing.helpful !== helpful) {
+      // Only move the vote if it still has the other value, so concurrent requests from
+      // the same voter move the counters once
+      const moved = await FaqVote.findOneAndUpdate(
+        { faq: id, voterKey, helpful: !helpful },
+        { $set: { helpful } }
+      );
+      if (moved) {
+        increments = { [counter]: 1, [otherCounter]: -1 };
+      }
+    }
+
+    const entry = increments
+      ? await FaqEntry.findByIdAndUpdate(id, { $inc: increments }, { new: true })
+      : await FaqEntry.findById(id);
+
+    logger.debug('FAQ vote recorded:', { faqId: id, helpful, changed: !!increments });
+
+    return {
+      helpful,
+      helpfulCount: entry.helpfulCount,
+      notHelpfulCount: entry.notHelpfulCount
+    };
+  }
+
+  /**
+   * Set `order` from the position of each ID in the list
+   * @param {mongoose.Model} Model - FaqCategory or FaqEntry
+   * @param {string[]} ids - Every document in the group, in the new order
+   * @param {object} filter - The group being reordered (e.g. { category })
+   */
+  async reorder(Model, ids, filter = {}) {
+    const existing = await Model.find(filter).select('_id').lean();
+    const existingIds = new Set(existing.map(doc => doc._id.toString()));
+
+    const unknown = ids.filter(id => !existingIds.has(id));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown IDs in reorder list: ${unknown.join(', ')}`, 400);
+    }
+    if (new Set(ids).size !== existingIds.size) {
+      throw new AppError('The reorder list must contain every item exactly once', 400);
+    }
+
+    await Model.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index } } }
+    })));
+  }
+
+  /**
+   * Order value that puts a new document last in its group
+   * @param {mongoose.Model} Model - FaqCategory or FaqEntry
+   * @param {object} filter - The group (e.g. { category })
+   * @returns {Promise<number>}
+   */
+  async getNextOrder(Model, filter = {}) {
+    const last = await Model.findOne(filter).sort({ order: -1 }).select('order').lean();
+    return last ? last.order + 1 : 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new FaqService();
@@ -61,6 +61,21 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Re-read the service account from settings (after settings change)
+   */
+  async reinitialize() {
+    logger.info('Reinitializing Firebase service with updated settings...');
+    if (this.app) {
+      await this.app.delete();
+    }
+    this.app = null;
+    this.messaging = null;
+    this.initialized = false;
+    this.initPromise = this.initialize();
+    await this.initPromise;
+  }
+
   /**
    * Ensure service is initialized before use
    */
@@ -1,5 +1,6 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const { buildBrandVoiceInstructions } = require('../utils/brandVoice');
 const configService = require('./configService');
 
 class GeminiService {
@@ -59,7 +60,11 @@ class GeminiService {
     }
   }
 
-  async generateCaption(video, options = {}) {
+  /**
+   * Generate caption
+   * @param {object} handlers - Optional { onToken } to stream partial text as it arrives
+   */
+  async generateCaption(video, options = {}, handlers = {}) {
     await this.ensureInitialized();
 
     try {
@@ -68,7 +73,8 @@ class GeminiService {
         tone = 'casual',
         includeHashtags = true,
         maxLength = 300,
-        platform = 'general'
+        platform = 'general',
+        brandVoice = null
       } = options;
 
       // Build the prompt based on video information and user preferences
@@ -77,7 +83,8 @@ class GeminiService {
         tone,
         includeHashtags,
         maxLength,
-        platform
+        platform,
+        brandVoice
       });
 
       logger.info('Generating AI caption with Gemini:', { 
@@ -87,9 +94,23 @@ class GeminiService {
         promptLength: fullPrompt.length 
       });
 
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const text = response.text();
+      let text;
+
+      if (handlers.onToken) {
+        const result = await this.model.generateContentStream(fullPrompt);
+        for await (const chunk of result.stream) {
+          const chunkText = chunk.text();
+          if (chunkText) {
+            handlers.onToken(chunkText);
+          }
+        }
+        const response = await result.response;
+        text = response.text();
+      } else {
+        const result = await this.model.generateContent(fullPrompt);
+        const response = await result.response;
+        text = response.text();
+      }
 
       // Parse the response to extract caption and hashtags
       const parsed = this.parseResponse(text, includeHashtags);
@@ -116,7 +137,7 @@ class GeminiService {
     }
   }
   buildPrompt(video, options) {
-    const { prompt, tone, includeHashtags, maxLength, platform } = options;
+    const { prompt, tone, includeHashtags, maxLength, platform, brandVoice } = options;
 
     let basePrompt = `Generate an engaging social media caption for a video with the following details:
 
@@ -140,6 +161,13 @@ Requirements:
 - Additional context: ${prompt}`;
     }
 
+    const brandVoiceInstructions = buildBrandVoiceInstructions(brandVoice);
+    if (brandVoiceInstructions) {
+      basePrompt += `
+
+${brandVoiceInstructions}`;
+    }
+
     basePrompt += `
 
 Please create an engaging caption that will perform well on ${platform}. Make it ${tone} in tone and optimized for social media engagement.`;
@@ -0,0 +1,242 @@
+const LegalContent = require('../models/LegalContent');
+const LegalContentVersion = require('../models/LegalContentVersion');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { DEFAULT_LOCALE, resolveLocale } = require('../utils/locale');
+const logger = require('../utils/logger');
+
+/**
+ * Legal Service
+ * Keeps the immutable version history of legal documents and tracks which version of the
+ * privacy policy and terms of use each user accepted.
+ *
+ * Each document type can exist in several locales. Every locale variant has its own version
+ * history, and consent is tracked per locale (a user accepts the text they were shown).
+ */
+class LegalService {
+  constructor() {
+    // Documents users have to accept (the FAQ is informational only)
+    this.consentTypes = ['privacy_policy', 'terms_of_use'];
+  }
+
+  /**
+   * Snapshot the current text of a legal document as a new version
+   * @param {object} legalContent - LegalContent document (already saved with its new version)
+   * @param {object} options - { adminId, changeNote, requiresReacceptance }
+   * @returns {Promise<object>} The LegalContentVersion
+   */
+  async recordVersion(legalContent, { adminId, changeNote, requiresReacceptance = false } = {}) {
+    const version = await LegalContentVersion.create({
+      type: legalContent.type,
+      locale: legalContent.locale,
+      version: legalContent.version,
+      title: legalContent.title,
+      content: legalContent.content,
+      htmlContent: legalContent.htmlContent,
+      changeNote,
+      requiresReacceptance,
+      createdBy: adminId
+    });
+
+    logger.info('Legal content version recorded:', {
+      type: legalContent.type,
+      locale: legalContent.locale,
+      version: legalContent.version,
+      requiresReacceptance
+    });
+
+    return version;
+  }
+
+  /**
+   * Documents created before version history existed have no snapshot of their current
+   * text; store one before it is overwritten.
+   * @param {object} legalContent - LegalContent document
+   */
+  async ensureCurrentVersionRecorded(legalContent) {
+    const exists = await LegalContentVersion.exists({
+      type: legalContent.type,
+      locale: legalContent.locale,
+      version: legalContent.version
+    });
+
+    if (!exists) {
+      await this.recordVersion(legalContent, {
+        adminId: legalContent.lastUpdatedBy,
+        requiresReacceptance: legalContent.version === legalContent.minimumAcceptedVersion
+      });
+    }
+  }
+
+  /**
+   * Next version number for a type and locale, continuing after deleted documents so
+   * version numbers are never reused
+   * @param {string} type - Legal content type
+   * @param {string} locale - Locale
+   * @returns {Promise<number>}
+   */
+  async getNextVersionNumber(type, locale) {
+    const latest = await LegalContentVersion.findOne({ type, locale }).sort({ version: -1 }).select('version').lean();
+    return latest ? latest.version + 1 : 1;
+  }
+
+  /**
+   * Version history of a document, newest first (without the document text)
+   * @param {string} type - Legal content type
+   * @param {string} locale - Locale
+   * @param {object} options - { includeAuthor } populate the admin who saved each version
+   * @returns {Promise<Array>}
+   */
+  async getVersions(type, locale, { includeAuthor = false } = {}) {
+    const query = LegalContentVersion.find({ type, locale })
+      .select(includeAuthor ? '-content -htmlContent -__v' : '-content -htmlContent -createdBy -__v')
+      .sort({ version: -1 });
+
+    return includeAuthor ? query.populate('createdBy', 'name email') : query;
+  }
+
+  /**
+   * A single version with its full text
+   * @param {string} type - Legal content type
+   * @param {string} locale - Locale
+   * @param {number} version - Version number
+   * @param {object} options - { includeAuthor } populate the admin who saved the version
+   * @returns {Promise<object|null>}
+   */
+  async getVersion(type, locale, version, { includeAuthor = false } = {}) {
+    const query = LegalContentVersion.findOne({ type, locale, version })
+      .select(includeAuthor ? '-__v' : '-createdBy -__v');
+
+    return includeAuthor ? query.populate('createdBy', 'name email') : query;
+  }
+
+  /**
+   * The published variant of a document that best matches the requested locales
+   * @param {string} type - Legal content type
+   * @param {string[]} locales - Requested locales, most preferred first
+   * @param {string} select - Fields to select
+   * @returns {Promise<object|null>} { content, availableLocales }, or null when nothing is published
+   */
+  async findLocalized(type, locales, select = '-__v') {
+    const variants = await LegalContent.find({ type, isPublished: true }).select(select);
+    return this.pickLocalized(variants, locales);
+  }
+
+  /**
+   * Choose among the locale variants of one document type
+   * @param {Array} variants - Published LegalContent documents of one type
+   * @param {string[]} locales - Requested locales, most preferred first
+   * @returns {object|null} { content, availableLocales }
+   */
+  pickLocalized(variants, locales) {
+    if (variants.length === 0) {
+      return null;
+    }
+
+    const availableLocales = variants.map(variant => variant.locale).sort();
+    const locale = resolveLocale(locales, availableLocales);
+
+    return {
+      content: variants.find(variant => variant.locale === locale),
+      availableLocales
+    };
+  }
+
+  /**
+   * Which legal documents the user has accepted and which need (re-)acceptance
+   * @param {object} user - User document (with legalConsents)
+   * @param {object} options - { locales } requested locales, most preferred first
+   * @returns {Promise<object>} { requiresAcceptance, documents: [...] }
+   */
+  async getConsentStatus(user, { locales = [] } = {}) {
+    const variants = await LegalContent.find({
+      type: { $in: this.consentTypes },
+      isPublished: true
+    }).select('type locale title version minimumAcceptedVersion updatedAt');
+
+    const documents = this.consentTypes
+      .map(type => this.pickLocalized(variants.filter(variant => variant.type === type), locales))
+      .filter(Boolean)
+      .map(({ content, availableLocales }) => {
+        const accepted = this.getLatestConsent(user, content.type, content.locale);
+        const acceptedVersion = accepted ? accepted.version : null;
+
+        return {
+          type: content.type,
+          locale: content.locale,
+          availableLocales,
+          title: content.title,
+          currentVersion: content.version,
+          minimumAcceptedVersion: content.minimumAcceptedVersion || 1,
+          acceptedVersion,
+          acceptedAt: accepted ? accepted.acceptedAt : null,
+          needsAcceptance: acceptedVersion === null || acceptedVersion < (content.minimumAcceptedVersion || 1),
+          hasNewerVersion: acceptedVersion !== null && acceptedVersion < content.version,
+          lastUpdated: content.updatedAt
+        };
+      });
+
+    return {
+      requiresAcceptance: documents.some(document => document.needsAcceptance),
+      documents
+    };
+  }
+
+  /**
+   * Record that the user accepted the current version of a legal document
+   * @param {string} userId - User ID
+   * @param {string} type - privacy_policy or terms_of_use
+   * @param {number} version - Version the user was shown
+   * @param {object} meta - { locales, ipAddress, userAgent } locales resolve which variant was shown
+   * @returns {Promise<object>} The stored consent
+   */
+  async acceptVersion(userId, type, version, { locales = [], ipAddress, userAgent } = {}) {
+    if (!this.consentTypes.includes(type)) {
+      throw new AppError(`Invalid type. Must be one of: ${this.consentTypes.join(', ')}`, 400);
+    }
+
+    const localized = await this.findLocalized(type, locales, 'type locale version');
+    if (!localized) {
+      throw new AppError(`${type.replace('_', ' ')} not found`, 404);
+    }
+
+    const { content } = localized;
+
+    // Only the version currently shown to users can be accepted
+    if (version !== content.version) {
+      throw new AppError(`Version ${version} is not the current version (${content.version}). Please review the latest version.`, 409);
+    }
+
+    const consent = { type, locale: content.locale, version, acceptedAt: new Date(), ipAddress, userAgent };
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $push: { legalConsents: consent } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    logger.info('Legal consent recorded:', { userId, type, locale: content.locale, version });
+
+    return user.legalConsents[user.legalConsents.length - 1];
+  }
+
+  /**
+   * Most recent acceptance of a document type in a locale
+   * @param {object} user - User document
+   * @param {string} type - Legal content type
+   * @param {string} locale - Locale
+   * @returns {object|null}
+   */
+  getLatestConsent(user, type, locale) {
+    return (user.legalConsents || [])
+      .filter(consent => consent.type === type && (consent.locale || DEFAULT_LOCALE) === locale)
+      .reduce((latest, consent) => (!latest || consent.version > latest.version ? consent : latest), null);
+  }
+}
+
+// Export singleton instance
+module.exports = new LegalService();
@@ -0,0 +1,292 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const firebaseService = require('./firebaseService');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Dispatcher
+ * In-process job runner that delivers admin push notifications scheduled for later.
+ *
+ * Scheduled notifications live in MongoDB with status 'scheduled', so they survive restarts.
+ * Each due notification is claimed atomically (scheduled → sending) before anything is sent,
+ * which guarantees a notification is handed to Firebase at most once, even with several
+ * server instances polling the same collection.
+ *
+ * A notification left in 'sending' by a crashed process is never re-sent: once its claim is
+ * older than the lease it is marked 'failed' so admins can review and resend it manually.
+ */
+class NotificationDispatcher {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.instanceId = `${process.pid}-${Date.now()}`;
+    this.pollInterval = parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL) || 30 * 1000; // 30 seconds
+    this.leaseTimeout = 10 * 60 * 1000; // 10 minutes
+    this.batchSize = 10;
+  }
+
+  /**
+   * Start polling for due notifications
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Notification dispatcher tick failed:', error.message);
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for the dispatcher
+    this.timer.unref();
+
+    logger.info('Notification dispatcher started', {
+      instanceId: this.instanceId,
+      pollInterval: this.pollInterval
+    });
+
+    // Run once immediately so overdue notifications go out right after a restart
+    this.tick().catch(error => {
+      logger.error('Notification dispatcher tick failed:', error.message);
+    });
+  }
+
+  /**
+   * Stop polling (in-flight deliveries finish on their own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Notification dispatcher stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Run a single dispatch cycle
+   */
+  async tick() {
+    // Skip if the previous cycle is still sending
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.recoverStaleClaims();
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const notification = await this.claimNext();
+        if (!notification) {
+          break;
+        }
+        await this.dispatch(notification);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due scheduled notification
+   * @returns {Promise<object|null>} Claimed notification or null if none are due
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        scheduledFor: { $lte: now }
+      },
+      {
+        $set: {
+          status: 'sending',
+          'dispatch.claimedAt': now,
+          'dispatch.claimedBy': this.instanceId
+        },
+        $inc: { 'dispatch.attempts': 1 }
+      },
+      {
+        sort: { scheduledFor: 1 },
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Fail notifications whose dispatch was interrupted (e.g. process crash)
+   * They are not retried automatically because some devices may already have received them
+   */
+  async recoverStaleClaims() {
+    const cutoff = new Date(Date.now() - this.leaseTimeout);
+
+    const result = await Notification.updateMany(
+      {
+        status: 'sending',
+        'dispatch.claimedAt': { $lte: cutoff }
+      },
+      {
+        $set: {
+          status: 'failed',
+          completedAt: new Date(),
+          'dispatch.lastError': 'Dispatch interrupted before completion; not retried to avoid duplicate delivery'
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn('Marked interrupted scheduled notifications as failed:', {
+        count: result.modifiedCount
+      });
+    }
+  }
+
+  /**
+   * Deliver a claimed scheduled notification
+   * @param {object} notification - Notification document in 'sending' status
+   */
+  async dispatch(notification) {
+    try {
+      const outcome = await this.deliver(notification);
+
+      logger.info('Scheduled notification dispatched:', {
+        notificationId: notification._id,
+        status: notification.status,
+        reason: outcome.reason || null,
+        totalTargeted: notification.stats.totalTargeted,
+        totalSent: notification.stats.totalSent,
+        totalFailed: notification.stats.totalFailed
+      });
+    } catch (error) {
+      logger.error('Scheduled notification dispatch failed:', {
+        notificationId: notification._id,
+        error: error.message
+      });
+
+      notification.status = 'failed';
+      notification.completedAt = new Date();
+      notification.dispatch = notification.dispatch || {};
+      notification.dispatch.lastError = error.message;
+      await notification.save();
+    }
+  }
+
+  /**
+   * Resolve the device tokens a notification is targeted at
+   * @param {object} notification - Notification document
+   * @returns {Promise<object>} { tokens, reason } - reason is set when targeting failed
+   */
+  async resolveTargetTokens(notification) {
+    let users = [];
+
+    if (notification.targetType === 'individual' && notification.targetUser) {
+      const user = await User.findById(notification.targetUser).select('fcmTokens');
+      if (!user) {
+        return { tokens: [], reason: 'target_not_found' };
+      }
+      users = [user];
+    } else if (notification.targetType === 'segment' && notification.targetSegment) {
+      users = await User.find(this.buildSegmentQuery(notification.targetSegment)).select('fcmTokens');
+    } else {
+      users = await User.find({ 'fcmTokens.0': { $exists: true } }).select('fcmTokens');
+    }
+
+    const tokens = [];
+    users.forEach(user => {
+      user.fcmTokens.forEach(tokenObj => {
+        if (tokenObj.token && tokenObj.token.trim()) {
+          tokens.push(tokenObj.token);
+        }
+      });
+    });
+
+    return { tokens, reason: tokens.length === 0 ? 'no_tokens' : null };
+  }
+
+  /**
+   * Build the user query for segment targeting
+   * @param {object} segment - Segment filter criteria
+   * @returns {object} MongoDB query
+   */
+  buildSegmentQuery(segment) {
+    const query = { 'fcmTokens.0': { $exists: true } }; // Users with at least one token
+
+    if (segment.loginType) {
+      query.loginType = segment.loginType;
+    }
+    if (segment.status) {
+      query.status = segment.status;
+    }
+    if (segment.createdAfter) {
+      query.createdAt = { ...query.createdAt, $gte: new Date(segment.createdAfter) };
+    }
+    if (segment.createdBefore) {
+      query.createdAt = { ...query.createdAt, $lte: new Date(segment.createdBefore) };
+    }
+
+    return query;
+  }
+
+  /**
+   * Send a notification to its targets and record the outcome on the document
+   * Used for both immediate sends and scheduled dispatch
+   * @param {object} notification - Notification document in 'sending' status
+   * @returns {Promise<object>} { sendResult, reason } - reason is set when nothing was sent
+   */
+  async deliver(notification) {
+    const { tokens, reason } = await this.resolveTargetTokens(notification);
+
+    notification.stats.totalTargeted = tokens.length;
+
+    if (reason) {
+      notification.status = 'failed';
+      notification.completedAt = new Date();
+      await notification.save();
+      return { sendResult: null, reason };
+    }
+
+    await notification.save();
+
+    const notificationPayload = {
+      title: notification.title,
+      body: notification.body,
+      type: notification.type,
+      data: Object.fromEntries(notification.data || new Map()),
+      deepLink: notification.deepLink,
+      imageUrl: notification.imageUrl,
+      priority: notification.priority
+    };
+
+    const sendResult = await firebaseService.sendToMultipleDevices(tokens, notificationPayload);
+
+    notification.stats.totalSent = sendResult.successCount;
+    notification.stats.totalFailed = sendResult.failureCount;
+    notification.status = sendResult.successCount > 0 ? 'sent' : 'failed';
+    notification.sentAt = new Date();
+    notification.completedAt = new Date();
+
+    // Store failed tokens for debugging
+    if (sendResult.failureCount > 0) {
+      sendResult.results
+        .filter(r => !r.success)
+        .slice(0, 100) // Store max 100 failures
+        .forEach(r => {
+          notification.failedTokens.push({
+            token: r.token.substring(0, 20) + '...',
+            error: r.error ? r.error.message : 'Unknown error',
+            timestamp: new Date()
+          });
+        });
+    }
+
+    await notification.save();
+
+    return { sendResult, reason: null };
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationDispatcher();
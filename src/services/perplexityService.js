@@ -1,5 +1,6 @@
 const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
+const { buildBrandVoiceInstructions } = require('../utils/brandVoice');
 const configService = require('./configService');
 
 class PerplexityService {
@@ -176,9 +177,10 @@ Be concise and engaging.`;
    * Build optimized user prompt for caption generation
    */
   buildCaptionPrompt(video, options) {
-    const { tone, includeHashtags, platform, platforms } = options;
+    const { tone, includeHashtags, platform, platforms, brandVoice } = options;
     const platformConfig = this.getPlatformConfig(platform);
     const toneInstructions = this.getToneInstructions(tone);
+    const brandVoiceInstructions = buildBrandVoiceInstructions(brandVoice);
 
     const targetPlatforms = platforms && platforms.length > 0 ? platforms : [platform];
     const platformList = targetPlatforms.join(', ');
@@ -191,7 +193,7 @@ Description: ${video.description || 'No description'}
 Duration: ${video.duration ? Math.round(video.duration) + ' seconds' : 'Unknown'}
 
 TARGET PLATFORM: ${platformList}
-TONE: ${tone} - ${toneInstructions}
+TONE: ${tone} - ${toneInstructions}${brandVoiceInstructions ? `\n\n${brandVoiceInstructions}` : ''}
 
 PLATFORM REQUIREMENTS:
 - Max Length: ${platformConfig.maxLength} characters
@@ -205,8 +207,9 @@ Generate the caption now following the format exactly.`;
 
   /**
    * Generate caption using Perplexity API with official SDK
+   * @param {object} handlers - Optional { onToken } to stream partial text as it arrives
    */
-  async generateCaption(video, options = {}) {
+  async generateCaption(video, options = {}, handlers = {}) {
     await this.ensureInitialized();
 
     try {
@@ -216,6 +219,7 @@ Generate the caption now following the format exactly.`;
         maxLength = 300,
         platform = 'instagram',
         platforms = [],
+        brandVoice = null,
         model = this.defaultModel
       } = options;
 
@@ -225,7 +229,8 @@ Generate the caption now following the format exactly.`;
         includeHashtags,
         maxLength,
         platform,
-        platforms
+        platforms,
+        brandVoice
       });
 
       logger.info('Generating caption with Perplexity SDK:', {
@@ -236,7 +241,7 @@ Generate the caption now following the format exactly.`;
       });
 
       // Call Perplexity API using OpenAI-compatible SDK
-      const completion = await this.client.chat.completions.create({
+      const request = {
         model: model,
         messages: [
           {
@@ -251,9 +256,33 @@ Generate the caption now following the format exactly.`;
         temperature: 0.7,
         max_tokens: 1000,
         top_p: 0.9
-      });
+      };
+
+      let generatedText;
+      let usage;
+
+      if (handlers.onToken) {
+        const stream = await this.client.chat.completions.create({ ...request, stream: true });
+
+        generatedText = '';
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            generatedText += delta;
+            handlers.onToken(delta);
+          }
+          // Perplexity reports usage on the final chunk
+          if (chunk.usage) {
+            usage = chunk.usage;
+          }
+        }
+        generatedText = generatedText.trim();
+      } else {
+        const completion = await this.client.chat.completions.create(request);
+        generatedText = completion.choices[0].message.content.trim();
+        usage = completion.usage;
+      }
 
-      const generatedText = completion.choices[0].message.content.trim();
       const parsed = this.parseResponse(generatedText, includeHashtags);
 
       logger.info('Caption generated successfully:', {
@@ -261,7 +290,7 @@ Generate the caption now following the format exactly.`;
         captionLength: parsed.caption.length,
         hashtagCount: parsed.hashtags.length,
         model: model,
-        tokensUsed: completion.usage?.total_tokens || 0
+        tokensUsed: usage?.total_tokens || 0
       });
 
       return {
@@ -271,9 +300,9 @@ Generate the caption now following the format exactly.`;
         model: model,
         platform,
         usage: {
-          promptTokens: completion.usage?.prompt_tokens || 0,
-          completionTokens: completion.usage?.completion_tokens || 0,
-          totalTokens: completion.usage?.total_tokens || 0
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0,
+          totalTokens: usage?.total_tokens || 0
         }
       };
 
@@ -0,0 +1,196 @@
+const { SUPPORTED_PLATFORMS, PLATFORM_LIMITS } = require('../config/constants');
+const postPlatformService = require('./postPlatformService');
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  tiktok: 'TikTok',
+  youtube: 'YouTube',
+  facebook: 'Facebook',
+  twitter: 'Twitter',
+  linkedin: 'LinkedIn'
+};
+
+const TYPE_LABELS = {
+  SHORT: 'Shorts',
+  STORY: 'stories',
+  REEL: 'reels'
+};
+
+// @handles in a caption; an @ straight after a word character (e.g. an email address) is not a mention
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.-]+)/g;
+
+const formatDuration = (seconds) => {
+  if (seconds >= 60 * 60 && seconds % (60 * 60) === 0) {
+    return `${seconds / (60 * 60)} hours`;
+  }
+  if (seconds >= 60 && seconds % 60 === 0) {
+    return `${seconds / 60} minutes`;
+  }
+  return `${+seconds.toFixed(1)} seconds`;
+};
+
+const formatFileSize = (bytes) => {
+  const gb = bytes / (1024 * 1024 * 1024);
+  return gb >= 1 ? `${+gb.toFixed(1)}GB` : `${Math.round(bytes / (1024 * 1024))}MB`;
+};
+
+const formatRatio = (ratio) => +ratio.toFixed(2);
+
+/**
+ * Platform Constraint Service
+ * Checks a post against what each platform accepts (PLATFORM_LIMITS in config/constants.js)
+ * before it is sent to Bundle.social: caption length, hashtag count, mentions, and the video's
+ * duration, aspect ratio, file size and format. Rules whose media details are unknown (e.g. no
+ * dimensions stored for the video) are skipped.
+ */
+class PlatformConstraintService {
+  /**
+   * Every rule the post's platforms break
+   * @param {Array<object>} platforms - Result of postPlatformService.resolvePlatforms
+   * @param {object} asset - Publish asset ({ duration, dimensions, fileSize, mimeType })
+   * @returns {Array<object>} [{ field, platform, rule, message, limit, value }], empty when the post is fine
+   */
+  validate(platforms, asset) {
+    return platforms.flatMap(platform => [
+      ...this.checkCaption(platform),
+      ...this.checkVideo(platform, asset)
+    ]);
+  }
+
+  /**
+   * Rules of the platforms, for clients that want to check as the user types
+   * @param {Array<string>} names - Platform names (default: all supported)
+   * @returns {object} Limits keyed by platform, with handle patterns as strings
+   */
+  describeLimits(names = SUPPORTED_PLATFORMS) {
+    return Object.fromEntries(names.map(name => {
+      const { handle, ...limits } = PLATFORM_LIMITS[name] || {};
+      return [name, { ...limits, ...(handle && { handle: handle.source }) }];
+    }));
+  }
+
+  /**
+   * Mentions in a caption
+   * @param {string} text - Caption
+   * @returns {Array<string>} Handles without the @
+   */
+  findMentions(text) {
+    return [...(text || '').matchAll(MENTION_PATTERN)]
+      .map(([, handle]) => handle.replace(/[.-]+$/, '')) // Trailing punctuation ends the sentence
+      .filter(Boolean);
+  }
+
+  /**
+   * Caption length, hashtag count and mentions of one platform
+   * @param {object} platform - Entry of postPlatformService.resolvePlatforms
+   * @returns {Array<object>} Violations
+   */
+  checkCaption(platform) {
+    const limits = PLATFORM_LIMITS[platform.name] || {};
+    const label = PLATFORM_LABELS[platform.name] || platform.name;
+    const violation = this.violation.bind(this, platform.name);
+    const violations = [];
+
+    if (limits.captionLength && platform.text.length > limits.captionLength) {
+      violations.push(violation('caption', 'captionLength', limits.captionLength, platform.text.length,
+        `${label} captions can be at most ${limits.captionLength} characters including hashtags (this one has ${platform.text.length})`));
+    }
+
+    if (limits.hashtags && platform.hashtags.length > limits.hashtags) {
+      violations.push(violation('hashtags', 'hashtags', limits.hashtags, platform.hashtags.length,
+        `${label} allows at most ${limits.hashtags} hashtags (this post has ${platform.hashtags.length})`));
+    }
+
+    const mentions = this.findMentions(platform.caption);
+    const uniqueMentions = [...new Set(mentions.map(handle => handle.toLowerCase()))];
+
+    if (limits.mentions && uniqueMentions.length > limits.mentions) {
+      violations.push(violation('caption', 'mentions', limits.mentions, uniqueMentions.length,
+        `${label} allows at most ${limits.mentions} mentions (this caption has ${uniqueMentions.length})`));
+    }
+
+    if (limits.handle) {
+      const invalid = [...new Set(mentions.filter(handle => !limits.handle.test(handle)))];
+      if (invalid.length > 0) {
+        violations.push(violation('caption', 'mentionFormat', limits.handle.source, invalid,
+          `${invalid.map(handle => `@${handle}`).join(', ')} ${invalid.length === 1 ? 'is not a' : 'are not'} valid ${label} username${invalid.length === 1 ? '' : 's'}`));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Duration, aspect ratio, file size and format of the video for one platform,
+   * with the rules of the post type (e.g. YouTube Shorts) applied on top
+   * @param {object} platform - Entry of postPlatformService.resolvePlatforms
+   * @param {object} asset - Publish asset
+   * @returns {Array<object>} Violations
+   */
+  checkVideo(platform, asset) {
+    const limits = PLATFORM_LIMITS[platform.name] || {};
+    const label = PLATFORM_LABELS[platform.name] || platform.name;
+    const type = postPlatformService.typeOf(platform, asset);
+    const rules = { ...(limits.video || {}), ...((type && limits.types?.[type]) || {}) };
+    const what = type && limits.types?.[type] ? `${label} ${TYPE_LABELS[type] || type.toLowerCase()}` : `${label} videos`;
+    const violation = this.violation.bind(this, platform.name);
+    const violations = [];
+
+    const { duration, fileSize, mimeType } = asset;
+    const { width, height } = asset.dimensions || {};
+
+    if (duration) {
+      if (rules.minDuration && duration < rules.minDuration) {
+        violations.push(violation('video.duration', 'minDuration', rules.minDuration, duration,
+          `${what} must be at least ${formatDuration(rules.minDuration)} long (this one is ${formatDuration(duration)})`));
+      }
+      if (rules.maxDuration && duration > rules.maxDuration) {
+        violations.push(violation('video.duration', 'maxDuration', rules.maxDuration, duration,
+          `${what} can be at most ${formatDuration(rules.maxDuration)} long (this one is ${formatDuration(duration)})`));
+      }
+    }
+
+    if (width && height) {
+      const ratio = width / height;
+      const tooNarrow = rules.minAspectRatio && ratio < rules.minAspectRatio;
+      const tooWide = rules.maxAspectRatio && ratio > rules.maxAspectRatio;
+      if (tooNarrow || tooWide) {
+        const limit = tooNarrow ? rules.minAspectRatio : rules.maxAspectRatio;
+        violations.push(violation('video.aspectRatio', 'aspectRatio', formatRatio(limit), formatRatio(ratio),
+          `${what} need an aspect ratio (width / height) of ${tooNarrow ? 'at least' : 'at most'} ${formatRatio(limit)} (this one is ${width}x${height})`));
+      }
+    }
+
+    if (fileSize && rules.maxFileSize && fileSize > rules.maxFileSize) {
+      violations.push(violation('video.fileSize', 'fileSize', rules.maxFileSize, fileSize,
+        `${what} can be at most ${formatFileSize(rules.maxFileSize)} (this one is ${formatFileSize(fileSize)})`));
+    }
+
+    if (mimeType && rules.mimeTypes && !rules.mimeTypes.includes(mimeType.toLowerCase())) {
+      violations.push(violation('video.mimeType', 'format', rules.mimeTypes, mimeType,
+        `${label} does not accept ${mimeType} videos (accepted: ${[...new Set(rules.mimeTypes.map(type => type.replace('video/', '')))].join(', ')})`));
+    }
+
+    const { thumbnailOffset } = platform.options;
+    if (thumbnailOffset !== undefined && duration && thumbnailOffset > duration * 1000) {
+      violations.push(violation('thumbnailOffset', 'thumbnailOffset', Math.floor(duration * 1000), thumbnailOffset,
+        `${label} thumbnail offset must be within the video (${Math.floor(duration * 1000)} ms long)`));
+    }
+
+    return violations;
+  }
+
+  violation(platform, field, rule, limit, value, message) {
+    return {
+      field: `platforms.${platform}.${field}`,
+      platform,
+      rule,
+      message,
+      limit,
+      value
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PlatformConstraintService();
@@ -0,0 +1,153 @@
+const { normalizeHashtag } = require('../utils/brandVoice');
+
+// Fields of a `platforms` entry that are not Bundle.social options
+const ENTRY_FIELDS = ['name', 'accountId', 'caption', 'hashtags'];
+
+/**
+ * Post Platform Service
+ * Works out what each platform of a post gets: its caption, hashtags and Bundle.social options.
+ * A platform entry may carry its own caption, hashtags and options; anything it leaves out comes
+ * from the post (caption/hashtags) and the post template (options).
+ */
+class PostPlatformService {
+  /**
+   * Resolve the caption, hashtags and options of every platform of a post
+   * @param {Array<object>} platforms - Validated `platforms` entries of the request
+   * @param {object} defaults - { caption, hashtags, platformOptions } shared by all platforms
+   * @returns {Array<object>} [{ name, caption, hashtags, text, options, overrides }]
+   */
+  resolvePlatforms(platforms, { caption, hashtags = [], platformOptions = {} }) {
+    return platforms.map(platform => {
+      const { caption: ownCaption, hashtags: ownHashtags } = platform;
+      const platformName = platform.name.toLowerCase();
+
+      // Everything besides these fields is a Bundle.social option
+      const ownOptions = Object.fromEntries(
+        Object.entries(platform).filter(([key]) => !ENTRY_FIELDS.includes(key))
+      );
+
+      const platformCaption = ownCaption || caption;
+      const platformHashtags = [...new Set((ownHashtags || hashtags || []).map(normalizeHashtag).filter(Boolean))];
+
+      return {
+        name: platformName,
+        caption: platformCaption,
+        hashtags: platformHashtags,
+        text: platformCaption + (platformHashtags.length ? ' ' + platformHashtags.map(tag => `#${tag}`).join(' ') : ''),
+        options: { ...(platformOptions[platformName] || {}), ...ownOptions },
+        overrides: {
+          caption: ownCaption,
+          hashtags: ownHashtags ? platformHashtags : undefined
+        }
+      };
+    });
+  }
+
+  /**
+   * Post type a platform gets when none was chosen
+   * @param {string} name - Platform name
+   * @param {object} asset - Publish asset ({ duration, dimensions })
+   * @returns {string|undefined}
+   */
+  defaultType(name, asset) {
+    switch (name) {
+      case 'instagram':
+      case 'facebook':
+        return asset.duration > 60 ? 'REEL' : 'POST';
+      case 'youtube': {
+        // Shorts must be square or vertical
+        const { width, height } = asset.dimensions || {};
+        const landscape = !!(width && height && width > height);
+        return asset.duration <= 60 && !landscape ? 'SHORT' : 'VIDEO';
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Post type of a resolved platform: the chosen one, else the default
+   * @param {object} platform - Entry of resolvePlatforms
+   * @param {object} asset - Publish asset
+   * @returns {string|undefined}
+   */
+  typeOf(platform, asset) {
+    return platform.options.type || this.defaultType(platform.name, asset);
+  }
+
+  /**
+   * Bundle.social `data` for a post, keyed by platform type
+   * @param {Array<object>} resolved - Result of resolvePlatforms
+   * @param {object} context - { asset, video }
+   * @returns {object}
+   */
+  buildPlatformData(resolved, { asset, video }) {
+    const platformData = {};
+
+    resolved.forEach(platform => {
+      const platformName = platform.name.toUpperCase();
+
+      switch (platformName) {
+        case 'INSTAGRAM':
+          platformData[platformName] = {
+            type: this.defaultType(platform.name, asset),
+            text: platform.text,
+            uploadIds: [asset.uploadId],
+            thumbnailOffset: 0,
+            shareToFeed: true
+          };
+          break;
+        case 'TIKTOK':
+          platformData[platformName] = {
+            text: platform.text,
+            uploadIds: [asset.uploadId],
+            privacy: 'PUBLIC_TO_EVERYONE',
+            isBrandContent: false,
+            disableComments: false,
+            disableDuet: false,
+            disableStitch: false
+          };
+          break;
+        case 'YOUTUBE':
+          platformData[platformName] = {
+            type: this.defaultType(platform.name, asset),
+            uploadIds: [asset.uploadId],
+            text: video.title || platform.caption.substring(0, 100),
+            description: platform.text,
+            privacy: 'PUBLIC',
+            madeForKids: false
+          };
+          break;
+        case 'FACEBOOK':
+          platformData[platformName] = {
+            type: this.defaultType(platform.name, asset),
+            text: platform.text,
+            uploadIds: [asset.uploadId]
+          };
+          break;
+        case 'LINKEDIN':
+          platformData[platformName] = {
+            text: platform.text,
+            uploadIds: [asset.uploadId],
+            privacy: 'PUBLIC',
+            hideFromFeed: false,
+            disableReshare: false
+          };
+          break;
+        default:
+          platformData[platformName] = {
+            text: platform.text,
+            uploadIds: [asset.uploadId]
+          };
+      }
+
+      // Options from the request and the post template
+      Object.assign(platformData[platformName], platform.options);
+    });
+
+    return platformData;
+  }
+}
+
+// Export singleton instance
+module.exports = new PostPlatformService();
@@ -0,0 +1,373 @@
+const Post = require('../models/Post');
+const bundleSocialService = require('./bundleSocialService');
+const logger = require('../utils/logger');
+
+/**
+ * Post Publish Queue
+ * MongoDB-backed job queue that hands scheduled posts to Bundle.social.
+ *
+ * Every scheduled post carries its own job state in `post.publishJob`:
+ *   queued → processing → submitted
+ *                       ↘ retrying → processing ... (transient failures, exponential backoff)
+ *                       ↘ dead_letter (permanent failure, attempts exhausted, or a failure
+ *                                      that may have created the post)
+ *
+ * Dead-lettered posts stay in the database so admins can inspect and replay them.
+ */
+class PostPublishQueue {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.instanceId = `${process.pid}-${Date.now()}`;
+    this.pollInterval = parseInt(process.env.POST_PUBLISH_QUEUE_INTERVAL) || 15 * 1000; // 15 seconds
+    this.maxAttempts = parseInt(process.env.POST_PUBLISH_MAX_ATTEMPTS) || 5;
+    this.baseDelay = parseInt(process.env.POST_PUBLISH_RETRY_BASE_DELAY) || 30 * 1000; // 30 seconds
+    this.maxDelay = parseInt(process.env.POST_PUBLISH_RETRY_MAX_DELAY) || 30 * 60 * 1000; // 30 minutes
+    this.leaseTimeout = 10 * 60 * 1000; // 10 minutes (Bundle.social calls can take several minutes)
+    this.batchSize = 5;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Post publish queue tick failed:', error.message);
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+
+    logger.info('Post publish queue started', {
+      instanceId: this.instanceId,
+      pollInterval: this.pollInterval,
+      maxAttempts: this.maxAttempts
+    });
+  }
+
+  /**
+   * Stop polling (an in-flight attempt finishes on its own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Post publish queue stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Run a single processing cycle
+   */
+  async tick() {
+    // Skip if the previous cycle is still running
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.recoverStaleLocks();
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const post = await this.claimNext();
+        if (!post) {
+          break;
+        }
+        await this.attempt(post);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Create a job for a freshly created post and try to submit it right away
+   * The job is locked to this instance first so the poller can't pick it up concurrently
+   * @param {object} post - Post document
+   * @param {object} bundlePostParams - Prepared Bundle.social scheduled post request
+   * @returns {Promise<object>} Attempt outcome (see attempt())
+   */
+  async enqueue(post, bundlePostParams) {
+    const now = new Date();
+
+    post.publishJob = {
+      state: 'processing',
+      payload: bundlePostParams,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lockedAt: now,
+      lockedBy: this.instanceId,
+      history: []
+    };
+    await post.save();
+
+    return this.attempt(post);
+  }
+
+  /**
+   * Atomically claim the next job that is due
+   * @returns {Promise<object|null>} Claimed post or null if nothing is due
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return Post.findOneAndUpdate(
+      {
+        'publishJob.state': { $in: ['queued', 'retrying'] },
+        'publishJob.nextAttemptAt': { $lte: now }
+      },
+      {
+        $set: {
+          'publishJob.state': 'processing',
+          'publishJob.lockedAt': now,
+          'publishJob.lockedBy': this.instanceId
+        }
+      },
+      {
+        sort: { 'publishJob.nextAttemptAt': 1 },
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Put back jobs whose worker died mid-attempt (e.g. process crash or deploy)
+   */
+  async recoverStaleLocks() {
+    const cutoff = new Date(Date.now() - this.leaseTimeout);
+    const now = new Date();
+
+    const result = await Post.updateMany(
+      {
+        'publishJob.state': 'processing',
+        'publishJob.lockedAt': { $lte: cutoff }
+      },
+      {
+        $set: {
+          'publishJob.state': 'retrying',
+          'publishJob.nextAttemptAt': now,
+          'publishJob.lastError': 'Publish attempt interrupted before completion'
+        },
+        $unset: {
+          'publishJob.lockedAt': 1,
+          'publishJob.lockedBy': 1
+        },
+        $push: {
+          'publishJob.history': {
+            at: now,
+            outcome: 'interrupted',
+            error: 'Publish attempt interrupted before completion'
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn('Requeued interrupted post publish jobs:', { count: result.modifiedCount });
+    }
+  }
+
+  /**
+   * Submit a claimed job to Bundle.social and record the outcome on the post
+   * @param {object} post - Post document with publishJob in 'processing' state
+   * @returns {Promise<object>} { state, bundlePost, error }
+   */
+  async attempt(post) {
+    const job = post.publishJob;
+    const now = new Date();
+
+    job.attempts += 1;
+    job.lastAttemptAt = now;
+
+    try {
+      const bundlePost = await bundleSocialService.createScheduledPost({
+        ...job.payload,
+        inlineRetries: false // Retries are handled by this queue
+      });
+
+      this.applyBundleResult(post, bundlePost);
+
+      job.state = 'submitted';
+      job.submittedAt = new Date();
+      job.lastError = undefined;
+      job.lockedAt = undefined;
+      job.lockedBy = undefined;
+      job.history.push({ attempt: job.attempts, at: now, outcome: 'submitted' });
+
+      await post.save();
+
+      logger.info('Scheduled post submitted to Bundle.social:', {
+        postId: post._id,
+        bundlePostId: bundlePost.id,
+        attempt: job.attempts
+      });
+
+      return { state: job.state, bundlePost, error: null };
+    } catch (error) {
+      const transient = this.isTransientError(error);
+      const canRetry = transient && job.attempts < job.maxAttempts;
+
+      job.lastError = error.message;
+      job.lockedAt = undefined;
+      job.lockedBy = undefined;
+
+      if (canRetry) {
+        job.state = 'retrying';
+        job.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+        job.history.push({
+          attempt: job.attempts,
+          at: now,
+          outcome: 'retry_scheduled',
+          error: error.message,
+          statusCode: error.statusCode
+        });
+
+        logger.warn('Scheduled post publish failed, retry scheduled:', {
+          postId: post._id,
+          attempt: job.attempts,
+          maxAttempts: job.maxAttempts,
+          nextAttemptAt: job.nextAttemptAt,
+          error: error.message
+        });
+      } else {
+        job.state = 'dead_letter';
+        job.deadLetteredAt = new Date();
+        job.history.push({
+          attempt: job.attempts,
+          at: now,
+          outcome: 'dead_lettered',
+          error: error.message,
+          statusCode: error.statusCode
+        });
+
+        post.bundleStatus = 'error';
+        post.bundleError = error.message;
+        post.platforms.forEach(platform => {
+          platform.status = 'failed';
+          platform.errorMessage = error.message;
+        });
+
+        logger.error('Scheduled post moved to dead-letter queue:', {
+          postId: post._id,
+          attempts: job.attempts,
+          transient,
+          error: error.message
+        });
+      }
+
+      await post.save();
+
+      return { state: job.state, bundlePost: null, error };
+    }
+  }
+
+  /**
+   * Put a dead-lettered post back on the queue
+   * @param {object} post - Post document in 'dead_letter' state
+   * @param {string} adminId - Admin who triggered the replay
+   */
+  async replay(post, adminId) {
+    const job = post.publishJob;
+    const now = new Date();
+
+    job.state = 'queued';
+    job.attempts = 0; // Fresh retry budget
+    job.nextAttemptAt = now;
+    job.lastError = undefined;
+    job.deadLetteredAt = undefined;
+    job.replayCount = (job.replayCount || 0) + 1;
+    job.replayedAt = now;
+    job.replayedBy = adminId;
+    job.history.push({ at: now, outcome: 'replayed' });
+
+    post.bundleStatus = 'draft';
+    post.bundleError = undefined;
+    post.platforms.forEach(platform => {
+      platform.status = 'scheduled';
+      platform.errorMessage = undefined;
+    });
+
+    await post.save();
+
+    logger.info('Dead-lettered post requeued:', {
+      postId: post._id,
+      replayCount: job.replayCount,
+      adminId
+    });
+
+    return post;
+  }
+
+  /**
+   * Transient failures are worth retrying. Creating a post is not idempotent, so only
+   * failures where Bundle.social never accepted the request count: DNS errors, refused
+   * connections and rate limits. Timeouts, dropped connections and 5xx responses may
+   * still have created the post, so they are dead-lettered for an admin to check first.
+   * @param {Error} error - Error thrown by bundleSocialService
+   * @returns {boolean}
+   */
+  isTransientError(error) {
+    if (['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) {
+      return true;
+    }
+
+    return error.statusCode === 429;
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const exponential = this.baseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+    const jitter = Math.random() * this.baseDelay;
+    return Math.min(exponential + jitter, this.maxDelay);
+  }
+
+  /**
+   * Copy Bundle.social's response onto the local post
+   * @param {object} post - Post document
+   * @param {object} bundlePost - Bundle.social post response
+   */
+  applyBundleResult(post, bundlePost) {
+    post.bundlePostId = bundlePost.id;
+    post.bundleStatus = bundlePost.status.toLowerCase(); // Use actual Bundle.social status
+
+    // Set publishedAt if the post is already posted
+    if (bundlePost.status === 'POSTED' && bundlePost.postedDate) {
+      post.publishedAt = new Date(bundlePost.postedDate);
+
+      // Update platform statuses to published
+      post.platforms.forEach(platform => {
+        platform.status = 'published';
+        platform.publishedAt = post.publishedAt;
+        // Set platform post ID if available in external data
+        if (bundlePost.externalData && bundlePost.externalData[platform.name.toUpperCase()]) {
+          platform.postId = bundlePost.externalData[platform.name.toUpperCase()].id;
+        }
+      });
+    } else {
+      // Update platform statuses based on Bundle.social status
+      const platformStatus = bundlePost.status === 'SCHEDULED' ? 'scheduled' :
+                             bundlePost.status === 'ERROR' ? 'failed' : 'pending';
+      post.platforms.forEach(platform => {
+        platform.status = platformStatus;
+        if (bundlePost.errors && bundlePost.errors[platform.name.toUpperCase()]) {
+          platform.errorMessage = bundlePost.errors[platform.name.toUpperCase()];
+        }
+      });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new PostPublishQueue();
@@ -0,0 +1,112 @@
+/**
+ * Post Status Sync
+ * Applies a Bundle.social post representation onto a local Post document.
+ * Shared by the on-demand sync endpoints and the Bundle.social webhook receiver.
+ */
+class PostStatusSync {
+  constructor() {
+    this.knownStatuses = ['draft', 'scheduled', 'posted', 'error', 'deleted', 'processing'];
+  }
+
+  /**
+   * Copy status, platform states, errors and external data from Bundle.social
+   * Does not save the document - callers decide when to persist
+   * @param {object} post - Post document
+   * @param {object} bundlePost - Bundle.social post object
+   * @returns {boolean} Whether anything on the post changed
+   */
+  apply(post, bundlePost) {
+    let wasUpdated = false;
+
+    // Update status (ignore statuses our schema doesn't know about)
+    const newStatus = bundlePost.status ? bundlePost.status.toLowerCase() : null;
+    if (newStatus && this.knownStatuses.includes(newStatus) && post.bundleStatus !== newStatus) {
+      post.bundleStatus = newStatus;
+      wasUpdated = true;
+    }
+
+    // Update published date if post is now posted
+    if (bundlePost.status === 'POSTED' && bundlePost.postedDate && !post.publishedAt) {
+      post.publishedAt = new Date(bundlePost.postedDate);
+      wasUpdated = true;
+    }
+
+    // Update individual platform statuses based on Bundle.social status
+    if (bundlePost.status === 'POSTED') {
+      post.platforms.forEach(platform => {
+        if (platform.status !== 'published') {
+          platform.status = 'published';
+          platform.publishedAt = post.publishedAt || new Date(bundlePost.postedDate);
+          // Set platform post ID if available in external data
+          if (bundlePost.externalData && bundlePost.externalData[platform.name.toUpperCase()]) {
+            platform.postId = bundlePost.externalData[platform.name.toUpperCase()].id;
+          }
+          wasUpdated = true;
+        }
+      });
+    } else if (bundlePost.status === 'ERROR') {
+      post.platforms.forEach(platform => {
+        if (platform.status !== 'failed') {
+          platform.status = 'failed';
+          // Set platform-specific error message if available
+          if (bundlePost.errors && bundlePost.errors[platform.name.toUpperCase()]) {
+            platform.errorMessage = bundlePost.errors[platform.name.toUpperCase()];
+          }
+          wasUpdated = true;
+        }
+      });
+    } else if (bundlePost.status === 'SCHEDULED') {
+      post.platforms.forEach(platform => {
+        if (platform.status !== 'scheduled') {
+          platform.status = 'scheduled';
+          wasUpdated = true;
+        }
+      });
+    }
+
+    // Update error information - normalize null/undefined comparison
+    const normalizedBundleError = bundlePost.error || null;
+    const normalizedPostError = post.bundleError || null;
+    if (normalizedBundleError !== normalizedPostError) {
+      post.bundleError = bundlePost.error;
+      wasUpdated = true;
+    }
+
+    // Update platform-specific errors
+    if (bundlePost.errors) {
+      if (!post.bundleErrors) {
+        post.bundleErrors = new Map();
+      }
+
+      for (const [platform, error] of Object.entries(bundlePost.errors)) {
+        if (post.bundleErrors.get(platform) !== error) {
+          post.bundleErrors.set(platform, error);
+          wasUpdated = true;
+        }
+      }
+    }
+
+    // Update external data (platform post IDs and permalinks)
+    if (bundlePost.externalData) {
+      if (!post.bundleExternalData) {
+        post.bundleExternalData = new Map();
+      }
+
+      for (const [platform, data] of Object.entries(bundlePost.externalData)) {
+        const currentData = post.bundleExternalData.get(platform);
+        if (!currentData || currentData.id !== data.id || currentData.permalink !== data.permalink) {
+          post.bundleExternalData.set(platform, {
+            id: data.id,
+            permalink: data.permalink
+          });
+          wasUpdated = true;
+        }
+      }
+    }
+
+    return wasUpdated;
+  }
+}
+
+// Export singleton instance
+module.exports = new PostStatusSync();
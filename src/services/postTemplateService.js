@@ -0,0 +1,134 @@
+const PostTemplate = require('../models/PostTemplate');
+const AppError = require('../utils/appError');
+
+const MAX_POST_TEMPLATES = 50;
+const MAX_CAPTION_LENGTH = 2200;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Variables a caption snippet can use. Dates and times are the post's publish time in UTC.
+const TEMPLATE_VARIABLES = {
+  title: { description: 'Video title', value: ({ video }) => video?.title || '' },
+  description: { description: 'Video description', value: ({ video }) => video?.description || '' },
+  name: { description: 'Your name', value: ({ user }) => user?.name || '' },
+  date: { description: 'Publish date (YYYY-MM-DD)', value: ({ date }) => date.toISOString().slice(0, 10) },
+  time: { description: 'Publish time (HH:MM, UTC)', value: ({ date }) => date.toISOString().slice(11, 16) },
+  weekday: { description: 'Publish weekday (e.g. Monday)', value: ({ date }) => WEEKDAYS[date.getUTCDay()] },
+  year: { description: 'Publish year', value: ({ date }) => String(date.getUTCFullYear()) }
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Post Template Service
+ * Fills caption snippets and merges a user's saved post template with the values sent in a
+ * post creation request (values in the request win).
+ */
+class PostTemplateService {
+  constructor() {
+    this.maxPerUser = MAX_POST_TEMPLATES;
+  }
+
+  /**
+   * Variables available in caption snippets
+   * @returns {Array<object>} [{ name, placeholder, description }]
+   */
+  listVariables() {
+    return Object.entries(TEMPLATE_VARIABLES).map(([name, variable]) => ({
+      name,
+      placeholder: `{{${name}}}`,
+      description: variable.description
+    }));
+  }
+
+  /**
+   * Variables used in a caption snippet that do not exist
+   * @param {string} text - Caption snippet
+   * @returns {Array<string>}
+   */
+  findUnknownVariables(text) {
+    const unknown = new Set();
+    for (const [, name] of (text || '').matchAll(VARIABLE_PATTERN)) {
+      if (!TEMPLATE_VARIABLES[name]) {
+        unknown.add(name);
+      }
+    }
+    return [...unknown];
+  }
+
+  /**
+   * Fill the variables of a caption snippet
+   * @param {string} text - Caption snippet
+   * @param {object} context - { video, user, date }
+   * @returns {string}
+   */
+  renderCaption(text, { video, user, date = new Date() } = {}) {
+    return (text || '')
+      .replace(VARIABLE_PATTERN, (placeholder, name) => {
+        const variable = TEMPLATE_VARIABLES[name];
+        return variable ? variable.value({ video, user, date }) : placeholder;
+      })
+      .trim();
+  }
+
+  /**
+   * A template of the user
+   * @param {string} userId - User id
+   * @param {string} templateId - Template id
+   * @returns {Promise<object>} Plain PostTemplate object
+   */
+  async findForUser(userId, templateId) {
+    const template = await PostTemplate.findOne({ _id: templateId, user: userId }).lean();
+    if (!template) {
+      throw new AppError('Post template not found', 404);
+    }
+    return template;
+  }
+
+  /**
+   * Combine a template with the values of a post creation request. Caption and hashtags from
+   * the request (or its caption version) replace the template's, platforms replace the
+   * template's platform list, and settings are merged field by field.
+   * @param {object} template - PostTemplate
+   * @param {object} values - { caption, hashtags, platforms, settings } from the request
+   * @param {object} context - { video, user, date } for caption variables
+   * @returns {object} { caption, hashtags, platforms, settings, platformOptions }
+   */
+  applyToPost(template, { caption, hashtags, platforms, settings }, context) {
+    const merged = {
+      caption: caption || this.renderCaption(template.caption, context),
+      hashtags: hashtags && hashtags.length > 0 ? hashtags : template.hashtags || [],
+      platforms: platforms && platforms.length > 0
+        ? platforms
+        : (template.platforms || []).map(name => ({ name })),
+      settings: { ...(template.settings || {}), ...(settings || {}) },
+      platformOptions: template.platformOptions || {}
+    };
+
+    if (!merged.caption) {
+      throw new AppError('Caption is required: the template has no caption snippet', 400);
+    }
+    if (merged.caption.length > MAX_CAPTION_LENGTH) {
+      throw new AppError(`Caption cannot be longer than ${MAX_CAPTION_LENGTH} characters once the template variables are filled in`, 400);
+    }
+    if (merged.platforms.length === 0) {
+      throw new AppError('At least one platform must be selected: the template has no platforms', 400);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Count a post created from the template
+   * @param {string} templateId - Template id
+   */
+  async recordUse(templateId) {
+    await PostTemplate.updateOne(
+      { _id: templateId },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new PostTemplateService();
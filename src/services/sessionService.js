@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../utils/helpers');
+
+// Token signing per account type: app users and admins use separate secrets
+const TOKEN_ISSUERS = {
+  User: {
+    signAccess: payload => generateToken(payload),
+    signRefresh: payload => generateRefreshToken(payload),
+    verifyRefresh: token => verifyRefreshToken(token)
+  },
+  AdminUser: {
+    signAccess: payload => jwt.sign(payload, process.env.ADMIN_JWT_SECRET, {
+      expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '1d'
+    }),
+    signRefresh: payload => jwt.sign(payload, process.env.ADMIN_JWT_REFRESH_SECRET, {
+      expiresIn: process.env.ADMIN_JWT_REFRESH_EXPIRES_IN || '7d'
+    }),
+    verifyRefresh: token => jwt.verify(token, process.env.ADMIN_JWT_REFRESH_SECRET)
+  }
+};
+
+// Fields of a session shown to its owner
+const PUBLIC_SESSION_FIELDS = 'userAgent ipAddress lastSeenAt expiresAt createdAt';
+
+/**
+ * Session Service
+ * One session per signed-in device. Refresh tokens are rotated on every use; reusing a
+ * rotated-out token revokes the whole session (token family).
+ */
+class SessionService {
+  /**
+   * Device details recorded with a session
+   * @param {object} req - Express request
+   * @returns {object} { userAgent, ipAddress }
+   */
+  getClientInfo(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').substring(0, 500),
+      ipAddress: req.ip || (req.connection && req.connection.remoteAddress)
+    };
+  }
+
+  /**
+   * Sign an access / refresh token pair for a session with a fresh token ID
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} principalId - User or admin ID
+   * @param {string} sessionId - Session ID
+   * @returns {object} { accessToken, refreshToken, tokenId, expiresAt }
+   */
+  issueTokens(principalType, principalId, sessionId) {
+    const issuer = TOKEN_ISSUERS[principalType];
+    const tokenId = crypto.randomUUID();
+
+    const accessToken = issuer.signAccess({ id: principalId, sid: sessionId });
+    const refreshToken = issuer.signRefresh({ id: principalId, sid: sessionId, jti: tokenId });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenId,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Start a session for a new sign-in
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} principalId - User or admin ID
+   * @param {object} req - Express request (user agent and IP)
+   * @returns {Promise<object>} { session, accessToken, refreshToken }
+   */
+  async createSession(principalType, principalId, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { accessToken, refreshToken, tokenId, expiresAt } =
+      this.issueTokens(principalType, principalId, sessionId);
+
+    const session = await AuthSession.create({
+      _id: sessionId,
+      principalType,
+      principal: principalId,
+      tokenId,
+      expiresAt,
+      ...this.getClientInfo(req)
+    });
+
+    logger.info('Session created:', { principalType, principalId, sessionId });
+
+    return { session, accessToken, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Only the latest refresh token of a
+   * session is accepted; an older one means it leaked, so the session is revoked.
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} token - Refresh token
+   * @param {object} req - Express request
+   * @returns {Promise<object>} { session, accessToken, refreshToken }
+   */
+  async rotate(principalType, token, req) {
+    let decoded;
+    try {
+      decoded = TOKEN_ISSUERS[principalType].verifyRefresh(token);
+    } catch (error) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    // Tokens issued before sessions existed carry no session ID
+    if (!decoded.sid || !decoded.jti || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+      throw new AppError('Invalid refresh token. Please log in again.', 401);
+    }
+
+    const next = this.issueTokens(principalType, decoded.id, decoded.sid);
+
+    // Compare-and-swap on the token ID so two requests cannot both rotate the same token
+    const session = await AuthSession.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        principalType,
+        principal: decoded.id,
+        tokenId: decoded.jti,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          tokenId: next.tokenId,
+          expiresAt: next.expiresAt,
+          lastSeenAt: new Date(),
+          ...this.getClientInfo(req)
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return { session, accessToken: next.accessToken, refreshToken: next.refreshToken };
+    }
+
+    const existing = await AuthSession.findOne({ _id: decoded.sid, principalType, principal: decoded.id });
+
+    if (existing && existing.isActive && existing.tokenId !== decoded.jti) {
+      await this.revokeSession(principalType, decoded.id, existing._id, 'token_reuse');
+      logger.warn('Refresh token reuse detected, session revoked:', {
+        principalType,
+        principalId: decoded.id,
+        sessionId: existing._id,
+        ipAddress: this.getClientInfo(req).ipAddress
+      });
+    }
+
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  /**
+   * Whether a session may still be used (checked for every access token that carries a sid)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isActive(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+    const session = await AuthSession.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!session;
+  }
+
+  /**
+   * Active sessions of a user or admin, most recently used first
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} principalId - User or admin ID
+   * @param {string} currentSessionId - Session of the request, flagged as `current`
+   * @returns {Promise<Array>}
+   */
+  async listSessions(principalType, principalId, currentSessionId) {
+    const sessions = await AuthSession.find({
+      principalType,
+      principal: principalId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select(PUBLIC_SESSION_FIELDS)
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+    }));
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} principalId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - AuthSession.revokedReason value
+   * @returns {Promise<boolean>} false if there was no such active session
+   */
+  async revokeSession(principalType, principalId, sessionId, reason = 'logout') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+
+    const result = await AuthSession.updateOne(
+      { _id: sessionId, principalType, principal: principalId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user or admin
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} principalId - User or admin ID
+   * @param {object} options - { reason, exceptSessionId } exceptSessionId stays signed in
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(principalType, principalId, { reason = 'logout_all', exceptSessionId } = {}) {
+    const filter = { principalType, principal: principalId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await AuthSession.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    logger.info('Sessions revoked:', { principalType, principalId, reason, count: result.modifiedCount });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Remove all sessions of a deleted account
+   * @param {string} principalType - 'User' or 'AdminUser'
+   * @param {string} principalId - User or admin ID
+   * @param {object} options - { session } optional mongoose transaction session
+   */
+  async deleteAll(principalType, principalId, { session } = {}) {
+    await AuthSession.deleteMany({ principalType, principal: principalId }).session(session || null);
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+const SettingsVersion = require('../models/SettingsVersion');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { isEncrypted, decryptSecret, rewrapSecret } = require('../utils/secretEncryption');
+
+// Bookkeeping fields that are not part of a settings version
+const METADATA_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastUpdatedBy', 'lastUpdatedAt'];
+const SECRET_MASK = '••••••••';
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => (current ? current[key] : undefined), obj);
+  if (parent) {
+    parent[keys[keys.length - 1]] = value;
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Leaf values by dot path; arrays are compared as a whole
+const flatten = (obj, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+};
+
+// Secrets are compared by their decrypted value, so re-encrypting or re-wrapping is not a change
+const secretFingerprint = (value, path) => {
+  if (!value) return '';
+  try {
+    return crypto.createHash('sha256').update(decryptSecret(value, path)).digest('hex');
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Field-level differences between two snapshots, secrets masked
+ */
+const computeDiff = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+  const changes = [];
+
+  for (const path of paths) {
+    if (Settings.SECRET_PATHS.includes(path)) {
+      if (secretFingerprint(from[path], path) !== secretFingerprint(to[path], path)) {
+        changes.push({
+          path,
+          from: from[path] ? SECRET_MASK : '',
+          to: to[path] ? SECRET_MASK : '',
+          secret: true
+        });
+      }
+    } else if (JSON.stringify(from[path]) !== JSON.stringify(to[path])) {
+      changes.push({ path, from: from[path] ?? null, to: to[path] ?? null });
+    }
+  }
+
+  return changes;
+};
+
+const maskSnapshot = (snapshot) => {
+  const masked = JSON.parse(JSON.stringify(snapshot));
+  for (const path of Settings.SECRET_PATHS) {
+    if (getPath(masked, path)) {
+      setPath(masked, path, SECRET_MASK);
+    }
+  }
+  return masked;
+};
+
+/**
+ * Settings History Service
+ * Stores every change to the settings as a numbered snapshot with a field-level diff, and
+ * restores earlier snapshots.
+ */
+class SettingsHistoryService {
+  /**
+   * The settings document as stored (secrets included, as stored), without bookkeeping fields
+   * @returns {Promise<object|null>}
+   */
+  async getStoredSnapshot() {
+    const stored = await Settings.collection.findOne({ _id: 'app_settings' });
+    if (!stored) {
+      return null;
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(stored));
+    METADATA_FIELDS.forEach(field => delete snapshot[field]);
+    return snapshot;
+  }
+
+  /**
+   * Settings changed before history was kept have no snapshot of their current state;
+   * store one before it is overwritten so it can be rolled back to.
+   */
+  async ensureBaselineRecorded() {
+    if (await SettingsVersion.exists({})) {
+      return;
+    }
+
+    const snapshot = await this.getStoredSnapshot();
+    if (!snapshot) {
+      return;
+    }
+
+    try {
+      await SettingsVersion.create({
+        version: 1,
+        snapshot,
+        changes: [],
+        source: 'baseline',
+        note: 'Settings before change history was kept'
+      });
+    } catch (error) {
+      // Another request stored the baseline first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Snapshot the current settings as a new version
+   * @param {object} options - { adminId, source, note, restoredVersion }
+   * @returns {Promise<object|null>} The SettingsVersion, or null when nothing changed
+   */
+  async recordVersion({ adminId, source = 'update', note, restoredVersion } = {}) {
+    const snapshot = await this.getStoredSnapshot();
+    if (!snapshot) {
+      return null;
+    }
+
+    // Retry when a concurrent change takes the same version number
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const latest = await SettingsVersion.findOne().sort({ version: -1 }).select('+snapshot').lean();
+      const changes = computeDiff(latest ? latest.snapshot : {}, snapshot);
+
+      if (latest && changes.length === 0) {
+        return null;
+      }
+
+      try {
+        const version = await SettingsVersion.create({
+          version: latest ? latest.version + 1 : 1,
+          snapshot,
+          changes,
+          source,
+          restoredVersion,
+          note,
+          createdBy: adminId
+        });
+
+        logger.info('Settings version recorded:', {
+          version: version.version,
+          source,
+          changedFields: changes.length,
+          adminId
+        });
+
+        return version;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new AppError('Settings were changed by someone else at the same time. Please try again.', 409);
+  }
+
+  /**
+   * Versions, newest first (without snapshots)
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} { versions, total }
+   */
+  async listVersions({ page = 1, limit = 20 } = {}) {
+    const [versions, total] = await Promise.all([
+      SettingsVersion.find()
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'name email')
+        .lean(),
+      SettingsVersion.countDocuments()
+    ]);
+
+    return { versions, total };
+  }
+
+  /**
+   * One version with its settings (secrets masked)
+   * @param {number} versionNumber - Version
+   * @returns {Promise<object>}
+   */
+  async getVersion(versionNumber) {
+    const version = await this.findVersion(versionNumber);
+    return { ...version, snapshot: maskSnapshot(version.snapshot) };
+  }
+
+  /**
+   * Differences between two versions, or between a version and the current settings
+   * @param {number} fromVersion - Version
+   * @param {number} [toVersion] - Version; the current settings when omitted
+   * @returns {Promise<object>} { from, to, changes }
+   */
+  async compareVersions(fromVersion, toVersion) {
+    const from = await this.findVersion(fromVersion);
+    const toSnapshot = toVersion
+      ? (await this.findVersion(toVersion)).snapshot
+      : await this.getStoredSnapshot();
+
+    return {
+      from: from.version,
+      to: toVersion || 'current',
+      changes: computeDiff(from.snapshot, toSnapshot || {})
+    };
+  }
+
+  /**
+   * Restore the settings of an earlier version. The rollback is itself recorded as a new version.
+   * Secrets encrypted with a master key that is no longer configured keep their current value.
+   * @param {number} versionNumber - Version to restore
+   * @param {object} options - { adminId, note }
+   * @returns {Promise<object>} { version, changedSections, skippedSecrets }
+   */
+  async rollback(versionNumber, { adminId, note } = {}) {
+    const target = await this.findVersion(versionNumber);
+
+    const settings = await Settings.getSettings();
+    const currentSecrets = Object.fromEntries(Settings.SECRET_PATHS.map(path => [path, settings.get(path)]));
+
+    for (const [section, value] of Object.entries(target.snapshot)) {
+      settings.set(section, value);
+    }
+
+    // Store secrets decrypted; the save hook encrypts them with the current key
+    const skippedSecrets = [];
+    for (const path of Settings.SECRET_PATHS) {
+      const value = getPath(target.snapshot, path);
+      if (!isEncrypted(value)) continue;
+
+      try {
+        settings.set(path, decryptSecret(value, path));
+      } catch (error) {
+        settings.set(path, currentSecrets[path]);
+        skippedSecrets.push(path);
+      }
+    }
+
+    settings.lastUpdatedBy = adminId;
+    settings.lastUpdatedAt = new Date();
+    await settings.save();
+
+    const version = await this.recordVersion({
+      adminId,
+      source: 'rollback',
+      note,
+      restoredVersion: target.version
+    });
+
+    if (skippedSecrets.length > 0) {
+      logger.warn('Settings rollback kept current secrets that could not be decrypted:', {
+        restoredVersion: target.version,
+        skippedSecrets
+      });
+    }
+
+    const changedSections = version
+      ? [...new Set(version.changes.map(change => change.path.split('.')[0]))]
+      : [];
+
+    return { version, changedSections, skippedSecrets };
+  }
+
+  /**
+   * Encrypt plain secrets in stored snapshots and re-wrap encrypted ones with the current master
+   * key (used by the settings encryption migration and key rotation)
+   * @returns {Promise<object>} { updated, failed } - number of versions
+   */
+  async encryptSnapshotSecrets() {
+    const result = { updated: 0, failed: 0 };
+    const cursor = SettingsVersion.collection.find({}, { projection: { version: 1, snapshot: 1 } });
+
+    for await (const version of cursor) {
+      const updates = {};
+      try {
+        for (const path of Settings.SECRET_PATHS) {
+          const value = getPath(version.snapshot, path);
+          if (!value) continue;
+
+          const updated = rewrapSecret(value, path);
+          if (updated !== value) {
+            updates[`snapshot.${path}`] = updated;
+          }
+        }
+      } catch (error) {
+        logger.warn('Could not re-encrypt settings version:', { version: version.version, message: error.message });
+        result.failed++;
+        continue;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await SettingsVersion.collection.updateOne({ _id: version._id }, { $set: updates });
+        result.updated++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {number} versionNumber - Version
+   * @returns {Promise<object>} Version with its stored snapshot
+   */
+  async findVersion(versionNumber) {
+    const version = await SettingsVersion.findOne({ version: versionNumber })
+      .select('+snapshot')
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!version) {
+      throw new AppError('Settings version not found', 404);
+    }
+
+    return version;
+  }
+}
+
+// Export singleton instance
+module.exports = new SettingsHistoryService();
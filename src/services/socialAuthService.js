@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const configService = require('./configService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+const DEFAULT_JWKS_TTL = 60 * 60 * 1000; // when the key endpoint sends no max-age
+const UNKNOWN_KID_REFETCH_INTERVAL = 60 * 1000; // at most one refetch per minute for unknown key ids
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Social Auth Service
+ * Verifies Google and Apple ID tokens server-side: the signature against the provider's
+ * published keys (JWKS, cached per the endpoint's max-age), the issuer, the audience
+ * (client IDs configured in Settings.socialAuth) and expiry.
+ *
+ * JWKS URLs can be overridden with GOOGLE_JWKS_URI / APPLE_JWKS_URI, e.g. to point at a
+ * local stub in tests.
+ */
+class SocialAuthService {
+  constructor() {
+    this.providers = {
+      google: {
+        label: 'Google',
+        jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+        issuers: ['https://accounts.google.com', 'accounts.google.com'],
+        clientIdsKey: 'googleClientIds'
+      },
+      apple: {
+        label: 'Apple',
+        jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+        issuers: ['https://appleid.apple.com'],
+        clientIdsKey: 'appleClientIds'
+      }
+    };
+
+    // provider → { keys: Map(kid → KeyObject), expiresAt, fetchedAt }
+    this.jwksCache = new Map();
+  }
+
+  /**
+   * Verify a provider ID token
+   * @param {string} provider - 'google' or 'apple'
+   * @param {string} idToken - ID token (JWT) from the provider's sign-in SDK
+   * @param {object} options - { nonce } the nonce the client sent to the provider, if any
+   * @returns {Promise<object>} { provider, subject, email, emailVerified, isPrivateRelayEmail, name, picture }
+   */
+  async verifyIdToken(provider, idToken, { nonce } = {}) {
+    const providerConfig = this.providers[provider];
+    if (!providerConfig) {
+      throw new AppError(`Unsupported login provider: ${provider}`, 400);
+    }
+
+    const audience = await this.getClientIds(provider);
+    if (audience.length === 0) {
+      logger.error(`${providerConfig.label} sign-in is not configured: no client IDs in settings`);
+      throw new AppError(`${providerConfig.label} sign-in is not available`, 503);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      throw new AppError(`Invalid ${providerConfig.label} ID token`, 401);
+    }
+
+    if (decoded.header.alg !== 'RS256') {
+      throw new AppError(`Invalid ${providerConfig.label} ID token algorithm`, 401);
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience,
+        issuer: providerConfig.issuers,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      logger.warn(`${providerConfig.label} ID token rejected:`, { error: error.message });
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError(`${providerConfig.label} ID token has expired. Please sign in again.`, 401);
+      }
+      throw new AppError(`Invalid ${providerConfig.label} ID token`, 401);
+    }
+
+    if (!payload.sub) {
+      throw new AppError(`Invalid ${providerConfig.label} ID token`, 401);
+    }
+
+    if (nonce && !this.nonceMatches(payload.nonce, nonce)) {
+      throw new AppError(`Invalid ${providerConfig.label} ID token nonce`, 401);
+    }
+
+    const email = payload.email ? payload.email.toLowerCase() : null;
+
+    return {
+      provider,
+      subject: payload.sub,
+      email,
+      // Google sends booleans, Apple sends "true"/"false" strings
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+      isPrivateRelayEmail: provider === 'apple' && (
+        payload.is_private_email === true ||
+        payload.is_private_email === 'true' ||
+        (!!email && email.endsWith('@privaterelay.appleid.com'))
+      ),
+      name: payload.name || null,
+      picture: payload.picture || null
+    };
+  }
+
+  /**
+   * Client IDs (audiences) accepted for a provider
+   * @param {string} provider - 'google' or 'apple'
+   * @returns {Promise<string[]>}
+   */
+  async getClientIds(provider) {
+    const config = await configService.getSocialAuthConfig();
+    return config[this.providers[provider].clientIdsKey] || [];
+  }
+
+  /**
+   * Public key for a key id, fetching the provider JWKS when it is stale or the key is unknown
+   * @param {string} provider - 'google' or 'apple'
+   * @param {string} kid - Key id from the token header
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async getSigningKey(provider, kid) {
+    const now = Date.now();
+    let cached = this.jwksCache.get(provider);
+
+    const stale = !cached || cached.expiresAt <= now;
+    const unknownKid = cached && !cached.keys.has(kid) && now - cached.fetchedAt >= UNKNOWN_KID_REFETCH_INTERVAL;
+
+    // Providers rotate keys; an unknown kid triggers a refetch (throttled)
+    if (stale || unknownKid) {
+      try {
+        cached = await this.fetchJwks(provider);
+        this.jwksCache.set(provider, cached);
+      } catch (error) {
+        logger.error(`Failed to fetch ${this.providers[provider].label} signing keys:`, error.message);
+        // Keep using stale keys rather than locking everyone out
+        if (!cached) {
+          throw new AppError(`Could not verify ${this.providers[provider].label} sign-in right now. Please try again.`, 503);
+        }
+      }
+    }
+
+    const key = cached.keys.get(kid);
+    if (!key) {
+      throw new AppError(`Invalid ${this.providers[provider].label} ID token`, 401);
+    }
+
+    return key;
+  }
+
+  /**
+   * Download and parse a provider's JWKS
+   * @param {string} provider - 'google' or 'apple'
+   * @returns {Promise<object>} { keys, expiresAt, fetchedAt }
+   */
+  async fetchJwks(provider) {
+    const response = await axios.get(this.providers[provider].jwksUri, { timeout: 10000 });
+
+    const keys = new Map();
+    for (const jwk of response.data?.keys || []) {
+      if (jwk.kty !== 'RSA' || !jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+        continue;
+      }
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn(`Skipping unreadable ${this.providers[provider].label} signing key:`, { kid: jwk.kid });
+      }
+    }
+
+    const now = Date.now();
+    const maxAge = /max-age=(\d+)/.exec(response.headers?.['cache-control'] || '');
+
+    logger.debug(`Fetched ${keys.size} ${this.providers[provider].label} signing keys`);
+
+    return {
+      keys,
+      fetchedAt: now,
+      expiresAt: now + (maxAge ? parseInt(maxAge[1], 10) * 1000 : DEFAULT_JWKS_TTL)
+    };
+  }
+
+  /**
+   * Clients may hand the provider either the raw nonce or its SHA-256 (Apple's recommendation)
+   * @param {string} tokenNonce - nonce claim from the token
+   * @param {string} nonce - nonce sent by the client
+   * @returns {boolean}
+   */
+  nonceMatches(tokenNonce, nonce) {
+    if (!tokenNonce) {
+      return false;
+    }
+    const hashed = crypto.createHash('sha256').update(nonce).digest('hex');
+    return tokenNonce === nonce || tokenNonce === hashed;
+  }
+
+  /**
+   * Drop cached keys (e.g. after changing JWKS URLs)
+   */
+  clearCache() {
+    this.jwksCache.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new SocialAuthService();
@@ -0,0 +1,777 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const bundleSocialService = require('./bundleSocialService');
+const logger = require('../utils/logger');
+const { OVERLAY_IMAGE_TYPES, MAX_OVERLAY_IMAGE_SIZE } = require('../config/constants');
+const { parseImageDataUrl, isAllowedOverlayImageUrl } = require('../utils/helpers');
+
+// Named filters accepted in `edits.filters` → ffmpeg video filter
+const FILTER_PRESETS = {
+  grayscale: 'hue=s=0',
+  blackwhite: 'hue=s=0',
+  sepia: 'colorchannelmixer=.393:.769:.189:0:.349:.686:.168:0:.272:.534:.131',
+  vintage: 'curves=preset=vintage',
+  warm: 'colorbalance=rs=.1:gs=.05:bs=-.1',
+  cool: 'colorbalance=rs=-.1:bs=.1',
+  bright: 'eq=brightness=0.08',
+  contrast: 'eq=contrast=1.2',
+  vivid: 'eq=saturation=1.4',
+  blur: 'boxblur=2:1',
+  sharpen: 'unsharp=5:5:1.0',
+  vignette: 'vignette',
+  invert: 'negate'
+};
+
+/**
+ * Video Renderer
+ * Local job that renders `Video.edits` (trim, speed, filters, overlays) with ffmpeg and
+ * uploads the result to Bundle.social as a separate asset stored in `video.render`.
+ *
+ *   queued → rendering → completed
+ *                      ↘ failed
+ *
+ * While a render is queued or running, `video.status` is 'processing'. It goes back to
+ * 'completed' either way, since the original upload stays usable when a render fails.
+ * Overlay timestamps are seconds on the rendered (trimmed and re-timed) timeline.
+ */
+class VideoRenderer {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.instanceId = `${process.pid}-${Date.now()}`;
+    this.pollInterval = parseInt(process.env.VIDEO_RENDER_INTERVAL) || 10 * 1000; // 10 seconds
+    this.renderTimeout = parseInt(process.env.VIDEO_RENDER_TIMEOUT) || 20 * 60 * 1000; // 20 minutes
+    this.leaseTimeout = this.renderTimeout + 5 * 60 * 1000; // Render time plus download/upload slack
+    this.maxAttempts = 3;
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.fontFile = process.env.VIDEO_RENDER_FONT_FILE || '';
+  }
+
+  /**
+   * Start polling for queued renders
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Video renderer tick failed:', error.message);
+      });
+    }, this.pollInterval);
+
+    // Don't keep the process alive just for the renderer
+    this.timer.unref();
+
+    logger.info('Video renderer started', {
+      instanceId: this.instanceId,
+      pollInterval: this.pollInterval,
+      ffmpegPath: this.ffmpegPath
+    });
+  }
+
+  /**
+   * Stop polling (an in-flight render finishes on its own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Video renderer stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Run a single processing cycle - renders are CPU heavy, so one at a time
+   */
+  async tick() {
+    // Skip if the previous render is still running
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.recoverStaleRenders();
+
+      const video = await this.claimNext();
+      if (video) {
+        await this.render(video);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Queue a render of the video's current edits
+   * @param {object} video - Video document
+   * @returns {Promise<object>} Updated video
+   */
+  async requestRender(video) {
+    // The previous render's asset is kept until the new one completes
+    video.set({
+      'render.state': 'queued',
+      'render.progress': 0,
+      'render.attempts': 0,
+      'render.requestedAt': new Date(),
+      'render.startedAt': undefined,
+      'render.completedAt': undefined,
+      'render.lockedAt': undefined,
+      'render.lockedBy': undefined,
+      'render.error': undefined
+    });
+    video.status = 'processing';
+
+    await video.save();
+
+    logger.info('Video render queued:', { videoId: video._id, userId: video.user });
+
+    return video;
+  }
+
+  /**
+   * Atomically claim the oldest queued render
+   * @returns {Promise<object|null>} Claimed video or null
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return Video.findOneAndUpdate(
+      { 'render.state': 'queued' },
+      {
+        $set: {
+          'render.state': 'rendering',
+          'render.startedAt': now,
+          'render.lockedAt': now,
+          'render.lockedBy': this.instanceId,
+          'render.progress': 0
+        },
+        $inc: { 'render.attempts': 1 }
+      },
+      {
+        sort: { 'render.requestedAt': 1 },
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Requeue renders whose worker died mid-render, or fail them once attempts are exhausted
+   */
+  async recoverStaleRenders() {
+    const cutoff = new Date(Date.now() - this.leaseTimeout);
+    const stale = { 'render.state': 'rendering', 'render.lockedAt': { $lte: cutoff } };
+
+    const failed = await Video.updateMany(
+      { ...stale, 'render.attempts': { $gte: this.maxAttempts } },
+      {
+        $set: {
+          'render.state': 'failed',
+          'render.error': 'Render interrupted too many times',
+          status: 'completed'
+        },
+        $unset: { 'render.lockedAt': 1, 'render.lockedBy': 1 }
+      }
+    );
+
+    const requeued = await Video.updateMany(
+      stale,
+      {
+        $set: { 'render.state': 'queued', 'render.progress': 0 },
+        $unset: { 'render.lockedAt': 1, 'render.lockedBy': 1 }
+      }
+    );
+
+    if (failed.modifiedCount > 0 || requeued.modifiedCount > 0) {
+      logger.warn('Recovered interrupted video renders:', {
+        requeued: requeued.modifiedCount,
+        failed: failed.modifiedCount
+      });
+    }
+  }
+
+  /**
+   * Render a claimed video, upload the result and record it on the video
+   * @param {object} video - Video document in 'rendering' state
+   */
+  async render(video) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'soloai-render-'));
+    const editsHash = this.computeEditsHash(video.edits);
+
+    try {
+      logger.info('Video render started:', {
+        videoId: video._id,
+        attempt: video.render.attempts,
+        editsHash
+      });
+
+      const sourcePath = await this.downloadSource(video, workDir);
+      const probe = await this.probe(sourcePath);
+      const overlayInputs = await this.prepareOverlays(video.edits?.overlays || [], workDir);
+      const outputPath = path.join(workDir, 'rendered.mp4');
+
+      const { args, expectedDuration } = this.buildFfmpegArgs({
+        edits: video.edits || {},
+        sourcePath,
+        outputPath,
+        probe,
+        overlayInputs
+      });
+
+      await this.runFfmpeg(args, expectedDuration, video._id);
+
+      const buffer = await fs.promises.readFile(outputPath);
+      const user = await User.findById(video.user).select('bundleTeamId');
+      if (!user?.bundleTeamId) {
+        throw new Error('Video owner has no Bundle.social team');
+      }
+
+      const bundleUpload = await bundleSocialService.uploadVideo(user.bundleTeamId, {
+        buffer,
+        originalname: `${path.parse(video.originalName || 'video').name}-rendered.mp4`,
+        mimetype: 'video/mp4'
+      });
+
+      const previousUploadId = video.render?.bundleUploadId;
+
+      // Only record the result if we still own the render
+      const completed = await Video.findOneAndUpdate(
+        { _id: video._id, 'render.state': 'rendering', 'render.lockedBy': this.instanceId },
+        {
+          $set: {
+            'render.state': 'completed',
+            'render.progress': 100,
+            'render.editsHash': editsHash,
+            'render.completedAt': new Date(),
+            'render.bundleUploadId': bundleUpload.id,
+            'render.thumbnailUrl': bundleUpload.thumbnailUrl,
+            'render.iconUrl': bundleUpload.iconUrl,
+            'render.dimensions': { width: bundleUpload.width, height: bundleUpload.height },
+            'render.duration': bundleUpload.videoLength || expectedDuration,
+            'render.fileSize': buffer.length,
+            status: 'completed'
+          },
+          $unset: { 'render.lockedAt': 1, 'render.lockedBy': 1, 'render.error': 1 }
+        },
+        { new: true }
+      );
+
+      if (!completed) {
+        // Lost the lock (lease expired or render re-requested) - discard our upload
+        await this.deleteRenderedUpload(bundleUpload.id);
+        logger.warn('Video render finished after losing its lock, result discarded:', { videoId: video._id });
+        return;
+      }
+
+      if (previousUploadId && previousUploadId !== bundleUpload.id) {
+        await this.deleteRenderedUpload(previousUploadId);
+      }
+
+      logger.info('Video render completed:', {
+        videoId: video._id,
+        bundleUploadId: bundleUpload.id,
+        fileSize: buffer.length
+      });
+    } catch (error) {
+      logger.error('Video render failed:', { videoId: video._id, error: error.message });
+
+      await Video.updateOne(
+        { _id: video._id, 'render.lockedBy': this.instanceId },
+        {
+          $set: {
+            'render.state': 'failed',
+            'render.error': error.message,
+            status: 'completed'
+          },
+          $unset: { 'render.lockedAt': 1, 'render.lockedBy': 1 }
+        }
+      );
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Fetch the original video into the working directory
+   * @param {object} video - Video document
+   * @param {string} workDir - Temporary directory
+   * @returns {Promise<string>} Local path of the source file
+   */
+  async downloadSource(video, workDir) {
+    if (video.storageType === 'local' && video.filePath) {
+      return video.filePath;
+    }
+
+    if (!video.bundleUploadId) {
+      throw new Error('Video has no source file to render');
+    }
+
+    const upload = await bundleSocialService.getUpload(video.bundleUploadId);
+    const sourceUrl = upload.url || upload.signedUrl;
+    if (!sourceUrl) {
+      throw new Error('Bundle.social upload has no downloadable URL');
+    }
+
+    const sourcePath = path.join(workDir, `source${path.extname(video.originalName || '') || '.mp4'}`);
+    await this.downloadToFile(sourceUrl, sourcePath);
+
+    return sourcePath;
+  }
+
+  /**
+   * Stream a remote file to disk
+   * @param {string} url - Remote URL
+   * @param {string} filePath - Destination path
+   */
+  async downloadToFile(url, filePath) {
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: 5 * 60 * 1000
+    });
+
+    await pipeline(response.data, fs.createWriteStream(filePath));
+  }
+
+  /**
+   * Download an overlay image from an allow-listed host, refusing redirects,
+   * non-image responses and anything over MAX_OVERLAY_IMAGE_SIZE
+   * @param {string} url - Image URL
+   * @param {string} filePath - Destination path
+   */
+  async downloadOverlayImage(url, filePath) {
+    if (!isAllowedOverlayImageUrl(url)) {
+      throw new Error('Overlay image URL is not on an allowed image host');
+    }
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 30 * 1000,
+      maxRedirects: 0,
+      maxContentLength: MAX_OVERLAY_IMAGE_SIZE
+    });
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!OVERLAY_IMAGE_TYPES.includes(contentType)) {
+      throw new Error(`Overlay image has unsupported content type: ${contentType || 'unknown'}`);
+    }
+
+    await fs.promises.writeFile(filePath, Buffer.from(response.data));
+  }
+
+  /**
+   * Write overlay assets (text files for drawtext, images for stickers/drawings) to disk
+   * @param {Array} overlays - edits.overlays
+   * @param {string} workDir - Temporary directory
+   * @returns {Promise<Array>} Overlays with local asset paths
+   */
+  async prepareOverlays(overlays, workDir) {
+    const prepared = [];
+
+    for (const [index, overlay] of overlays.entries()) {
+      const data = overlay.data || {};
+
+      if (overlay.type === 'text') {
+        const text = typeof data === 'string' ? data : data.text;
+        if (!text) {
+          continue;
+        }
+
+        const textPath = path.join(workDir, `overlay-${index}.txt`);
+        await fs.promises.writeFile(textPath, String(text));
+        prepared.push({ ...overlay, data, textPath });
+        continue;
+      }
+
+      // Stickers and drawings are rendered from an image (URL or data URL)
+      const imageSource = data.url || data.imageUrl || data.dataUrl;
+      if (!imageSource) {
+        logger.warn('Skipping overlay without an image source:', { type: overlay.type, index });
+        continue;
+      }
+
+      const imagePath = path.join(workDir, `overlay-${index}.png`);
+
+      // Sources are validated on save; checked again here for edits stored before that
+      if (String(imageSource).startsWith('data:')) {
+        const image = parseImageDataUrl(imageSource);
+        if (!image || image.data.length > MAX_OVERLAY_IMAGE_SIZE) {
+          throw new Error('Overlay image data URL is invalid or too large');
+        }
+        await fs.promises.writeFile(imagePath, image.data);
+      } else {
+        await this.downloadOverlayImage(imageSource, imagePath);
+      }
+
+      prepared.push({ ...overlay, data, imagePath });
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Read duration and stream layout of the source with ffprobe
+   * @param {string} filePath - Source file
+   * @returns {Promise<object>} { duration, hasAudio }
+   */
+  async probe(filePath) {
+    const { stdout } = await this.runProcess(this.ffprobePath, [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type',
+      '-of', 'json',
+      filePath
+    ], 60 * 1000);
+
+    const info = JSON.parse(stdout);
+
+    return {
+      duration: parseFloat(info.format?.duration) || 0,
+      hasAudio: (info.streams || []).some(stream => stream.codec_type === 'audio')
+    };
+  }
+
+  /**
+   * Translate the edit list into ffmpeg arguments
+   * @param {object} options - { edits, sourcePath, outputPath, probe, overlayInputs }
+   * @returns {object} { args, expectedDuration }
+   */
+  buildFfmpegArgs({ edits, sourcePath, outputPath, probe, overlayInputs }) {
+    const trimStart = Math.max(Number(edits.trimStart) || 0, 0);
+    const trimEnd = edits.trimEnd ? Math.min(Number(edits.trimEnd), probe.duration || Infinity) : probe.duration;
+    const speed = Number(edits.speed) || 1;
+
+    if (trimEnd && trimEnd <= trimStart) {
+      throw new Error('trimEnd must be greater than trimStart');
+    }
+
+    const sourceDuration = trimEnd ? trimEnd - trimStart : 0;
+    const expectedDuration = sourceDuration / speed;
+
+    const args = ['-y', '-hide_banner', '-nostats', '-progress', 'pipe:1'];
+
+    if (trimStart > 0) {
+      args.push('-ss', String(trimStart));
+    }
+    if (edits.trimEnd && sourceDuration > 0) {
+      args.push('-t', String(sourceDuration));
+    }
+    args.push('-i', sourcePath);
+
+    // Base video chain: speed, then named filters
+    const videoFilters = [];
+    if (speed !== 1) {
+      videoFilters.push(`setpts=PTS/${speed}`);
+    }
+    for (const name of edits.filters || []) {
+      const preset = FILTER_PRESETS[String(name).toLowerCase()];
+      if (preset) {
+        videoFilters.push(preset);
+      } else {
+        logger.warn('Ignoring unknown video filter:', { filter: name });
+      }
+    }
+    videoFilters.push('scale=trunc(iw/2)*2:trunc(ih/2)*2'); // libx264 needs even dimensions
+
+    const graph = [`[0:v]${videoFilters.join(',')}[v0]`];
+    let current = 'v0';
+    let inputIndex = 1;
+
+    overlayInputs.forEach((overlay, index) => {
+      const next = `v${index + 1}`;
+      const enable = this.buildEnableExpression(overlay, expectedDuration);
+
+      if (overlay.textPath) {
+        const options = [
+          `textfile='${overlay.textPath}'`,
+          `fontsize=${this.toNumber(overlay.data.fontSize, 48)}`,
+          `fontcolor=${this.toColor(overlay.data.color)}`,
+          `x=${this.toPosition(overlay.position?.x, 'w')}`,
+          `y=${this.toPosition(overlay.position?.y, 'h')}`,
+          `enable='${enable}'`
+        ];
+        if (this.fontFile) {
+          options.unshift(`fontfile='${this.fontFile}'`);
+        }
+        graph.push(`[${current}]drawtext=${options.join(':')}[${next}]`);
+      } else {
+        args.push('-i', overlay.imagePath);
+        const width = this.toNumber(overlay.data.width, 0);
+        const scaled = `ov${inputIndex}`;
+        graph.push(`[${inputIndex}:v]${width > 0 ? `scale=${width}:-1` : 'null'}[${scaled}]`);
+        graph.push(
+          `[${current}][${scaled}]overlay=x=${this.toPosition(overlay.position?.x, 'W')}:` +
+          `y=${this.toPosition(overlay.position?.y, 'H')}:enable='${enable}'[${next}]`
+        );
+        inputIndex += 1;
+      }
+
+      current = next;
+    });
+
+    const maps = ['-map', `[${current}]`];
+
+    if (probe.hasAudio) {
+      if (speed !== 1) {
+        graph.push(`[0:a]${this.buildAtempoChain(speed)}[aout]`);
+        maps.push('-map', '[aout]');
+      } else {
+        maps.push('-map', '0:a:0');
+      }
+    }
+
+    args.push('-filter_complex', graph.join(';'), ...maps);
+    args.push(
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      '-movflags', '+faststart',
+      outputPath
+    );
+
+    return { args, expectedDuration };
+  }
+
+  /**
+   * atempo only accepts 0.5-2.0, so chain it for speeds outside that range
+   * @param {number} speed - Playback speed (0.25-4)
+   * @returns {string} Audio filter chain
+   */
+  buildAtempoChain(speed) {
+    const filters = [];
+    let remaining = speed;
+
+    while (remaining > 2) {
+      filters.push('atempo=2.0');
+      remaining /= 2;
+    }
+    while (remaining < 0.5) {
+      filters.push('atempo=0.5');
+      remaining /= 0.5;
+    }
+    filters.push(`atempo=${remaining}`);
+
+    return filters.join(',');
+  }
+
+  /**
+   * Overlay visibility window - from its timestamp for `data.duration` seconds (or to the end)
+   */
+  buildEnableExpression(overlay, expectedDuration) {
+    const start = Math.max(this.toNumber(overlay.timestamp, 0), 0);
+    const duration = this.toNumber(overlay.data?.duration, 0);
+    const end = duration > 0 ? start + duration : Math.max(expectedDuration, start) + 1;
+    return `between(t,${start},${end})`;
+  }
+
+  /**
+   * Positions between 0 and 1 are relative to the frame, anything else is pixels
+   */
+  toPosition(value, dimension) {
+    const number = this.toNumber(value, 0);
+    if (number > 0 && number <= 1) {
+      return `${dimension}*${number}`;
+    }
+    return String(Math.round(number));
+  }
+
+  toNumber(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  toColor(value) {
+    if (typeof value === 'string' && /^(#?[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)$/.test(value)) {
+      return value.startsWith('#') ? `0x${value.slice(1)}` : value;
+    }
+    return 'white';
+  }
+
+  /**
+   * Run ffmpeg, reporting progress onto the video document
+   * @param {Array} args - ffmpeg arguments
+   * @param {number} expectedDuration - Output duration in seconds (for progress)
+   * @param {string} videoId - Video being rendered
+   */
+  async runFfmpeg(args, expectedDuration, videoId) {
+    let lastReported = 0;
+
+    const onStdout = (chunk) => {
+      const match = /out_time_(?:us|ms)=(\d+)/.exec(chunk);
+      if (!match || !expectedDuration) {
+        return;
+      }
+
+      const seconds = parseInt(match[1], 10) / 1000000;
+      const progress = Math.min(99, Math.floor((seconds / expectedDuration) * 100));
+
+      if (progress >= lastReported + 5) {
+        lastReported = progress;
+        // Progress doubles as a heartbeat for the render lease
+        Video.updateOne(
+          { _id: videoId, 'render.lockedBy': this.instanceId },
+          { $set: { 'render.progress': progress, 'render.lockedAt': new Date() } }
+        ).catch(error => logger.warn('Failed to record render progress:', error.message));
+      }
+    };
+
+    await this.runProcess(this.ffmpegPath, args, this.renderTimeout, onStdout);
+  }
+
+  /**
+   * Spawn a process and collect its output
+   * @param {string} command - Executable
+   * @param {Array} args - Arguments
+   * @param {number} timeout - Kill the process after this many milliseconds
+   * @param {Function} onStdout - Optional stdout chunk listener
+   * @returns {Promise<object>} { stdout }
+   */
+  runProcess(command, args, timeout, onStdout) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${path.basename(command)} timed out after ${Math.round(timeout / 1000)}s`));
+      }, timeout);
+
+      child.stdout.on('data', (chunk) => {
+        const text = chunk.toString();
+        if (onStdout) {
+          onStdout(text);
+        } else {
+          stdout += text;
+        }
+      });
+
+      child.stderr.on('data', (chunk) => {
+        // Keep only the tail - ffmpeg's error is at the end
+        stderr = (stderr + chunk.toString()).slice(-4000);
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${path.basename(command)}: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve({ stdout });
+        } else {
+          const lastLine = stderr.trim().split('\n').pop();
+          reject(new Error(`${path.basename(command)} exited with code ${code}: ${lastLine}`));
+        }
+      });
+    });
+  }
+
+  async deleteRenderedUpload(uploadId) {
+    try {
+      await bundleSocialService.deleteUpload(uploadId);
+    } catch (error) {
+      logger.warn('Failed to delete rendered upload from Bundle.social:', { uploadId, error: error.message });
+    }
+  }
+
+  /**
+   * Stable hash of an edit list, used to tell whether a render is still current
+   * @param {object} edits - video.edits
+   * @returns {string}
+   */
+  computeEditsHash(edits) {
+    const plain = edits?.toObject ? edits.toObject() : (edits || {});
+    const normalized = {
+      trimStart: plain.trimStart || 0,
+      trimEnd: plain.trimEnd || null,
+      speed: plain.speed || 1,
+      filters: plain.filters || [],
+      overlays: (plain.overlays || []).map(({ type, data, position, timestamp }) => ({
+        type,
+        data,
+        position: position ? { x: position.x, y: position.y } : null,
+        timestamp
+      }))
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Whether the edit list changes anything compared to the original
+   * @param {object} edits - video.edits
+   * @returns {boolean}
+   */
+  hasEdits(edits) {
+    if (!edits) {
+      return false;
+    }
+
+    return (edits.trimStart || 0) > 0 ||
+      !!edits.trimEnd ||
+      (edits.speed || 1) !== 1 ||
+      (edits.filters || []).length > 0 ||
+      (edits.overlays || []).length > 0;
+  }
+
+  /**
+   * Whether the video has a completed render of its current edits
+   * @param {object} video - Video document
+   * @returns {boolean}
+   */
+  isRenderCurrent(video) {
+    return video.render?.state === 'completed' &&
+      !!video.render.bundleUploadId &&
+      video.render.editsHash === this.computeEditsHash(video.edits);
+  }
+
+  /**
+   * Pick the Bundle.social asset a post should use
+   * @param {object} video - Video document
+   * @param {string} videoVersion - 'auto' (rendered if current, else original), 'original' or 'rendered'
+   * @returns {object} { uploadId, duration, dimensions, fileSize, mimeType, version } or { error }
+   */
+  resolvePublishAsset(video, videoVersion = 'auto') {
+    const renderCurrent = this.isRenderCurrent(video);
+
+    if (videoVersion === 'rendered' && !renderCurrent) {
+      return { error: 'Video has no completed render of its current edits. Render the video first.' };
+    }
+
+    if (videoVersion !== 'original' && renderCurrent) {
+      return {
+        uploadId: video.render.bundleUploadId,
+        duration: video.render.duration || video.duration,
+        dimensions: video.render.dimensions?.width ? video.render.dimensions : video.dimensions,
+        fileSize: video.render.fileSize,
+        mimeType: 'video/mp4', // Renders are H.264/AAC MP4
+        version: 'rendered'
+      };
+    }
+
+    return {
+      uploadId: video.bundleUploadId,
+      duration: video.duration,
+      dimensions: video.dimensions,
+      fileSize: video.fileSize,
+      mimeType: video.mimeType,
+      version: 'original'
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new VideoRenderer();
@@ -0,0 +1,108 @@
+// Brand voice helpers shared by the AI services' prompt builders and the provider router
+
+const EMOJI_INSTRUCTIONS = {
+  none: 'Do not use any emojis.',
+  minimal: 'Use at most one or two emojis.',
+  moderate: 'Use a few emojis where they add meaning.',
+  heavy: 'Use emojis generously throughout the caption.'
+};
+
+const CTA_INSTRUCTIONS = {
+  none: 'Do not include a call to action.',
+  soft: 'End with a gentle, low-pressure call to action.',
+  direct: 'End with a clear, direct call to action.',
+  question: 'End with a question that invites comments.',
+  link_in_bio: 'Point readers to the link in bio.'
+};
+
+const MAX_SAMPLE_POSTS = 3;
+const MAX_SAMPLE_LENGTH = 500;
+
+const normalizeHashtag = tag => `${tag}`.trim().replace(/^#+/, '');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Banned words found in the text (whole words/phrases, case-insensitive)
+const findBannedWords = (text, bannedWords = []) => {
+  if (!text) {
+    return [];
+  }
+
+  return bannedWords.filter(word => word && new RegExp(`(^|[^\\w])${escapeRegExp(word)}([^\\w]|$)`, 'i').test(text));
+};
+
+// Prompt section describing the brand voice; empty when no profile is selected
+const buildBrandVoiceInstructions = (brandVoice) => {
+  if (!brandVoice) {
+    return '';
+  }
+
+  const lines = [`BRAND VOICE: ${brandVoice.name} (follow these rules over any general style guidance)`];
+
+  if (brandVoice.description) {
+    lines.push(`- Voice: ${brandVoice.description}`);
+  }
+  if (brandVoice.emojiPolicy && EMOJI_INSTRUCTIONS[brandVoice.emojiPolicy]) {
+    lines.push(`- Emojis: ${EMOJI_INSTRUCTIONS[brandVoice.emojiPolicy]}`);
+  }
+  if (brandVoice.ctaStyle && CTA_INSTRUCTIONS[brandVoice.ctaStyle]) {
+    let cta = CTA_INSTRUCTIONS[brandVoice.ctaStyle];
+    if (brandVoice.ctaText && brandVoice.ctaStyle !== 'none') {
+      cta += ` Use this wording: "${brandVoice.ctaText}"`;
+    }
+    lines.push(`- Call to action: ${cta}`);
+  }
+  if (brandVoice.bannedWords && brandVoice.bannedWords.length > 0) {
+    lines.push(`- Never use these words or phrases: ${brandVoice.bannedWords.join(', ')}`);
+  }
+  if (brandVoice.requiredHashtags && brandVoice.requiredHashtags.length > 0) {
+    lines.push(`- Always include these hashtags: ${brandVoice.requiredHashtags.map(tag => `#${normalizeHashtag(tag)}`).join(' ')}`);
+  }
+
+  const samples = (brandVoice.samplePosts || []).filter(Boolean).slice(0, MAX_SAMPLE_POSTS);
+  if (samples.length > 0) {
+    lines.push('- Match the voice of these example posts:');
+    samples.forEach((sample, index) => {
+      lines.push(`  ${index + 1}. "${sample.slice(0, MAX_SAMPLE_LENGTH)}"`);
+    });
+  }
+
+  return lines.join('\n');
+};
+
+// Enforce the parts of a brand voice a model may ignore: required hashtags are added and
+// hashtags containing banned words are dropped. Banned words left in the caption are reported.
+const applyBrandVoice = (result, brandVoice, { includeHashtags = true } = {}) => {
+  if (!brandVoice) {
+    return result;
+  }
+
+  let hashtags = (result.hashtags || []).filter(tag => findBannedWords(tag, brandVoice.bannedWords).length === 0);
+
+  if (includeHashtags) {
+    const present = new Set(hashtags.map(tag => tag.toLowerCase()));
+    for (const tag of (brandVoice.requiredHashtags || []).map(normalizeHashtag)) {
+      if (tag && !present.has(tag.toLowerCase())) {
+        hashtags.push(tag);
+        present.add(tag.toLowerCase());
+      }
+    }
+  }
+
+  return {
+    ...result,
+    hashtags,
+    brandVoice: {
+      id: brandVoice._id,
+      name: brandVoice.name,
+      bannedWordsFound: findBannedWords(result.caption, brandVoice.bannedWords)
+    }
+  };
+};
+
+module.exports = {
+  buildBrandVoiceInstructions,
+  applyBrandVoice,
+  findBannedWords,
+  normalizeHashtag
+};
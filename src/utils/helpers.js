@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { OVERLAY_IMAGE_TYPES, OVERLAY_IMAGE_HOSTS } = require('../config/constants');
 
 // Generate random string
 const generateRandomString = (length = 32) => {
@@ -109,6 +110,36 @@ const removeUndefined = (obj) => {
   return cleaned;
 };
 
+// Integer from an environment variable; `fallback` when it is unset, empty or not a number (0 is kept)
+const parseEnvInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Parse a base64 image data URL of an allowed overlay image type
+const parseImageDataUrl = (value) => {
+  const match = /^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/]+={0,2})$/i.exec(value || '');
+  if (!match || !OVERLAY_IMAGE_TYPES.includes(match[1].toLowerCase())) {
+    return null;
+  }
+  return { mimeType: match[1].toLowerCase(), data: Buffer.from(match[2], 'base64') };
+};
+
+// Overlay images may only be fetched over HTTPS from the allow-listed hosts
+const isAllowedOverlayImageUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  return url.protocol === 'https:' &&
+    !url.port &&
+    !url.username &&
+    !url.password &&
+    OVERLAY_IMAGE_HOSTS.includes(url.hostname.toLowerCase());
+};
+
 module.exports = {
   generateRandomString,
   generateToken,
@@ -126,5 +157,8 @@ module.exports = {
   generateOtp,
   hashOtp,
   deepClone,
-  removeUndefined
+  removeUndefined,
+  parseEnvInt,
+  parseImageDataUrl,
+  isAllowedOverlayImageUrl
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Locale used when a request names no locale we have content for
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+/**
+ * Normalize a language tag to `ll` or `ll-RR` form (e.g. "pt_br" → "pt-BR", "EN" → "en")
+ * @param {string} tag - Language tag
+ * @returns {string|null} Normalized tag, or null when it is not a usable language tag
+ */
+const normalizeLocale = (tag) => {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  const match = /^([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}))?$/i.exec(tag.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, language, region] = match;
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+};
+
+/**
+ * Locales from an Accept-Language header, most preferred first
+ * @param {string} header - e.g. "pt-BR,pt;q=0.9,en;q=0.8"
+ * @returns {string[]}
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { locale: normalizeLocale(tag), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+};
+
+/**
+ * Locales a request asks for: the `?lang=` query parameter first, then Accept-Language
+ * @param {object} req - Express request
+ * @returns {string[]}
+ */
+const getRequestedLocales = (req) => {
+  const requested = [];
+
+  const lang = normalizeLocale(req.query?.lang);
+  if (lang) {
+    requested.push(lang);
+  }
+
+  for (const locale of parseAcceptLanguage(req.get('accept-language'))) {
+    if (!requested.includes(locale)) {
+      requested.push(locale);
+    }
+  }
+
+  return requested;
+};
+
+/**
+ * Pick the best available locale for the requested ones.
+ * For each requested locale in order: an exact match, then its base language
+ * ("pt-BR" → "pt"), then a regional variant of the same language ("pt" → "pt-BR").
+ * Falls back to the default locale, then to the first available locale.
+ * @param {string[]} requested - Requested locales, most preferred first
+ * @param {string[]} available - Locales content exists in
+ * @returns {string|null}
+ */
+const resolveLocale = (requested, available) => {
+  if (!available || available.length === 0) {
+    return null;
+  }
+
+  for (const locale of requested) {
+    if (available.includes(locale)) {
+      return locale;
+    }
+
+    const language = locale.split('-')[0];
+    if (available.includes(language)) {
+      return language;
+    }
+
+    const variant = available.find(candidate => candidate.split('-')[0] === language);
+    if (variant) {
+      return variant;
+    }
+  }
+
+  return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseAcceptLanguage,
+  getRequestedLocales,
+  resolveLocale
+};
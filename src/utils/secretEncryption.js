@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+// Envelope encryption for secrets stored in the database.
+// Every value gets its own random data key (AES-256-GCM); the data key is stored next to the
+// ciphertext, encrypted ("wrapped") with the master key from the environment. Rotating the master
+// key only re-wraps the data keys, the ciphertexts stay as they are.
+//
+// Stored format: enc:v1:<master key id>:<wrapped data key>:<iv>:<auth tag>:<ciphertext> (base64url)
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+// Accept a 32-byte key as 64 hex characters or base64
+const parseKey = (value) => {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error('Settings encryption keys must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+};
+
+// Short fingerprint telling which master key wrapped a data key
+const getKeyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+/**
+ * Master keys from the environment: SETTINGS_ENCRYPTION_KEY encrypts, keys listed in
+ * SETTINGS_ENCRYPTION_PREVIOUS_KEYS (comma-separated) can still decrypt until rotation is done
+ * @returns {{ current: object|null, byId: Map<string, Buffer> }}
+ */
+const getMasterKeys = () => {
+  const byId = new Map();
+  let current = null;
+
+  if (process.env.SETTINGS_ENCRYPTION_KEY) {
+    const key = parseKey(process.env.SETTINGS_ENCRYPTION_KEY);
+    current = { id: getKeyId(key), key };
+    byId.set(current.id, key);
+  }
+
+  for (const value of (process.env.SETTINGS_ENCRYPTION_PREVIOUS_KEYS || '').split(',')) {
+    if (value.trim()) {
+      const key = parseKey(value);
+      byId.set(getKeyId(key), key);
+    }
+  }
+
+  return { current, byId };
+};
+
+const isEncryptionConfigured = () => !!process.env.SETTINGS_ENCRYPTION_KEY;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:${VERSION}:`);
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const open = (key, { iv, tag, ciphertext }, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const wrapDataKey = (masterKey, dataKey) => {
+  const { iv, tag, ciphertext } = seal(masterKey, dataKey);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64url');
+};
+
+const unwrapDataKey = (masterKey, wrapped) => {
+  const buffer = Buffer.from(wrapped, 'base64url');
+  return open(masterKey, {
+    iv: buffer.subarray(0, IV_BYTES),
+    tag: buffer.subarray(IV_BYTES, IV_BYTES + 16),
+    ciphertext: buffer.subarray(IV_BYTES + 16)
+  });
+};
+
+const parse = (value) => {
+  const [, , keyId, wrappedKey, iv, tag, ciphertext] = value.split(':');
+  if (!ciphertext) {
+    throw new Error('Malformed encrypted value');
+  }
+  return { keyId, wrappedKey, iv, tag, ciphertext };
+};
+
+const getMasterKey = (keys, keyId) => {
+  const key = keys.byId.get(keyId);
+  if (!key) {
+    throw new Error(`Settings encryption key ${keyId} is not configured (SETTINGS_ENCRYPTION_KEY / SETTINGS_ENCRYPTION_PREVIOUS_KEYS)`);
+  }
+  return key;
+};
+
+/**
+ * Encrypt a secret. `context` (e.g. the field path) is authenticated, so a ciphertext cannot be
+ * copied into another field.
+ * @param {string} plaintext - Secret
+ * @param {string} context - Field the secret belongs to
+ * @returns {string} Encrypted value
+ */
+const encryptSecret = (plaintext, context) => {
+  const { current } = getMasterKeys();
+  if (!current) {
+    throw new Error('SETTINGS_ENCRYPTION_KEY is not configured');
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), context);
+
+  return [
+    PREFIX,
+    VERSION,
+    current.id,
+    wrapDataKey(current.key, dataKey),
+    iv.toString('base64url'),
+    tag.toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+};
+
+/**
+ * Decrypt a value from encryptSecret. Values that are not encrypted are returned unchanged.
+ * @param {string} value - Stored value
+ * @param {string} context - Field the secret belongs to
+ * @returns {string} Secret
+ */
+const decryptSecret = (value, context) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const parts = parse(value);
+  const dataKey = unwrapDataKey(getMasterKey(getMasterKeys(), parts.keyId), parts.wrappedKey);
+
+  return open(dataKey, {
+    iv: Buffer.from(parts.iv, 'base64url'),
+    tag: Buffer.from(parts.tag, 'base64url'),
+    ciphertext: Buffer.from(parts.ciphertext, 'base64url')
+  }, context).toString('utf8');
+};
+
+/**
+ * Re-wrap the data key of an encrypted value with the current master key (plain values are
+ * encrypted). Returns the value unchanged when it already uses the current key.
+ * @param {string} value - Stored value
+ * @param {string} context - Field the secret belongs to
+ * @returns {string} Encrypted value
+ */
+const rewrapSecret = (value, context) => {
+  if (!isEncrypted(value)) {
+    return encryptSecret(value, context);
+  }
+
+  const keys = getMasterKeys();
+  if (!keys.current) {
+    throw new Error('SETTINGS_ENCRYPTION_KEY is not configured');
+  }
+
+  const parts = parse(value);
+  if (parts.keyId === keys.current.id) {
+    return value;
+  }
+
+  const dataKey = unwrapDataKey(getMasterKey(keys, parts.keyId), parts.wrappedKey);
+
+  return [
+    PREFIX,
+    VERSION,
+    keys.current.id,
+    wrapDataKey(keys.current.key, dataKey),
+    parts.iv,
+    parts.tag,
+    parts.ciphertext
+  ].join(':');
+};
+
+/**
+ * Key ID of the master key that wrapped an encrypted value
+ * @param {string} value - Stored value
+ * @returns {string|null}
+ */
+const getValueKeyId = (value) => (isEncrypted(value) ? parse(value).keyId : null);
+
+module.exports = {
+  isEncryptionConfigured,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  getValueKeyId
+};
@@ -0,0 +1,54 @@
+// Server-Sent Events helpers
+
+const HEARTBEAT_INTERVAL = 15 * 1000; // keep proxies from closing idle streams
+
+// Start an event stream on the response
+// Returns { send(event, data), end(), isClosed() }; writes after the client disconnects are dropped
+const openEventStream = (res) => {
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': ping\n\n');
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  // res (not req) 'close' fires when the client disconnects; req 'close' fires once the body is read
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) {
+        return;
+      }
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+};
+
+module.exports = {
+  openEventStream
+};
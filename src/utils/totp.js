@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, 1Password, Authy etc.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+// Encode bytes as unpadded base32 (the format authenticator apps expect)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random shared secret (160 bits, base32)
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// Current time step number
+const getTimeStep = (time = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) => {
+  return Math.floor(time / 1000 / stepSeconds);
+};
+
+// HOTP value (RFC 4226) for a counter
+const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// TOTP value for a point in time
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getTimeStep(time));
+
+/**
+ * Check a code against the current time step and `window` steps either side (clock drift)
+ * @returns {number|null} The matching time step (callers store it to reject replays), or null
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateHotp(secret, currentStep + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// provisioning URI, rendered as a QR code by the client
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  // Spaces must be %20, not "+", or some authenticator apps show the plus signs
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${DEFAULT_DIGITS}`,
+    `period=${DEFAULT_STEP_SECONDS}`
+  ];
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { MAX_OVERLAY_IMAGE_SIZE } = require('../config/constants');
+const { parseImageDataUrl, isAllowedOverlayImageUrl } = require('./helpers');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -7,13 +9,26 @@ const registerSchema = Joi.object({
     'string.max': 'Name cannot be longer than 50 characters',
     'any.required': 'Name is required'
   }),
-  email: Joi.string().email().required().messages({
+  // For google/apple the email is taken from the verified ID token
+  email: Joi.when('loginType', {
+    is: 'email',
+    then: Joi.string().email().required(),
+    otherwise: Joi.string().email().optional()
+  }).messages({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required'
   }),
   loginType: Joi.string().valid('email', 'google', 'apple').default('email').messages({
     'any.only': 'Login type must be email, google, or apple'
   }),
+  idToken: Joi.when('loginType', {
+    is: 'email',
+    then: Joi.forbidden(),
+    otherwise: Joi.string().required().messages({
+      'any.required': 'idToken is required for Google and Apple sign-in'
+    })
+  }),
+  nonce: Joi.string().max(256).optional(),
   password: Joi.when('loginType', {
     is: 'email',
     then: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])')).required().messages({
@@ -44,11 +59,23 @@ const registerSchema = Joi.object({
 });
 
 const loginSchema = Joi.object({
-  email: Joi.string().email().required().messages({
+  email: Joi.when('loginType', {
+    is: 'email',
+    then: Joi.string().email().required(),
+    otherwise: Joi.string().email().optional()
+  }).messages({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required'
   }),
   loginType: Joi.string().valid('email', 'google', 'apple').default('email'),
+  idToken: Joi.when('loginType', {
+    is: 'email',
+    then: Joi.forbidden(),
+    otherwise: Joi.string().required().messages({
+      'any.required': 'idToken is required for Google and Apple sign-in'
+    })
+  }),
+  nonce: Joi.string().max(256).optional(),
   password: Joi.when('loginType', {
     is: 'email',
     then: Joi.string().required().messages({
@@ -90,6 +117,50 @@ const videoUploadSchema = Joi.object({
   })
 });
 
+// Sticker/drawing images: a base64 data URL, or an HTTPS URL on an allow-listed host
+const overlayImageSourceSchema = Joi.string().custom((value, helpers) => {
+  if (value.startsWith('data:')) {
+    const image = parseImageDataUrl(value);
+    if (!image) {
+      return helpers.error('overlayImage.dataUrl');
+    }
+    if (image.data.length > MAX_OVERLAY_IMAGE_SIZE) {
+      return helpers.error('overlayImage.size', { limit: MAX_OVERLAY_IMAGE_SIZE });
+    }
+    return value;
+  }
+
+  if (!isAllowedOverlayImageUrl(value)) {
+    return helpers.error('overlayImage.host');
+  }
+  return value;
+}).messages({
+  'overlayImage.dataUrl': 'Overlay image must be a base64 PNG, JPEG, GIF or WebP data URL',
+  'overlayImage.size': 'Overlay image cannot be larger than {#limit} bytes',
+  'overlayImage.host': 'Overlay image URL must be an HTTPS URL on an allowed image host'
+});
+
+const textOverlayDataSchema = Joi.alternatives().try(
+  Joi.string().min(1).max(500),
+  Joi.object({
+    text: Joi.string().min(1).max(500).required(),
+    fontSize: Joi.number().min(1).max(500).optional(),
+    color: Joi.string().max(20).optional(),
+    duration: Joi.number().min(0).optional()
+  })
+);
+
+const imageOverlayDataSchema = Joi.object({
+  url: overlayImageSourceSchema.optional(),
+  imageUrl: overlayImageSourceSchema.optional(),
+  dataUrl: overlayImageSourceSchema.optional(),
+  width: Joi.number().min(0).optional(),
+  duration: Joi.number().min(0).optional()
+}).xor('url', 'imageUrl', 'dataUrl').messages({
+  'object.missing': 'Overlay image requires one of url, imageUrl or dataUrl',
+  'object.xor': 'Overlay image accepts only one of url, imageUrl or dataUrl'
+});
+
 const videoEditSchema = Joi.object({
   title: Joi.string().min(1).max(100).optional(),
   description: Joi.string().max(500).optional(),
@@ -101,7 +172,11 @@ const videoEditSchema = Joi.object({
     overlays: Joi.array().items(
       Joi.object({
         type: Joi.string().valid('text', 'sticker', 'drawing').required(),
-        data: Joi.any().required(),
+        data: Joi.when('type', {
+          is: 'text',
+          then: textOverlayDataSchema,
+          otherwise: imageOverlayDataSchema
+        }).required(),
         position: Joi.object({
           x: Joi.number().required(),
           y: Joi.number().required()
@@ -112,32 +187,269 @@ const videoEditSchema = Joi.object({
   }).optional()
 });
 
+const videoRenderSchema = Joi.object({
+  force: Joi.boolean().optional()
+});
+
+const captionVersionFavoriteSchema = Joi.object({
+  isFavorite: Joi.boolean().required().messages({
+    'any.required': 'isFavorite is required'
+  })
+});
+
+// Brand voice validation schemas
+const brandVoiceFields = {
+  name: Joi.string().trim().min(1).max(60),
+  description: Joi.string().trim().max(500).allow(''),
+  tone: Joi.string().valid('professional', 'casual', 'funny', 'inspirational', 'educational', 'storytelling', 'urgent', 'luxury'),
+  samplePosts: Joi.array().items(Joi.string().trim().max(2200)).max(10).messages({
+    'array.max': 'A brand voice can have at most 10 sample posts'
+  }),
+  bannedWords: Joi.array().items(Joi.string().trim().min(1).max(50)).max(100),
+  requiredHashtags: Joi.array().items(Joi.string().trim().pattern(/^#?\w+$/).messages({
+    'string.pattern.base': 'Required hashtags may only contain letters, numbers and underscores'
+  })).max(30),
+  emojiPolicy: Joi.string().valid('none', 'minimal', 'moderate', 'heavy'),
+  ctaStyle: Joi.string().valid('none', 'soft', 'direct', 'question', 'link_in_bio'),
+  ctaText: Joi.string().trim().max(200).allow(''),
+  isDefault: Joi.boolean()
+};
+
+const brandVoiceCreateSchema = Joi.object({
+  ...brandVoiceFields,
+  name: brandVoiceFields.name.required().messages({
+    'any.required': 'Brand voice name is required'
+  })
+});
+
+const brandVoiceUpdateSchema = Joi.object(brandVoiceFields).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
+// Post template validation schemas
+const platformName = Joi.string().valid('instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin');
+
+// Per-platform options in Bundle.social terms
+const platformOptionKeys = {
+  instagram: {
+    type: Joi.string().valid('POST', 'REEL', 'STORY'),
+    shareToFeed: Joi.boolean()
+  },
+  tiktok: {
+    privacy: Joi.string().valid('PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY'),
+    isBrandContent: Joi.boolean(),
+    disableComments: Joi.boolean(),
+    disableDuet: Joi.boolean(),
+    disableStitch: Joi.boolean()
+  },
+  youtube: {
+    type: Joi.string().valid('SHORT', 'VIDEO'),
+    privacy: Joi.string().valid('PUBLIC', 'UNLISTED', 'PRIVATE'),
+    madeForKids: Joi.boolean()
+  },
+  facebook: {
+    type: Joi.string().valid('POST', 'REEL')
+  },
+  linkedin: {
+    privacy: Joi.string().valid('PUBLIC', 'CONNECTIONS'),
+    hideFromFeed: Joi.boolean(),
+    disableReshare: Joi.boolean()
+  }
+};
+
+const platformOptionsSchema = Joi.object({
+  instagram: Joi.object(platformOptionKeys.instagram),
+  tiktok: Joi.object(platformOptionKeys.tiktok),
+  youtube: Joi.object(platformOptionKeys.youtube),
+  facebook: Joi.object(platformOptionKeys.facebook),
+  linkedin: Joi.object(platformOptionKeys.linkedin)
+});
+
+const postSettingsSchema = Joi.object({
+  autoPublish: Joi.boolean().optional(),
+  allowComments: Joi.boolean().optional(),
+  allowLikes: Joi.boolean().optional(),
+  visibility: Joi.string().valid('public', 'private', 'unlisted').optional()
+});
+
+const postTemplateFields = {
+  name: Joi.string().trim().min(1).max(60),
+  description: Joi.string().trim().max(500).allow(''),
+  caption: Joi.string().trim().max(2200).allow(''),
+  hashtags: Joi.array().items(Joi.string().trim().pattern(/^#?\w+$/).messages({
+    'string.pattern.base': 'Hashtags may only contain letters, numbers and underscores'
+  })).max(30),
+  platforms: Joi.array().items(platformName).unique(),
+  settings: postSettingsSchema,
+  platformOptions: platformOptionsSchema
+};
+
+const postTemplateCreateSchema = Joi.object({
+  ...postTemplateFields,
+  name: postTemplateFields.name.required().messages({
+    'any.required': 'Template name is required'
+  })
+});
+
+const postTemplateUpdateSchema = Joi.object(postTemplateFields).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
+const postTemplatePreviewSchema = Joi.object({
+  videoId: Joi.string().optional(),
+  scheduledFor: Joi.date().optional()
+});
+
+// FAQ validation schemas
+const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': 'Must be a valid ID',
+  'string.length': 'Must be a valid ID'
+});
+
+const localeTag = Joi.string().trim().pattern(/^[a-zA-Z]{2,3}([-_]([a-zA-Z]{2}|\d{3}))?$/).messages({
+  'string.pattern.base': 'Locale must be a language tag such as en, de or pt-BR'
+});
+
+const faqCategoryFields = {
+  name: Joi.string().trim().min(1).max(80),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(80).messages({
+    'string.pattern.base': 'Slug may only contain lowercase letters, numbers and hyphens'
+  }),
+  description: Joi.string().trim().max(300).allow(''),
+  translations: Joi.object().pattern(localeTag, Joi.string().trim().min(1).max(80)),
+  isPublished: Joi.boolean()
+};
+
+const faqCategoryCreateSchema = Joi.object({
+  ...faqCategoryFields,
+  name: faqCategoryFields.name.required().messages({
+    'any.required': 'Category name is required'
+  })
+});
+
+const faqCategoryUpdateSchema = Joi.object(faqCategoryFields).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
+const faqEntryFields = {
+  category: objectId,
+  locale: localeTag,
+  question: Joi.string().trim().min(3).max(300),
+  answer: Joi.string().trim().min(1).max(5000),
+  answerHtml: Joi.string().max(20000).allow(''),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(40)).max(20),
+  isPublished: Joi.boolean()
+};
+
+const faqEntryCreateSchema = Joi.object({
+  ...faqEntryFields,
+  category: faqEntryFields.category.required().messages({
+    'any.required': 'Category is required'
+  }),
+  question: faqEntryFields.question.required().messages({
+    'any.required': 'Question is required'
+  }),
+  answer: faqEntryFields.answer.required().messages({
+    'any.required': 'Answer is required'
+  })
+});
+
+const faqEntryUpdateSchema = Joi.object(faqEntryFields).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
+const faqCategoryReorderSchema = Joi.object({
+  ids: Joi.array().items(objectId).min(1).unique().required().messages({
+    'any.required': 'ids is required',
+    'array.unique': 'ids must not contain duplicates'
+  })
+});
+
+const faqEntryReorderSchema = Joi.object({
+  category: objectId.required().messages({
+    'any.required': 'Category is required'
+  }),
+  locale: localeTag,
+  ids: Joi.array().items(objectId).min(1).unique().required().messages({
+    'any.required': 'ids is required',
+    'array.unique': 'ids must not contain duplicates'
+  })
+});
+
+const faqVoteSchema = Joi.object({
+  helpful: Joi.boolean().required().messages({
+    'any.required': 'helpful is required'
+  })
+});
+
+const faqSearchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required().messages({
+    'string.min': 'Search query must be at least 2 characters',
+    'any.required': 'Search query (q) is required'
+  }),
+  category: Joi.string().trim().lowercase().max(80),
+  lang: Joi.string().trim().max(20),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// A platform of a post, with optional caption, hashtags and options of its own.
+// Platform length and count limits are checked when the post is created.
+const postHashtagsSchema = Joi.array().items(Joi.string().max(30)).max(30);
+
+const postPlatformSchema = Joi.object({
+  name: platformName.required(),
+  accountId: Joi.string().required(),
+  caption: Joi.string().trim().min(1).messages({
+    'string.min': 'Platform caption cannot be empty'
+  }),
+  hashtags: postHashtagsSchema
+})
+  .when(Joi.object({ name: 'instagram' }).unknown(), {
+    then: Joi.object({
+      ...platformOptionKeys.instagram,
+      thumbnailOffset: Joi.number().integer().min(0) // Milliseconds into the video
+    })
+  })
+  .when(Joi.object({ name: 'tiktok' }).unknown(), { then: Joi.object(platformOptionKeys.tiktok) })
+  .when(Joi.object({ name: 'youtube' }).unknown(), { then: Joi.object(platformOptionKeys.youtube) })
+  .when(Joi.object({ name: 'facebook' }).unknown(), { then: Joi.object(platformOptionKeys.facebook) })
+  .when(Joi.object({ name: 'linkedin' }).unknown(), { then: Joi.object(platformOptionKeys.linkedin) });
+
 // Post validation schemas
 const postCreateSchema = Joi.object({
   videoId: Joi.string().required().messages({
     'any.required': 'Video ID is required'
   }),
-  caption: Joi.string().min(1).max(2200).required().messages({
+  // Optional when captionVersionId or templateId is given; the version's or template's caption is used instead
+  caption: Joi.string().min(1).max(2200).when('captionVersionId', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.when('templateId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+  }).messages({
     'string.min': 'Caption cannot be empty',
     'string.max': 'Caption cannot be longer than 2200 characters',
     'any.required': 'Caption is required'
   }),
-  hashtags: Joi.array().items(Joi.string().max(30)).max(30).optional(),
-  platforms: Joi.array().items(
-    Joi.object({
-      name: Joi.string().valid('instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin').required(),
-      accountId: Joi.string().required()
-    })
-  ).min(1).required().messages({
+  hashtags: postHashtagsSchema.optional(),
+  captionVersionId: Joi.string().optional(),
+  templateId: objectId.optional(),
+  videoVersion: Joi.string().valid('auto', 'original', 'rendered').default('auto'),
+  // Optional with a template; the template's platforms are used instead
+  platforms: Joi.array().items(postPlatformSchema).min(1).unique('name').when('templateId', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }).messages({
     'array.min': 'At least one platform must be selected',
+    'array.unique': 'Each platform can only be selected once',
     'any.required': 'Platforms are required'
   }),
-  settings: Joi.object({
-    autoPublish: Joi.boolean().optional(),
-    allowComments: Joi.boolean().optional(),
-    allowLikes: Joi.boolean().optional(),
-    visibility: Joi.string().valid('public', 'private', 'unlisted').optional()
-  }).optional()
+  settings: postSettingsSchema.optional()
 });
 
 // Scheduled post validation schema (for /api/v1/posts/schedule)
@@ -145,31 +457,44 @@ const postScheduleSchema = Joi.object({
   videoId: Joi.string().required().messages({
     'any.required': 'Video ID is required'
   }),
-  caption: Joi.string().min(1).max(2200).required().messages({
+  // Optional when captionVersionId or templateId is given; the version's or template's caption is used instead
+  caption: Joi.string().min(1).max(2200).when('captionVersionId', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.when('templateId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+  }).messages({
     'string.min': 'Caption cannot be empty',
     'string.max': 'Caption cannot be longer than 2200 characters',
     'any.required': 'Caption is required'
   }),
-  hashtags: Joi.array().items(Joi.string().max(30)).max(30).optional(),
-  platforms: Joi.array().items(
-    Joi.object({
-      name: Joi.string().valid('instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin').required(),
-      accountId: Joi.string().required()
-    })
-  ).min(1).required().messages({
+  hashtags: postHashtagsSchema.optional(),
+  captionVersionId: Joi.string().optional(),
+  templateId: objectId.optional(),
+  videoVersion: Joi.string().valid('auto', 'original', 'rendered').default('auto'),
+  // Optional with a template; the template's platforms are used instead
+  platforms: Joi.array().items(postPlatformSchema).min(1).unique('name').when('templateId', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }).messages({
     'array.min': 'At least one platform must be selected',
+    'array.unique': 'Each platform can only be selected once',
     'any.required': 'Platforms are required'
   }),
   scheduledFor: Joi.date().min('now').required().messages({
     'date.min': 'Scheduled date must be in the future',
     'any.required': 'Scheduled date is required for scheduled posts'
   }),
-  settings: Joi.object({
-    autoPublish: Joi.boolean().optional(),
-    allowComments: Joi.boolean().optional(),
-    allowLikes: Joi.boolean().optional(),
-    visibility: Joi.string().valid('public', 'private', 'unlisted').optional()
-  }).optional()
+  settings: postSettingsSchema.optional()
+});
+
+// Dry-run check of a post (for /api/v1/posts/validate); scheduledFor only sets the template date variables
+const postValidateSchema = postCreateSchema.keys({
+  scheduledFor: Joi.date().optional()
 });
 
 // Social account validation schemas - updated for portal-link approach
@@ -193,7 +518,8 @@ const aiCaptionSchema = Joi.object({
   prompt: Joi.string().max(500).optional().messages({
     'string.max': 'Prompt cannot be longer than 500 characters'
   }),
-  tone: Joi.string().valid('professional', 'casual', 'funny', 'inspirational', 'educational').default('casual').messages({
+  // No default so a selected brand voice can supply the tone
+  tone: Joi.string().valid('professional', 'casual', 'funny', 'inspirational', 'educational').optional().messages({
     'any.only': 'Tone must be one of: professional, casual, funny, inspirational, educational'
   }),
   includeHashtags: Joi.boolean().default(true),
@@ -203,7 +529,8 @@ const aiCaptionSchema = Joi.object({
   }),
   platform: Joi.string().valid('general', 'instagram', 'tiktok', 'youtube', 'facebook', 'twitter', 'linkedin').default('general').messages({
     'any.only': 'Platform must be one of: general, instagram, tiktok, youtube, facebook, twitter, linkedin'
-  })
+  }),
+  brandVoiceId: Joi.string().optional()
 });
 
 // Refresh token validation
@@ -213,6 +540,80 @@ const refreshTokenSchema = Joi.object({
   })
 });
 
+// Admin two-factor authentication validation
+const twoFactorCode = Joi.string().trim().min(6).max(20).required().messages({
+  'any.required': 'Verification code is required',
+  'string.min': 'Verification code must be at least 6 characters'
+});
+
+const twoFactorChallengeToken = Joi.string().required().messages({
+  'any.required': 'Challenge token is required'
+});
+
+const adminTwoFactorChallengeSchema = Joi.object({
+  challengeToken: twoFactorChallengeToken
+});
+
+const adminTwoFactorLoginSchema = Joi.object({
+  challengeToken: twoFactorChallengeToken,
+  code: twoFactorCode
+});
+
+const adminTwoFactorCodeSchema = Joi.object({
+  code: twoFactorCode
+});
+
+const adminTwoFactorDisableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  }),
+  code: twoFactorCode
+});
+
+const adminTwoFactorResetSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional()
+});
+
+// Settings history
+const settingsVersionNumber = Joi.number().integer().min(1);
+
+const settingsVersionCompareSchema = Joi.object({
+  from: settingsVersionNumber.required().messages({
+    'any.required': 'The version to compare from is required'
+  }),
+  // Omitted: compare with the current settings
+  to: settingsVersionNumber.optional()
+});
+
+const settingsRollbackSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional()
+});
+
+// Admin roles (permission strings are checked against the catalog by the role service)
+const adminRolePermissions = Joi.array()
+  .items(Joi.string().trim().pattern(/^(\*|[a-z_]+:(\*|[a-z]+))$/).messages({
+    'string.pattern.base': 'Permissions must look like "<resource>:<action>"'
+  }))
+  .max(100);
+
+const adminRoleCreateSchema = Joi.object({
+  name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_-]{1,39}$/).required().messages({
+    'string.pattern.base': 'Role name must be 2-40 characters: lowercase letters, numbers, "-" and "_", starting with a letter',
+    'any.required': 'Role name is required'
+  }),
+  description: Joi.string().trim().max(200).allow('').optional(),
+  permissions: adminRolePermissions.required().messages({
+    'any.required': 'Permissions are required'
+  })
+});
+
+const adminRoleUpdateSchema = Joi.object({
+  description: Joi.string().trim().max(200).allow('').optional(),
+  permissions: adminRolePermissions.optional()
+}).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
 // Delete account validation
 const deleteAccountSchema = Joi.object({
   password: Joi.string().optional().messages({
@@ -220,6 +621,24 @@ const deleteAccountSchema = Joi.object({
   })
 });
 
+// Restore account (token from the account deletion email)
+const restoreAccountSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid restore link',
+    'string.length': 'Invalid restore link',
+    'any.required': 'Restore token is required'
+  })
+});
+
+// Data export download link validation
+const dataExportDownloadSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid download link',
+    'string.length': 'Invalid download link',
+    'any.required': 'Download token is required'
+  })
+});
+
 // Email OTP validation schemas
 const sendEmailOtpSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -277,6 +696,18 @@ const resetPasswordSchema = Joi.object({
   })
 });
 
+// Legal consent validation schema
+const legalConsentSchema = Joi.object({
+  type: Joi.string().valid('privacy_policy', 'terms_of_use').required().messages({
+    'any.only': 'Type must be one of: privacy_policy, terms_of_use',
+    'any.required': 'Type is required'
+  }),
+  version: Joi.number().integer().min(1).required().messages({
+    'any.required': 'Version is required'
+  }),
+  locale: localeTag
+});
+
 // Inspiration validation schemas
 const inspirationSearchSchema = Joi.object({
   topic: Joi.string().trim().min(2).max(100).required().messages({
@@ -302,18 +733,46 @@ module.exports = {
   updateProfileSchema,
   videoUploadSchema,
   videoEditSchema,
+  videoRenderSchema,
+  captionVersionFavoriteSchema,
+  brandVoiceCreateSchema,
+  brandVoiceUpdateSchema,
+  postTemplateCreateSchema,
+  postTemplateUpdateSchema,
+  postTemplatePreviewSchema,
+  faqCategoryCreateSchema,
+  faqCategoryUpdateSchema,
+  faqEntryCreateSchema,
+  faqEntryUpdateSchema,
+  faqCategoryReorderSchema,
+  faqEntryReorderSchema,
+  faqVoteSchema,
+  faqSearchSchema,
   postCreateSchema,
   postScheduleSchema,
+  postValidateSchema,
   socialAccountConnectSchema,
   paginationSchema,
   aiCaptionSchema,
   refreshTokenSchema,
+  adminTwoFactorChallengeSchema,
+  adminTwoFactorLoginSchema,
+  adminTwoFactorCodeSchema,
+  adminTwoFactorDisableSchema,
+  adminTwoFactorResetSchema,
+  adminRoleCreateSchema,
+  adminRoleUpdateSchema,
+  settingsVersionCompareSchema,
+  settingsRollbackSchema,
   deleteAccountSchema,
+  restoreAccountSchema,
+  dataExportDownloadSchema,
   sendEmailOtpSchema,
   verifyEmailOtpSchema,
   sendPasswordResetOtpSchema,
   verifyPasswordResetOtpSchema,
   resetPasswordSchema,
+  legalConsentSchema,
   inspirationSearchSchema,
   subredditSchema
 };
\ No newline at end of file
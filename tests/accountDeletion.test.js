@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const AuthSession = require('../src/models/AuthSession');
+const accountDeletionService = require('../src/services/accountDeletionService');
+const { USER_DATA_SECTIONS } = require('../src/config/userData');
+const { generateToken } = require('../src/utils/helpers');
+
+describe('Account Deletion', () => {
+  const password = 'TestPassword123!';
+  let testUser;
+
+  const login = () => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: testUser.email, password });
+
+  // Schedule the deletion through the API and return the token of the emailed restore link
+  const scheduleDeletion = async () => {
+    const sendEmail = jest.spyOn(accountDeletionService, 'sendScheduledEmail').mockResolvedValue();
+    const loginResponse = await login();
+
+    await request(app)
+      .delete('/api/v1/users/account')
+      .set('Authorization', `Bearer ${loginResponse.body.data.accessToken}`)
+      .send({ password })
+      .expect(200);
+
+    return sendEmail.mock.calls[0][1];
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    const mongoUri = process.env.TEST_DATABASE_URI || 'mongodb://localhost:27017/video-editing-test';
+    await mongoose.connect(mongoUri);
+  });
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({});
+    await AuthSession.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password,
+      loginType: 'email'
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('Pending deletion', () => {
+    test('should reject login', async () => {
+      await scheduleDeletion();
+
+      const response = await login().expect(401);
+
+      expect(response.body.message).toContain('scheduled for deletion');
+    });
+
+    test('should reject access tokens, including ones without a session', async () => {
+      await scheduleDeletion();
+
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${generateToken({ id: testUser._id })}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('This account is scheduled for deletion.');
+    });
+  });
+
+  describe('POST /api/v1/auth/restore-account', () => {
+    test('should clear the deletion and allow login again', async () => {
+      const token = await scheduleDeletion();
+
+      await request(app)
+        .post('/api/v1/auth/restore-account')
+        .send({ token })
+        .expect(200);
+
+      const restored = await User.findById(testUser._id).lean();
+      expect(restored.deletion).toBeUndefined();
+
+      await login().expect(200);
+    });
+
+    test('should reject a reused token', async () => {
+      const token = await scheduleDeletion();
+
+      await request(app)
+        .post('/api/v1/auth/restore-account')
+        .send({ token })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/restore-account')
+        .send({ token })
+        .expect(400);
+    });
+
+    test('should reject an invalid token', async () => {
+      await scheduleDeletion();
+
+      await request(app)
+        .post('/api/v1/auth/restore-account')
+        .send({ token: crypto.randomBytes(32).toString('hex') })
+        .expect(400);
+
+      await request(app)
+        .post('/api/v1/auth/restore-account')
+        .send({ token: 'not-a-token' })
+        .expect(422);
+
+      expect((await User.findById(testUser._id)).isPendingDeletion).toBe(true);
+    });
+  });
+
+  describe('cancelPending', () => {
+    test('should not restore an account that is being purged', async () => {
+      const token = await scheduleDeletion();
+      await User.updateOne({ _id: testUser._id }, { $set: { 'deletion.purgeStartedAt': new Date() } });
+
+      await expect(accountDeletionService.cancelDeletion(testUser._id))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(accountDeletionService.restoreWithToken(token))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      expect((await User.findById(testUser._id)).isPendingDeletion).toBe(true);
+    });
+  });
+
+  describe('purgeAccount', () => {
+    beforeEach(async () => {
+      for (const section of USER_DATA_SECTIONS) {
+        await section.model.collection.deleteMany({});
+      }
+    });
+
+    // Runs in a transaction, so TEST_DATABASE_URI must point at a replica set
+    test('should delete the user and every section of their data', async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password,
+        loginType: 'email'
+      });
+
+      // Raw inserts: a record that matches each section is all the purge looks at
+      for (const section of USER_DATA_SECTIONS) {
+        await section.model.collection.insertOne(section.filter(testUser._id));
+      }
+      const otherSection = USER_DATA_SECTIONS.find(section => section.key === 'posts');
+      await otherSection.model.collection.insertOne(otherSection.filter(otherUser._id));
+
+      await accountDeletionService.purgeAccount(testUser);
+
+      expect(await User.findById(testUser._id)).toBeNull();
+      for (const section of USER_DATA_SECTIONS) {
+        const remaining = await section.model.countDocuments(section.filter(testUser._id));
+        expect({ section: section.key, remaining }).toEqual({ section: section.key, remaining: 0 });
+      }
+
+      // Other users keep their data
+      expect(await User.findById(otherUser._id)).not.toBeNull();
+      expect(await otherSection.model.countDocuments(otherSection.filter(otherUser._id))).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const AdminUser = require('../src/models/AdminUser');
+const AdminRole = require('../src/models/AdminRole');
+const AdminActivityLog = require('../src/models/AdminActivityLog');
+const AuthSession = require('../src/models/AuthSession');
+const adminRoleService = require('../src/services/adminRoleService');
+const configService = require('../src/services/configService');
+const { SYSTEM_ADMIN_ROLES } = require('../src/config/adminPermissions');
+
+describe('Admin permission grants', () => {
+  test('should reject permissions the granter does not hold', () => {
+    const granter = ['users:read', 'media:*'];
+
+    expect(() => adminRoleService.assertGrantable(['users:read', 'media:delete'], granter)).not.toThrow();
+    expect(() => adminRoleService.assertGrantable(['users:write'], granter))
+      .toThrow('You cannot grant permissions you do not have: users:write');
+  });
+
+  test('should expand wildcards before checking them', () => {
+    expect(() => adminRoleService.assertGrantable(['users:*'], ['users:read', 'users:write']))
+      .toThrow('users:delete');
+    expect(() => adminRoleService.assertGrantable(['*'], ['users:*'])).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => adminRoleService.assertGrantable(['*'], ['*'])).not.toThrow();
+  });
+
+  test('should reject unknown permissions', () => {
+    expect(() => adminRoleService.assertGrantable(['users:ban'], ['*']))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => adminRoleService.assertGrantable('users:read', ['*']))
+      .toThrow('Permissions must be a list');
+  });
+});
+
+describe('Admin privilege escalation', () => {
+  const password = 'AdminPass123!';
+
+  // Can manage admins and roles, and holds exactly the moderator permissions besides
+  const managerPermissions = ['admins:*', 'roles:*', ...SYSTEM_ADMIN_ROLES.moderator.permissions];
+
+  let superadmin;
+  let manager;
+  let admin;
+  let moderator;
+  let managerToken;
+  let superadminToken;
+
+  const loginAs = async (email) => {
+    const response = await request(app)
+      .post('/api/v1/admin/login')
+      .send({ email, password });
+    return response.body.data.token;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    const mongoUri = process.env.TEST_DATABASE_URI || 'mongodb://localhost:27017/video-editing-test';
+    await mongoose.connect(mongoUri);
+  });
+
+  beforeEach(async () => {
+    // Clean up database
+    await AdminUser.deleteMany({});
+    await AdminRole.deleteMany({});
+    await AdminActivityLog.deleteMany({});
+    await AuthSession.deleteMany({});
+    adminRoleService.invalidateCache();
+
+    // No role has to set up two-factor authentication to sign in
+    jest.spyOn(configService, 'getAdminSecurityConfig').mockResolvedValue({ twoFactorRequiredRoles: [] });
+
+    await AdminRole.create({ name: 'account_manager', permissions: managerPermissions });
+
+    superadmin = await AdminUser.create({ name: 'Super Admin', email: 'super@example.com', password, role: 'superadmin' });
+    manager = await AdminUser.create({ name: 'Account Manager', email: 'manager@example.com', password, role: 'account_manager' });
+    admin = await AdminUser.create({ name: 'Admin', email: 'admin@example.com', password, role: 'admin' });
+    moderator = await AdminUser.create({ name: 'Moderator', email: 'moderator@example.com', password, role: 'moderator' });
+
+    managerToken = await loginAs(manager.email);
+    superadminToken = await loginAs(superadmin.email);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/v1/admin/admins', () => {
+    test('should not create an admin with a role that has more permissions', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/admins')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'New Admin', email: 'new@example.com', password, role: 'admin' })
+        .expect(403);
+
+      expect(response.body.message).toContain('You cannot grant permissions you do not have');
+      expect(await AdminUser.findOne({ email: 'new@example.com' })).toBeNull();
+    });
+
+    test('should not grant extra permissions the acting admin does not hold', async () => {
+      await request(app)
+        .post('/api/v1/admin/admins')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'New Moderator', email: 'new@example.com', password, role: 'moderator', permissions: ['settings_api_keys:read'] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/v1/admin/admins')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'New Moderator', email: 'new@example.com', password, role: 'moderator', permissions: ['*'] })
+        .expect(403);
+
+      expect(await AdminUser.findOne({ email: 'new@example.com' })).toBeNull();
+    });
+
+    test('should create an admin within the acting admin\'s permissions', async () => {
+      await request(app)
+        .post('/api/v1/admin/admins')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'New Moderator', email: 'new@example.com', password, role: 'moderator', permissions: ['roles:read'] })
+        .expect(200);
+
+      const created = await AdminUser.findOne({ email: 'new@example.com' });
+      expect(created.role).toBe('moderator');
+      expect(created.permissions).toEqual(['roles:read']);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/admins/:id', () => {
+    test('should not assign a role with more permissions', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/admins/${moderator._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ role: 'superadmin' })
+        .expect(403);
+
+      const unchanged = await AdminUser.findById(moderator._id);
+      expect(unchanged.role).toBe('moderator');
+    });
+
+    test('should not give the acting admin\'s own account more permissions', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/admins/${manager._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: ['settings:write'] })
+        .expect(403);
+
+      const unchanged = await AdminUser.findById(manager._id);
+      expect(unchanged.permissions).toEqual([]);
+    });
+
+    test('should not change or strip an admin who has permissions the acting admin lacks', async () => {
+      await AdminUser.updateOne({ _id: moderator._id }, { $set: { permissions: ['settings:read'] } });
+
+      await request(app)
+        .patch(`/api/v1/admin/admins/${moderator._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: [] })
+        .expect(403);
+
+      await request(app)
+        .patch(`/api/v1/admin/admins/${admin._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ role: 'moderator' })
+        .expect(403);
+
+      expect((await AdminUser.findById(moderator._id)).permissions).toEqual(['settings:read']);
+      expect((await AdminUser.findById(admin._id)).role).toBe('admin');
+    });
+
+    test('should update an admin within the acting admin\'s permissions', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/admins/${moderator._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Renamed Moderator', permissions: ['roles:read'] })
+        .expect(200);
+
+      const updated = await AdminUser.findById(moderator._id);
+      expect(updated.name).toBe('Renamed Moderator');
+      expect(updated.permissions).toEqual(['roles:read']);
+    });
+
+    test('should not let anyone else modify a superadmin', async () => {
+      const otherSuperadmin = await AdminUser.create({ name: 'Other Super', email: 'other@example.com', password, role: 'superadmin' });
+
+      await request(app)
+        .patch(`/api/v1/admin/admins/${superadmin._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ isActive: false })
+        .expect(403);
+
+      await request(app)
+        .patch(`/api/v1/admin/admins/${otherSuperadmin._id}`)
+        .set('Authorization', `Bearer ${superadminToken}`)
+        .send({ role: 'moderator' })
+        .expect(403);
+
+      expect((await AdminUser.findById(superadmin._id)).isActive).toBe(true);
+      expect((await AdminUser.findById(otherSuperadmin._id)).role).toBe('superadmin');
+    });
+  });
+
+  describe('DELETE /api/v1/admin/admins/:id', () => {
+    test('should not delete a superadmin', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/admins/${superadmin._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+
+      expect(await AdminUser.findById(superadmin._id)).toBeTruthy();
+    });
+
+    test('should not delete an admin who has permissions the acting admin lacks', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/admins/${admin._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+
+      expect(await AdminUser.findById(admin._id)).toBeTruthy();
+    });
+  });
+
+  describe('Roles', () => {
+    test('should keep the superadmin role\'s permissions', async () => {
+      const response = await request(app)
+        .patch('/api/v1/admin/roles/superadmin')
+        .set('Authorization', `Bearer ${superadminToken}`)
+        .send({ permissions: ['dashboard:read'] })
+        .expect(403);
+
+      expect(response.body.message).toBe('The superadmin role always has every permission');
+      expect((await adminRoleService.getRole('superadmin')).permissions).toEqual(['*']);
+    });
+
+    test('should not add permissions the acting admin does not hold to a role', async () => {
+      await request(app)
+        .patch('/api/v1/admin/roles/moderator')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: [...SYSTEM_ADMIN_ROLES.moderator.permissions, 'settings:write'] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'escalated', permissions: ['*'] })
+        .expect(403);
+
+      expect(await AdminRole.findOne({ name: 'escalated' })).toBeNull();
+    });
+
+    test('should not strip permissions the acting admin does not hold from a role', async () => {
+      await request(app)
+        .patch('/api/v1/admin/roles/admin')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: ['dashboard:read'] })
+        .expect(403);
+
+      adminRoleService.invalidateCache();
+      expect((await adminRoleService.getRole('admin')).permissions).toEqual(SYSTEM_ADMIN_ROLES.admin.permissions);
+    });
+
+    test('should update a role within the acting admin\'s permissions', async () => {
+      await request(app)
+        .patch('/api/v1/admin/roles/moderator')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: ['dashboard:read', 'users:read'] })
+        .expect(200);
+
+      adminRoleService.invalidateCache();
+      expect((await adminRoleService.getRole('moderator')).permissions).toEqual(['dashboard:read', 'users:read']);
+    });
+  });
+
+  describe('checkPermission', () => {
+    test('should reject routes the admin has no permission for', async () => {
+      const moderatorToken = await loginAs(moderator.email);
+
+      const response = await request(app)
+        .get('/api/v1/admin/admins')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('You need one of these permissions: admins:read');
+
+      await request(app)
+        .patch(`/api/v1/admin/admins/${moderator._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ role: 'superadmin' })
+        .expect(403);
+
+      expect((await AdminUser.findById(moderator._id)).role).toBe('moderator');
+    });
+
+    test('should allow routes covered by the admin\'s extra permissions', async () => {
+      await AdminUser.updateOne({ _id: moderator._id }, { $set: { permissions: ['roles:read'] } });
+      const moderatorToken = await loginAs(moderator.email);
+
+      await request(app)
+        .get('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+    });
+  });
+});
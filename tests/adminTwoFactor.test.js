@@ -0,0 +1,232 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const AdminUser = require('../src/models/AdminUser');
+const AdminActivityLog = require('../src/models/AdminActivityLog');
+const AuthSession = require('../src/models/AuthSession');
+const adminTwoFactorService = require('../src/services/adminTwoFactorService');
+const configService = require('../src/services/configService');
+const { base32Encode, generateSecret, generateTotp, verifyTotp } = require('../src/utils/totp');
+
+describe('TOTP (RFC 6238)', () => {
+  // Test secret of RFC 6238 appendix B (SHA-1): the ASCII bytes of "12345678901234567890"
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should encode the RFC secret as base32', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  // Appendix B lists 8-digit values; the 6-digit code is their last 6 digits
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('should match the test vector at T=%i', (seconds, expected) => {
+    expect(generateTotp(secret, seconds * 1000)).toBe(expected.slice(-6));
+  });
+
+  test('should accept a code from the adjacent time step and return its step', () => {
+    const time = 1111111111 * 1000;
+    const previousCode = generateTotp(secret, time - 30 * 1000);
+
+    expect(verifyTotp(secret, previousCode, { time })).toBe(Math.floor(time / 1000 / 30) - 1);
+  });
+
+  test('should reject codes outside the window or not made of 6 digits', () => {
+    const time = 1111111111 * 1000;
+
+    expect(verifyTotp(secret, generateTotp(secret, time - 2 * 30 * 1000), { time })).toBeNull();
+    expect(verifyTotp(secret, '12345', { time })).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+    expect(verifyTotp(secret, undefined, { time })).toBeNull();
+  });
+});
+
+describe('Admin Two-Factor Authentication', () => {
+  const password = 'AdminPass123!';
+  let admin;
+  let secret;
+
+  beforeAll(async () => {
+    // Connect to test database
+    const mongoUri = process.env.TEST_DATABASE_URI || 'mongodb://localhost:27017/video-editing-test';
+    await mongoose.connect(mongoUri);
+  });
+
+  beforeEach(async () => {
+    // Clean up database
+    await AdminUser.deleteMany({});
+    await AdminActivityLog.deleteMany({});
+    await AuthSession.deleteMany({});
+
+    secret = generateSecret();
+    admin = await AdminUser.create({
+      name: 'Test Admin',
+      email: 'admin@example.com',
+      password,
+      role: 'admin',
+      twoFactor: { enabled: true, secret, enabledAt: new Date() }
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('verifyCode', () => {
+    test('should accept a code once and reject its replay', async () => {
+      const code = generateTotp(secret);
+
+      await expect(adminTwoFactorService.verifyCode(admin._id, code)).resolves.toEqual({ method: 'totp' });
+      await expect(adminTwoFactorService.verifyCode(admin._id, code)).resolves.toBeNull();
+    });
+
+    test('should reject a code from a step before the last used one', async () => {
+      await adminTwoFactorService.verifyCode(admin._id, generateTotp(secret));
+
+      const previousCode = generateTotp(secret, Date.now() - 30 * 1000);
+      await expect(adminTwoFactorService.verifyCode(admin._id, previousCode)).resolves.toBeNull();
+    });
+
+    test('should accept a recovery code once', async () => {
+      const recoveryCodes = await adminTwoFactorService.regenerateRecoveryCodes(admin._id);
+
+      // Case and separators don't matter
+      const code = recoveryCodes[0].toUpperCase().replace('-', ' ');
+      await expect(adminTwoFactorService.verifyCode(admin._id, code)).resolves.toEqual({ method: 'recovery_code' });
+      await expect(adminTwoFactorService.verifyCode(admin._id, recoveryCodes[0])).resolves.toBeNull();
+
+      const status = await adminTwoFactorService.getStatus(admin);
+      expect(status.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+    });
+
+    test('should reject codes when two-factor authentication is disabled', async () => {
+      const code = generateTotp(secret);
+      await adminTwoFactorService.disable(admin._id);
+
+      await expect(adminTwoFactorService.verifyCode(admin._id, code)).resolves.toBeNull();
+    });
+  });
+
+  describe('POST /api/v1/admin/login - with two-factor authentication', () => {
+    test('should return a challenge instead of tokens, then sign in with a code', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/admin/login')
+        .send({ email: admin.email, password })
+        .expect(200);
+
+      expect(loginResponse.body.data.twoFactorRequired).toBe(true);
+      expect(loginResponse.body.data.challengeToken).toEqual(expect.any(String));
+      expect(loginResponse.body.data).not.toHaveProperty('token');
+
+      const response = await request(app)
+        .post('/api/v1/admin/login/2fa')
+        .send({ challengeToken: loginResponse.body.data.challengeToken, code: generateTotp(secret) })
+        .expect(200);
+
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.refreshToken).toEqual(expect.any(String));
+      expect(response.body.data.admin.twoFactorEnabled).toBe(true);
+    });
+
+    test('should reject a wrong code and count it as a failed login', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/admin/login')
+        .send({ email: admin.email, password });
+
+      const wrongCode = generateTotp(secret) === '000000' ? '111111' : '000000';
+      const response = await request(app)
+        .post('/api/v1/admin/login/2fa')
+        .send({ challengeToken: loginResponse.body.data.challengeToken, code: wrongCode })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid verification code');
+
+      const updated = await AdminUser.findById(admin._id);
+      expect(updated.loginAttempts).toBe(1);
+    });
+
+    test('should sign in with a recovery code and report the codes left', async () => {
+      const recoveryCodes = await adminTwoFactorService.regenerateRecoveryCodes(admin._id);
+      const loginResponse = await request(app)
+        .post('/api/v1/admin/login')
+        .send({ email: admin.email, password });
+
+      const response = await request(app)
+        .post('/api/v1/admin/login/2fa')
+        .send({ challengeToken: loginResponse.body.data.challengeToken, code: recoveryCodes[0] })
+        .expect(200);
+
+      expect(response.body.data.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+    });
+
+    test('should not accept an access token as a challenge token', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/admin/login')
+        .send({ email: admin.email, password });
+      const signInResponse = await request(app)
+        .post('/api/v1/admin/login/2fa')
+        .send({ challengeToken: loginResponse.body.data.challengeToken, code: generateTotp(secret) });
+
+      await request(app)
+        .post('/api/v1/admin/login/2fa')
+        .send({ challengeToken: signInResponse.body.data.token, code: generateTotp(secret) })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/admin/login - two-factor setup required for the role', () => {
+    beforeEach(async () => {
+      await AdminUser.updateOne({ _id: admin._id }, { $set: { twoFactor: { enabled: false } } });
+      jest.spyOn(configService, 'getAdminSecurityConfig').mockResolvedValue({ twoFactorRequiredRoles: ['admin'] });
+    });
+
+    test('should require setup before signing in, then sign in once a code is confirmed', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/admin/login')
+        .send({ email: admin.email, password })
+        .expect(200);
+
+      expect(loginResponse.body.data.twoFactorSetupRequired).toBe(true);
+      expect(loginResponse.body.data).not.toHaveProperty('token');
+
+      const { challengeToken } = loginResponse.body.data;
+
+      const setupResponse = await request(app)
+        .post('/api/v1/admin/login/2fa/setup')
+        .send({ challengeToken })
+        .expect(200);
+
+      expect(setupResponse.body.data.otpauthUri).toContain('otpauth://totp/');
+
+      const response = await request(app)
+        .post('/api/v1/admin/login/2fa/setup/verify')
+        .send({ challengeToken, code: generateTotp(setupResponse.body.data.secret) })
+        .expect(200);
+
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.recoveryCodes).toHaveLength(10);
+
+      const updated = await AdminUser.findById(admin._id);
+      expect(updated.twoFactor.enabled).toBe(true);
+    });
+
+    test('should not let a setup challenge skip the setup', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/admin/login')
+        .send({ email: admin.email, password });
+
+      await request(app)
+        .post('/api/v1/admin/login/2fa')
+        .send({ challengeToken: loginResponse.body.data.challengeToken, code: '123456' })
+        .expect(401);
+    });
+  });
+});
@@ -1,5 +1,7 @@
 const request = require('supertest');
 const app = require('../src/app');
+const User = require('../src/models/User');
+const { generateToken } = require('../src/utils/helpers');
 
 describe('Authentication Endpoints', () => {
   let authToken;
@@ -106,4 +108,159 @@ describe('Authentication Endpoints', () => {
       expect(response.body).toHaveProperty('status', 'error');
     });
   });
+
+  describe('Device sessions', () => {
+    const login = (userAgent) => request(app)
+      .post('/api/v1/auth/login')
+      .set('User-Agent', userAgent)
+      .send({
+        email: testUser.email,
+        password: testUser.password
+      })
+      .expect(200);
+
+    it('should keep earlier devices signed in on a new login', async () => {
+      const phone = await login('phone');
+      const laptop = await login('laptop');
+
+      expect(phone.body.data.refreshToken).not.toBe(laptop.body.data.refreshToken);
+
+      const response = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.data.accessToken}`)
+        .expect(200);
+
+      const userAgents = response.body.data.sessions.map(session => session.userAgent);
+      expect(userAgents).toEqual(expect.arrayContaining(['phone', 'laptop']));
+      expect(response.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+    });
+
+    it('should rotate refresh tokens and revoke the session when an old one is reused', async () => {
+      const { body } = await login('rotating');
+      const firstRefreshToken = body.data.refreshToken;
+
+      const rotated = await request(app)
+        .post('/api/v1/auth/refresh-token')
+        .send({ refreshToken: firstRefreshToken })
+        .expect(200);
+
+      expect(rotated.body.data.refreshToken).not.toBe(firstRefreshToken);
+
+      // Replaying the rotated-out token ends the session for every holder
+      await request(app)
+        .post('/api/v1/auth/refresh-token')
+        .send({ refreshToken: firstRefreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/refresh-token')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.data.accessToken}`)
+        .expect(401);
+    });
+
+    it('should sign out all other devices', async () => {
+      const other = await login('other');
+      const current = await login('current');
+
+      await request(app)
+        .delete('/api/v1/auth/sessions?keepCurrent=true')
+        .set('Authorization', `Bearer ${current.body.data.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${other.body.data.accessToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${current.body.data.accessToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('Password changes', () => {
+    const newPassword = 'NewPassword123!';
+
+    // The tokens must belong to a session, so signing out everywhere ends them
+    const expectRevokedBySignOut = async (accessToken) => {
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+    };
+
+    afterEach(async () => {
+      // Put the original password back for the other tests
+      const user = await User.findOne({ email: testUser.email });
+      user.password = testUser.password;
+      await user.save();
+    });
+
+    it('should issue session tokens on password reset', async () => {
+      await User.updateOne({ email: testUser.email }, {
+        $set: {
+          passwordResetOtpVerified: true,
+          passwordResetOtpExpires: new Date(Date.now() + 10 * 60 * 1000)
+        }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ email: testUser.email, password: newPassword, confirmPassword: newPassword })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).toEqual(expect.any(String));
+      await expectRevokedBySignOut(response.body.data.accessToken);
+    });
+
+    it('should keep the current session on password update', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+
+      const response = await request(app)
+        .patch('/api/v1/auth/update-password')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .send({ currentPassword: testUser.password, newPassword })
+        .expect(200);
+
+      await expectRevokedBySignOut(response.body.data.accessToken);
+
+      await request(app)
+        .post('/api/v1/auth/refresh-token')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should start a session on password update with a token that has none', async () => {
+      const user = await User.findOne({ email: testUser.email });
+      const legacyToken = generateToken({ id: user._id });
+
+      const response = await request(app)
+        .patch('/api/v1/auth/update-password')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .send({ currentPassword: testUser.password, newPassword })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).toEqual(expect.any(String));
+      await expectRevokedBySignOut(response.body.data.accessToken);
+    });
+  });
 });
\ No newline at end of file
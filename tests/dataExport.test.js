@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const DataExport = require('../src/models/DataExport');
+const AuthSession = require('../src/models/AuthSession');
+
+describe('Data Export Endpoints', () => {
+  const password = 'TestPassword123!';
+  let authToken;
+  let testUser;
+
+  const requestExport = () => request(app)
+    .post('/api/v1/users/data-export')
+    .set('Authorization', `Bearer ${authToken}`);
+
+  beforeAll(async () => {
+    // Connect to test database
+    const mongoUri = process.env.TEST_DATABASE_URI || 'mongodb://localhost:27017/video-editing-test';
+    await mongoose.connect(mongoUri);
+
+    // The one-pending-export rule relies on the partial unique index
+    await DataExport.init();
+  });
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({});
+    await DataExport.deleteMany({});
+    await AuthSession.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password,
+      loginType: 'email'
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: testUser.email, password });
+
+    authToken = loginResponse.body.data.accessToken;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/v1/users/data-export', () => {
+    test('should queue an export', async () => {
+      const response = await requestExport().expect(202);
+
+      expect(response.body.data.dataExport.status).toBe('queued');
+    });
+
+    test('should reject a second export while one is pending', async () => {
+      await requestExport().expect(202);
+
+      const response = await requestExport().expect(409);
+
+      expect(response.body.message).toContain('already being prepared');
+      expect(await DataExport.countDocuments({ user: testUser._id })).toBe(1);
+    });
+
+    test('should queue only one of two concurrent requests', async () => {
+      const responses = await Promise.all([requestExport(), requestExport()]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([202, 409]);
+      expect(await DataExport.countDocuments({ user: testUser._id })).toBe(1);
+    });
+
+    test('should enforce the daily limit', async () => {
+      const requestedAt = new Date(Date.now() - 60 * 60 * 1000);
+      await DataExport.create([
+        { user: testUser._id, status: 'completed', requestedAt },
+        { user: testUser._id, status: 'failed', requestedAt }
+      ]);
+
+      const response = await requestExport().expect(429);
+
+      expect(response.body.message).toContain('data exports per day');
+    });
+  });
+
+  describe('GET /api/v1/users/data-export/download', () => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const createCompletedExport = (expiresAt) => DataExport.create({
+      user: testUser._id,
+      status: 'completed',
+      filePath: '/tmp/soloai-data-export-test.json',
+      fileName: 'soloai-data-export-test.json',
+      downloadTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      expiresAt
+    });
+
+    test('should return 410 once the link has expired', async () => {
+      await createCompletedExport(new Date(Date.now() - 60 * 1000));
+
+      const response = await request(app)
+        .get(`/api/v1/users/data-export/download?token=${token}`)
+        .expect(410);
+
+      expect(response.body.message).toContain('expired');
+    });
+
+    test('should return 404 for an unknown token', async () => {
+      await createCompletedExport(new Date(Date.now() + 60 * 60 * 1000));
+
+      await request(app)
+        .get(`/api/v1/users/data-export/download?token=${crypto.randomBytes(32).toString('hex')}`)
+        .expect(404);
+    });
+  });
+});
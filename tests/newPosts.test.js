@@ -6,6 +6,7 @@ const Video = require('../src/models/Video');
 const Post = require('../src/models/Post');
 const SocialAccount = require('../src/models/SocialAccount');
 const bundleSocialService = require('../src/services/bundleSocialService');
+const postTemplateService = require('../src/services/postTemplateService');
 
 // Mock Bundle.social service
 jest.mock('../src/services/bundleSocialService');
@@ -132,6 +133,67 @@ describe('New Post API Endpoints', () => {
       });
     });
 
+    test('should send each platform its own caption, hashtags and options', async () => {
+      bundleSocialService.createImmediatePost.mockResolvedValue({
+        id: 'test-immediate-post-id',
+        status: 'POSTED'
+      });
+
+      const twitterAccount = await SocialAccount.create({
+        user: testUser._id,
+        platform: 'twitter',
+        bundleAccountId: 'test-twitter-account-id',
+        username: 'testuser',
+        isConnected: true
+      });
+
+      const postData = {
+        videoId: testVideo._id.toString(),
+        caption: 'Shared caption',
+        hashtags: ['shared'],
+        platforms: [
+          {
+            name: 'instagram',
+            accountId: testSocialAccount.bundleAccountId,
+            thumbnailOffset: 0,
+            shareToFeed: false
+          },
+          {
+            name: 'twitter',
+            accountId: twitterAccount.bundleAccountId,
+            caption: 'Short one for Twitter',
+            hashtags: ['#tw']
+          }
+        ]
+      };
+
+      const response = await request(app)
+        .post('/api/v1/posts/create')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(postData)
+        .expect(200);
+
+      expect(bundleSocialService.createImmediatePost).toHaveBeenCalledWith(expect.objectContaining({
+        socialAccountTypes: ['INSTAGRAM', 'TWITTER'],
+        data: expect.objectContaining({
+          INSTAGRAM: expect.objectContaining({
+            text: 'Shared caption #shared',
+            shareToFeed: false
+          }),
+          TWITTER: expect.objectContaining({
+            text: 'Short one for Twitter #tw'
+          })
+        })
+      }));
+
+      // Only the overrides are stored on the platform
+      const savedPost = await Post.findById(response.body.data.postId);
+      const twitter = savedPost.platforms.find(platform => platform.name === 'twitter');
+      expect(twitter.caption).toBe('Short one for Twitter');
+      expect(twitter.hashtags).toEqual(['tw']);
+      expect(savedPost.platforms.find(platform => platform.name === 'instagram').caption).toBeUndefined();
+    });
+
     test('should handle Bundle.social immediate post creation error', async () => {
       // Mock Bundle.social error
       bundleSocialService.createImmediatePost.mockRejectedValue(
@@ -213,8 +275,13 @@ describe('New Post API Endpoints', () => {
             text: 'Scheduled post caption #scheduled',
             uploadIds: ['test-bundle-upload-id']
           })
-        })
+        }),
+        inlineRetries: false
       });
+
+      // Verify publish job lifecycle was recorded on the post
+      expect(savedPost.publishJob.state).toBe('submitted');
+      expect(savedPost.publishJob.attempts).toBe(1);
     });
 
     test('should reject scheduled post with past date', async () => {
@@ -267,13 +334,106 @@ describe('New Post API Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Bundle.social API Error');
 
-      // Verify no post was saved to database
+      // Verify the post was kept in the dead-letter queue for admin replay
       const posts = await Post.find({});
-      expect(posts.length).toBe(0);
+      expect(posts.length).toBe(1);
+      expect(posts[0].publishJob.state).toBe('dead_letter');
+      expect(posts[0].bundleStatus).toBe('error');
+    });
+
+    test('should queue scheduled post for retry when Bundle.social times out', async () => {
+      const futureDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      // Mock Bundle.social timeout
+      const timeoutError = new Error('timeout of 120000ms exceeded');
+      timeoutError.code = 'ECONNABORTED';
+      timeoutError.isTimeout = true;
+      bundleSocialService.createScheduledPost.mockRejectedValue(timeoutError);
+
+      const postData = {
+        videoId: testVideo._id.toString(),
+        caption: 'Test scheduled post',
+        platforms: [{
+          name: 'instagram',
+          accountId: testSocialAccount.bundleAccountId
+        }],
+        scheduledFor: futureDate.toISOString()
+      };
+
+      const response = await request(app)
+        .post('/api/v1/posts/schedule')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(postData)
+        .expect(202);
+
+      expect(response.body.data.publishState).toBe('retrying');
+
+      // Verify the post is waiting in the queue with a backoff
+      const savedPost = await Post.findById(response.body.data.postId);
+      expect(savedPost.publishJob.state).toBe('retrying');
+      expect(savedPost.publishJob.attempts).toBe(1);
+      expect(savedPost.publishJob.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('POST /api/v1/posts/validate - Dry Run', () => {
+    test('should list every platform violation without creating the post', async () => {
+      await Video.findByIdAndUpdate(testVideo._id, {
+        duration: 270,
+        dimensions: { width: 1920, height: 1080 }
+      });
+      await SocialAccount.create({
+        user: testUser._id,
+        platform: 'youtube',
+        bundleAccountId: 'test-youtube-account-id',
+        username: 'testuser',
+        isConnected: true
+      });
+
+      const postData = {
+        videoId: testVideo._id.toString(),
+        caption: 'Thanks @not-a-valid-handle!',
+        platforms: [
+          { name: 'youtube', accountId: 'test-youtube-account-id', type: 'SHORT' },
+          { name: 'twitter', accountId: 'test-twitter-account-id' }
+        ]
+      };
+
+      const response = await request(app)
+        .post('/api/v1/posts/validate')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(postData)
+        .expect(200);
+
+      expect(response.body.data.valid).toBe(false);
+      expect(response.body.data.violations.map(violation => `${violation.platform}:${violation.rule}`)).toEqual([
+        'youtube:maxDuration',
+        'youtube:aspectRatio',
+        'twitter:mentionFormat',
+        'twitter:maxDuration',
+        'twitter:connected'
+      ]);
+      expect(response.body.data.platforms.find(platform => platform.name === 'youtube').type).toBe('SHORT');
+
+      expect(bundleSocialService.createImmediatePost).not.toHaveBeenCalled();
+      expect(await Post.countDocuments({})).toBe(0);
     });
   });
 
   describe('Validation Tests', () => {
+    test('should reject a template ID that is not an object ID', async () => {
+      const response = await request(app)
+        .post('/api/v1/posts/create')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ videoId: testVideo._id.toString(), templateId: 'not-an-id' })
+        .expect(422);
+
+      expect(response.body.errors).toContainEqual(
+        expect.objectContaining({ field: 'templateId', message: 'Must be a valid ID' })
+      );
+      expect(await Post.countDocuments({})).toBe(0);
+    });
+
     test('should reject post creation without video upload ID', async () => {
       // Create video without Bundle.social upload ID
       const videoWithoutUpload = await Video.create({
@@ -335,5 +495,138 @@ describe('New Post API Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Not connected');
     });
+
+    test('should reject a caption over a platform limit before calling Bundle.social', async () => {
+      await SocialAccount.create({
+        user: testUser._id,
+        platform: 'twitter',
+        bundleAccountId: 'test-twitter-account-id',
+        username: 'testuser',
+        isConnected: true
+      });
+
+      const postData = {
+        videoId: testVideo._id.toString(),
+        caption: 'x'.repeat(300),
+        platforms: [
+          { name: 'instagram', accountId: testSocialAccount.bundleAccountId },
+          { name: 'twitter', accountId: 'test-twitter-account-id' }
+        ]
+      };
+
+      const response = await request(app)
+        .post('/api/v1/posts/create')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(postData)
+        .expect(422);
+
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ field: 'platforms.twitter.caption' })
+      ]);
+      expect(bundleSocialService.createImmediatePost).not.toHaveBeenCalled();
+      expect(await Post.countDocuments({})).toBe(0);
+    });
+  });
+});
+
+describe('Post template service', () => {
+  const template = {
+    caption: 'New video: {{title}} by {{name}} ({{weekday}} {{date}} {{time}})',
+    hashtags: ['template', 'tags'],
+    platforms: ['instagram', 'tiktok'],
+    settings: { allowComments: false, visibility: 'unlisted' },
+    platformOptions: {
+      instagram: { type: 'REEL', shareToFeed: true },
+      tiktok: { privacy: 'SELF_ONLY', disableDuet: true }
+    }
+  };
+
+  const context = {
+    video: { title: 'Sunset timelapse', description: 'Shot at the beach' },
+    user: { name: 'Test User' },
+    date: new Date('2024-06-03T18:30:00Z')
+  };
+
+  describe('renderCaption', () => {
+    test('should fill in the variables', () => {
+      expect(postTemplateService.renderCaption(template.caption, context))
+        .toBe('New video: Sunset timelapse by Test User (Monday 2024-06-03 18:30)');
+    });
+
+    test('should allow spaces in placeholders and keep unknown ones', () => {
+      expect(postTemplateService.renderCaption('{{ year }} {{unknown}} {{description}}', context))
+        .toBe('2024 {{unknown}} Shot at the beach');
+    });
+
+    test('should leave variables without a value empty', () => {
+      expect(postTemplateService.renderCaption('{{title}} by {{name}}', { date: context.date }))
+        .toBe('by');
+    });
+  });
+
+  describe('applyToPost', () => {
+    test('should use the template when the request has no values', () => {
+      const merged = postTemplateService.applyToPost(template, {}, context);
+
+      expect(merged).toEqual({
+        caption: 'New video: Sunset timelapse by Test User (Monday 2024-06-03 18:30)',
+        hashtags: ['template', 'tags'],
+        platforms: [{ name: 'instagram' }, { name: 'tiktok' }],
+        settings: { allowComments: false, visibility: 'unlisted' },
+        platformOptions: template.platformOptions
+      });
+    });
+
+    test('should let the request values win', () => {
+      const platforms = [{ name: 'youtube', accountId: 'test-youtube-account-id' }];
+
+      const merged = postTemplateService.applyToPost(template, {
+        caption: 'My own caption',
+        hashtags: ['mine'],
+        platforms,
+        settings: { visibility: 'public' }
+      }, context);
+
+      expect(merged.caption).toBe('My own caption');
+      expect(merged.hashtags).toEqual(['mine']);
+      expect(merged.platforms).toEqual(platforms);
+      // Settings are merged field by field
+      expect(merged.settings).toEqual({ allowComments: false, visibility: 'public' });
+    });
+
+    test('should keep the template values for empty request lists', () => {
+      const merged = postTemplateService.applyToPost(template, { hashtags: [], platforms: [] }, context);
+
+      expect(merged.hashtags).toEqual(['template', 'tags']);
+      expect(merged.platforms).toEqual([{ name: 'instagram' }, { name: 'tiktok' }]);
+    });
+
+    test('should pass on the platform presets', () => {
+      const merged = postTemplateService.applyToPost(template, { caption: 'Caption' }, context);
+
+      expect(merged.platformOptions.instagram).toEqual({ type: 'REEL', shareToFeed: true });
+      expect(merged.platformOptions.tiktok).toEqual({ privacy: 'SELF_ONLY', disableDuet: true });
+      expect(postTemplateService.applyToPost({ platforms: ['instagram'] }, { caption: 'Caption' }, context).platformOptions)
+        .toEqual({});
+    });
+
+    test('should reject a template without a caption when the request has none', () => {
+      expect(() => postTemplateService.applyToPost({ ...template, caption: '' }, {}, context))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'Caption is required: the template has no caption snippet' }));
+    });
+
+    test('should reject a template without platforms when the request has none', () => {
+      expect(() => postTemplateService.applyToPost({ ...template, platforms: [] }, {}, context))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => postTemplateService.applyToPost({ ...template, platforms: undefined }, { caption: 'Caption' }, context))
+        .toThrow('At least one platform must be selected: the template has no platforms');
+    });
+
+    test('should reject a caption that is too long once filled in', () => {
+      const longTemplate = { ...template, caption: `${'x'.repeat(2190)} {{title}}` };
+
+      expect(() => postTemplateService.applyToPost(longTemplate, {}, context))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Settings = require('../src/models/Settings');
+const configService = require('../src/services/configService');
+const {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  getValueKeyId
+} = require('../src/utils/secretEncryption');
+
+const generateKey = () => crypto.randomBytes(32).toString('hex');
+
+describe('Settings secret encryption', () => {
+  const originalEnv = {
+    SETTINGS_ENCRYPTION_KEY: process.env.SETTINGS_ENCRYPTION_KEY,
+    SETTINGS_ENCRYPTION_PREVIOUS_KEYS: process.env.SETTINGS_ENCRYPTION_PREVIOUS_KEYS,
+    CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET
+  };
+
+  let oldKey;
+  let newKey;
+
+  // Make `current` the encryption key and `previous` the keys that can still decrypt
+  const useKeys = (current, previous = []) => {
+    if (current) {
+      process.env.SETTINGS_ENCRYPTION_KEY = current;
+    } else {
+      delete process.env.SETTINGS_ENCRYPTION_KEY;
+    }
+    process.env.SETTINGS_ENCRYPTION_PREVIOUS_KEYS = previous.join(',');
+  };
+
+  beforeEach(() => {
+    oldKey = generateKey();
+    newKey = generateKey();
+    useKeys(newKey);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  });
+
+  describe('encryptSecret / decryptSecret', () => {
+    test('should round-trip a secret', () => {
+      const encrypted = encryptSecret('sk_live_123', 'apiKeys.falApiKey');
+
+      expect(isEncrypted(encrypted)).toBe(true);
+      expect(encrypted).not.toContain('sk_live_123');
+      expect(decryptSecret(encrypted, 'apiKeys.falApiKey')).toBe('sk_live_123');
+    });
+
+    test('should use a new data key and IV for every value', () => {
+      const first = encryptSecret('same secret', 'rapidApi.key');
+      const second = encryptSecret('same secret', 'rapidApi.key');
+
+      expect(first).not.toBe(second);
+      expect(decryptSecret(second, 'rapidApi.key')).toBe('same secret');
+    });
+
+    test('should reject a value copied into another field', () => {
+      const encrypted = encryptSecret('smtp-password', 'email.smtp.pass');
+
+      expect(() => decryptSecret(encrypted, 'cloudinary.apiSecret')).toThrow();
+      expect(() => decryptSecret(encrypted)).toThrow();
+    });
+
+    test('should reject a tampered ciphertext', () => {
+      const parts = encryptSecret('secret', 'reddit.password').split(':');
+      const ciphertext = Buffer.from(parts[6], 'base64url');
+      ciphertext[0] ^= 1;
+      parts[6] = ciphertext.toString('base64url');
+
+      expect(() => decryptSecret(parts.join(':'), 'reddit.password')).toThrow();
+    });
+
+    test('should return plain values unchanged', () => {
+      expect(decryptSecret('not-encrypted', 'rapidApi.key')).toBe('not-encrypted');
+    });
+
+    test('should refuse to encrypt without SETTINGS_ENCRYPTION_KEY', () => {
+      useKeys(null);
+
+      expect(() => encryptSecret('secret', 'rapidApi.key')).toThrow('SETTINGS_ENCRYPTION_KEY is not configured');
+    });
+
+    test('should reject keys that are not 32 bytes', () => {
+      useKeys('too-short');
+
+      expect(() => encryptSecret('secret', 'rapidApi.key')).toThrow('Settings encryption keys must be 32 bytes');
+    });
+  });
+
+  describe('rewrapSecret', () => {
+    test('should decrypt with a previous key and re-wrap with the current one', () => {
+      useKeys(oldKey);
+      const encrypted = encryptSecret('bundle-key', 'apiKeys.bundleSocialApiKey');
+      const oldKeyId = getValueKeyId(encrypted);
+
+      useKeys(newKey, [oldKey]);
+      expect(decryptSecret(encrypted, 'apiKeys.bundleSocialApiKey')).toBe('bundle-key');
+
+      const rewrapped = rewrapSecret(encrypted, 'apiKeys.bundleSocialApiKey');
+      expect(getValueKeyId(rewrapped)).not.toBe(oldKeyId);
+      expect(getValueKeyId(rewrapped)).toBe(getValueKeyId(encryptSecret('x', 'rapidApi.key')));
+
+      // Only the data key is re-wrapped; the ciphertext stays the same
+      expect(rewrapped.split(':').slice(4)).toEqual(encrypted.split(':').slice(4));
+
+      // Once rotation is done the old key can be dropped
+      useKeys(newKey);
+      expect(decryptSecret(rewrapped, 'apiKeys.bundleSocialApiKey')).toBe('bundle-key');
+      expect(() => decryptSecret(encrypted, 'apiKeys.bundleSocialApiKey')).toThrow(`Settings encryption key ${oldKeyId} is not configured`);
+    });
+
+    test('should leave values that use the current key unchanged', () => {
+      const encrypted = encryptSecret('secret', 'rapidApi.key');
+
+      expect(rewrapSecret(encrypted, 'rapidApi.key')).toBe(encrypted);
+    });
+
+    test('should encrypt plain values', () => {
+      const rewrapped = rewrapSecret('plain', 'rapidApi.key');
+
+      expect(isEncrypted(rewrapped)).toBe(true);
+      expect(decryptSecret(rewrapped, 'rapidApi.key')).toBe('plain');
+    });
+  });
+
+  describe('Settings.decryptSecrets', () => {
+    test('should decrypt every secret field in place', () => {
+      const settings = {
+        cloudinary: { cloudName: 'demo', apiSecret: encryptSecret('cloud-secret', 'cloudinary.apiSecret') },
+        apiKeys: { falApiKey: 'plain-fal-key' }
+      };
+
+      expect(Settings.decryptSecrets(settings)).toBe(settings);
+      expect(settings.cloudinary).toEqual({ cloudName: 'demo', apiSecret: 'cloud-secret' });
+      expect(settings.apiKeys.falApiKey).toBe('plain-fal-key');
+    });
+
+    test('should throw when a master key is missing and there is no error handler', () => {
+      useKeys(oldKey);
+      const settings = { rapidApi: { key: encryptSecret('rapid', 'rapidApi.key') } };
+
+      useKeys(newKey);
+      expect(() => Settings.decryptSecrets(settings)).toThrow('is not configured');
+    });
+  });
+
+  describe('configService fallback', () => {
+    test('should fall back to the environment variable when a secret cannot be decrypted', async () => {
+      useKeys(oldKey);
+      const stored = {
+        cloudinary: {
+          cloudName: 'db-cloud',
+          apiKey: 'db-key',
+          apiSecret: encryptSecret('db-secret', 'cloudinary.apiSecret')
+        }
+      };
+
+      // The old key is gone, e.g. dropped before rotation finished
+      useKeys(newKey);
+      process.env.CLOUDINARY_API_SECRET = 'env-secret';
+
+      const settings = configService.decryptSecrets(stored);
+      expect(settings.cloudinary.apiSecret).toBe('');
+
+      jest.spyOn(configService, 'getSettings').mockResolvedValue(settings);
+      await expect(configService.getCloudinaryConfig()).resolves.toEqual({
+        cloudName: 'db-cloud',
+        apiKey: 'db-key',
+        apiSecret: 'env-secret'
+      });
+    });
+
+    test('should use the decrypted database secret when the key is available', async () => {
+      const settings = configService.decryptSecrets({
+        cloudinary: {
+          cloudName: 'db-cloud',
+          apiKey: 'db-key',
+          apiSecret: encryptSecret('db-secret', 'cloudinary.apiSecret')
+        }
+      });
+      process.env.CLOUDINARY_API_SECRET = 'env-secret';
+
+      jest.spyOn(configService, 'getSettings').mockResolvedValue(settings);
+      await expect(configService.getCloudinaryConfig()).resolves.toHaveProperty('apiSecret', 'db-secret');
+    });
+  });
+
+  describe('Settings.encryptStoredSecrets', () => {
+    beforeAll(async () => {
+      // Connect to test database
+      const mongoUri = process.env.TEST_DATABASE_URI || 'mongodb://localhost:27017/video-editing-test';
+      await mongoose.connect(mongoUri);
+    });
+
+    beforeEach(async () => {
+      await Settings.collection.deleteMany({});
+    });
+
+    afterAll(async () => {
+      await mongoose.connection.close();
+    });
+
+    test('should encrypt plain secrets and re-wrap those of a previous key', async () => {
+      useKeys(oldKey);
+      const oldFalKey = encryptSecret('fal-key', 'apiKeys.falApiKey');
+
+      useKeys(newKey, [oldKey]);
+      await Settings.collection.insertOne({
+        _id: 'app_settings',
+        cloudinary: { cloudName: 'demo', apiSecret: 'plain-cloud-secret' },
+        apiKeys: { falApiKey: oldFalKey, bundleSocialApiKey: '' }
+      });
+
+      const result = await Settings.encryptStoredSecrets();
+      expect(result.encrypted).toEqual(['cloudinary.apiSecret']);
+      expect(result.rewrapped).toEqual(['apiKeys.falApiKey']);
+
+      const stored = await Settings.collection.findOne({ _id: 'app_settings' });
+      expect(isEncrypted(stored.cloudinary.apiSecret)).toBe(true);
+      expect(stored.cloudinary.cloudName).toBe('demo');
+      expect(stored.apiKeys.bundleSocialApiKey).toBe('');
+
+      // Readable with the new key alone
+      useKeys(newKey);
+      expect(decryptSecret(stored.cloudinary.apiSecret, 'cloudinary.apiSecret')).toBe('plain-cloud-secret');
+      expect(decryptSecret(stored.apiKeys.falApiKey, 'apiKeys.falApiKey')).toBe('fal-key');
+
+      // Running it again changes nothing
+      const rerun = await Settings.encryptStoredSecrets();
+      expect(rerun).toEqual({
+        encrypted: [],
+        rewrapped: [],
+        unchanged: ['cloudinary.apiSecret', 'apiKeys.falApiKey']
+      });
+    });
+
+    test('should refuse to run without SETTINGS_ENCRYPTION_KEY', async () => {
+      useKeys(null);
+
+      await expect(Settings.encryptStoredSecrets()).rejects.toThrow('SETTINGS_ENCRYPTION_KEY is not configured');
+    });
+  });
+});
@@ -5,6 +5,8 @@ require('dotenv').config({ path: '.env.test' });
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing-only';
 process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret-key-for-testing-only';
+process.env.ADMIN_JWT_SECRET = 'test-admin-jwt-secret-key-for-testing-only';
+process.env.ADMIN_JWT_REFRESH_SECRET = 'test-admin-jwt-refresh-secret-key-for-testing-only';
 process.env.DATABASE_URI = process.env.TEST_DATABASE_URI || 'mongodb://localhost:27017/video-editing-test';
 
 // Suppress console logs during tests (optional)
@@ -0,0 +1,133 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const socialAuthService = require('../src/services/socialAuthService');
+const configService = require('../src/services/configService');
+
+// Local JWKS stub standing in for Google's and Apple's key endpoints
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'test-key-1';
+
+const GOOGLE_CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const APPLE_CLIENT_ID = 'com.soloai.test';
+
+const signToken = (claims, { key = privateKey, kid = KID, expiresIn = '10m' } = {}) =>
+  jwt.sign(claims, key, { algorithm: 'RS256', keyid: kid, expiresIn });
+
+describe('Social ID token verification', () => {
+  let server;
+  let jwksRequests = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      jwksRequests += 1;
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=3600' });
+      res.end(JSON.stringify({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }]
+      }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const jwksUri = `http://127.0.0.1:${server.address().port}/keys`;
+    socialAuthService.providers.google.jwksUri = jwksUri;
+    socialAuthService.providers.apple.jwksUri = jwksUri;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(configService, 'getSocialAuthConfig').mockResolvedValue({
+      googleClientIds: [GOOGLE_CLIENT_ID],
+      appleClientIds: [APPLE_CLIENT_ID]
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should verify a Google ID token and return the subject', async () => {
+    const token = signToken({
+      iss: 'https://accounts.google.com',
+      aud: GOOGLE_CLIENT_ID,
+      sub: 'google-subject-1',
+      email: 'John@Example.com',
+      email_verified: true
+    });
+
+    const identity = await socialAuthService.verifyIdToken('google', token);
+
+    expect(identity.subject).toBe('google-subject-1');
+    expect(identity.email).toBe('john@example.com');
+    expect(identity.emailVerified).toBe(true);
+    expect(identity.isPrivateRelayEmail).toBe(false);
+  });
+
+  it('should cache the JWKS between verifications', async () => {
+    const requestsBefore = jwksRequests;
+    const token = signToken({ iss: 'accounts.google.com', aud: GOOGLE_CLIENT_ID, sub: 'google-subject-2' });
+
+    await socialAuthService.verifyIdToken('google', token);
+    await socialAuthService.verifyIdToken('google', token);
+
+    expect(jwksRequests).toBe(requestsBefore);
+  });
+
+  it('should flag Apple private relay emails', async () => {
+    const token = signToken({
+      iss: 'https://appleid.apple.com',
+      aud: APPLE_CLIENT_ID,
+      sub: '001234.abcdef',
+      email: 'x7k2p9@privaterelay.appleid.com',
+      email_verified: 'true',
+      is_private_email: 'true'
+    });
+
+    const identity = await socialAuthService.verifyIdToken('apple', token);
+
+    expect(identity.subject).toBe('001234.abcdef');
+    expect(identity.emailVerified).toBe(true);
+    expect(identity.isPrivateRelayEmail).toBe(true);
+  });
+
+  it('should reject a token issued to another client', async () => {
+    const token = signToken({ iss: 'https://accounts.google.com', aud: 'someone-else', sub: 'google-subject-1' });
+
+    await expect(socialAuthService.verifyIdToken('google', token)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should reject a token from the wrong issuer', async () => {
+    const token = signToken({ iss: 'https://appleid.apple.com', aud: GOOGLE_CLIENT_ID, sub: 'google-subject-1' });
+
+    await expect(socialAuthService.verifyIdToken('google', token)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should reject an expired token', async () => {
+    const token = signToken(
+      { iss: 'https://accounts.google.com', aud: GOOGLE_CLIENT_ID, sub: 'google-subject-1' },
+      { expiresIn: -600 }
+    );
+
+    await expect(socialAuthService.verifyIdToken('google', token)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should reject a token signed with a key that is not in the JWKS', async () => {
+    const token = signToken(
+      { iss: 'https://accounts.google.com', aud: GOOGLE_CLIENT_ID, sub: 'google-subject-1' },
+      { key: otherPrivateKey }
+    );
+
+    await expect(socialAuthService.verifyIdToken('google', token)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should reject a nonce mismatch', async () => {
+    const token = signToken({
+      iss: 'https://appleid.apple.com',
+      aud: APPLE_CLIENT_ID,
+      sub: '001234.abcdef',
+      nonce: crypto.createHash('sha256').update('expected-nonce').digest('hex')
+    });
+
+    await expect(socialAuthService.verifyIdToken('apple', token, { nonce: 'expected-nonce' })).resolves.toMatchObject({ subject: '001234.abcdef' });
+    await expect(socialAuthService.verifyIdToken('apple', token, { nonce: 'other-nonce' })).rejects.toMatchObject({ statusCode: 401 });
+  });
+});